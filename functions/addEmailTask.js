@@ -6,6 +6,8 @@ const { onRequest } = require('firebase-functions/v2/https');
 const admin = require('firebase-admin');
 const cors = require('cors')({ origin: true });
 const { Firestore, FieldValue } = require('@google-cloud/firestore');
+const { parseQuickAdd, parsedTaskFields } = require('./shared/quickAddParser');
+const { getUserContexts, detectContext } = require('./contexts');
 
 /**
  * Add Email Task from Chrome Extension
@@ -97,18 +99,27 @@ exports.addEmailTask = onRequest(async (req, res) => {
       // Build task data
       const taskRef = db.collection('tasks').doc();
       
-      const title = cleanSubject(emailData.subject);
+      // Subjects can carry quick-add syntax, e.g. "Invoice #Finance due:fri"
+      const contexts = await getUserContexts(userId, db);
+      const parsed = parseQuickAdd(cleanSubject(emailData.subject), {
+        contexts: contexts.map(ctx => ctx.name),
+        projects: await getOpenProjects(userId, db),
+        substringProjects: false
+      });
+      const parsedFields = parsedTaskFields(parsed);
+      const title = parsed.title || cleanSubject(emailData.subject);
       const description = buildDescription(emailData);
-      const context = detectContext(title + ' ' + emailData.body);
+      const context = parsed.context || detectContext(title + ' ' + emailData.body, contexts);
+      const parentId = parsedFields.parentId || inboxId;
 
       const newTask = {
         title,
         description,
         userId,
-        parentId: inboxId,
+        parentId,
         status: 'next_action',
-        importance: emailData.importance || 3,
-        urgency: emailData.urgency || 3,
+        importance: emailData.importance || parsed.importance || 3,
+        urgency: emailData.urgency || parsed.urgency || 3,
         context: emailData.context || context || '@email',
         source: 'apps_script',
         createdDate: FieldValue.serverTimestamp(),
@@ -119,22 +130,41 @@ exports.addEmailTask = onRequest(async (req, res) => {
         dueDate: null,
         energyLevel: 'medium',
         isProject: false,
-        level: 1,
+        level: parsed.project ? parsed.project.level + 1 : 1,
         mloEffort: 0,
         mloImportance: 0,
         mloUrgency: 0,
-        path: `<Inbox>/${title}`,
+        path: parsed.project ? `${parsed.project.path} > ${title}` : `<Inbox>/${title}`,
         priorityBreakdown: {},
-        startDate: null,
-        timeEstimate: null,
+        startDate: parsed.startDate,
+        tags: parsed.tags,
+        timeEstimate: parsed.timeEstimate,
         todayFocus: false
       };
 
+      if (parsed.dueDate) {
+        newTask.dueDate = parsed.dueDate;
+      }
       if (emailData.dueDate) {
         newTask.dueDate = emailData.dueDate;
       }
+      if (parsed.recurrence) {
+        newTask.isRecurring = true;
+        newTask.recurrence = parsed.recurrence;
+      }
 
-      await taskRef.set(newTask);
+      if (parentId === inboxId) {
+        await taskRef.set(newTask);
+      } else {
+        // Filed straight into a project: keep its childCount in step
+        const batch = db.batch();
+        batch.set(taskRef, newTask);
+        batch.update(db.collection('tasks').doc(parentId), {
+          childCount: FieldValue.increment(1),
+          modifiedDate: FieldValue.serverTimestamp()
+        });
+        await batch.commit();
+      }
 
       res.status(200).json({
         data: {
@@ -189,6 +219,21 @@ async function getOrCreateInbox(userId, db) {
   return inboxRef.id;
 }
 
+/**
+ * The user's open projects, for "#Project" in subjects
+ */
+async function getOpenProjects(userId, db) {
+  const snapshot = await db.collection('tasks')
+    .where('userId', '==', userId)
+    .where('isProject', '==', true)
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(task => task.status !== 'done')
+    .map(task => ({ id: task.id, title: task.title, level: task.level || 0, path: task.path || task.title }));
+}
+
 /**
  * Clean email subject for task title
  */
@@ -235,30 +280,6 @@ function buildDescription(emailData) {
   return desc;
 }
 
-/**
- * Detect context from content
- */
-function detectContext(text) {
-  const lowerText = text.toLowerCase();
-  
-  const contextRules = [
-    { keywords: ['meeting', 'call', 'zoom', 'teams', 'schedule'], context: '@calls' },
-    { keywords: ['review', 'feedback', 'approve', 'check'], context: '@review' },
-    { keywords: ['urgent', 'asap', 'immediate', 'priority'], context: '@urgent' },
-    { keywords: ['buy', 'purchase', 'order', 'shopping'], context: '@errands' },
-    { keywords: ['read', 'article', 'blog', 'research', 'study'], context: '@read' },
-    { keywords: ['follow up', 'followup', 'reply', 'respond'], context: '@email' }
-  ];
-
-  for (const rule of contextRules) {
-    if (rule.keywords.some(keyword => lowerText.includes(keyword))) {
-      return rule.context;
-    }
-  }
-
-  return '@email';
-}
-
 /**
  * Get Extension Auth (for verifying connection)
  * Also works with Google Apps Script OAuth tokens
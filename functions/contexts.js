@@ -0,0 +1,22 @@
+// functions/contexts.js
+// Managed contexts: loading a user's definitions (also used by import-mlo.js
+// and import-ics.js). The defaults and mapping helpers are in shared/contexts.js.
+
+const { DEFAULT_CONTEXTS, resolveContexts, placeToContext, contextToPlace, detectContext } = require('./shared/contexts');
+
+/**
+ * Load and resolve a user's contexts
+ */
+async function getUserContexts(userId, db) {
+  const snapshot = await db.collection('contexts').where('userId', '==', userId).get();
+  return resolveContexts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+}
+
+module.exports = {
+  DEFAULT_CONTEXTS,
+  resolveContexts,
+  getUserContexts,
+  placeToContext,
+  contextToPlace,
+  detectContext
+};
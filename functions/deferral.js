@@ -0,0 +1,88 @@
+// functions/deferral.js
+// Surfaces deferred tasks in Today's Focus once their start date arrives
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { Firestore, FieldValue } = require('@google-cloud/firestore');
+const { toDate } = require('./priority');
+
+const db = new Firestore({ databaseId: 'gtd-database' });
+
+// Only look back this far, so a task deferred long ago and never
+// released (e.g. imported already available) isn't suddenly focused
+const LOOKBACK_DAYS = 7;
+
+// Start dates are stored as midnight UTC of the calendar day, so a task
+// starts once that day begins where its user is. Release on the app's
+// home zone (the one voice commands default to); comparing against the
+// current instant would release tasks a day early west of UTC.
+const TIME_ZONE = 'America/Los_Angeles';
+
+/**
+ * Today's calendar day in TIME_ZONE, in the stored form
+ */
+function storedToday(now) {
+  // en-CA formats as YYYY-MM-DD, which Date parses as midnight UTC
+  return new Date(now.toLocaleDateString('en-CA', { timeZone: TIME_ZONE }));
+}
+
+/**
+ * Whether any ancestor still has a future start date
+ */
+async function hasDeferredAncestor(task, today, cache) {
+  let parentId = task.parentId;
+  const seen = new Set();
+
+  while (parentId && !seen.has(parentId)) {
+    seen.add(parentId);
+    if (!cache.has(parentId)) {
+      const snap = await db.collection('tasks').doc(parentId).get();
+      cache.set(parentId, snap.exists ? snap.data() : null);
+    }
+    const parent = cache.get(parentId);
+    if (!parent) return false;
+
+    const startDate = toDate(parent.startDate);
+    if (startDate && startDate > today) return true;
+    parentId = parent.parentId;
+  }
+  return false;
+}
+
+/**
+ * Hourly: flag tasks whose start date has passed as today's focus.
+ * releasedStartDate records which start date was handled, so each
+ * deferral fires once and re-deferring a task arms it again.
+ */
+exports.releaseDeferredTasks = onSchedule('0 * * * *', async () => {
+  const today = storedToday(new Date());
+  const since = new Date(today.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const snapshot = await db.collection('tasks')
+    .where('startDate', '>', since)
+    .where('startDate', '<=', today)
+    .get();
+
+  const writer = db.bulkWriter();
+  const parentCache = new Map();
+  let released = 0;
+
+  for (const doc of snapshot.docs) {
+    const task = doc.data();
+    const startDate = toDate(task.startDate);
+    const releasedStartDate = toDate(task.releasedStartDate);
+
+    if (task.status !== 'next_action') continue;
+    if (releasedStartDate && releasedStartDate.getTime() === startDate.getTime()) continue;
+    if (await hasDeferredAncestor(task, today, parentCache)) continue;
+
+    writer.update(doc.ref, {
+      todayFocus: true,
+      releasedStartDate: task.startDate,
+      modifiedDate: FieldValue.serverTimestamp()
+    });
+    released++;
+  }
+
+  await writer.close();
+  console.log(`Deferred task release: ${released} of ${snapshot.size} started tasks now in focus`);
+});
@@ -0,0 +1,360 @@
+// functions/ics.js
+// iCalendar (RFC 5545): events for the task calendar feed, and parsing for import-ics.js
+
+const { toDate } = require('./priority');
+
+const PRODID = '-//Personal GTD//Task Feed//EN';
+
+// Content lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+// Timed events for tasks without an estimate
+const DEFAULT_EVENT_MINUTES = 30;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Escape a TEXT value: backslash, semicolon, comma and newlines
+ */
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets; continuation lines start with a space
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Due dates are stored as midnight UTC, so the UTC day is the due day
+function formatDate(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+}
+
+function formatDateTimeUTC(date) {
+  return `${formatDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function nextDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+/**
+ * Stable event UID for a task, so re-fetches and imports update in place
+ */
+function taskUid(taskId) {
+  return `${taskId}@gtd-task`;
+}
+
+/**
+ * VEVENT lines for a task with a due date.
+ * options.events: 'auto' (timed when the task has a timeEstimate),
+ * 'allday' or 'timed'. Timed events start at options.hour in the
+ * subscriber's own time zone (floating time) and last timeEstimate.
+ */
+function taskToEvent(task, { appUrl, events = 'auto', hour = 9, now = new Date() } = {}) {
+  const due = toDate(task.dueDate);
+  const link = `${appUrl}/?task=${task.id}`;
+  const timed = events === 'timed' || (events === 'auto' && task.timeEstimate > 0);
+  const modified = toDate(task.modifiedDate);
+
+  const description = [
+    task.context && `Context: ${task.context}`,
+    task.timeEstimate && `Estimate: ${task.timeEstimate} min`,
+    task.description,
+    `Open in GTD: ${link}`
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${taskUid(task.id)}`,
+    `DTSTAMP:${formatDateTimeUTC(now)}`,
+    ...(timed
+      ? [
+        `DTSTART:${formatDate(due)}T${pad(hour)}0000`,
+        `DURATION:PT${task.timeEstimate || DEFAULT_EVENT_MINUTES}M`
+      ]
+      : [
+        `DTSTART;VALUE=DATE:${formatDate(due)}`,
+        `DTEND;VALUE=DATE:${formatDate(nextDay(due))}`
+      ]),
+    `SUMMARY:${escapeText(task.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${link}`
+  ];
+
+  const categories = [task.context, ...(task.tags || [])].filter(Boolean);
+  if (categories.length > 0) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  if (modified) lines.push(`LAST-MODIFIED:${formatDateTimeUTC(modified)}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR document from event line arrays, CRLF separated
+ */
+function buildCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ----------------------------------------------------------------------------
+// Parsing
+// ----------------------------------------------------------------------------
+
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Unfold continuation lines and split each into { name, params, value }
+ */
+function parseContentLines(text) {
+  return text
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .map(line => {
+      // The value starts at the first colon outside a quoted parameter
+      let inQuotes = false;
+      let colon = -1;
+      for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) {
+          colon = i;
+          break;
+        }
+      }
+      if (colon === -1) return null;
+
+      const [name, ...paramParts] = line.slice(0, colon).split(';');
+      const params = {};
+      paramParts.forEach(part => {
+        const eq = part.indexOf('=');
+        if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+      });
+      return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    })
+    .filter(Boolean);
+}
+
+// Offset of a time zone from UTC at an instant, in ms
+function zoneOffset(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - instant.getTime();
+}
+
+// Wall-clock fields in a named zone to an instant (two passes cover DST edges)
+function zonedTime(fields, timeZone) {
+  const guess = Date.UTC(...fields);
+  const first = guess - zoneOffset(new Date(guess), timeZone);
+  return new Date(guess - zoneOffset(new Date(first), timeZone));
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into { date, allDay }. All-day dates
+ * are midnight UTC, as the app stores calendar days. Times with a TZID
+ * the runtime doesn't know (e.g. Outlook's Windows zone names) and
+ * floating times are read in the local time zone.
+ */
+function parseDateValue(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(n => (n === undefined ? undefined : Number(n)));
+
+  if (params.VALUE === 'DATE' || hour === undefined) {
+    return { date: new Date(Date.UTC(year, month - 1, day)), allDay: true };
+  }
+  const fields = [year, month - 1, day, hour, minute, second];
+  if (match[7]) return { date: new Date(Date.UTC(...fields)), allDay: false };
+  if (params.TZID) {
+    try {
+      return { date: zonedTime(fields, params.TZID), allDay: false };
+    } catch (error) {
+      // Unknown zone name: fall through to local time
+    }
+  }
+  return { date: new Date(...fields), allDay: false };
+}
+
+/**
+ * DURATION value ("PT1H30M", "P1D", "-PT15M") in minutes
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total = (Number(weeks) || 0) * 10080 + (Number(days) || 0) * 1440 +
+    (Number(hours) || 0) * 60 + (Number(minutes) || 0) + Math.round((Number(seconds) || 0) / 60);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Convert an RRULE into the app's recurrence rule (see recurrence.js in
+ * the PWA). Returns null for rules it can't express, e.g. hourly.
+ * Weekly rules on several days keep only the weekly cadence.
+ */
+function ruleFromRRule(value) {
+  const parts = {};
+  value.split(';').forEach(part => {
+    const [key, val] = part.split('=');
+    if (key && val) parts[key.toUpperCase()] = val;
+  });
+
+  const freq = (parts.FREQ || '').toLowerCase();
+  if (!['daily', 'weekly', 'monthly', 'yearly'].includes(freq)) return null;
+
+  const byDay = (parts.BYDAY || '').split(',').filter(Boolean);
+  const weekdays = ['MO', 'TU', 'WE', 'TH', 'FR'];
+  const weekdaysOnly = (freq === 'daily' || freq === 'weekly') &&
+    byDay.length === 5 && weekdays.every(day => byDay.includes(day));
+  const nth = freq === 'monthly' && byDay.length === 1 ? /^([+-]?\d)(\w\w)$/.exec(byDay[0]) : null;
+  const until = parts.UNTIL ? parseDateValue(parts.UNTIL) : null;
+
+  return {
+    freq: weekdaysOnly ? 'daily' : freq,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    weekdaysOnly,
+    nthWeekday: nth ? { n: Number(nth[1]), weekday: RRULE_DAYS.indexOf(nth[2]) } : null,
+    anchor: 'due',
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: until ? until.date : null,
+    carrySubtasks: true
+  };
+}
+
+/**
+ * Top-level VEVENTs and VTODOs of an iCalendar document as plain objects:
+ * { type, uid, summary, description, location, url, status, categories,
+ *   priority, sequence, start, end, due, completed, allDay,
+ *   durationMinutes, rrule }
+ * Dates are Date objects; nested components such as VALARM are skipped.
+ */
+function parseCalendar(text) {
+  const items = [];
+  const stack = [];
+  let current = null;
+
+  parseContentLines(text).forEach(({ name, params, value }) => {
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (stack.length === 2 && (value.toUpperCase() === 'VEVENT' || value.toUpperCase() === 'VTODO')) {
+        current = { type: value.toUpperCase(), categories: [], allDay: false };
+      }
+      return;
+    }
+    if (name === 'END') {
+      if (stack.length === 2 && current) {
+        if (current.start && current.durationMinutes && !current.end) {
+          current.end = new Date(current.start.getTime() + current.durationMinutes * 60000);
+        }
+        items.push(current);
+        current = null;
+      }
+      stack.pop();
+      return;
+    }
+    // Properties of nested components (alarms) don't belong to the item
+    if (!current || stack.length !== 2) return;
+
+    switch (name) {
+      case 'UID':
+        current.uid = value.trim();
+        break;
+      case 'SUMMARY':
+      case 'DESCRIPTION':
+      case 'LOCATION':
+        current[name.toLowerCase()] = unescapeText(value);
+        break;
+      case 'URL':
+        current.url = value.trim();
+        break;
+      case 'STATUS':
+        current.status = value.trim().toUpperCase();
+        break;
+      case 'CATEGORIES':
+        current.categories.push(...value.split(/(?<!\\),/).map(unescapeText).map(c => c.trim()).filter(Boolean));
+        break;
+      case 'PRIORITY':
+        current.priority = parseInt(value, 10) || 0;
+        break;
+      case 'SEQUENCE':
+        current.sequence = parseInt(value, 10) || 0;
+        break;
+      case 'DTSTART':
+      case 'DTEND':
+      case 'DUE':
+      case 'COMPLETED': {
+        const parsed = parseDateValue(value, params);
+        if (!parsed) break;
+        const field = { DTSTART: 'start', DTEND: 'end', DUE: 'due', COMPLETED: 'completed' }[name];
+        current[field] = parsed.date;
+        if (name === 'DTSTART' || name === 'DUE') current.allDay = parsed.allDay;
+        break;
+      }
+      case 'DURATION':
+        current.durationMinutes = parseDuration(value);
+        break;
+      case 'RRULE':
+        current.rrule = value.trim();
+        break;
+      default:
+        break;
+    }
+  });
+
+  return items;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  taskUid,
+  taskToEvent,
+  buildCalendar,
+  parseDateValue,
+  ruleFromRRule,
+  parseCalendar
+};
@@ -0,0 +1,115 @@
+// functions/ics.test.js - node --test
+// Run west of UTC so local-time mistakes with stored (midnight UTC) days fail
+process.env.TZ = 'America/Los_Angeles';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar, escapeText, foldLine, parseCalendar, parseDateValue, ruleFromRRule, taskToEvent } = require('./ics');
+
+const stored = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+
+test('escapeText escapes backslashes, separators and newlines', () => {
+  assert.equal(escapeText('a\\b; c, d\ne'), 'a\\\\b\\; c\\, d\\ne');
+  assert.equal(escapeText(null), '');
+});
+
+test('foldLine folds at 75 octets without splitting characters', () => {
+  const folded = foldLine('X'.repeat(70) + 'é'.repeat(10));
+  const lines = folded.split('\r\n');
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+  assert.ok(lines.slice(1).every(line => line.startsWith(' ')));
+  assert.equal(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join(''), 'X'.repeat(70) + 'é'.repeat(10));
+});
+
+test('taskToEvent puts a stored due date on its own calendar day', () => {
+  const task = { id: 't1', title: 'File taxes', dueDate: stored(2026, 10, 20), tags: ['money'], context: '@home' };
+  const lines = taskToEvent(task, { appUrl: 'https://app.example', now: new Date(Date.UTC(2026, 9, 19, 12)) });
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20261020'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20261021'));
+  assert.ok(lines.includes('DTSTAMP:20261019T120000Z'));
+  assert.ok(lines.includes('CATEGORIES:@home,money'));
+  assert.ok(lines.includes('URL:https://app.example/?task=t1'));
+});
+
+test('taskToEvent makes timed events for estimated tasks', () => {
+  const task = { id: 't2', title: 'Call bank', dueDate: stored(2026, 12, 31), timeEstimate: 15 };
+  const lines = taskToEvent(task, { appUrl: 'https://app.example', hour: 8 });
+  assert.ok(lines.includes('DTSTART:20261231T080000'));
+  assert.ok(lines.includes('DURATION:PT15M'));
+  assert.ok(taskToEvent(task, { appUrl: '', events: 'allday' }).includes('DTSTART;VALUE=DATE:20261231'));
+});
+
+test('parseDateValue reads dates as stored days and times in their zone', () => {
+  assert.deepEqual(parseDateValue('20261020'), { date: stored(2026, 10, 20), allDay: true });
+  assert.deepEqual(parseDateValue('20261020T090000Z'), { date: new Date(Date.UTC(2026, 9, 20, 9)), allDay: false });
+  assert.deepEqual(parseDateValue('20261020T090000', { TZID: 'Europe/Berlin' }), { date: new Date(Date.UTC(2026, 9, 20, 7)), allDay: false });
+  assert.deepEqual(parseDateValue('20261020T090000', { TZID: 'W. Europe Standard Time' }), { date: new Date(2026, 9, 20, 9), allDay: false });
+  assert.equal(parseDateValue('next week'), null);
+});
+
+test('ruleFromRRule maps what the app can express', () => {
+  assert.deepEqual(ruleFromRRule('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'), {
+    freq: 'daily',
+    interval: 1,
+    weekdaysOnly: true,
+    nthWeekday: null,
+    anchor: 'due',
+    count: null,
+    until: null,
+    carrySubtasks: true
+  });
+  const monthly = ruleFromRRule('FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;UNTIL=20261231T235959Z;COUNT=4');
+  assert.deepEqual(monthly.nthWeekday, { n: -1, weekday: 5 });
+  assert.equal(monthly.interval, 2);
+  assert.equal(monthly.count, 4);
+  assert.deepEqual(monthly.until, new Date(Date.UTC(2026, 11, 31, 23, 59, 59)));
+  assert.equal(ruleFromRRule('FREQ=HOURLY'), null);
+});
+
+test('parseCalendar reads events and to-dos and skips alarms', () => {
+  const text = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:e1@example',
+    'SUMMARY:Dentist\\, checkup',
+    'DESCRIPTION:Bring the form\\nand card',
+    'DTSTART;TZID=America/New_York:20261020T100000',
+    'DURATION:PT45M',
+    'CATEGORIES:health,errands',
+    'RRULE:FREQ=MONTHLY;COUNT=3',
+    'BEGIN:VALARM',
+    'DESCRIPTION:Reminder',
+    'END:VALARM',
+    'END:VEVENT',
+    'BEGIN:VTODO',
+    'UID:t1@example',
+    'SUMMARY:Renew passport with a summary long enough that the line is folded by',
+    '  the exporter',
+    'DUE;VALUE=DATE:20261101',
+    'PRIORITY:1',
+    'END:VTODO',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const [event, todo] = parseCalendar(text);
+  assert.equal(event.summary, 'Dentist, checkup');
+  assert.equal(event.description, 'Bring the form\nand card');
+  assert.deepEqual(event.start, new Date(Date.UTC(2026, 9, 20, 14)));
+  assert.deepEqual(event.end, new Date(Date.UTC(2026, 9, 20, 14, 45)));
+  assert.deepEqual(event.categories, ['health', 'errands']);
+  assert.equal(event.rrule, 'FREQ=MONTHLY;COUNT=3');
+  assert.equal(todo.type, 'VTODO');
+  assert.equal(todo.summary, 'Renew passport with a summary long enough that the line is folded by the exporter');
+  assert.deepEqual(todo.due, stored(2026, 11, 1));
+  assert.equal(todo.allDay, true);
+  assert.equal(todo.priority, 1);
+});
+
+test('buildCalendar round-trips through parseCalendar', () => {
+  const task = { id: 't3', title: 'Long '.repeat(30).trim(), dueDate: stored(2026, 3, 1) };
+  const [event] = parseCalendar(buildCalendar({ name: 'Tasks', events: [taskToEvent(task, { appUrl: 'https://app.example' })] }));
+  assert.equal(event.uid, 't3@gtd-task');
+  assert.equal(event.summary, task.title);
+  assert.deepEqual(event.start, stored(2026, 3, 1));
+  assert.deepEqual(event.end, stored(2026, 3, 2));
+});
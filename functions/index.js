@@ -1,11 +1,14 @@
 const { onSchedule } = require('firebase-functions/v2/scheduler');
-const { onCall, onRequest } = require('firebase-functions/v2/https');
+const { onCall, onRequest, HttpsError } = require('firebase-functions/v2/https');
 const admin = require('firebase-admin');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const textToSpeech = require('@google-cloud/text-to-speech');
 const { Storage } = require('@google-cloud/storage');
 const cors = require('cors')({ origin: true });
 const { defineString } = require('firebase-functions/params');
+const { startResearchRun, finishResearchRun, failResearchRun } = require('./research');
+const { Firestore, FieldValue } = require('@google-cloud/firestore');
+const { buildCalendar, taskToEvent } = require('./ics');
 
 // Initialize Firebase Admin
 admin.initializeApp();
@@ -24,13 +27,16 @@ const storage = new Storage();
  * Input: { taskTitle, taskDescription, userContext }
  * Output: { subtasks, timeEstimates, contexts, energyLevels, dependencies, quickWins }
  */
-exports.analyzeTask = onCall(async (data, context) => {
+exports.analyzeTask = onCall(async (request) => {
   // Check authentication
-  if (!context.auth) {
-    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
   }
 
-  const { taskTitle, taskDescription, userContext } = data;
+  const { taskTitle, taskDescription, userContext = {} } = request.data;
+  if (!taskTitle) {
+    throw new HttpsError('invalid-argument', 'taskTitle is required');
+  }
 
   // Build context-aware prompt
   const prompt = `You are a GTD (Getting Things Done) productivity expert. Analyze this task and provide actionable recommendations.
@@ -39,13 +45,14 @@ Task: ${taskTitle}
 Description: ${taskDescription || 'No additional description provided'}
 
 User Context:
-- Available contexts: ${userContext.contexts?.join(', ') || '@home, @office, @calls, @computer, @errands'}
+- Available contexts (prefer these): ${userContext.contexts?.join(', ') || '@home, @office, @calls, @computer, @errands'}
 - Typical work hours: ${userContext.workHours || '9 AM - 5 PM'}
 - Current focus areas: ${userContext.focusAreas?.join(', ') || 'Not specified'}
+- How long their tasks really take: ${userContext.estimateAccuracy?.join('; ') || 'No tracked time yet'}
 
 Please provide:
 1. **Subtask Breakdown**: Break this into 3-7 actionable subtasks
-2. **Time Estimates**: Realistic time in minutes for each subtask
+2. **Time Estimates**: Realistic time in minutes for each subtask, scaled by how long this user's tasks really take compared with their estimates
 3. **Context Assignment**: Best context for each subtask
 4. **Energy Level**: Required energy (low/medium/high) for each
 5. **Dependencies**: What needs to happen first
@@ -62,17 +69,20 @@ Respond in JSON format with this structure:
       "context": "@office",
       "energyLevel": "medium",
       "importance": 4,
-      "urgency": 3
+      "urgency": 3,
+      "dependsOn": [0]
     }
   ],
   "dependencies": ["Task 1 must complete before Task 3"],
   "quickWins": ["Any tasks under 15 minutes"],
   "strategy": "Overall approach recommendation",
   "estimatedTotalTime": 120
-}`;
+}
+
+"dependsOn" lists the zero-based indexes of earlier subtasks that must be finished first (empty if none).`;
 
   try {
-    const genAI = new GoogleGenerativeAI(GOOGLE_AI_API_KEY.value());
+    const genAI = new GoogleGenerativeAI(GOOGLE_AI_API_KEY);
     const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
 
     const result = await model.generateContent({
@@ -108,7 +118,7 @@ Respond in JSON format with this structure:
     }
 
     // Log for monitoring
-    console.log(`Task analyzed for user ${context.auth.uid}: ${taskTitle}`);
+    console.log(`Task analyzed for user ${request.auth.uid}: ${taskTitle}`);
 
     return {
       success: true,
@@ -118,21 +128,27 @@ Respond in JSON format with this structure:
 
   } catch (error) {
     console.error('Error analyzing task:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to analyze task');
+    throw new HttpsError('internal', 'Failed to analyze task');
   }
 });
 
 /**
- * Conduct deep research on a topic
- * Input: { topic, taskContext, depth }
- * Output: { research, actionableTasks, resources }
+ * Conduct deep research on a topic. Every run is saved to the research
+ * collection (linked to taskId when given) so results survive the call.
+ * Input: { topic, taskId, taskContext, depth }
+ * Output: { researchId, research, timestamp, depth }
  */
-exports.deepResearch = onCall(async (data, context) => {
-  if (!context.auth) {
-    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+exports.deepResearch = onCall({ timeoutSeconds: 540 }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
   }
 
-  const { topic, taskContext, depth = 'standard' } = data;
+  const { topic, taskId = null, taskContext, depth = 'standard' } = request.data;
+  if (!topic) {
+    throw new HttpsError('invalid-argument', 'topic is required');
+  }
+
+  const researchRef = await startResearchRun(request.auth.uid, { topic, taskId, depth });
 
   const maxTokens = depth === 'deep' ? 4000 : depth === 'quick' ? 1500 : 2500;
 
@@ -177,7 +193,7 @@ Format as JSON:
 }`;
 
   try {
-    const genAI = new GoogleGenerativeAI(GOOGLE_AI_API_KEY.value());
+    const genAI = new GoogleGenerativeAI(GOOGLE_AI_API_KEY);
     const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
 
     const result = await model.generateContent({
@@ -212,10 +228,12 @@ Format as JSON:
       };
     }
 
-    console.log(`Deep research completed for user ${context.auth.uid}: ${topic}`);
+    await finishResearchRun(researchRef, research);
+    console.log(`Deep research completed for user ${request.auth.uid}: ${topic}`);
 
     return {
       success: true,
+      researchId: researchRef.id,
       research,
       timestamp: new Date().toISOString(),
       depth
@@ -223,7 +241,95 @@ Format as JSON:
 
   } catch (error) {
     console.error('Error conducting research:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to conduct research');
+    await failResearchRun(researchRef, 'Failed to conduct research');
+    throw new HttpsError('internal', 'Failed to conduct research');
+  }
+});
+
+/**
+ * Suggest how to process an inbox item: actionable or not, context,
+ * destination project and priority
+ * Input: { itemTitle, itemDescription, contexts, projects: [{ id, path }] }
+ * Output: { suggestion: { actionable, outcome, context, parentId, importance, urgency, timeEstimate, reasoning } }
+ */
+exports.suggestInboxProcessing = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { itemTitle, itemDescription, contexts = [], projects = [] } = request.data;
+  if (!itemTitle) {
+    throw new HttpsError('invalid-argument', 'itemTitle is required');
+  }
+
+  // Keep the prompt bounded for users with very large trees
+  const projectList = projects.slice(0, 200);
+
+  const prompt = `You are a GTD (Getting Things Done) coach helping process an inbox item.
+
+Inbox item: ${itemTitle}
+Notes: ${itemDescription || 'None'}
+
+Available contexts: ${contexts.join(', ') || '@home, @office, @calls, @computer, @errands'}
+
+Existing projects (id: path):
+${projectList.map(p => `${p.id}: ${p.path}`).join('\n') || 'None'}
+
+Decide:
+1. Is it actionable? If not, is it trash, reference or someday?
+2. If actionable, can it be done in under 2 minutes?
+3. The best context from the list above
+4. The project it most likely belongs to (use an id from the list, or null)
+5. Importance and urgency from 1 to 5, and a time estimate in minutes
+
+Respond in JSON format with this structure:
+{
+  "actionable": true,
+  "outcome": "do_now" | "next_action" | "delegate" | "defer" | "reference" | "someday" | "trash",
+  "context": "@computer",
+  "parentId": "projectId or null",
+  "importance": 3,
+  "urgency": 3,
+  "timeEstimate": 15,
+  "reasoning": "One sentence explaining the suggestion"
+}`;
+
+  try {
+    const genAI = new GoogleGenerativeAI(GOOGLE_AI_API_KEY);
+    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+
+    const result = await model.generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature: 0.3,
+        maxOutputTokens: 512,
+        responseMimeType: 'application/json'
+      }
+    });
+
+    let suggestion;
+    try {
+      suggestion = JSON.parse(result.response.text());
+    } catch (parseError) {
+      console.error('Error parsing JSON from Gemini response:', parseError);
+      throw new HttpsError('internal', 'Failed to parse AI response');
+    }
+
+    // Only hand back parents the client actually offered
+    if (!projectList.some(p => p.id === suggestion.parentId)) {
+      suggestion.parentId = null;
+    }
+
+    return {
+      success: true,
+      suggestion,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    console.error('Error suggesting inbox processing:', error);
+    throw new HttpsError('internal', 'Failed to suggest processing');
   }
 });
 
@@ -240,7 +346,7 @@ exports.processVoiceCommand = onRequest(async (req, res) => {
   // Adding a comment to force a change. (Attempt 2)
   cors(req, res, async () => {
     try {
-      const genAI = new GoogleGenerativeAI(GOOGLE_AI_API_KEY.value());
+      const genAI = new GoogleGenerativeAI(GOOGLE_AI_API_KEY);
       console.log('Request body:', req.body);
       if (req.method !== 'POST') {
         return res.status(405).send('Method Not Allowed');
@@ -284,6 +390,8 @@ ${tasksContext}
 RECENT CONVERSATION:
 ${recentContext}
 
+SAVED VIEWS: ${userContext.preferences?.savedViews?.join(', ') || 'none'}
+
 CURRENT TIME: ${new Date().toLocaleString('en-US', { timeZone: userContext.timezone || 'America/Los_Angeles' })}
 
 IMPORTANT RULES:
@@ -299,15 +407,23 @@ IMPORTANT RULES:
 VOICE COMMANDS TYPES:
 - ADD: "Add task to...", "Create a reminder to...", "I need to..."
   (For 'add_task' action, 'data' should include 'title', 'context' (from 'Available contexts' or proposed new), and optionally 'parentId' (defaulting to '<Inbox>' if not specified))
+  (Dates, durations and repeats go at the end of 'title' in quick-add syntax, e.g. "Call dentist ~15m due:fri every 2 weeks": 'due:'/'start:' take today, tomorrow, a weekday, next week, "in 3 days" or YYYY-MM-DD; '~15m'/'~1h' is the time estimate; '!1'-'!5' importance and '!!1'-'!!5' urgency)
 - QUERY: "What's on my list?", "What do I need to do at home?", "Show me urgent tasks"
 - COMPLETE: "Mark ... as done", "I finished ...", "Complete ..."
 - UPDATE: "Change ... to ...", "Move ... to tomorrow", "Make ... high priority"
+- PARK: "I'm waiting on Sam for ...", "Maybe someday ...", "File ... as reference"
+  (Use 'update_task' with 'status' set to 'waiting_for' (plus 'delegatedTo' and optionally 'followUpDate'), 'someday' or 'reference')
 - RESEARCH: "Tell me about...", "How should I approach...", "Research ..."
+  (For 'research' action, 'data' should include 'topic' and, if it relates to an existing task, that task's 'taskId')
+- SHOW VIEW: "Show my low energy view", "Open the errands view"
+  (For 'show_view' action, 'data' should include 'name' - one of the SAVED VIEWS. It only changes the screen, so no confirmation is needed)
+- TIMER: "Start working on ...", "Start a timer for ...", "Stop the timer", "I'm done working on ..."
+  (For 'start_timer' / 'stop_timer' actions, 'data' should include the task's 'title' as listed in CURRENT TASKS; 'stop_timer' may leave it out to stop whatever is running. Timers don't change the task, so no confirmation is needed)
 
 Respond in JSON format:
 {
   "response": "Natural, conversational text for speech synthesis",
-  "action": "add_task|update_task|complete_task|query_tasks|research|none",
+  "action": "add_task|update_task|complete_task|query_tasks|research|show_view|start_timer|stop_timer|none",
   "data": {
     // Action-specific data
   },
@@ -572,6 +688,83 @@ exports.healthCheck = onRequest((req, res) => {
   });
 });
 
+// Where feed events link back to, e.g. https://<app>/?task=<id>
+const APP_URL = defineString('APP_URL', { default: 'https://personal-gtd-ea76d.web.app' });
+
+const FEED_EVENT_STYLES = ['auto', 'allday', 'timed'];
+
+/**
+ * iCalendar feed of a user's open tasks with due dates, for subscribing
+ * from Google Calendar. The secret token in the URL is the id of a
+ * calendarFeeds doc, so deleting or rotating that doc cuts access.
+ * Query: token, contexts (comma separated, optional), events
+ * (auto | allday | timed), hour (start of timed events, 0-23)
+ */
+exports.calendarFeed = onRequest(async (req, res) => {
+  const token = String(req.query.token || '');
+  if (!/^[0-9a-f]{64}$/.test(token)) {
+    res.status(401).send('Missing or malformed feed token');
+    return;
+  }
+
+  try {
+    const db = new Firestore({ databaseId: 'gtd-database' });
+    const feedSnap = await db.collection('calendarFeeds').doc(token).get();
+    if (!feedSnap.exists) {
+      res.status(404).send('Feed not found. It may have been revoked or rotated.');
+      return;
+    }
+    const feed = feedSnap.data();
+
+    const contexts = String(req.query.contexts || '').split(',').map(c => c.trim()).filter(Boolean);
+    const events = FEED_EVENT_STYLES.includes(req.query.events) ? req.query.events : 'auto';
+    const hour = Math.min(23, Math.max(0, parseInt(req.query.hour, 10) || 9));
+
+    const snapshot = await db.collection('tasks').where('userId', '==', feed.userId).get();
+    const tasks = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(task => task.status !== 'done' && task.dueDate)
+      .filter(task => contexts.length === 0 || contexts.includes(task.context));
+
+    const body = buildCalendar({
+      name: feed.name || 'GTD tasks',
+      events: tasks.map(task => taskToEvent(task, { appUrl: APP_URL.value(), events, hour }))
+    });
+
+    await feedSnap.ref.update({ lastFetchedAt: FieldValue.serverTimestamp() });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=900');
+    res.send(body);
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).send('Failed to build calendar feed');
+  }
+});
+
+// ============================================================================ 
+// TASK TREE FUNCTIONS
+// ============================================================================ 
+
+const { deleteTaskTree, moveTaskTree } = require('./taskTree');
+exports.deleteTaskTree = deleteTaskTree;
+exports.moveTaskTree = moveTaskTree;
+
+// ============================================================================ 
+// PRIORITY ENGINE
+// ============================================================================ 
+
+const { recomputeTaskPriority, nightlyPriorityRefresh } = require('./priorityEngine');
+exports.recomputeTaskPriority = recomputeTaskPriority;
+exports.nightlyPriorityRefresh = nightlyPriorityRefresh;
+
+// ============================================================================ 
+// DEFERRED TASKS
+// ============================================================================ 
+
+const { releaseDeferredTasks } = require('./deferral');
+exports.releaseDeferredTasks = releaseDeferredTasks;
+
 // ============================================================================ 
 // APPS SCRIPT SUPPORT FUNCTIONS
 // ============================================================================ 
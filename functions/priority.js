@@ -0,0 +1,122 @@
+// functions/priority.js
+// Shared priority scoring for the priority engine and import-mlo.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields that feed into the score; a write that touches none of them
+// doesn't need a recompute
+const PRIORITY_FIELDS = [
+  'importance',
+  'urgency',
+  'timeEstimate',
+  'energyLevel',
+  'dueDate',
+  'startDate',
+  'status',
+  'parentId'
+];
+
+/**
+ * Normalize a Firestore Timestamp, Date or ISO string to a Date
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whole calendar days from one date to another
+ */
+function daysBetween(from, to) {
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+  return Math.round((end - start) / DAY_MS);
+}
+
+/**
+ * Closer (or missed) due dates weigh more
+ */
+function dueDateScore(dueDate, now) {
+  if (!dueDate) return 0;
+  const daysLeft = daysBetween(now, dueDate);
+  if (daysLeft < 0) return 12;
+  if (daysLeft === 0) return 10;
+  if (daysLeft <= 3) return 6;
+  if (daysLeft <= 7) return 3;
+  if (daysLeft <= 14) return 1;
+  return 0;
+}
+
+/**
+ * Deferred tasks sink to the bottom; freshly available ones get a nudge
+ */
+function startDateScore(startDate, now) {
+  if (!startDate) return 0;
+  const daysSinceStart = daysBetween(startDate, now);
+  if (daysSinceStart < 0) return -15;
+  if (daysSinceStart <= 2) return 2;
+  return 0;
+}
+
+/**
+ * Tasks nobody has touched in a while slowly bubble up (max +4)
+ */
+function stalenessScore(lastTouched, now) {
+  if (!lastTouched) return 0;
+  const idleDays = daysBetween(lastTouched, now);
+  return Math.min(4, Math.max(0, Math.floor(idleDays / 14)));
+}
+
+/**
+ * Inherit part of the parent project's importance (3 is neutral)
+ */
+function projectScore(parent) {
+  if (!parent || parent.title === '<Inbox>') return 0;
+  return ((parent.importance || 3) - 3) * 1.5;
+}
+
+/**
+ * Score an open task
+ * Input: task data, { parent, now }
+ * Output: { computedPriority, priorityBreakdown }
+ */
+function scoreTask(task, { parent = null, now = new Date() } = {}) {
+  const priorityBreakdown = {
+    importance: (task.importance || 3) * 3,
+    urgency: (task.urgency || 3) * 2.5,
+    quickWin: task.timeEstimate && task.timeEstimate <= 15 ? 3 : 0,
+    energy: task.energyLevel === 'low' ? 2 : task.energyLevel === 'medium' ? 1 : 0,
+    dueDate: dueDateScore(toDate(task.dueDate), now),
+    startDate: startDateScore(toDate(task.startDate), now),
+    staleness: stalenessScore(toDate(task.modifiedDate) || toDate(task.createdDate), now),
+    project: projectScore(parent)
+  };
+
+  const total = Object.values(priorityBreakdown).reduce((sum, value) => sum + value, 0);
+
+  return {
+    computedPriority: Math.round(total * 10) / 10,
+    priorityBreakdown
+  };
+}
+
+/**
+ * Whether any scoring input differs between two versions of a task
+ */
+function priorityInputsChanged(before, after) {
+  return PRIORITY_FIELDS.some(field => {
+    const a = before[field];
+    const b = after[field];
+    const dateA = a && a.toDate ? a.toDate().getTime() : a;
+    const dateB = b && b.toDate ? b.toDate().getTime() : b;
+    return (dateA ?? null) !== (dateB ?? null);
+  });
+}
+
+module.exports = {
+  PRIORITY_FIELDS,
+  scoreTask,
+  priorityInputsChanged,
+  toDate
+};
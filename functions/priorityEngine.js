@@ -0,0 +1,106 @@
+// functions/priorityEngine.js
+// Keeps computedPriority / priorityBreakdown current on every open task
+
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { Firestore, FieldValue } = require('@google-cloud/firestore');
+const { scoreTask, priorityInputsChanged } = require('./priority');
+
+const db = new Firestore({ databaseId: 'gtd-database' });
+
+/**
+ * Build the priority fields to write for a task
+ */
+function priorityUpdate(task, parent, now) {
+  return {
+    ...scoreTask(task, { parent, now }),
+    lastPriorityUpdate: FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * A task's parent, whatever its status: from tasksById when the caller
+ * has already loaded the tasks, otherwise read from Firestore
+ */
+async function loadParent(task, tasksById = null) {
+  if (!task.parentId) return null;
+  if (tasksById) return tasksById.get(task.parentId) || null;
+  const parentSnap = await db.collection('tasks').doc(task.parentId).get();
+  return parentSnap.exists ? parentSnap.data() : null;
+}
+
+/**
+ * Recompute priority whenever a task's scoring inputs change.
+ * Writes from this function only touch priority fields, so they
+ * don't re-trigger a recompute.
+ */
+exports.recomputeTaskPriority = onDocumentWritten(
+  { document: 'tasks/{taskId}', database: 'gtd-database' },
+  async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+
+    if (!after || after.status === 'done') return;
+    if (before && !priorityInputsChanged(before, after)) return;
+
+    const now = new Date();
+    const taskRef = event.data.after.ref;
+
+    const parent = await loadParent(after);
+
+    await taskRef.update(priorityUpdate(after, parent, now));
+
+    // Children inherit part of a project's importance
+    if (before && before.importance !== after.importance && after.childCount > 0) {
+      const childrenSnap = await db.collection('tasks')
+        .where('userId', '==', after.userId)
+        .where('parentId', '==', event.params.taskId)
+        .get();
+
+      const batch = db.batch();
+      childrenSnap.docs
+        .filter(child => child.data().status !== 'done')
+        .forEach(child => batch.update(child.ref, priorityUpdate(child.data(), after, now)));
+      await batch.commit();
+    }
+
+    console.log(`Priority recomputed for task ${event.params.taskId}`);
+  }
+);
+
+/**
+ * Nightly refresh so time-based factors (due dates, start dates,
+ * staleness) stay accurate even when nothing is edited.
+ * Runs at 3 AM PST daily
+ */
+exports.nightlyPriorityRefresh = onSchedule('0 3 * * *', async () => {
+  console.log('Starting nightly priority refresh...');
+
+  // Every task, not just open ones: tasks without a status field (older
+  // and imported ones) count as open, and parents are scored from
+  // whatever their status is, the same as the write trigger does
+  const snapshot = await db.collection('tasks').get();
+
+  const tasksById = new Map();
+  snapshot.docs.forEach(doc => tasksById.set(doc.id, doc.data()));
+
+  const now = new Date();
+  const writer = db.bulkWriter();
+  let open = 0;
+  let updated = 0;
+
+  for (const doc of snapshot.docs) {
+    const task = tasksById.get(doc.id);
+    if (task.status === 'done') continue;
+    open++;
+
+    const update = priorityUpdate(task, await loadParent(task, tasksById), now);
+    if (update.computedPriority !== task.computedPriority) {
+      writer.update(doc.ref, update);
+      updated++;
+    }
+  }
+
+  await writer.close();
+  console.log(`Priority refresh complete: ${updated} of ${open} open tasks changed`);
+});
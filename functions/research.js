@@ -0,0 +1,60 @@
+// functions/research.js
+// Persistence for deepResearch runs in the research collection
+
+const { HttpsError } = require('firebase-functions/v2/https');
+const { Firestore, FieldValue } = require('@google-cloud/firestore');
+
+const db = new Firestore({ databaseId: 'gtd-database' });
+
+/**
+ * Record a research run as 'running' before the model is called, so the
+ * client can show progress and pick up the result even if the call times out.
+ * Input: { topic, taskId, depth }
+ * Output: DocumentReference of the new research doc
+ */
+async function startResearchRun(userId, { topic, taskId = null, depth }) {
+  if (taskId) {
+    const taskSnap = await db.collection('tasks').doc(taskId).get();
+    if (!taskSnap.exists || taskSnap.data().userId !== userId) {
+      throw new HttpsError('permission-denied', 'Task not found');
+    }
+  }
+
+  const researchRef = db.collection('research').doc();
+  await researchRef.set({
+    userId,
+    taskId,
+    topic,
+    depth,
+    status: 'running',
+    research: null,
+    error: null,
+    convertedPhases: [],
+    notified: false,
+    createdDate: FieldValue.serverTimestamp(),
+    completedDate: null
+  });
+  return researchRef;
+}
+
+/**
+ * Store the model output. Unparseable output is kept as an error run.
+ */
+async function finishResearchRun(researchRef, research) {
+  await researchRef.update({
+    status: research.error ? 'error' : 'complete',
+    research,
+    error: research.error || null,
+    completedDate: FieldValue.serverTimestamp()
+  });
+}
+
+async function failResearchRun(researchRef, message) {
+  await researchRef.update({
+    status: 'error',
+    error: message,
+    completedDate: FieldValue.serverTimestamp()
+  });
+}
+
+module.exports = { startResearchRun, finishResearchRun, failResearchRun };
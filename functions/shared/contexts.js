@@ -0,0 +1,73 @@
+// functions/shared/contexts.js - generated from gtd-pwa/src/shared/contexts.js by sync-shared.js; edit that file instead
+// Context defaults and MLO place / keyword mapping, shared with Cloud Functions
+// and import-mlo.js (see sync-shared.js)
+
+// Used until the user has defined contexts of their own.
+// mloPlaces: first entry is written on MLO export, all of them map back on import.
+// hours: { days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM' }
+// geofence: { lat, lng, radius } with radius in meters
+const DEFAULT_CONTEXTS = [
+  { name: '@anywhere', icon: '🌐', color: '#6b7280', mloPlaces: ['@Anywhere'], keywords: [] },
+  { name: '@calls', icon: '📞', color: '#059669', mloPlaces: ['@Phone'], keywords: ['meeting', 'call', 'zoom', 'teams', 'schedule'] },
+  { name: '@computer', icon: '💻', color: '#2563eb', mloPlaces: ['@Computer', '@HomeComputer'], keywords: [] },
+  { name: '@email', icon: '📧', color: '#0891b2', mloPlaces: [], keywords: ['follow up', 'followup', 'reply', 'respond'] },
+  { name: '@errands', icon: '🛒', color: '#d97706', mloPlaces: ['!Errands'], keywords: ['buy', 'purchase', 'order', 'shopping'] },
+  { name: '@home', icon: '🏠', color: '#7c3aed', mloPlaces: ['@Home', '@HomeOffice'], keywords: [] },
+  { name: '@office', icon: '🏢', color: '#4b5563', mloPlaces: ['@Office'], keywords: [], hours: { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' } },
+  { name: '@read', icon: '📖', color: '#db2777', mloPlaces: [], keywords: ['read', 'article', 'blog', 'research', 'study'] },
+  { name: '@review', icon: '🔍', color: '#0891b2', mloPlaces: [], keywords: ['review', 'feedback', 'approve', 'check'] },
+  { name: '@urgent', icon: '⚡', color: '#dc2626', mloPlaces: [], keywords: ['urgent', 'asap', 'immediate', 'priority'] }
+];
+
+/**
+ * The user's context definitions, or the defaults if they have none yet
+ */
+const resolveContexts = (contextDocs) =>
+  contextDocs && contextDocs.length > 0 ? contextDocs : DEFAULT_CONTEXTS;
+
+const findContext = (name, contexts) =>
+  contexts.find(ctx => ctx.name.toLowerCase() === (name || '').toLowerCase());
+
+/**
+ * MLO place -> context name. Unknown places become lower-cased contexts.
+ */
+const placeToContext = (place, contexts) => {
+  if (!place) return null;
+  const placeStr = Array.isArray(place) ? place[0] : place;
+
+  const match = contexts.find(ctx => (ctx.mloPlaces || []).includes(placeStr));
+  return match ? match.name : placeStr.toLowerCase();
+};
+
+/**
+ * Context name -> MLO place
+ */
+const contextToPlace = (context, contexts) => {
+  if (!context) return null;
+  const match = findContext(context, contexts);
+  return match?.mloPlaces?.[0] || context;
+};
+
+// When keywords of several contexts appear, the first of these wins (the
+// order email tasks have always been sorted in); other contexts come after
+// them, in list order
+const KEYWORD_PRECEDENCE = ['@calls', '@review', '@urgent', '@errands', '@read', '@email'];
+
+const precedenceOf = (ctx) => {
+  const rank = KEYWORD_PRECEDENCE.indexOf((ctx.name || '').toLowerCase());
+  return rank === -1 ? KEYWORD_PRECEDENCE.length : rank;
+};
+
+/**
+ * Context whose keywords appear in the text, by KEYWORD_PRECEDENCE
+ */
+const detectContext = (text, contexts) => {
+  const lowerText = (text || '').toLowerCase();
+  const ranked = [...contexts].sort((a, b) => precedenceOf(a) - precedenceOf(b));
+  const match = ranked.find(ctx =>
+    (ctx.keywords || []).some(keyword => lowerText.includes(keyword.toLowerCase()))
+  );
+  return match ? match.name : null;
+};
+
+module.exports = { DEFAULT_CONTEXTS, resolveContexts, placeToContext, contextToPlace, detectContext };
@@ -0,0 +1,19 @@
+// functions/shared/recurrenceRule.js - generated from gtd-pwa/src/shared/recurrenceRule.js by sync-shared.js; edit that file instead
+// Recurrence rule defaults, shared with Cloud Functions (see sync-shared.js)
+
+/**
+ * Default rule for a task that has no recurrence yet
+ */
+const DEFAULT_RULE = {
+  freq: 'weekly',
+  interval: 1,
+  weekdaysOnly: false,
+  nthWeekday: null,
+  anchor: 'due',
+  count: null,
+  until: null,
+  monthDay: null,
+  carrySubtasks: true
+};
+
+module.exports = { DEFAULT_RULE };
@@ -0,0 +1,237 @@
+// functions/taskTree.js
+// Server-side delete / move of whole task subtrees
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { Firestore, FieldValue } = require('@google-cloud/firestore');
+
+const db = new Firestore({ databaseId: 'gtd-database' });
+
+// Firestore caps 'in' queries at 30 values
+const IN_QUERY_LIMIT = 30;
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 450;
+
+/**
+ * Load a task and check that it belongs to the caller
+ */
+async function getOwnedTask(taskId, userId) {
+  if (!taskId) {
+    throw new HttpsError('invalid-argument', 'taskId is required');
+  }
+
+  const snap = await db.collection('tasks').doc(taskId).get();
+  if (!snap.exists) {
+    throw new HttpsError('not-found', `Task ${taskId} not found`);
+  }
+  if (snap.data().userId !== userId) {
+    throw new HttpsError('permission-denied', 'Task belongs to another user');
+  }
+  return snap;
+}
+
+/**
+ * Collect every descendant of a task, breadth first.
+ * Returns [{ snap, depth }] with depth 1 for direct children.
+ */
+async function loadDescendants(rootId, userId) {
+  const descendants = [];
+  let frontier = [rootId];
+  let depth = 1;
+
+  while (frontier.length > 0) {
+    const next = [];
+    for (let i = 0; i < frontier.length; i += IN_QUERY_LIMIT) {
+      const chunk = frontier.slice(i, i + IN_QUERY_LIMIT);
+      const snapshot = await db.collection('tasks')
+        .where('userId', '==', userId)
+        .where('parentId', 'in', chunk)
+        .get();
+
+      snapshot.docs.forEach(snap => {
+        descendants.push({ snap, depth });
+        next.push(snap.id);
+      });
+    }
+    frontier = next;
+    depth++;
+  }
+
+  return descendants;
+}
+
+/**
+ * Walk up from a task to the root. Returns ancestors nearest first.
+ */
+async function loadAncestors(task, userId) {
+  const ancestors = [];
+  const seen = new Set();
+  let parentId = task.parentId;
+
+  // Stop at a missing parent (orphans render at the top level) or a loop
+  while (parentId && !seen.has(parentId)) {
+    seen.add(parentId);
+    const snap = await db.collection('tasks').doc(parentId).get();
+    if (!snap.exists || snap.data().userId !== userId) break;
+    ancestors.push(snap);
+    parentId = snap.data().parentId;
+  }
+
+  return ancestors;
+}
+
+/**
+ * Write items in batches of BATCH_SIZE; write(batch, item) queues one item
+ */
+async function commitInBatches(items, write) {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    items.slice(i, i + BATCH_SIZE).forEach(item => write(batch, item));
+    await batch.commit();
+  }
+}
+
+/**
+ * Queue a childCount fix on a parent: its current child count plus delta.
+ * Skips parents that no longer exist.
+ */
+async function updateChildCount(batch, parentId, userId, delta) {
+  const parentRef = db.collection('tasks').doc(parentId);
+  const parentSnap = await parentRef.get();
+  if (!parentSnap.exists) return;
+
+  const snapshot = await db.collection('tasks')
+    .where('userId', '==', userId)
+    .where('parentId', '==', parentId)
+    .count()
+    .get();
+
+  batch.update(parentRef, {
+    childCount: Math.max(0, snapshot.data().count + delta),
+    modifiedDate: FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Delete the timer sessions (timeEntries subcollection) of deleted tasks,
+ * which deleting a task document leaves behind
+ */
+async function deleteTimeEntries(taskRefs) {
+  const snapshots = await Promise.all(taskRefs.map(ref => ref.collection('timeEntries').get()));
+  const entryRefs = snapshots.flatMap(snapshot => snapshot.docs.map(entry => entry.ref));
+
+  await commitInBatches(entryRefs, (batch, ref) => batch.delete(ref));
+}
+
+/**
+ * Delete a task and all of its descendants. Large subtrees take several
+ * batches: deepest tasks go first and the root last, so if a batch fails
+ * what's left is still a connected tree the user can delete again.
+ * Input: { taskId }
+ * Output: { deletedIds }
+ */
+exports.deleteTaskTree = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const userId = request.auth.uid;
+  const rootSnap = await getOwnedTask(request.data.taskId, userId);
+  const root = rootSnap.data();
+  const descendants = await loadDescendants(rootSnap.id, userId);
+
+  const deepestFirst = [...descendants].sort((a, b) => b.depth - a.depth);
+  await commitInBatches(deepestFirst, (batch, { snap }) => batch.delete(snap.ref));
+
+  const batch = db.batch();
+  batch.delete(rootSnap.ref);
+
+  if (root.parentId) {
+    await updateChildCount(batch, root.parentId, userId, -1);
+  }
+
+  await batch.commit();
+  await deleteTimeEntries([rootSnap.ref, ...descendants.map(({ snap }) => snap.ref)]);
+
+  const deletedIds = [rootSnap.id, ...descendants.map(({ snap }) => snap.id)];
+  console.log(`Deleted ${deletedIds.length} task(s) under ${rootSnap.id} for user ${userId}`);
+
+  return { success: true, deletedIds };
+});
+
+/**
+ * Reparent a task, fixing level / path on the whole subtree and
+ * childCount on both the old and new parent. Descendants are written
+ * first, in batches, and the root with the parent counts last, so a
+ * failure part way leaves the task where it was.
+ * Input: { taskId, newParentId }
+ * Output: { updatedCount }
+ */
+exports.moveTaskTree = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const userId = request.auth.uid;
+  const newParentId = request.data.newParentId || null;
+  const rootSnap = await getOwnedTask(request.data.taskId, userId);
+  const root = rootSnap.data();
+  const oldParentId = root.parentId || null;
+
+  let parentLevel = -1;
+  let parentPath = null;
+
+  if (newParentId) {
+    const newParentSnap = await getOwnedTask(newParentId, userId);
+    const ancestors = await loadAncestors(newParentSnap.data(), userId);
+    const chain = [newParentSnap, ...ancestors];
+
+    if (chain.some(snap => snap.id === rootSnap.id)) {
+      throw new HttpsError('invalid-argument', 'Cannot move a task underneath itself');
+    }
+
+    parentLevel = ancestors.length;
+    parentPath = chain.map(snap => snap.data().title).reverse().join(' > ');
+  }
+
+  const descendants = await loadDescendants(rootSnap.id, userId);
+
+  // Paths are rebuilt top-down, so keep each node's new path by id
+  const paths = new Map();
+  const rootPath = parentPath ? `${parentPath} > ${root.title}` : root.title;
+  paths.set(rootSnap.id, rootPath);
+
+  await commitInBatches(descendants, (batch, { snap, depth }) => {
+    const task = snap.data();
+    const path = `${paths.get(task.parentId)} > ${task.title}`;
+    paths.set(snap.id, path);
+    batch.update(snap.ref, {
+      level: parentLevel + 1 + depth,
+      path
+    });
+  });
+
+  const batch = db.batch();
+  batch.update(rootSnap.ref, {
+    parentId: newParentId,
+    level: parentLevel + 1,
+    path: rootPath,
+    modifiedDate: FieldValue.serverTimestamp()
+  });
+
+  if (oldParentId !== newParentId) {
+    if (oldParentId) {
+      await updateChildCount(batch, oldParentId, userId, -1);
+    }
+    if (newParentId) {
+      await updateChildCount(batch, newParentId, userId, 1);
+    }
+  }
+
+  await batch.commit();
+
+  const updatedCount = descendants.length + 1;
+  console.log(`Moved ${updatedCount} task(s) under ${rootSnap.id} to ${newParentId || 'top level'} for user ${userId}`);
+
+  return { success: true, updatedCount };
+});
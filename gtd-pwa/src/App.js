@@ -1,53 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { db, auth } from './firebase';
-import { collection, getDocs, query, where } from 'firebase/firestore';
+import { auth } from './firebase';
 import { onAuthStateChanged, GoogleAuthProvider, signInWithPopup, signOut } from 'firebase/auth';
 import InteractiveGTDApp from './InteractiveGTDApp'; // We'll create this file
+import { subscribeToTasks } from './utils/taskStore';
 import './App.css';
 
-// Utility to build the tree structure from the flat list
-const buildTaskTree = (tasks) => {
-  const taskMap = new Map();
-  const tree = [];
-
-  tasks.forEach(task => {
-    taskMap.set(task.id, { ...task, children: [] });
-  });
-
-  tasks.forEach(task => {
-    const currentTask = taskMap.get(task.id);
-    if (task.parentId) {
-      const parentTask = taskMap.get(task.parentId);
-      if (parentTask) {
-        parentTask.children.push(currentTask);
-      } else {
-        tree.push(currentTask);
-      }
-    } else {
-      tree.push(currentTask);
-    }
-  });
-
-  const sortChildren = (task) => {
-    if (task.children && task.children.length > 0) {
-      task.children.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
-      task.children.forEach(sortChildren);
-    }
-  };
-  tree.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
-  tree.forEach(sortChildren);
-
-  return tree;
-};
-
-
-
 function App() {
   const [user, setUser] = useState(null);
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [deferredPrompt, setDeferredPrompt] = useState(null);
+  const [syncKey, setSyncKey] = useState(0);
 
   useEffect(() => {
     const handleBeforeInstallPrompt = (e) => {
@@ -73,7 +37,6 @@ function App() {
         }
 
         setUser(user);
-        fetchTasks(user);
       } else {
         setUser(null);
         setTasks([]);
@@ -99,30 +62,25 @@ function App() {
     setDeferredPrompt(null);
   };
 
-  const fetchTasks = async (user, silent = false) => {
-    if (!silent) setLoading(true);
-    try {
-      const tasksCollectionRef = collection(db, 'tasks');
-      const q = query(tasksCollectionRef, where("userId", "==", user.uid));
-      const querySnapshot = await getDocs(q);
-
-      const fetchedTasks = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-
-      const fullTaskTree = buildTaskTree(fetchedTasks);
-      // Don't filter completed trees here, let the UI handle it
-      // const filteredTree = filterCompletedTrees(fullTaskTree);
-
-      setTasks(fullTaskTree);
-    } catch (err) {
-      console.error("Error fetching tasks:", err);
-      setError("Failed to load tasks. Check console for details.");
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Keep the task tree in sync with Firestore while signed in.
+  // Bumping syncKey tears the listener down and starts a fresh one.
+  useEffect(() => {
+    if (!user) return;
+
+    const unsubscribe = subscribeToTasks(user.uid, {
+      onChange: (taskTree) => {
+        setTasks(taskTree);
+        setLoading(false);
+      },
+      onError: (err) => {
+        console.error("Error syncing tasks:", err);
+        setError("Failed to load tasks. Check console for details.");
+        setLoading(false);
+      }
+    });
+
+    return () => unsubscribe();
+  }, [user, syncKey]);
 
   const handleGoogleSignIn = async () => {
     const provider = new GoogleAuthProvider();
@@ -181,7 +139,7 @@ function App() {
       <InteractiveGTDApp
         user={user}
         tasks={tasks}
-        onUpdate={(silent) => fetchTasks(user, silent)}
+        onRefresh={() => setSyncKey(key => key + 1)}
         onSignOut={handleSignOut}
         deferredPrompt={deferredPrompt}
         onInstallApp={handleInstallClick}
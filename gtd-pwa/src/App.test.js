@@ -2,8 +2,20 @@ import React from 'react';
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// No Firebase project in tests: stub the SDK handles and report signed out
+jest.mock('./firebase', () => ({ auth: {}, db: {}, functions: {}, storage: {} }));
+jest.mock('./InteractiveGTDApp', () => () => null);
+jest.mock('firebase/auth', () => ({
+  GoogleAuthProvider: jest.fn(),
+  onAuthStateChanged: (auth, callback) => {
+    callback(null);
+    return () => {};
+  },
+  signInWithPopup: jest.fn(),
+  signOut: jest.fn()
+}));
+
+test('shows the sign-in screen when signed out', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /sign in with google/i })).toBeInTheDocument();
 });
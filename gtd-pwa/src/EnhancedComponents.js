@@ -1,12 +1,19 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import { serverTimestamp } from 'firebase/firestore';
 import {
-  Calendar, Clock, Zap, Star, Tag, FolderOpen, Folder, Repeat, ClipboardCheck, X
+  Calendar, Clock, Zap, Star, Tag, FolderOpen, Folder, Repeat, ClipboardCheck, X, ListChecks, User, Link2, ListOrdered, Sparkles, BookOpenText, Tags
 }
   from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import rehypeRaw from 'rehype-raw';
 import rehypeExternalLinks from 'rehype-external-links';
+import { DEFAULT_RULE, WEEKDAY_NAMES, getRecurrenceRule, describeRecurrence } from './utils/recurrence';
+import { TASK_STATUSES, getStatus } from './utils/statuses';
+import { indexTasks, wouldCreateCycle } from './utils/dependencies';
+import { ensureTags, getTagColor, normalizeTagName } from './utils/tags';
+import AnalysisReviewPanel from './components/AnalysisReviewPanel';
+import ResearchNotes from './components/ResearchNotes';
+import { TimeEntryList } from './components/TaskTimer';
 import './EnhancedComponents.css';
 
 // Helper to get all descendants of a task (used for exclusion)
@@ -47,23 +54,28 @@ const getFlattentenedTasksForParentSelection = (tasksToFlatten, currentTaskId, e
 
 
 // Task Detail Editor Modal
-const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startWithParentSearchOpen = false }) => {
+const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTags = [], allTasks, startWithParentSearchOpen = false }) => {
   const [formData, setFormData] = useState({
     title: task.title || '',
     description: task.description || '',
+    status: getStatus(task),
+    delegatedTo: task.delegatedTo || '',
+    followUpDate: task.followUpDate ? formatDateForInput(task.followUpDate) : '',
     importance: task.importance || 3,
     urgency: task.urgency || 3,
     context: task.context || '',
+    tags: task.tags || [],
     timeEstimate: task.timeEstimate || '',
     energyLevel: task.energyLevel || 'medium',
     dueDate: task.dueDate ? formatDateForInput(task.dueDate) : '',
     startDate: task.startDate ? formatDateForInput(task.startDate) : '',
     isProject: task.isProject || false,
+    isSequential: task.isSequential || false,
+    blockedBy: task.blockedBy || [],
     todayFocus: task.todayFocus || false,
     parentId: task.parentId || null,
     isRecurring: task.isRecurring || false,
-
-    recurrencePattern: task.recurrencePattern || 'weekly',
+    recurrence: formatRuleForInput(getRecurrenceRule(task) || DEFAULT_RULE),
     reviewEnabled: task.reviewEnabled !== false,
     reviewInterval: task.reviewInterval || 14
   });
@@ -71,6 +83,11 @@ const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startW
   const [showParentSearch, setShowParentSearch] = useState(false);
   const [isEditingDescription, setIsEditingDescription] = useState(false);
   const [highlightedParentIndex, setHighlightedParentIndex] = useState(-1);
+  const [blockerSearch, setBlockerSearch] = useState('');
+  const [showBlockerSearch, setShowBlockerSearch] = useState(false);
+  const [highlightedBlockerIndex, setHighlightedBlockerIndex] = useState(-1);
+  const [showAnalysis, setShowAnalysis] = useState(false);
+  const [tagInput, setTagInput] = useState('');
 
   useEffect(() => {
     if (startWithParentSearchOpen) {
@@ -114,6 +131,43 @@ const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startW
 
   const currentParent = task.parentId ? potentialParentsMap.get(task.parentId) : null;
 
+  const taskIndex = useMemo(() => indexTasks(allTasks || []), [allTasks]);
+
+  // Ancestors can't block: they only complete once this task does.
+  // Descendants can't either: they'd be blocked along with this task
+  const ancestorIds = useMemo(() => {
+    const ids = new Set();
+    let current = taskIndex.get(task.parentId);
+    while (current && !ids.has(current.id)) {
+      ids.add(current.id);
+      current = taskIndex.get(current.parentId);
+    }
+    return ids;
+  }, [taskIndex, task.parentId]);
+
+  const potentialBlockers = useMemo(() => {
+    return Array.from(taskIndex.values()).filter(t =>
+      t.id !== task.id &&
+      t.status !== 'done' &&
+      t.title !== '<Inbox>' &&
+      !ancestorIds.has(t.id) &&
+      !currentTaskDescendantIds.has(t.id) &&
+      !formData.blockedBy.includes(t.id) &&
+      !wouldCreateCycle(task.id, t.id, taskIndex)
+    );
+  }, [taskIndex, task.id, ancestorIds, currentTaskDescendantIds, formData.blockedBy]);
+
+  const filteredBlockers = useMemo(() => {
+    const lowerCaseSearch = blockerSearch.toLowerCase();
+    return potentialBlockers
+      .filter(t => !blockerSearch || (t.title || '').toLowerCase().includes(lowerCaseSearch))
+      .slice(0, 50);
+  }, [blockerSearch, potentialBlockers]);
+
+  useEffect(() => {
+    setHighlightedBlockerIndex(-1);
+  }, [filteredBlockers]);
+
   useEffect(() => {
     setHighlightedParentIndex(-1);
   }, [filteredParents]);
@@ -124,6 +178,36 @@ const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startW
     return d.toISOString().split('T')[0];
   }
 
+  function formatRuleForInput(rule) {
+    return {
+      ...rule,
+      interval: rule.interval || 1,
+      count: rule.count || '',
+      until: rule.until ? formatDateForInput(rule.until) : '',
+      endType: rule.count ? 'count' : rule.until ? 'until' : 'never'
+    };
+  }
+
+  const updateRecurrence = (changes) => {
+    setFormData({ ...formData, recurrence: { ...formData.recurrence, ...changes } });
+  };
+
+  const buildRecurrenceRule = () => {
+    const { endType, ...rule } = formData.recurrence;
+    return {
+      freq: rule.freq,
+      interval: parseInt(rule.interval) || 1,
+      weekdaysOnly: rule.freq === 'daily' && rule.weekdaysOnly,
+      nthWeekday: rule.freq === 'monthly' && rule.nthWeekday
+        ? { n: parseInt(rule.nthWeekday.n), weekday: parseInt(rule.nthWeekday.weekday) }
+        : null,
+      anchor: rule.anchor,
+      count: endType === 'count' ? (parseInt(rule.count) || null) : null,
+      until: endType === 'until' && rule.until ? new Date(rule.until) : null,
+      carrySubtasks: rule.carrySubtasks !== false
+    };
+  };
+
   const handleParentSearchKeyDown = (e) => {
     if (e.key === 'ArrowDown') {
       e.preventDefault();
@@ -146,33 +230,102 @@ const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startW
     }
   };
 
+  const addBlocker = (blocker) => {
+    if (wouldCreateCycle(task.id, blocker.id, taskIndex)) {
+      alert(`"${blocker.title}" already depends on this task`);
+      return;
+    }
+    setFormData({ ...formData, blockedBy: [...formData.blockedBy, blocker.id] });
+    setBlockerSearch('');
+    setShowBlockerSearch(false);
+  };
+
+  const handleBlockerSearchKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlightedBlockerIndex(prev => Math.min(prev + 1, filteredBlockers.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlightedBlockerIndex(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (highlightedBlockerIndex >= 0 && filteredBlockers[highlightedBlockerIndex]) {
+        addBlocker(filteredBlockers[highlightedBlockerIndex]);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setBlockerSearch('');
+      setShowBlockerSearch(false);
+    }
+  };
+
+  const addTag = (rawName) => {
+    const name = normalizeTagName(rawName);
+    setTagInput('');
+    if (!name || formData.tags.some(t => t.toLowerCase() === name.toLowerCase())) return;
+    // Reuse the casing of an existing tag
+    const existing = allTags.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+    setFormData(prev => ({ ...prev, tags: [...prev.tags, existing ? existing.name : name] }));
+  };
+
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(tagInput);
+    } else if (e.key === 'Backspace' && !tagInput && formData.tags.length > 0) {
+      setFormData({ ...formData, tags: formData.tags.slice(0, -1) });
+    }
+  };
+
   const handleSubmit = async () => {
     if (!formData.title.trim()) {
       alert('Title is required');
       return;
     }
 
+    // New tag names get a definition (color) before the task references them
+    let tags;
+    try {
+      tags = await ensureTags(task.userId, formData.tags, allTags);
+    } catch (error) {
+      console.error('Error saving tags:', error);
+      alert('Failed to save tags');
+      return;
+    }
+
+    const isWaiting = formData.status === 'waiting_for';
     const updates = {
       title: formData.title.trim(),
       description: formData.description.trim(),
+      status: formData.status,
+      delegatedTo: isWaiting ? (formData.delegatedTo.trim() || null) : null,
+      followUpDate: isWaiting && formData.followUpDate ? new Date(formData.followUpDate) : null,
       importance: parseInt(formData.importance),
       urgency: parseInt(formData.urgency),
       context: formData.context.trim() || null,
+      tags,
       timeEstimate: formData.timeEstimate ? parseInt(formData.timeEstimate) : null,
       energyLevel: formData.energyLevel,
       dueDate: formData.dueDate ? new Date(formData.dueDate) : null,
       startDate: formData.startDate ? new Date(formData.startDate) : null,
       isProject: formData.isProject,
+      isSequential: formData.isSequential,
+      blockedBy: formData.blockedBy,
       todayFocus: formData.todayFocus,
       parentId: formData.parentId,
       isRecurring: formData.isRecurring,
-
-      recurrencePattern: formData.isRecurring ? formData.recurrencePattern : null,
+      recurrence: formData.isRecurring ? buildRecurrenceRule() : null,
+      recurrencePattern: null,
       reviewEnabled: formData.reviewEnabled,
       reviewInterval: formData.reviewEnabled ? (parseInt(formData.reviewInterval) || 14) : null,
       modifiedDate: serverTimestamp()
     };
 
+    // Reopening a completed task from the editor clears its completion date
+    if (getStatus(task) === 'done' && formData.status !== 'done') {
+      updates.completedDate = null;
+    }
+
     await onSave(updates);
   };
 
@@ -227,8 +380,77 @@ const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startW
                 )}
               </div>
             )}
+            {!showAnalysis ? (
+              <button type="button" onClick={() => setShowAnalysis(true)} className="btn-tertiary" style={{ marginTop: '8px' }}>
+                <Sparkles size={14} className="inline-icon" />
+                Analyze with AI
+              </button>
+            ) : (
+              <AnalysisReviewPanel
+                task={task}
+                description={formData.description}
+                allContexts={allContexts}
+                allTasks={allTasks}
+                onApplied={(parentUpdates) => {
+                  // Subtasks are already saved; keep the form in step so Save doesn't revert the parent
+                  setFormData({ ...formData, ...parentUpdates });
+                  setShowAnalysis(false);
+                }}
+                onClose={() => setShowAnalysis(false)}
+              />
+            )}
           </div>
 
+          {/* Status */}
+          <div className="form-group">
+            <label>
+              <ListChecks size={14} className="inline-icon" />
+              Status
+            </label>
+            <select
+              value={formData.status}
+              onChange={e => setFormData({ ...formData, status: e.target.value })}
+              className="form-select"
+            >
+              {Object.entries(TASK_STATUSES)
+                .filter(([value]) => value !== 'done' || getStatus(task) === 'done')
+                .map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+            </select>
+          </div>
+
+          {formData.status === 'waiting_for' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>
+                  <User size={14} className="inline-icon" />
+                  Delegated To
+                </label>
+                <input
+                  type="text"
+                  value={formData.delegatedTo}
+                  onChange={e => setFormData({ ...formData, delegatedTo: e.target.value })}
+                  placeholder="Who are you waiting on?"
+                  className="form-input"
+                />
+              </div>
+
+              <div className="form-group">
+                <label>
+                  <Calendar size={14} className="inline-icon" />
+                  Follow Up On
+                </label>
+                <input
+                  type="date"
+                  value={formData.followUpDate}
+                  onChange={e => setFormData({ ...formData, followUpDate: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+            </div>
+          )}
+
           {/* Importance and Urgency */}
           <div className="form-row">
             <div className="form-group">
@@ -289,6 +511,46 @@ const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startW
             </datalist>
           </div>
 
+          {/* Tags */}
+          <div className="form-group">
+            <label>
+              <Tags size={14} className="inline-icon" />
+              Tags
+            </label>
+            {formData.tags.length > 0 && (
+              <div className="tag-chips">
+                {formData.tags.map(name => (
+                  <span key={name} className="tag-chip" style={{ borderColor: getTagColor(name, allTags), color: getTagColor(name, allTags) }}>
+                    {name}
+                    <button
+                      type="button"
+                      onClick={() => setFormData({ ...formData, tags: formData.tags.filter(t => t !== name) })}
+                      className="tag-chip-remove"
+                      title="Remove tag"
+                    >
+                      <X size={12} />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <input
+              type="text"
+              value={tagInput}
+              onChange={e => setTagInput(e.target.value)}
+              onKeyDown={handleTagKeyDown}
+              onBlur={() => addTag(tagInput)}
+              list="tag-suggestions"
+              placeholder="Add a tag and press Enter"
+              className="form-input"
+            />
+            <datalist id="tag-suggestions">
+              {allTags.filter(tag => !formData.tags.includes(tag.name)).map(tag => (
+                <option key={tag.name} value={tag.name}>{tag.description}</option>
+              ))}
+            </datalist>
+          </div>
+
           {/* Time and Energy */}
           <div className="form-row">
             <div className="form-group">
@@ -322,6 +584,7 @@ const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startW
               </select>
             </div>
           </div>
+          {task.id && <TimeEntryList task={task} />}
 
           {/* Dates */}
           <div className="form-row">
@@ -435,6 +698,81 @@ const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startW
             )}
           </div>
 
+          {/* Dependencies */}
+          <div className="form-group">
+            <label>
+              <Link2 size={14} className="inline-icon" />
+              Blocked By
+            </label>
+            {formData.blockedBy.length > 0 && (
+              <ul className="blocker-list">
+                {formData.blockedBy.map(id => {
+                  const blocker = taskIndex.get(id);
+                  return (
+                    <li key={id} className={blocker?.status === 'done' ? 'done' : ''}>
+                      <span>{blocker ? blocker.title : <em>Deleted task</em>}</span>
+                      <button
+                        type="button"
+                        onClick={() => setFormData({ ...formData, blockedBy: formData.blockedBy.filter(b => b !== id) })}
+                        className="blocker-remove"
+                        title="Remove dependency"
+                      >
+                        <X size={14} />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+            {!showBlockerSearch ? (
+              <button type="button" onClick={() => setShowBlockerSearch(true)} className="btn-tertiary">
+                Add Blocker
+              </button>
+            ) : (
+              <div className="parent-search-dropdown">
+                <input
+                  type="text"
+                  value={blockerSearch}
+                  onChange={e => setBlockerSearch(e.target.value)}
+                  onKeyDown={handleBlockerSearchKeyDown}
+                  placeholder="Search for a task this one waits on..."
+                  className="form-input"
+                  autoFocus
+                />
+                <ul className="parent-suggestions">
+                  {filteredBlockers.map((t, index) => (
+                    <li
+                      key={t.id}
+                      className={index === highlightedBlockerIndex ? 'highlighted' : ''}
+                      onClick={() => addBlocker(t)}
+                    >
+                      {t.title}
+                      {t.path && <span className="parent-path">{t.path}</span>}
+                    </li>
+                  ))}
+                  {filteredBlockers.length === 0 && <li>No tasks found</li>}
+                </ul>
+                <div className="parent-search-actions">
+                  <button type="button" onClick={() => {
+                    setBlockerSearch('');
+                    setShowBlockerSearch(false);
+                  }} className="btn-secondary">
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Research */}
+          <div className="form-group">
+            <label>
+              <BookOpenText size={14} className="inline-icon" />
+              Research
+            </label>
+            <ResearchNotes task={task} />
+          </div>
+
           {/* Checkboxes */}
           <div className="form-group">
             <label className="checkbox-label">
@@ -448,6 +786,20 @@ const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startW
             </label>
           </div>
 
+          {(formData.isProject || (task.children && task.children.length > 0)) && (
+            <div className="form-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={formData.isSequential}
+                  onChange={e => setFormData({ ...formData, isSequential: e.target.checked })}
+                />
+                <ListOrdered size={16} className="inline-icon" />
+                Complete subtasks in order
+              </label>
+            </div>
+          )}
+
           <div className="form-group">
             <label className="checkbox-label">
               <input
@@ -471,17 +823,131 @@ const TaskDetailEditor = ({ task, onClose, onSave, allContexts, allTasks, startW
               Recurring Task
             </label>
             {formData.isRecurring && (
-              <select
-                value={formData.recurrencePattern}
-                onChange={e => setFormData({ ...formData, recurrencePattern: e.target.value })}
-                className="form-select"
-                style={{ marginTop: '8px', marginLeft: '24px', width: 'calc(100% - 24px)' }}
-              >
-                <option value="daily">Daily</option>
-                <option value="weekly">Weekly</option>
-                <option value="biweekly">Bi-weekly (Every 2 weeks)</option>
-                <option value="monthly">Monthly</option>
-              </select>
+              <div className="recurrence-editor">
+                <div className="recurrence-row">
+                  <span>Every</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.recurrence.interval}
+                    onChange={e => updateRecurrence({ interval: e.target.value })}
+                    className="form-input recurrence-interval"
+                  />
+                  <select
+                    value={formData.recurrence.freq}
+                    onChange={e => updateRecurrence({ freq: e.target.value })}
+                    className="form-select"
+                  >
+                    <option value="daily">Day(s)</option>
+                    <option value="weekly">Week(s)</option>
+                    <option value="monthly">Month(s)</option>
+                    <option value="yearly">Year(s)</option>
+                  </select>
+                </div>
+
+                {formData.recurrence.freq === 'daily' && (
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={formData.recurrence.weekdaysOnly}
+                      onChange={e => updateRecurrence({ weekdaysOnly: e.target.checked })}
+                    />
+                    Weekdays only
+                  </label>
+                )}
+
+                {formData.recurrence.freq === 'monthly' && (
+                  <div className="recurrence-row">
+                    <select
+                      value={formData.recurrence.nthWeekday ? 'nth' : 'date'}
+                      onChange={e => updateRecurrence({
+                        nthWeekday: e.target.value === 'nth' ? { n: 1, weekday: 1 } : null
+                      })}
+                      className="form-select"
+                    >
+                      <option value="date">On the same date</option>
+                      <option value="nth">On the nth weekday</option>
+                    </select>
+                    {formData.recurrence.nthWeekday && (
+                      <>
+                        <select
+                          value={formData.recurrence.nthWeekday.n}
+                          onChange={e => updateRecurrence({ nthWeekday: { ...formData.recurrence.nthWeekday, n: e.target.value } })}
+                          className="form-select"
+                        >
+                          <option value="1">1st</option>
+                          <option value="2">2nd</option>
+                          <option value="3">3rd</option>
+                          <option value="4">4th</option>
+                          <option value="-1">Last</option>
+                        </select>
+                        <select
+                          value={formData.recurrence.nthWeekday.weekday}
+                          onChange={e => updateRecurrence({ nthWeekday: { ...formData.recurrence.nthWeekday, weekday: e.target.value } })}
+                          className="form-select"
+                        >
+                          {WEEKDAY_NAMES.map((name, index) => (
+                            <option key={name} value={index}>{name}</option>
+                          ))}
+                        </select>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                <div className="recurrence-row">
+                  <span>Repeat from</span>
+                  <select
+                    value={formData.recurrence.anchor}
+                    onChange={e => updateRecurrence({ anchor: e.target.value })}
+                    className="form-select"
+                  >
+                    <option value="due">Due date</option>
+                    <option value="completion">Completion date</option>
+                  </select>
+                </div>
+
+                <div className="recurrence-row">
+                  <span>Ends</span>
+                  <select
+                    value={formData.recurrence.endType}
+                    onChange={e => updateRecurrence({ endType: e.target.value })}
+                    className="form-select"
+                  >
+                    <option value="never">Never</option>
+                    <option value="count">After N occurrences</option>
+                    <option value="until">On a date</option>
+                  </select>
+                  {formData.recurrence.endType === 'count' && (
+                    <input
+                      type="number"
+                      min="1"
+                      value={formData.recurrence.count}
+                      onChange={e => updateRecurrence({ count: e.target.value })}
+                      className="form-input recurrence-interval"
+                    />
+                  )}
+                  {formData.recurrence.endType === 'until' && (
+                    <input
+                      type="date"
+                      value={formData.recurrence.until}
+                      onChange={e => updateRecurrence({ until: e.target.value })}
+                      className="form-input"
+                    />
+                  )}
+                </div>
+
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.recurrence.carrySubtasks !== false}
+                    onChange={e => updateRecurrence({ carrySubtasks: e.target.checked })}
+                  />
+                  Copy subtasks to the next instance
+                </label>
+
+                <div className="recurrence-summary">{describeRecurrence(buildRecurrenceRule())}</div>
+              </div>
             )}
           </div>
 
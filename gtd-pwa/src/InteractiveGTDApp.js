@@ -1,11 +1,41 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { addDays, addMonths } from 'date-fns';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { addDays } from 'date-fns';
 import { db } from './firebase';
-import { doc, updateDoc, addDoc, collection, serverTimestamp, deleteDoc, query, where, getDocs } from 'firebase/firestore';
-import { CheckCircle, Circle, Plus, Edit2, Trash2, GripVertical, ChevronRight, ChevronDown, Inbox, ListTodo, FolderTree, Clock, Mic, Menu, ClipboardCheck, LayoutGrid, LogOut, Download } from 'lucide-react';
+import { addDoc, collection, serverTimestamp, query, where, getDocs } from 'firebase/firestore';
+import { CheckCircle, Circle, Plus, Edit2, Trash2, GripVertical, ChevronRight, ChevronDown, Inbox, ListTodo, FolderTree, Clock, Mic, Menu, ClipboardCheck, LayoutGrid, LogOut, Download, Undo2, Redo2, Hourglass, Lightbulb, BookOpen, CalendarClock, CalendarCheck, ListChecks, Tags, MapPin, Bookmark, BookmarkPlus, SlidersHorizontal, Play, Square, Timer, Target, Sun, CalendarDays } from 'lucide-react';
 import TaskDetailEditor from './EnhancedComponents';
 import VoiceInterface from './components/VoiceInterface';
 import KeyboardShortcuts, { useKeyboardShortcuts } from './components/KeyboardShortcuts';
+import WeeklyReview from './components/WeeklyReview';
+import InboxProcessor from './components/InboxProcessor';
+import TagManager from './components/TagManager';
+import ContextManager from './components/ContextManager';
+import SavedViewEditor from './components/SavedViewEditor';
+import BulkActionBar from './components/BulkActionBar';
+import TimeReport from './components/TimeReport';
+import FocusMode from './components/FocusMode';
+import DailyPlanner from './components/DailyPlanner';
+import CalendarView from './components/CalendarView';
+import CalendarFeedManager from './components/CalendarFeedManager';
+import { ElapsedTime, RunningTimer } from './components/TaskTimer';
+import { parseQuickAdd, parsedTaskFields } from './shared/quickAddParser';
+import { describeRecurrence } from './utils/recurrence';
+import { createTask, updateTask, deleteTask, saveTaskEdits, toggleTaskCompletion, placeTask, bulkUpdateTasks, bulkSetCompletion, bulkDeleteTasks, bulkMoveTasks } from './utils/taskMutations';
+import { useOperationHistory, undo, redo } from './utils/history';
+import { TASK_STATUSES, getStatus, isParked, collectActionable } from './utils/statuses';
+import { getBlockedTaskIds } from './utils/dependencies';
+import { storedDay } from './utils/dates';
+import { getDeferredTaskIds, getStartDate, isDeferred, formatStartGroup } from './utils/deferral';
+import { startResearch, subscribeToResearch, markResearchNotified, researchToMarkdown } from './utils/research';
+import { subscribeToTags, mergeTags, ensureTags, getTagColor } from './utils/tags';
+import { subscribeToContexts, mergeContexts, getUnavailableContexts, hasGeofence } from './utils/contexts';
+import { sortTreeByTitle } from './utils/ordering';
+import { isTimerRunning, toggleTimer, stopTimer, formatMinutes } from './utils/timeTracking';
+import { fuzzyFilter } from './utils/fuzzy';
+import { buildFocusQueue, loadFocusSettings } from './utils/focus';
+import { getRolledOverDays, plannedMinutes } from './utils/dailyPlan';
+import { SEARCH_HELP, buildSearchIndex, searchTasks, highlightParts } from './utils/search';
+import { EMPTY_QUERY, subscribeToSavedViews, createSavedView, updateSavedView, deleteSavedView, savedViewKey, getSavedViewId, findSavedView, runSavedView, groupSavedViewTasks } from './utils/savedViews';
 import './InteractiveGTDApp.css';
 
 // Get or create Inbox
@@ -46,7 +76,6 @@ const getOrCreateInboxId = async (userId) => {
 const InteractiveTaskItem = ({
   task,
   userId,
-  onUpdate,
   onEdit,
   level = 0,
   allContexts,
@@ -55,7 +84,15 @@ const InteractiveTaskItem = ({
   selectedTaskId,
   taskIndex,
   onReview,
-  isReviewView
+  isReviewView,
+  showPriority,
+  blockedIds,
+  allTags = [],
+  contextDefs = [],
+  searchResults = null,
+  dnd = null,
+  selectedIds = null,
+  onSelect = null
 }) => {
   const [isHovered, setIsHovered] = useState(false);
   const [isCollapsed, setIsCollapsed] = useState(false);
@@ -63,10 +100,14 @@ const InteractiveTaskItem = ({
   const [editedTitle, setEditedTitle] = useState(task.title);
   const [showAddChild, setShowAddChild] = useState(false);
   const [newChildTitle, setNewChildTitle] = useState('');
+  const [dropPosition, setDropPosition] = useState(null);
 
   const isCompleted = task.status === 'done';
   const hasChildren = task.children && task.children.length > 0;
   const isSelected = task.id === selectedTaskId;
+  const isMultiSelected = !!selectedIds?.has(task.id);
+  const isBlocked = !isCompleted && !!blockedIds?.has(task.id);
+  const searchMatch = searchResults?.get(task.id);
 
   const elementRef = useRef(null);
 
@@ -83,73 +124,24 @@ const InteractiveTaskItem = ({
   const handleToggleComplete = async (e) => {
     e.stopPropagation();
     try {
-      const taskRef = doc(db, 'tasks', task.id);
-      const newStatus = isCompleted ? 'next_action' : 'done';
-      const updates = {
-        status: newStatus,
-        completedDate: newStatus === 'done' ? new Date() : null,
-        modifiedDate: serverTimestamp()
-      };
-      await updateDoc(taskRef, updates);
-
-      // Handle recurrence
-      if (newStatus === 'done' && task.isRecurring && task.recurrencePattern) {
-        let nextDueDate = new Date();
-        const baseDate = task.dueDate ? (task.dueDate.toDate ? task.dueDate.toDate() : new Date(task.dueDate)) : new Date();
-
-        switch (task.recurrencePattern) {
-          case 'daily':
-            nextDueDate = addDays(baseDate, 1);
-            break;
-          case 'weekly':
-            nextDueDate = addDays(baseDate, 7);
-            break;
-          case 'biweekly':
-            nextDueDate = addDays(baseDate, 14);
-            break;
-          case 'monthly':
-            nextDueDate = addMonths(baseDate, 1);
-            break;
-          default:
-            nextDueDate = addDays(baseDate, 7);
-        }
-
-        const newTask = {
-          title: task.title,
-          userId: userId,
-          parentId: task.parentId || null,
-          level: task.level || 0,
-          status: 'next_action',
-          importance: task.importance || 3,
-          urgency: task.urgency || 3,
-          context: task.context || null,
-          timeEstimate: task.timeEstimate || null,
-          energyLevel: task.energyLevel || 'medium',
-          isProject: task.isProject || false,
-          isRecurring: true,
-          recurrencePattern: task.recurrencePattern,
-          source: 'recurrence',
-          dueDate: nextDueDate,
-          createdDate: serverTimestamp(),
-          modifiedDate: serverTimestamp(),
-          lastReviewDate: serverTimestamp(),
-          nextReviewDate: addDays(new Date(), task.reviewInterval || 14),
-          reviewEnabled: task.reviewEnabled !== false,
-          reviewInterval: task.reviewInterval || 14,
-          computedPriority: 0,
-          childCount: 0
-        };
-
-        await addDoc(collection(db, 'tasks'), newTask);
-      }
-
-      onUpdate?.(true);
+      // Also spawns the next instance of recurring tasks
+      await toggleTaskCompletion(task, !isCompleted);
     } catch (error) {
       console.error('Error toggling completion:', error);
       alert('Failed to update task');
     }
   };
 
+  const handleToggleTimer = async (e) => {
+    e.stopPropagation();
+    try {
+      await toggleTimer(task, allTasks);
+    } catch (error) {
+      console.error('Error toggling timer:', error);
+      alert('Failed to update timer');
+    }
+  };
+
   // Save edited title (for inline editing)
   const handleSaveTitle = async () => {
     if (editedTitle.trim() === '') {
@@ -158,13 +150,8 @@ const InteractiveTaskItem = ({
     }
 
     try {
-      const taskRef = doc(db, 'tasks', task.id);
-      await updateDoc(taskRef, {
-        title: editedTitle.trim(),
-        modifiedDate: serverTimestamp()
-      });
+      await updateTask(task, { title: editedTitle.trim() }, `Rename "${task.title}"`);
       setIsEditing(false);
-      onUpdate?.();
     } catch (error) {
       console.error('Error updating task:', error);
       alert('Failed to update task');
@@ -198,18 +185,11 @@ const InteractiveTaskItem = ({
         reviewInterval: 14
       };
 
-      await addDoc(collection(db, 'tasks'), newTask);
-
-      // Update parent's child count
-      const parentRef = doc(db, 'tasks', task.id);
-      await updateDoc(parentRef, {
-        childCount: (task.childCount || 0) + 1,
-        modifiedDate: serverTimestamp()
-      });
+      // Also bumps the parent's child count
+      await createTask(newTask);
 
       setNewChildTitle('');
       setShowAddChild(false);
-      onUpdate?.();
     } catch (error) {
       console.error('Error adding child task:', error);
       alert('Failed to add child task');
@@ -224,35 +204,60 @@ const InteractiveTaskItem = ({
     }
 
     try {
-      // Delete all children recursively
-      const deleteRecursive = async (taskToDelete) => {
-        if (taskToDelete.children) {
-          for (const child of taskToDelete.children) {
-            await deleteRecursive(child);
-          }
-        }
-        await deleteDoc(doc(db, 'tasks', taskToDelete.id));
-      };
-
-      await deleteRecursive(task);
-
-      // Update parent's child count if this task has a parent
-      if (task.parentId) {
-        const parentRef = doc(db, 'tasks', task.parentId);
-        await updateDoc(parentRef, {
-          childCount: Math.max(0, (task.childCount || 1) - 1),
-          modifiedDate: serverTimestamp()
-        });
-      }
-
-      onUpdate?.();
+      await deleteTask(task, allTasks);
     } catch (error) {
       console.error('Error deleting task:', error);
       alert('Failed to delete task');
     }
   };
 
+  // Explain the computed priority from the engine's breakdown
+  const formatPriorityBreakdown = (breakdown) => {
+    if (!breakdown) return 'Priority not computed yet';
+    return Object.entries(breakdown)
+      .filter(([, value]) => value !== 0)
+      .map(([factor, value]) => `${factor}: ${value > 0 ? '+' : ''}${value}`)
+      .join('\n');
+  };
+
+  // Top and bottom quarters of the row place the task before/after this
+  // one; the middle files it inside
+  const getDropPosition = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const offset = (e.clientY - rect.top) / rect.height;
+    if (dnd.canReorder && offset < 0.25) return 'before';
+    if (dnd.canReorder && offset > 0.75) return 'after';
+    return 'inside';
+  };
+
+  const dragHandlers = dnd ? {
+    onDragOver: (e) => {
+      if (!dnd.draggingId || !dnd.canDropOn(task)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropPosition(getDropPosition(e));
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDropPosition(null);
+    },
+    onDrop: (e) => {
+      if (!dnd.draggingId || !dnd.canDropOn(task)) return;
+      e.preventDefault();
+      setDropPosition(null);
+      dnd.onDrop(task, getDropPosition(e));
+    }
+  } : {};
+
   // Format date for display
+  const isFollowUpDue = (t) => {
+    if (t.status !== 'waiting_for' || !t.followUpDate) return false;
+    return storedDay(t.followUpDate) <= new Date();
+  };
+
+  const formatDay = (day) => day.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+  const formatFollowUp = (date) => formatDay(storedDay(date));
+
   const formatDate = (date) => {
     if (!date) return '';
     const d = date.toDate ? date.toDate() : new Date(date);
@@ -276,9 +281,30 @@ const InteractiveTaskItem = ({
         style={{ marginLeft: showHierarchy ? `${level * 24}px` : '0px' }}
         data-task-index={taskIndex}
       >
-        <div className={`task-item ${isCompleted ? 'completed' : ''} ${isSelected ? 'selected' : ''}`}>
+        <div
+          className={`task-item ${isCompleted ? 'completed' : ''} ${isSelected ? 'selected' : ''} ${isMultiSelected ? 'multi-selected' : ''} ${dnd?.draggingId === task.id ? 'dragging' : ''} ${dropPosition ? `drop-${dropPosition}` : ''}`}
+          onClick={(e) => {
+            if (onSelect && (e.shiftKey || e.ctrlKey || e.metaKey)) {
+              e.preventDefault();
+              onSelect(task, e);
+            }
+          }}
+          {...dragHandlers}
+        >
           {/* Drag Handle */}
-          <div className="drag-handle" style={{ opacity: isHovered ? 1 : 0.3 }}>
+          <div
+            className="drag-handle"
+            style={{ opacity: isHovered ? 1 : 0.3 }}
+            draggable={!!dnd}
+            onDragStart={dnd ? (e) => {
+              e.dataTransfer.effectAllowed = 'move';
+              e.dataTransfer.setData('text/plain', task.id);
+              e.dataTransfer.setDragImage(e.currentTarget.parentElement, 0, 0);
+              dnd.onDragStart(task.id);
+            } : undefined}
+            onDragEnd={dnd ? () => dnd.onDragEnd() : undefined}
+            title={dnd ? (dnd.canReorder ? 'Drag to reorder, or onto a task to move it inside' : 'Drag onto a task to move it inside') : undefined}
+          >
             <GripVertical size={16} />
           </div>
 
@@ -326,19 +352,62 @@ const InteractiveTaskItem = ({
           ) : (
             <span
               className={`task-title ${isCompleted ? 'line-through' : ''}`}
-              onClick={onEdit}
+              onClick={(e) => !(e.shiftKey || e.ctrlKey || e.metaKey) && onEdit()}
               onDoubleClick={() => setIsEditing(true)}
             >
-              {task.title}
+              <HighlightedText text={task.title} words={searchMatch?.words} />
             </span>
           )}
 
           {/* Task Metadata */}
           <div className="task-metadata" style={{ opacity: isHovered || isSelected ? 1 : 0.5 }}>
+            {showPriority && task.computedPriority > 0 && (
+              <span className="task-priority" title={formatPriorityBreakdown(task.priorityBreakdown)}>
+                {task.computedPriority}
+              </span>
+            )}
+            {isBlocked && (
+              <span className="task-blocked" title="Waiting on an open dependency or an earlier step of a sequential project">
+                Blocked
+              </span>
+            )}
+            {!isCompleted && isDeferred(task) && (
+              <span className="task-start">Starts {formatDay(getStartDate(task))}</span>
+            )}
+            {isParked(task) && (
+              <span className={`task-status status-${getStatus(task)} ${isFollowUpDue(task) ? 'overdue' : ''}`}>
+                {getStatus(task) === 'waiting_for' && task.delegatedTo ? `Waiting: ${task.delegatedTo}` : TASK_STATUSES[getStatus(task)]}
+                {getStatus(task) === 'waiting_for' && task.followUpDate && ` · follow up ${formatFollowUp(task.followUpDate)}`}
+              </span>
+            )}
             {task.context && (
-              <span className="task-context">{task.context}</span>
+              <span className="task-context" style={{ color: contextDefs.find(c => c.name === task.context)?.color }}>
+                {contextDefs.find(c => c.name === task.context)?.icon} {task.context}
+              </span>
+            )}
+            {(task.tags || []).map(name => (
+              <span key={name} className="task-tag" style={{ color: getTagColor(name, allTags), borderColor: getTagColor(name, allTags) }}>
+                +{name}
+              </span>
+            ))}
+            {!isCompleted && getRolledOverDays(task) > 0 && (
+              <span className="task-rolled-over" title="Planned for an earlier day and not finished yet">
+                Rolled over {getRolledOverDays(task)} {getRolledOverDays(task) === 1 ? 'day' : 'days'}
+              </span>
             )}
-            {task.timeEstimate && (
+            {isTimerRunning(task) && (
+              <span className="task-timer-running" title="Timer running">
+                <Timer size={12} /> <ElapsedTime since={task.timerStartedAt} />
+              </span>
+            )}
+            {task.actualMinutes > 0 ? (
+              <span
+                className={`task-time ${task.timeEstimate && task.actualMinutes > task.timeEstimate ? 'over-estimate' : ''}`}
+                title={task.timeEstimate ? 'Tracked / estimated time' : 'Tracked time'}
+              >
+                {formatMinutes(task.actualMinutes)}{task.timeEstimate ? ` / ${formatMinutes(task.timeEstimate)}` : ' tracked'}
+              </span>
+            ) : task.timeEstimate && (
               <span className="task-time">{task.timeEstimate}m</span>
             )}
             {hasChildren && showHierarchy && (
@@ -359,6 +428,15 @@ const InteractiveTaskItem = ({
               >
                 <Edit2 size={14} />
               </button>
+              {!isCompleted && (
+                <button
+                  onClick={handleToggleTimer}
+                  className="action-btn"
+                  title={isTimerRunning(task) ? 'Stop timer (t)' : 'Start timer (t)'}
+                >
+                  {isTimerRunning(task) ? <Square size={14} /> : <Play size={14} />}
+                </button>
+              )}
               {showHierarchy && (
                 <button
                   onClick={() => setShowAddChild(!showAddChild)}
@@ -398,6 +476,14 @@ const InteractiveTaskItem = ({
           )}
         </div>
 
+        {/* Where the search matched, when it wasn't the title */}
+        {searchMatch?.snippet && (
+          <div className="task-search-snippet">
+            <span className="task-search-field">{searchMatch.snippet.field === 'notes' ? 'Notes' : 'Description'}:</span>{' '}
+            <HighlightedText text={searchMatch.snippet.text} words={searchMatch.words} />
+          </div>
+        )}
+
         {/* Add Child Input */}
         {showAddChild && showHierarchy && (
           <div className="add-child-container" style={{ marginLeft: '40px', marginTop: '8px' }}>
@@ -429,7 +515,6 @@ const InteractiveTaskItem = ({
                 key={child.id}
                 task={child}
                 userId={userId}
-                onUpdate={onUpdate}
                 onEdit={() => onEdit(child)}
                 level={level + 1}
                 allContexts={allContexts}
@@ -437,6 +522,13 @@ const InteractiveTaskItem = ({
                 showHierarchy={showHierarchy}
                 selectedTaskId={selectedTaskId}
                 taskIndex={-1}
+                blockedIds={blockedIds}
+                allTags={allTags}
+                contextDefs={contextDefs}
+                searchResults={searchResults}
+                dnd={dnd}
+                selectedIds={selectedIds}
+                onSelect={onSelect}
               />
             ))}
           </div>
@@ -446,14 +538,77 @@ const InteractiveTaskItem = ({
   );
 };
 
+// Text with the search words marked
+const HighlightedText = ({ text, words }) => (
+  <>
+    {highlightParts(text, words).map((part, i) => (
+      part.match ? <mark key={i} className="search-highlight">{part.text}</mark> : part.text
+    ))}
+  </>
+);
+
+// Open projects that quick-add "#Project" can file into
+const collectProjects = (taskList) => taskList.flatMap(task => [
+  ...(task.isProject && task.status !== 'done' ? [{ id: task.id, title: task.title, level: task.level || 0 }] : []),
+  ...collectProjects(task.children || [])
+]);
+
+// Sibling list (as displayed) that contains a task
+const findSiblings = (taskList, taskId) => {
+  if (taskList.some(t => t.id === taskId)) return taskList;
+  for (const task of taskList) {
+    const found = findSiblings(task.children || [], taskId);
+    if (found) return found;
+  }
+  return null;
+};
+
+const findTaskById = (taskList, taskId) => {
+  for (const task of taskList) {
+    if (task.id === taskId) return task;
+    const found = findTaskById(task.children || [], taskId);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Parsed dates are stored as midnight UTC, so show them in UTC too
+const formatParsedDate = (date) => date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+// Chips describing what the quick-add syntax picked up
+const QuickAddPreview = ({ parsed }) => {
+  const chips = [];
+  if (parsed.context) chips.push(parsed.context);
+  parsed.tags.forEach(tag => chips.push(`+${tag}`));
+  if (parsed.importance) chips.push(`Importance ${parsed.importance}`);
+  if (parsed.urgency) chips.push(`Urgency ${parsed.urgency}`);
+  if (parsed.timeEstimate) chips.push(`${parsed.timeEstimate} min`);
+  if (parsed.dueDate) chips.push(`Due ${formatParsedDate(parsed.dueDate)}`);
+  if (parsed.startDate) chips.push(`Starts ${formatParsedDate(parsed.startDate)}`);
+  if (parsed.project) chips.push(`→ ${parsed.project.title}`);
+  if (parsed.recurrence) chips.push(describeRecurrence(parsed.recurrence));
+  if (chips.length === 0) return null;
+
+  return (
+    <div className="quick-add-preview">
+      {chips.map(chip => <span key={chip} className="quick-add-chip">{chip}</span>)}
+    </div>
+  );
+};
+
 // Quick Add Task Component
-const QuickAddTask = ({ userId, onAdd, parentId = null, level = 0, allContexts, autoFocus = false }) => {
+const QuickAddTask = ({ userId, onAdd, parentId = null, level = 0, allContexts, allTags = [], projects = [], autoFocus = false }) => {
   const [title, setTitle] = useState('');
   const [isExpanded, setIsExpanded] = useState(false);
   const [context, setContext] = useState('');
   const [timeEstimate, setTimeEstimate] = useState('');
   const inputRef = useRef(null);
 
+  const parsed = useMemo(
+    () => parseQuickAdd(title, { contexts: allContexts, projects }),
+    [title, allContexts, projects]
+  );
+
   useEffect(() => {
     if (autoFocus && inputRef.current) {
       inputRef.current.focus();
@@ -466,15 +621,18 @@ const QuickAddTask = ({ userId, onAdd, parentId = null, level = 0, allContexts,
 
     try {
       const newTask = {
-        title: title.trim(),
+        title: parsed.title || title.trim(),
         userId: userId,
         parentId: parentId,
-        level: level,
+        level: parsed.project ? parsed.project.level + 1 : level,
         status: 'next_action',
         importance: 3,
         urgency: 3,
-        context: context || null,
-        timeEstimate: timeEstimate ? parseInt(timeEstimate) : null,
+        ...parsedTaskFields(parsed),
+        tags: await ensureTags(userId, parsed.tags, allTags),
+        // The detail inputs win over inline syntax
+        context: context || parsed.context || null,
+        timeEstimate: timeEstimate ? parseInt(timeEstimate) : parsed.timeEstimate,
         source: 'manual',
         createdDate: serverTimestamp(),
         modifiedDate: serverTimestamp(),
@@ -486,7 +644,7 @@ const QuickAddTask = ({ userId, onAdd, parentId = null, level = 0, allContexts,
         reviewInterval: 14
       };
 
-      await addDoc(collection(db, 'tasks'), newTask);
+      await createTask(newTask);
 
       // Reset form
       setTitle('');
@@ -518,10 +676,11 @@ const QuickAddTask = ({ userId, onAdd, parentId = null, level = 0, allContexts,
               setIsExpanded(false);
             }
           }}
-          placeholder="Add new task... (press c)"
+          placeholder="Add new task... (press c)  e.g. Call dentist @calls !4 ~15m due:fri #Health"
           className="quick-add-input"
         />
       </div>
+      <QuickAddPreview parsed={parsed} />
 
       {isExpanded && (
         <div className="quick-add-details">
@@ -564,7 +723,7 @@ const QuickAddTask = ({ userId, onAdd, parentId = null, level = 0, allContexts,
 };
 
 // Main App Component with Interactive Features
-const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, onInstallApp }) => {
+const InteractiveGTDApp = ({ user, tasks, onRefresh, onSignOut, deferredPrompt, onInstallApp }) => {
   const [currentView, setCurrentView] = useState('inbox');
   const [filter, setFilter] = useState('active');
   const [searchTerm, setSearchTerm] = useState('');
@@ -576,6 +735,36 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
   const [sequenceKey, setSequenceKey] = useState(null);
   const [editingTask, setEditingTask] = useState(null);
   const [startParentSearchOpen, setStartParentSearchOpen] = useState(false);
+  const [showDeferred, setShowDeferred] = useState(false);
+  const [researchNotice, setResearchNotice] = useState(null);
+  const [showInboxProcessor, setShowInboxProcessor] = useState(false);
+  const [tagDocs, setTagDocs] = useState([]);
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [showTagManager, setShowTagManager] = useState(false);
+  const [contextDocs, setContextDocs] = useState([]);
+  const [showContextManager, setShowContextManager] = useState(false);
+  const [availableNow, setAvailableNow] = useState(false);
+  const [position, setPosition] = useState(null);
+  const [clock, setClock] = useState(() => new Date());
+  const [savedViews, setSavedViews] = useState([]);
+  const [editingView, setEditingView] = useState(null);
+  const [researchRuns, setResearchRuns] = useState([]);
+  const [draggingTaskId, setDraggingTaskId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [showTimeReport, setShowTimeReport] = useState(false);
+  const [focusQueue, setFocusQueue] = useState(null);
+  const [showDailyPlanner, setShowDailyPlanner] = useState(false);
+  const [showCalendarFeeds, setShowCalendarFeeds] = useState(false);
+  // Task to open from a ?task=<id> link (calendar feed events link here)
+  const [linkedTaskId, setLinkedTaskId] = useState(() => new URLSearchParams(window.location.search).get('task'));
+  // Hierarchy views the user switched to A–Z instead of manual order
+  const [alphabeticalViews, setAlphabeticalViews] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('gtd-alphabetical-views')) || [];
+    } catch (error) {
+      return [];
+    }
+  });
 
   const inboxTask = tasks.find(t => t.title === '<Inbox>' && !t.parentId);
   const inboxId = inboxTask ? inboxTask.id : null;
@@ -583,6 +772,26 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
 
   const searchInputRef = useRef(null);
+  const selectionAnchorRef = useRef(null);
+  const history = useOperationHistory();
+
+  const handleUndo = useCallback(async () => {
+    try {
+      await undo();
+    } catch (error) {
+      console.error('Error undoing operation:', error);
+      alert('Failed to undo');
+    }
+  }, []);
+
+  const handleRedo = useCallback(async () => {
+    try {
+      await redo();
+    } catch (error) {
+      console.error('Error redoing operation:', error);
+      alert('Failed to redo');
+    }
+  }, []);
 
   useEffect(() => {
     const handleResize = () => {
@@ -597,6 +806,31 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  // Let the user know when a (possibly long) research run finishes
+  useEffect(() => {
+    return subscribeToResearch(user.uid, {
+      onChange: (runs) => {
+        setResearchRuns(runs);
+        runs
+          .filter(run => run.status !== 'running' && !run.notified)
+          .forEach(run => {
+            const title = run.status === 'complete' ? 'Research ready' : 'Research failed';
+            if ('Notification' in window && Notification.permission === 'granted') {
+              new Notification(title, { body: run.topic });
+            }
+            setResearchNotice({ ...run, title });
+            markResearchNotified(run.id).catch(error => console.error('Error marking research notified:', error));
+          });
+      }
+    });
+  }, [user.uid]);
+
+  useEffect(() => subscribeToTags(user.uid, setTagDocs), [user.uid]);
+  useEffect(() => subscribeToContexts(user.uid, setContextDocs), [user.uid]);
+  useEffect(() => subscribeToSavedViews(user.uid, setSavedViews), [user.uid]);
+
+  const activeSavedView = savedViews.find(view => view.id === getSavedViewId(currentView)) || null;
+
   // Handle Android Shortcuts
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
@@ -608,19 +842,65 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
     }
   }, []);
 
-  const getUniqueContexts = (taskList) => {
-    const contexts = new Set();
-    const extractContexts = (tasks) => {
-      tasks.forEach(task => {
-        if (task.context) contexts.add(task.context);
-        if (task.children) extractContexts(task.children);
+  useEffect(() => {
+    if (!linkedTaskId) return;
+    const task = findTaskById(tasks, linkedTaskId);
+    if (!task) return;
+    setEditingTask(task);
+    setLinkedTaskId(null);
+    window.history.replaceState({}, document.title, window.location.pathname);
+  }, [linkedTaskId, tasks]);
+
+  // Context definitions (or the built-in defaults) plus contexts only used on tasks
+  const contextDefs = useMemo(() => mergeContexts(contextDocs, tasks), [contextDocs, tasks]);
+  const allContexts = useMemo(() => contextDefs.map(ctx => ctx.name), [contextDefs]);
+
+  // "Available now": re-check open hours every minute and follow the
+  // device position while any context has a geofence
+  const watchLocation = availableNow && contextDefs.some(hasGeofence);
+  useEffect(() => {
+    if (!availableNow) return;
+    setClock(new Date());
+    const timer = setInterval(() => setClock(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, [availableNow]);
+
+  useEffect(() => {
+    if (!watchLocation || !('geolocation' in navigator)) return;
+    const watchId = navigator.geolocation.watchPosition(
+      (pos) => setPosition({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
+      (error) => console.error('Error watching location:', error)
+    );
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, [watchLocation]);
+
+  const unavailableContexts = useMemo(
+    () => (availableNow ? getUnavailableContexts(contextDefs, { now: clock, position }) : new Set()),
+    [availableNow, contextDefs, clock, position]
+  );
+  const projects = useMemo(() => collectProjects(tasks), [tasks]);
+  const allTags = useMemo(() => mergeTags(tagDocs, tasks), [tagDocs, tasks]);
+
+  // Search covers titles, descriptions and the research notes linked to each task
+  const notesByTask = useMemo(() => {
+    const notes = new Map();
+    researchRuns
+      .filter(run => run.taskId && run.status === 'complete')
+      .forEach(run => {
+        const text = `${run.topic}\n${researchToMarkdown(run.research)}`;
+        notes.set(run.taskId, notes.has(run.taskId) ? `${notes.get(run.taskId)}\n${text}` : text);
       });
-    };
-    extractContexts(taskList);
-    return Array.from(contexts).sort();
-  };
+    return notes;
+  }, [researchRuns]);
+  const searchIndex = useMemo(() => buildSearchIndex(tasks, notesByTask), [tasks, notesByTask]);
+  const searchResults = useMemo(() => searchTasks(searchIndex, searchTerm), [searchIndex, searchTerm]);
+
+  // Tasks with open blockers or queued behind an earlier step of a sequential project
+  const blockedIds = useMemo(() => getBlockedTaskIds(tasks), [tasks]);
 
-  const allContexts = getUniqueContexts(tasks);
+  // Tasks with a future start date, on themselves or an ancestor
+  const deferredIds = useMemo(() => getDeferredTaskIds(tasks), [tasks]);
+  const isAvailable = (task) => showDeferred || !deferredIds.has(task.id);
 
   // Flatten all tasks recursively
   const flattenTasks = (taskList) => {
@@ -637,23 +917,69 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
     return flat;
   };
 
+  // To Do: available next actions, highest priority first
+  const getTodoTasks = () => {
+    // Waiting For / Someday / Reference subtrees are parked outside To Do
+    const allFlat = collectActionable(tasks);
+    // computedPriority is kept current by the priority engine; the inline
+    // formula only covers tasks it hasn't scored yet
+    return allFlat
+      .filter(t => !t.isProject && t.status !== 'done' && !blockedIds.has(t.id) && isAvailable(t))
+      .filter(t => !unavailableContexts.has(t.context))
+      .sort((a, b) => {
+        const priorityA = a.computedPriority || ((a.importance || 3) * 3 + (a.urgency || 3) * 2.5);
+        const priorityB = b.computedPriority || ((b.importance || 3) * 3 + (b.urgency || 3) * 2.5);
+        return priorityB - priorityA;
+      });
+  };
+
+  // Today: the planned list (todayFocus), highest priority first
+  const getTodayTasks = () => flattenTasks(tasks)
+    .filter(t => t.todayFocus && !t.isProject)
+    .sort((a, b) => {
+      const priorityA = a.computedPriority || ((a.importance || 3) * 3 + (a.urgency || 3) * 2.5);
+      const priorityB = b.computedPriority || ((b.importance || 3) * 3 + (b.urgency || 3) * 2.5);
+      return priorityB - priorityA;
+    });
+
   // Get tasks for different views
   const getViewTasks = () => {
+    if (activeSavedView) {
+      return runSavedView(activeSavedView, tasks);
+    }
+
     switch (currentView) {
       case 'inbox':
         const inboxTask = tasks.find(t => t.title === '<Inbox>' && !t.parentId);
-        return inboxTask ? (inboxTask.children || []).filter(child => child.status !== 'done') : [];
+        return inboxTask ? (inboxTask.children || []).filter(child => child.status !== 'done' && isAvailable(child)) : [];
 
       case 'todo':
-        const allFlat = flattenTasks(tasks);
-        return allFlat
-          .filter(t => !t.isProject && t.status !== 'done')
+        return getTodoTasks();
+
+      case 'today':
+        return getTodayTasks();
+
+      case 'waiting':
+        // Oldest follow-up first, undated follow-ups last
+        return flattenTasks(tasks)
+          .filter(t => t.status === 'waiting_for')
           .sort((a, b) => {
-            const priorityA = a.computedPriority || ((a.importance || 3) * 3 + (a.urgency || 3) * 2.5);
-            const priorityB = b.computedPriority || ((b.importance || 3) * 3 + (b.urgency || 3) * 2.5);
-            return priorityB - priorityA;
+            const dateA = storedDay(a.followUpDate) || new Date(8640000000000000);
+            const dateB = storedDay(b.followUpDate) || new Date(8640000000000000);
+            return dateA - dateB;
           });
 
+      case 'someday':
+      case 'reference':
+        return flattenTasks(tasks)
+          .filter(t => t.status === currentView)
+          .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+
+      case 'upcoming':
+        return flattenTasks(tasks)
+          .filter(t => t.status !== 'done' && isDeferred(t))
+          .sort((a, b) => getStartDate(a) - getStartDate(b));
+
       case 'recent':
         const allFlatWithDates = flattenTasks(tasks);
         return allFlatWithDates
@@ -669,7 +995,7 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
         const allForReview = flattenTasks(tasks);
         const now = new Date();
         return allForReview
-          .filter(t => t.reviewEnabled !== false && t.status !== 'done' && (!t.nextReviewDate || (t.nextReviewDate.toDate ? t.nextReviewDate.toDate() : new Date(t.nextReviewDate)) <= now))
+          .filter(t => t.reviewEnabled !== false && t.status !== 'done' && isAvailable(t) && (!t.nextReviewDate || (t.nextReviewDate.toDate ? t.nextReviewDate.toDate() : new Date(t.nextReviewDate)) <= now))
           .sort((a, b) => {
             const dateA = a.nextReviewDate ? (a.nextReviewDate.toDate ? a.nextReviewDate.toDate() : new Date(a.nextReviewDate)) : new Date(0);
             const dateB = b.nextReviewDate ? (b.nextReviewDate.toDate ? b.nextReviewDate.toDate() : new Date(b.nextReviewDate)) : new Date(0);
@@ -714,39 +1040,54 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
     }
   };
 
+  const isFlatView = ['todo', 'today', 'recent', 'waiting', 'someday', 'reference', 'upcoming'].includes(currentView) ||
+    (!!activeSavedView && activeSavedView.display !== 'hierarchy');
+
+  // Views that replace the task list with their own screen
+  const isFullPageView = currentView === 'weeklyreview' || currentView === 'calendar';
+
   // Filter tasks
   const filterTasks = (taskList) => {
-    if (currentView === 'todo' || currentView === 'recent') {
-      return taskList.filter(task => {
-        const matchesSearch = !searchTerm ||
-          (task.title || '').toLowerCase().includes(searchTerm.toLowerCase());
+    if (isFlatView) {
+      const matched = taskList.filter(task => {
+        const matchesSearch = !searchResults || searchResults.has(task.id);
 
         const matchesContext = !selectedContext ||
           task.context === selectedContext;
 
-        const matchesStatus = filter === 'all' ||
+        const matchesTag = !selectedTag ||
+          (task.tags || []).includes(selectedTag);
+
+        // A saved view's own status condition replaces the filter buttons
+        const matchesStatus = !!activeSavedView || filter === 'all' ||
           (filter === 'active' && task.status !== 'done') ||
           (filter === 'completed' && task.status === 'done');
 
-        return matchesSearch && matchesContext && matchesStatus;
+        return matchesSearch && matchesContext && matchesTag && matchesStatus;
       });
+      // Best search matches first (Upcoming keeps its date groups)
+      if (!searchResults || currentView === 'upcoming') return matched;
+      return matched.sort((a, b) => searchResults.get(b.id).score - searchResults.get(a.id).score);
     }
 
     return taskList
       .map(task => {
         const filteredChildren = task.children ? filterTasks(task.children) : [];
 
-        const matchesSearch = !searchTerm ||
-          (task.title || '').toLowerCase().includes(searchTerm.toLowerCase());
+        const matchesSearch = !searchResults || searchResults.has(task.id);
 
         const matchesContext = !selectedContext ||
           task.context === selectedContext;
 
-        const matchesStatus = filter === 'all' ||
+        const matchesTag = !selectedTag ||
+          (task.tags || []).includes(selectedTag);
+
+        // A saved view's own status condition replaces the filter buttons
+        const matchesStatus = !!activeSavedView || filter === 'all' ||
           (filter === 'active' && task.status !== 'done') ||
           (filter === 'completed' && task.status === 'done');
 
-        if (matchesSearch && matchesContext && matchesStatus) {
+        if (matchesSearch && matchesContext && matchesTag && matchesStatus) {
           return { ...task, children: filteredChildren };
         } else if (filteredChildren.length > 0) {
           return { ...task, children: filteredChildren };
@@ -757,38 +1098,218 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
       .filter(task => task !== null);
   };
 
+  const isAlphabetical = !isFlatView && !activeSavedView && alphabeticalViews.includes(currentView);
+
   const viewTasks = getViewTasks();
-  const filteredTasks = filterTasks(viewTasks);
-  const flatFilteredTasks = currentView === 'todo' || currentView === 'recent'
+  const savedViewGrouping = activeSavedView && isFlatView
+    ? groupSavedViewTasks(filterTasks(viewTasks), activeSavedView.groupBy, tasks)
+    : null;
+  const filteredTasks = savedViewGrouping
+    ? savedViewGrouping.tasks
+    : (isAlphabetical ? sortTreeByTitle(filterTasks(viewTasks)) : filterTasks(viewTasks));
+  const flatFilteredTasks = isFlatView
     ? filteredTasks
     : flattenTasks(filteredTasks);
 
-  const showHierarchy = currentView === 'alltasks' || currentView === 'inbox' || currentView === 'organize';
+  const upcomingGroup = (task) => formatStartGroup(getStartDate(task));
+
+  const showHierarchy = currentView === 'alltasks' || currentView === 'inbox' || currentView === 'organize' ||
+    activeSavedView?.display === 'hierarchy';
+
+  // Siblings can only be reordered where they're shown in manual order
+  const canReorder = showHierarchy && !isAlphabetical &&
+    (!activeSavedView || activeSavedView.sortBy === 'manual');
+
+  const toggleAlphabetical = (checked) => {
+    const next = checked
+      ? [...alphabeticalViews, currentView]
+      : alphabeticalViews.filter(view => view !== currentView);
+    setAlphabeticalViews(next);
+    localStorage.setItem('gtd-alphabetical-views', JSON.stringify(next));
+  };
+
+  // A task can't be dropped onto itself or anything inside it
+  const draggingSubtreeIds = useMemo(() => {
+    const dragged = draggingTaskId && flattenTasks(tasks).find(t => t.id === draggingTaskId);
+    return new Set(dragged ? flattenTasks([dragged]).map(t => t.id) : []);
+  }, [draggingTaskId, tasks]);
+
+  const handleDropTask = async (target, position) => {
+    const task = flattenTasks(tasks).find(t => t.id === draggingTaskId);
+    setDraggingTaskId(null);
+    if (!task) return;
+    try {
+      await placeTask(task, target, position, tasks,
+        position === 'inside' ? `Move "${task.title}" into "${target.title}"` : `Reorder "${task.title}"`);
+    } catch (error) {
+      console.error('Error moving task:', error);
+      alert('Failed to move task');
+    }
+  };
+
+  // Multi-selection only spans what the current view shows
+  useEffect(() => {
+    setSelectedIds(new Set());
+  }, [currentView]);
+
+  const toggleSelected = (taskId) => {
+    selectionAnchorRef.current = taskId;
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(taskId)) next.delete(taskId);
+      else next.add(taskId);
+      return next;
+    });
+  };
+
+  // Ctrl/Cmd-click toggles a task; Shift-click selects the visible range
+  // from the last toggled task
+  const handleSelectTask = (task, event) => {
+    const anchorIndex = flatFilteredTasks.findIndex(t => t.id === selectionAnchorRef.current);
+    const index = flatFilteredTasks.findIndex(t => t.id === task.id);
+    if (event.shiftKey && anchorIndex !== -1 && index !== -1) {
+      const range = flatFilteredTasks.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+      setSelectedIds(prev => new Set([...prev, ...range.map(t => t.id)]));
+    } else {
+      toggleSelected(task.id);
+    }
+  };
+
+  // At most one timer runs at a time
+  const runningTask = useMemo(() => flattenTasks(tasks).find(isTimerRunning) || null, [tasks]);
+
+  const handleStopTimer = async () => {
+    try {
+      await stopTimer(runningTask);
+    } catch (error) {
+      console.error('Error stopping timer:', error);
+      alert('Failed to stop timer');
+    }
+  };
+
+  // Focus mode runs its own clock, so a running task timer is stopped first
+  const handleOpenFocusMode = async () => {
+    if (runningTask) await handleStopTimer();
+    const actionable = collectActionable(tasks).filter(t => !blockedIds.has(t.id) && isAvailable(t));
+    setFocusQueue(buildFocusQueue(actionable, getTodoTasks(), loadFocusSettings().queueSize));
+    if (window.innerWidth <= 1024) {
+      setIsSidebarOpen(false);
+    }
+  };
+
+  // Bulk actions only ever reach tasks the user can see
+  const selectedTasks = selectedIds.size > 0
+    ? flatFilteredTasks.filter(t => selectedIds.has(t.id))
+    : [];
+
+  // Drop selections that a search or filter has hidden, so they don't
+  // come back into the selection when the filter is cleared
+  const visibleSelection = selectedTasks.map(t => t.id).join(',');
+  useEffect(() => {
+    const visible = visibleSelection ? visibleSelection.split(',') : [];
+    if (visible.length < selectedIds.size) setSelectedIds(new Set(visible));
+  }, [visibleSelection, selectedIds]);
+
+  const handleBulkAction = async (action, value) => {
+    const count = selectedTasks.length;
+    const label = (verb) => `${verb} ${count} ${count === 1 ? 'task' : 'tasks'}`;
+    try {
+      switch (action) {
+        case 'complete':
+          await bulkSetCompletion(selectedTasks, true, label('Complete'));
+          break;
+        case 'delete':
+          if (!window.confirm(`Delete ${count} ${count === 1 ? 'task' : 'tasks'}? Their subtasks will be deleted too.`)) return;
+          await bulkDeleteTasks(selectedTasks, tasks, label('Delete'));
+          setSelectedIds(new Set());
+          break;
+        case 'move':
+          await bulkMoveTasks(selectedTasks, value, tasks, label('Move'));
+          break;
+        case 'context':
+          await bulkUpdateTasks(selectedTasks, { context: value }, label('Set context of'));
+          break;
+        case 'addTag':
+          await bulkUpdateTasks(
+            selectedTasks.filter(t => !(t.tags || []).includes(value)),
+            (task) => ({ tags: [...(task.tags || []), value] }),
+            `Tag ${count} ${count === 1 ? 'task' : 'tasks'} +${value}`
+          );
+          break;
+        case 'importance':
+        case 'urgency':
+        case 'energyLevel':
+          await bulkUpdateTasks(selectedTasks, { [action]: value }, label(`Set ${action === 'energyLevel' ? 'energy' : action} of`));
+          break;
+        case 'dueDate':
+        case 'startDate':
+          await bulkUpdateTasks(selectedTasks, { [action]: new Date(value) }, label(`Set ${action === 'dueDate' ? 'due' : 'start'} date of`));
+          break;
+        case 'todayFocus': {
+          // Focus all unless every one is already focused
+          const focus = !selectedTasks.every(t => t.todayFocus);
+          await bulkUpdateTasks(selectedTasks, { todayFocus: focus }, label(focus ? 'Focus' : 'Unfocus'));
+          break;
+        }
+        default:
+          console.log('Unknown bulk action:', action);
+      }
+    } catch (error) {
+      console.error('Error applying bulk action:', error);
+      alert('Failed to update the selected tasks');
+    }
+  };
+
+  const dnd = showHierarchy ? {
+    draggingId: draggingTaskId,
+    canReorder,
+    canDropOn: (target) => !draggingSubtreeIds.has(target.id),
+    onDragStart: setDraggingTaskId,
+    onDragEnd: () => setDraggingTaskId(null),
+    onDrop: handleDropTask
+  } : null;
+
 
   // Handle marking task as reviewed
   const handleMarkReviewed = async (task) => {
     try {
-      const taskRef = doc(db, 'tasks', task.id);
-      await updateDoc(taskRef, {
+      await updateTask(task, {
         lastReviewDate: serverTimestamp(),
-        nextReviewDate: addDays(new Date(), task.reviewInterval || 14),
-        modifiedDate: serverTimestamp()
-      });
-      onUpdate?.();
+        nextReviewDate: addDays(new Date(), task.reviewInterval || 14)
+      }, `Review "${task.title}"`);
     } catch (error) {
       console.error('Error marking reviewed:', error);
       alert('Failed to mark as reviewed');
     }
   };
 
-  // Handle task updates from voice
+  // Errors VoiceInterface reads out as they are, instead of its generic apology
+  const spokenError = (message) => Object.assign(new Error(message), { spoken: true });
+
+  // The task a voice action names; never a stand-in, so undo history
+  // only ever snapshots real tasks
+  const findVoiceTask = (taskId) => {
+    const task = flattenTasks(tasks).find(t => t.id === taskId);
+    if (!task) throw spokenError('I couldn\'t find that task.');
+    return task;
+  };
+
+  // Handle task updates from voice; errors go back to VoiceInterface to be spoken
   const handleTaskUpdate = async (update) => {
     console.log('Received task update:', update);
 
     try {
       switch (update.type) {
         case 'add':
-          let parentId = update.data.parentId;
+          // Titles may carry quick-add syntax ("due:fri ~15m"); fields the
+          // assistant set explicitly win over what the parser found
+          const parsed = parseQuickAdd(update.data.title, { contexts: allContexts, projects });
+          const parsedFields = parsedTaskFields(parsed);
+          if (parsedFields.tags) {
+            parsedFields.tags = await ensureTags(user.uid, parsedFields.tags, allTags);
+          }
+          const requestedParentId = update.data.parentId === '<Inbox>' ? null : update.data.parentId;
+          let parentId = requestedParentId || parsedFields.parentId;
 
           if (!parentId) {
             parentId = await getOrCreateInboxId(user.uid);
@@ -800,7 +1321,9 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
           }
 
           const newTaskData = {
+            ...parsedFields,
             ...update.data,
+            title: parsed.title || update.data.title,
             parentId: parentId,
             userId: user.uid,
             createdDate: serverTimestamp(),
@@ -810,41 +1333,80 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
             reviewEnabled: true,
             reviewInterval: 14,
           };
-          await addDoc(collection(db, 'tasks'), newTaskData);
+          await createTask(newTaskData);
           break;
         case 'update':
           {
             const { taskId, ...updates } = update.data;
-            const taskRef = doc(db, 'tasks', taskId);
-            await updateDoc(taskRef, {
-              ...updates,
-              modifiedDate: serverTimestamp(),
-            });
+            await updateTask(findVoiceTask(taskId), updates);
           }
           break;
         case 'complete':
+          await toggleTaskCompletion(findVoiceTask(update.data.taskId), true);
+          break;
+        case 'delete':
+          await deleteTask(findVoiceTask(update.data.taskId), tasks);
+          break;
+        case 'show_view':
           {
-            const { taskId } = update.data;
-            const taskRef = doc(db, 'tasks', taskId);
-            await updateDoc(taskRef, {
-              status: 'done',
-              completedDate: new Date(),
-              modifiedDate: serverTimestamp(),
-            });
+            const view = findSavedView(savedViews, update.data.name);
+            if (!view) throw spokenError(`I couldn't find a saved view called ${update.data.name}.`);
+            handleViewChange(savedViewKey(view));
           }
           break;
-        case 'delete':
+        case 'start_timer':
+        case 'stop_timer':
           {
-            const { taskId } = update.data;
-            await deleteDoc(doc(db, 'tasks', taskId));
+            // The assistant names tasks by title; ids are used when it has them
+            const { taskId, title } = update.data || {};
+            const openTasks = flattenTasks(tasks).filter(t => t.status !== 'done');
+            const task = openTasks.find(t => t.id === taskId) ||
+              (title ? fuzzyFilter(openTasks, title, t => t.title, 1)[0] : null) ||
+              (update.type === 'stop_timer' ? runningTask : null);
+            if (!task) throw spokenError('I couldn\'t find that task.');
+            if (update.type === 'start_timer' ? !isTimerRunning(task) : isTimerRunning(task)) {
+              await toggleTimer(task, tasks);
+            }
+          }
+          break;
+        case 'research':
+          {
+            const { topic, taskId } = update.data;
+            let researchTaskId = taskId && flattenTasks(tasks).some(t => t.id === taskId) ? taskId : null;
+
+            // Give unlinked research a home in the Inbox so the notes can be found later
+            if (!researchTaskId) {
+              researchTaskId = await createTask({
+                title: `Research: ${topic}`,
+                userId: user.uid,
+                parentId: await getOrCreateInboxId(user.uid),
+                level: 1,
+                status: 'next_action',
+                importance: 3,
+                urgency: 3,
+                source: 'voice',
+                createdDate: serverTimestamp(),
+                modifiedDate: serverTimestamp(),
+                computedPriority: 0,
+                childCount: 0,
+                lastReviewDate: serverTimestamp(),
+                nextReviewDate: addDays(new Date(), 14),
+                reviewEnabled: true,
+                reviewInterval: 14
+              });
+            }
+
+            // Runs in the background; the research subscription reports completion
+            startResearch({ topic, taskId: researchTaskId })
+              .catch(error => console.error('Error running research:', error));
           }
           break;
         default:
           console.warn('Unknown task update type:', update.type);
       }
-      onUpdate(true);
     } catch (error) {
       console.error('Error processing task update:', error);
+      throw error;
     }
   };
 
@@ -880,45 +1442,72 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
 
       case 'toggleComplete':
         if (task) {
-          const taskRef = doc(db, 'tasks', task.id);
-          const newStatus = task.status === 'done' ? 'next_action' : 'done';
-          await updateDoc(taskRef, {
-            status: newStatus,
-            completedDate: newStatus === 'done' ? new Date() : null,
-            modifiedDate: serverTimestamp()
-          });
-          onUpdate(true);
+          await toggleTaskCompletion(task);
         }
         break;
 
       case 'delete':
         if (task) {
-          if (window.confirm(`Delete "${task.title}"?`)) {
-            await deleteDoc(doc(db, 'tasks', task.id));
-            onUpdate(true);
+          const hasSubtasks = task.children && task.children.length > 0;
+          if (window.confirm(`Delete "${task.title}"?${hasSubtasks ? ' This will also delete all subtasks.' : ''}`)) {
+            try {
+              await deleteTask(task, tasks);
+            } catch (error) {
+              console.error('Error deleting task:', error);
+              alert('Failed to delete task');
+            }
+          }
+        }
+        break;
+
+      case 'toggleTimer':
+        if (task) {
+          try {
+            await toggleTimer(task, tasks);
+          } catch (error) {
+            console.error('Error toggling timer:', error);
+            alert('Failed to update timer');
+          }
+        }
+        break;
+
+      case 'toggleSelect':
+        if (task) toggleSelected(task.id);
+        break;
+
+      case 'clearSelection':
+        setSelectedIds(new Set());
+        break;
+
+      case 'moveUp':
+      case 'moveDown':
+        if (task && canReorder) {
+          const siblings = findSiblings(filteredTasks, task.id) || [];
+          const index = siblings.findIndex(t => t.id === task.id);
+          const neighbour = siblings[action === 'moveUp' ? index - 1 : index + 1];
+          if (!neighbour) break;
+          try {
+            await placeTask(task, neighbour, action === 'moveUp' ? 'before' : 'after', tasks, `Reorder "${task.title}"`);
+            // Keep the moved task selected
+            setSelectedTaskIndex(prev => (action === 'moveUp'
+              ? flatFilteredTasks.findIndex(t => t.id === neighbour.id)
+              : prev + flattenTasks([neighbour]).length));
+          } catch (error) {
+            console.error('Error reordering task:', error);
+            alert('Failed to reorder task');
           }
         }
         break;
 
       case 'setImportance':
         if (task && value) {
-          const taskRef = doc(db, 'tasks', task.id);
-          await updateDoc(taskRef, {
-            importance: value,
-            modifiedDate: serverTimestamp()
-          });
-          onUpdate(true);
+          await updateTask(task, { importance: value }, `Set importance of "${task.title}"`);
         }
         break;
 
       case 'setUrgency':
         if (task && value) {
-          const taskRef = doc(db, 'tasks', task.id);
-          await updateDoc(taskRef, {
-            urgency: value,
-            modifiedDate: serverTimestamp()
-          });
-          onUpdate(true);
+          await updateTask(task, { urgency: value }, `Set urgency of "${task.title}"`);
         }
         break;
 
@@ -950,7 +1539,7 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
       default:
         console.log('Unknown action:', action);
     }
-  }, [onUpdate]);
+  }, [tasks, canReorder, filteredTasks, flatFilteredTasks]);
 
   // Initialize keyboard shortcuts
   useKeyboardShortcuts({
@@ -958,13 +1547,22 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
     setCurrentView,
     selectedTaskIndex,
     setSelectedTaskIndex,
-    flatTasks: flatFilteredTasks,
+    // Full-page views don't show the task list, so j/k/Enter/d have
+    // nothing to act on; navigation keys still work
+    flatTasks: isFullPageView ? [] : flatFilteredTasks,
     onTaskAction: handleTaskAction,
     onToggleVoice: () => setShowVoiceInterface(!showVoiceInterface),
-    onRefresh: onUpdate,
+    onRefresh,
+    onUndo: handleUndo,
+    onRedo: handleRedo,
+    onProcessInbox: () => inboxId && setShowInboxProcessor(true),
+    onOpenSavedView: (number) => savedViews[number - 1] && handleViewChange(savedViewKey(savedViews[number - 1])),
+    sequenceKey,
+    setSequenceKey,
     searchInputRef,
     setFilter,
-    setShowShortcutsHelp
+    setShowShortcutsHelp,
+    enabled: !showInboxProcessor && !focusQueue
   });
 
   // Show sequence indicator
@@ -978,11 +1576,10 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
   const handleSaveFromEditor = async (updates) => {
     if (!editingTask) return;
     try {
-      const taskRef = doc(db, 'tasks', editingTask.id);
-      await updateDoc(taskRef, updates);
+      // Reparenting goes through moveTaskTree so level/path/childCount stay consistent
+      await saveTaskEdits(editingTask, updates);
       setEditingTask(null);
       setStartParentSearchOpen(false);
-      onUpdate?.(true);
     } catch (error) {
       console.error('Error updating task from editor:', error);
       alert('Failed to save changes');
@@ -998,6 +1595,52 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
     }
   };
 
+  // Start a new saved view from whatever is filtered right now
+  const handleSaveCurrentView = () => {
+    setEditingView({
+      query: {
+        ...EMPTY_QUERY,
+        ...activeSavedView?.query,
+        search: searchTerm,
+        contexts: selectedContext ? [selectedContext] : [],
+        tags: selectedTag ? [selectedTag] : [],
+        statuses: filter === 'completed'
+          ? ['done']
+          : Object.keys(TASK_STATUSES).filter(status => filter === 'all' || status !== 'done')
+      },
+      display: isFlatView ? 'flat' : 'hierarchy'
+    });
+  };
+
+  const handleSaveView = async (viewData) => {
+    try {
+      if (editingView.id) {
+        await updateSavedView(editingView.id, viewData);
+      } else {
+        const viewId = await createSavedView(user.uid, viewData, savedViews.length);
+        handleViewChange(`saved:${viewId}`);
+      }
+      setEditingView(null);
+    } catch (error) {
+      console.error('Error saving view:', error);
+      alert('Failed to save view');
+    }
+  };
+
+  const handleDeleteView = async () => {
+    if (!window.confirm(`Delete the view "${editingView.name}"?`)) return;
+    try {
+      await deleteSavedView(editingView.id);
+      if (currentView === savedViewKey(editingView)) {
+        handleViewChange('todo');
+      }
+      setEditingView(null);
+    } catch (error) {
+      console.error('Error deleting view:', error);
+      alert('Failed to delete view');
+    }
+  };
+
   if (currentView === 'quick_add_standalone') {
     return (
       <div className="app-container" style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100vh', backgroundColor: '#f3f4f6' }}>
@@ -1007,11 +1650,12 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
             userId={user.uid}
             parentId={inboxId}
             onAdd={() => {
-              onUpdate(true);
               // Optional: Show success message or close if possible (web apps can't close themselves usually)
               alert('Task added to Inbox!');
             }}
             allContexts={allContexts}
+            allTags={allTags}
+            projects={projects}
             autoFocus={true}
           />
           <div style={{ marginTop: '20px', textAlign: 'center' }}>
@@ -1035,6 +1679,90 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
         onClose={() => setShowShortcutsHelp(false)}
       />
 
+      {/* Research completion notice */}
+      {researchNotice && (
+        <div className={`research-notice ${researchNotice.status}`}>
+          <span><strong>{researchNotice.title}:</strong> {researchNotice.topic}</span>
+          {researchNotice.taskId && flattenTasks(tasks).some(t => t.id === researchNotice.taskId) && (
+            <button
+              onClick={() => {
+                setEditingTask(flattenTasks(tasks).find(t => t.id === researchNotice.taskId));
+                setStartParentSearchOpen(false);
+                setResearchNotice(null);
+              }}
+            >
+              Open
+            </button>
+          )}
+          <button onClick={() => setResearchNotice(null)} title="Dismiss">×</button>
+        </div>
+      )}
+
+      {/* Inbox Processor */}
+      {showInboxProcessor && (
+        <InboxProcessor
+          tasks={tasks}
+          inboxId={inboxId}
+          allContexts={allContexts}
+          onClose={() => setShowInboxProcessor(false)}
+        />
+      )}
+
+      {/* Saved View Editor */}
+      {editingView && (
+        <SavedViewEditor
+          view={editingView}
+          allContexts={allContexts}
+          allTags={allTags}
+          projects={projects}
+          onSave={handleSaveView}
+          onDelete={handleDeleteView}
+          onClose={() => setEditingView(null)}
+        />
+      )}
+
+      {/* Context Manager */}
+      {showContextManager && (
+        <ContextManager
+          userId={user.uid}
+          contexts={contextDefs}
+          hasDefinitions={contextDocs.length > 0}
+          onClose={() => setShowContextManager(false)}
+        />
+      )}
+
+      {/* Tag Manager */}
+      {showTagManager && (
+        <TagManager userId={user.uid} tags={allTags} onClose={() => setShowTagManager(false)} />
+      )}
+
+      {/* Pomodoro session over todayFocus and top To Do tasks */}
+      {focusQueue && (
+        <FocusMode tasks={tasks} queue={focusQueue} onClose={() => setFocusQueue(null)} />
+      )}
+
+      {/* Morning planning of the Today list */}
+      {showDailyPlanner && (
+        <DailyPlanner
+          candidates={getTodoTasks()}
+          todayTasks={getTodayTasks()}
+          onClose={() => setShowDailyPlanner(false)}
+          onPlanned={() => {
+            setShowDailyPlanner(false);
+            handleViewChange('today');
+          }}
+        />
+      )}
+
+      {showCalendarFeeds && (
+        <CalendarFeedManager userId={user.uid} allContexts={allContexts} onClose={() => setShowCalendarFeeds(false)} />
+      )}
+
+      {/* Estimate vs. actual time */}
+      {showTimeReport && (
+        <TimeReport tasks={tasks} onClose={() => setShowTimeReport(false)} />
+      )}
+
       {/* Task Detail Editor */}
       {editingTask && (
         <TaskDetailEditor
@@ -1045,6 +1773,7 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
           }}
           onSave={handleSaveFromEditor}
           allContexts={allContexts}
+          allTags={allTags}
           allTasks={tasks}
           startWithParentSearchOpen={startParentSearchOpen}
         />
@@ -1076,6 +1805,13 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
               <ListTodo size={18} />
               <span>To Do</span>
             </button>
+            <button
+              className={`nav-item ${currentView === 'today' ? 'active' : ''}`}
+              onClick={() => handleViewChange('today')}
+            >
+              <Sun size={18} />
+              <span>Today</span>
+            </button>
             <button
               className={`nav-item ${currentView === 'alltasks' ? 'active' : ''}`}
               onClick={() => handleViewChange('alltasks')}
@@ -1097,6 +1833,41 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
               <Clock size={18} />
               <span>Recent</span>
             </button>
+            <button
+              className={`nav-item ${currentView === 'waiting' ? 'active' : ''}`}
+              onClick={() => handleViewChange('waiting')}
+            >
+              <Hourglass size={18} />
+              <span>Waiting For</span>
+            </button>
+            <button
+              className={`nav-item ${currentView === 'upcoming' ? 'active' : ''}`}
+              onClick={() => handleViewChange('upcoming')}
+            >
+              <CalendarClock size={18} />
+              <span>Upcoming</span>
+            </button>
+            <button
+              className={`nav-item ${currentView === 'calendar' ? 'active' : ''}`}
+              onClick={() => handleViewChange('calendar')}
+            >
+              <CalendarDays size={18} />
+              <span>Calendar</span>
+            </button>
+            <button
+              className={`nav-item ${currentView === 'someday' ? 'active' : ''}`}
+              onClick={() => handleViewChange('someday')}
+            >
+              <Lightbulb size={18} />
+              <span>Someday/Maybe</span>
+            </button>
+            <button
+              className={`nav-item ${currentView === 'reference' ? 'active' : ''}`}
+              onClick={() => handleViewChange('reference')}
+            >
+              <BookOpen size={18} />
+              <span>Reference</span>
+            </button>
             <button
               className={`nav-item ${currentView === 'review' ? 'active' : ''}`}
               onClick={() => handleViewChange('review')}
@@ -1104,6 +1875,39 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
               <ClipboardCheck size={18} />
               <span>Review</span>
             </button>
+            <button
+              className={`nav-item ${currentView === 'weeklyreview' ? 'active' : ''}`}
+              onClick={() => handleViewChange('weeklyreview')}
+            >
+              <CalendarCheck size={18} />
+              <span>Weekly Review</span>
+            </button>
+            <button className="nav-item" onClick={handleOpenFocusMode}>
+              <Target size={18} />
+              <span>Focus Mode</span>
+            </button>
+            <button className="nav-item" onClick={() => setShowTimeReport(true)}>
+              <Timer size={18} />
+              <span>Time Report</span>
+            </button>
+
+            <div className="nav-section-header">Saved Views</div>
+            {savedViews.map((view, index) => (
+              <button
+                key={view.id}
+                className={`nav-item ${currentView === savedViewKey(view) ? 'active' : ''}`}
+                onClick={() => handleViewChange(savedViewKey(view))}
+                title={index < 9 ? `g then ${index + 1}` : undefined}
+              >
+                <Bookmark size={18} />
+                <span>{view.name}</span>
+                {index < 9 && <span className="nav-item-hint">{index + 1}</span>}
+              </button>
+            ))}
+            <button className="nav-item nav-item-add" onClick={() => setEditingView({})}>
+              <Plus size={18} />
+              <span>New View</span>
+            </button>
           </nav>
         </div>
 
@@ -1135,12 +1939,72 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
             {currentView === 'inbox' && 'Inbox'}
             {currentView === 'todo' && 'To Do'}
             {currentView === 'todo' && 'To Do'}
+            {currentView === 'today' && 'Today'}
             {currentView === 'alltasks' && 'All Tasks'}
             {currentView === 'organize' && 'Organize'}
             {currentView === 'recent' && 'Recent'}
             {currentView === 'review' && 'Review'}
+            {currentView === 'weeklyreview' && 'Weekly Review'}
+            {currentView === 'waiting' && 'Waiting For'}
+            {currentView === 'upcoming' && 'Upcoming'}
+            {currentView === 'calendar' && 'Calendar'}
+            {currentView === 'someday' && 'Someday/Maybe'}
+            {currentView === 'reference' && 'Reference'}
+            {activeSavedView && activeSavedView.name}
           </h1>
           <div className="header-actions">
+            {runningTask && (
+              <RunningTimer
+                task={runningTask}
+                onOpen={() => setEditingTask(runningTask)}
+                onStop={handleStopTimer}
+              />
+            )}
+            <button
+              onClick={handleUndo}
+              className="history-button"
+              disabled={!history.canUndo}
+              title={history.canUndo ? `Undo: ${history.undoLabel} (u)` : 'Nothing to undo'}
+            >
+              <Undo2 size={18} />
+            </button>
+            <button
+              onClick={handleRedo}
+              className="history-button"
+              disabled={!history.canRedo}
+              title={history.canRedo ? `Redo: ${history.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            >
+              <Redo2 size={18} />
+            </button>
+            {activeSavedView && (
+              <button
+                onClick={() => setEditingView(activeSavedView)}
+                className="history-button"
+                title="Edit view"
+              >
+                <SlidersHorizontal size={18} />
+              </button>
+            )}
+            {currentView === 'inbox' && inboxId && (
+              <button
+                onClick={() => setShowInboxProcessor(true)}
+                className="process-inbox-button"
+                title="Process Inbox one item at a time (p)"
+              >
+                <ListChecks size={18} />
+                <span>Process</span>
+              </button>
+            )}
+            {currentView === 'today' && (
+              <button
+                onClick={() => setShowDailyPlanner(true)}
+                className="process-inbox-button"
+                title="Plan today's list from your hours and energy"
+              >
+                <Sun size={18} />
+                <span>Plan Day</span>
+              </button>
+            )}
             <button
               onClick={() => setShowShortcutsHelp(true)}
               className="keyboard-help-button"
@@ -1155,9 +2019,14 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
             >
               <Mic size={20} />
             </button>
-            <div className="header-stats">
-              <span>{filteredTasks.length} {filteredTasks.length === 1 ? 'task' : 'tasks'}</span>
-            </div>
+            {!isFullPageView && (
+              <div className="header-stats">
+                <span>{filteredTasks.length} {filteredTasks.length === 1 ? 'task' : 'tasks'}</span>
+                {currentView === 'today' && (
+                  <span> · {formatMinutes(filteredTasks.filter(t => t.status !== 'done').reduce((sum, t) => sum + plannedMinutes(t), 0))} planned</span>
+                )}
+              </div>
+            )}
             {currentView === 'alltasks' && (
               <label className="show-completed-toggle" style={{ marginLeft: '16px', display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', fontSize: '14px', userSelect: 'none' }}>
                 <input
@@ -1169,106 +2038,215 @@ const InteractiveGTDApp = ({ user, tasks, onUpdate, onSignOut, deferredPrompt, o
                 Show Completed
               </label>
             )}
+            {['alltasks', 'inbox', 'organize'].includes(currentView) && (
+              <label className="show-completed-toggle" title="Sort each level by title instead of your manual order" style={{ marginLeft: '16px', display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', fontSize: '14px', userSelect: 'none' }}>
+                <input
+                  type="checkbox"
+                  checked={isAlphabetical}
+                  onChange={(e) => toggleAlphabetical(e.target.checked)}
+                  style={{ cursor: 'pointer' }}
+                />
+                Sort A–Z
+              </label>
+            )}
+            {['inbox', 'todo', 'review'].includes(currentView) && (
+              <label className="show-completed-toggle" style={{ marginLeft: '16px', display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', fontSize: '14px', userSelect: 'none' }}>
+                <input
+                  type="checkbox"
+                  checked={showDeferred}
+                  onChange={(e) => setShowDeferred(e.target.checked)}
+                  style={{ cursor: 'pointer' }}
+                />
+                Show Deferred
+              </label>
+            )}
+            {currentView === 'todo' && (
+              <label className="show-completed-toggle" title="Hide tasks whose context is closed or out of range right now" style={{ marginLeft: '16px', display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', fontSize: '14px', userSelect: 'none' }}>
+                <input
+                  type="checkbox"
+                  checked={availableNow}
+                  onChange={(e) => setAvailableNow(e.target.checked)}
+                  style={{ cursor: 'pointer' }}
+                />
+                Available Now
+              </label>
+            )}
           </div>
         </div>
 
         {/* Filters & Search */}
-        <div className="gtd-filters">
-          <input
-            ref={searchInputRef}
-            type="text"
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            placeholder="Search tasks... (press /)"
-            className="search-input"
-          />
+        {!isFullPageView && (
+          <div className="gtd-filters">
+            <input
+              ref={searchInputRef}
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search tasks, e.g. context:@calls due:<7d (press /)"
+              title={SEARCH_HELP}
+              className="search-input"
+            />
 
-          {currentView !== 'alltasks' && (
-            <div className="filter-buttons">
-              <button
-                onClick={() => setFilter('all')}
-                className={filter === 'all' ? 'active' : ''}
-                title="f then a"
-              >
-                All
-              </button>
-              <button
-                onClick={() => setFilter('active')}
-                className={filter === 'active' ? 'active' : ''}
-                title="f then o"
-              >
-                Active
-              </button>
-              <button
-                onClick={() => setFilter('completed')}
-                className={filter === 'completed' ? 'active' : ''}
-                title="f then c"
+            {currentView !== 'alltasks' && !activeSavedView && (
+              <div className="filter-buttons">
+                <button
+                  onClick={() => setFilter('all')}
+                  className={filter === 'all' ? 'active' : ''}
+                  title="f then a"
+                >
+                  All
+                </button>
+                <button
+                  onClick={() => setFilter('active')}
+                  className={filter === 'active' ? 'active' : ''}
+                  title="f then o"
+                >
+                  Active
+                </button>
+                <button
+                  onClick={() => setFilter('completed')}
+                  className={filter === 'completed' ? 'active' : ''}
+                  title="f then c"
+                >
+                  Completed
+                </button>
+              </div>
+            )}
+
+            {allContexts.length > 0 && (
+              <select
+                value={selectedContext || ''}
+                onChange={(e) => setSelectedContext(e.target.value || null)}
+                className="context-select"
               >
-                Completed
-              </button>
-            </div>
-          )}
+                <option value="">All Contexts</option>
+                {contextDefs.map(ctx => (
+                  <option key={ctx.name} value={ctx.name}>{ctx.icon} {ctx.name}</option>
+                ))}
+              </select>
+            )}
+            <button onClick={() => setShowContextManager(true)} className="history-button" title="Manage contexts">
+              <MapPin size={18} />
+            </button>
 
-          {allContexts.length > 0 && (
-            <select
-              value={selectedContext || ''}
-              onChange={(e) => setSelectedContext(e.target.value || null)}
-              className="context-select"
-            >
-              <option value="">All Contexts</option>
-              {allContexts.map(ctx => (
-                <option key={ctx} value={ctx}>{ctx}</option>
-              ))}
-            </select>
-          )}
-        </div>
+            {allTags.length > 0 && (
+              <select
+                value={selectedTag || ''}
+                onChange={(e) => setSelectedTag(e.target.value || null)}
+                className="context-select"
+              >
+                <option value="">All Tags</option>
+                {allTags.map(tag => (
+                  <option key={tag.name} value={tag.name}>{tag.name}</option>
+                ))}
+              </select>
+            )}
+            <button onClick={() => setShowTagManager(true)} className="history-button" title="Manage tags">
+              <Tags size={18} />
+            </button>
+            <button onClick={handleSaveCurrentView} className="history-button" title="Save these filters as a view">
+              <BookmarkPlus size={18} />
+            </button>
+          </div>
+        )}
 
         {/* Quick Add */}
         {(currentView === 'inbox' || currentView === 'alltasks') && (
           <QuickAddTask
             userId={user.uid}
             parentId={currentView === 'inbox' ? inboxId : null}
-            onAdd={onUpdate}
             allContexts={allContexts}
+            allTags={allTags}
+            projects={projects}
             autoFocus={quickAddAutoFocus}
           />
         )}
 
+        {/* Weekly Review */}
+        {currentView === 'weeklyreview' && (
+          <WeeklyReview
+            user={user}
+            tasks={tasks}
+            onEdit={setEditingTask}
+            onExit={() => handleViewChange('review')}
+          />
+        )}
+
+        {/* Calendar */}
+        {currentView === 'calendar' && (
+          <CalendarView tasks={tasks} onEdit={setEditingTask} onSubscribe={() => setShowCalendarFeeds(true)} />
+        )}
+
+        {selectedTasks.length > 0 && !isFullPageView && (
+          <BulkActionBar
+            count={selectedTasks.length}
+            allContexts={allContexts}
+            allTags={allTags}
+            projects={projects}
+            inboxId={inboxId}
+            onAction={handleBulkAction}
+            onClear={() => setSelectedIds(new Set())}
+          />
+        )}
+
         {/* Task List */}
-        <div className="task-list">
-          {filteredTasks.length === 0 ? (
-            <p className="empty-state">
-              {currentView === 'inbox' && 'Inbox is empty. Press c to add a task!'}
-              {currentView === 'todo' && 'No tasks to do. Great job!'}
-              {currentView === 'alltasks' && 'No tasks found. Press c to add one!'}
-            </p>
-          ) : (
-            filteredTasks.map((task, index) => (
-              <InteractiveTaskItem
-                key={task.id}
-                task={task}
-                userId={user.uid}
-                onUpdate={onUpdate}
-                onEdit={() => {
-                  setEditingTask(task);
-                  setStartParentSearchOpen(false);
-                }}
-                allContexts={allContexts}
-                allTasks={tasks}
-                showHierarchy={showHierarchy}
-                selectedTaskId={selectedTaskIndex !== -1 && flatFilteredTasks[selectedTaskIndex] ? flatFilteredTasks[selectedTaskIndex].id : null}
-                taskIndex={index}
-                onReview={handleMarkReviewed}
-                isReviewView={currentView === 'review'}
-              />
-            ))
-          )}
-        </div>
+        {!isFullPageView && (
+          <div className="task-list">
+            {filteredTasks.length === 0 ? (
+              <p className="empty-state">
+                {currentView === 'inbox' && 'Inbox is empty. Press c to add a task!'}
+                {currentView === 'todo' && 'No tasks to do. Great job!'}
+                {currentView === 'today' && 'Nothing planned for today. Plan your day to build a list that fits your time.'}
+                {currentView === 'alltasks' && 'No tasks found. Press c to add one!'}
+                {currentView === 'waiting' && 'Nothing delegated or pending.'}
+                {currentView === 'upcoming' && 'No deferred tasks. Set a start date to schedule one.'}
+                {currentView === 'someday' && 'No someday/maybe ideas yet.'}
+                {currentView === 'reference' && 'No reference material saved.'}
+                {activeSavedView && 'No tasks match this view.'}
+              </p>
+            ) : (
+              filteredTasks.map((task, index) => (
+                <React.Fragment key={task.id}>
+                  {currentView === 'upcoming' && (index === 0 || upcomingGroup(filteredTasks[index - 1]) !== upcomingGroup(task)) && (
+                    <h3 className="task-group-header">{upcomingGroup(task)}</h3>
+                  )}
+                  {savedViewGrouping && savedViewGrouping.groupOf(task) !== null &&
+                    (index === 0 || savedViewGrouping.groupOf(filteredTasks[index - 1]) !== savedViewGrouping.groupOf(task)) && (
+                    <h3 className="task-group-header">{savedViewGrouping.groupOf(task)}</h3>
+                  )}
+                  <InteractiveTaskItem
+                    task={task}
+                    userId={user.uid}
+                    onEdit={() => {
+                      setEditingTask(task);
+                      setStartParentSearchOpen(false);
+                    }}
+                    allContexts={allContexts}
+                    allTasks={tasks}
+                    showHierarchy={showHierarchy}
+                    selectedTaskId={selectedTaskIndex !== -1 && flatFilteredTasks[selectedTaskIndex] ? flatFilteredTasks[selectedTaskIndex].id : null}
+                    taskIndex={index}
+                    onReview={handleMarkReviewed}
+                    isReviewView={currentView === 'review'}
+                    showPriority={currentView === 'todo' || currentView === 'today' || activeSavedView?.sortBy === 'priority'}
+                    blockedIds={blockedIds}
+                    allTags={allTags}
+                    contextDefs={contextDefs}
+                    searchResults={searchResults}
+                    dnd={dnd}
+                    selectedIds={selectedIds}
+                    onSelect={handleSelectTask}
+                  />
+                </React.Fragment>
+              ))
+            )}
+          </div>
+        )}
       </div>
 
       {/* Voice Interface */}
       {showVoiceInterface && (
-        <VoiceInterface user={user} tasks={tasks} onTaskUpdate={handleTaskUpdate} />
+        <VoiceInterface user={user} tasks={tasks} savedViews={savedViews} onTaskUpdate={handleTaskUpdate} />
       )}
 
       <style jsx>{`
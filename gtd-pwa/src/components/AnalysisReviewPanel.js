@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from 'react';
+import { serverTimestamp } from 'firebase/firestore';
+import { addDays } from 'date-fns';
+import { Sparkles, Loader2, X } from 'lucide-react';
+import { analyzeTask } from '../utils/aiAnalysis';
+import { createSubtasks } from '../utils/taskMutations';
+import { describeEstimateAccuracy, getEstimateAccuracy } from '../utils/timeTracking';
+import './AnalysisReviewPanel.css';
+
+// Review and edit an AI breakdown before turning it into real subtasks
+const AnalysisReviewPanel = ({ task, description, allContexts, allTasks = [], onApplied, onClose }) => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [subtasks, setSubtasks] = useState([]);
+  const [strategy, setStrategy] = useState('');
+  const [saveStrategy, setSaveStrategy] = useState(true);
+  const [applying, setApplying] = useState(false);
+
+  // Analyze once per opening: snapshot the inputs so later description
+  // edits and task snapshots don't re-run it
+  const [request] = useState(() => ({
+    task: { ...task, description },
+    allContexts,
+    accuracy: describeEstimateAccuracy(getEstimateAccuracy(allTasks))
+  }));
+
+  useEffect(() => {
+    let cancelled = false;
+
+    analyzeTask(request.task, request.allContexts, request.accuracy)
+      .then(analysis => {
+        if (cancelled) return;
+        setSubtasks(analysis.subtasks);
+        setStrategy(analysis.strategy);
+      })
+      .catch(err => {
+        console.error('Error analyzing task:', err);
+        if (!cancelled) setError('Could not analyze this task. Please try again.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [request]);
+
+  const updateSubtask = (key, changes) => {
+    setSubtasks(subtasks.map(s => (s.key === key ? { ...s, ...changes } : s)));
+  };
+
+  const handleAccept = async () => {
+    const selected = subtasks.filter(s => s.include && s.title.trim());
+    if (selected.length === 0) {
+      alert('Select at least one subtask');
+      return;
+    }
+
+    // dependsOn refers to positions in the full list; re-point it at the selection
+    const positions = new Map(selected.map((s, index) => [s.key, index]));
+    const children = selected.map(s => ({
+      title: s.title.trim(),
+      description: s.description.trim(),
+      userId: task.userId,
+      level: (task.level || 0) + 1,
+      path: `${task.path || task.title} > ${s.title.trim()}`,
+      status: 'next_action',
+      importance: s.importance,
+      urgency: s.urgency,
+      context: s.context.trim() || null,
+      timeEstimate: s.timeEstimate ? parseInt(s.timeEstimate) : null,
+      energyLevel: s.energyLevel,
+      source: 'ai_analysis',
+      createdDate: serverTimestamp(),
+      modifiedDate: serverTimestamp(),
+      computedPriority: 0,
+      childCount: 0,
+      lastReviewDate: serverTimestamp(),
+      nextReviewDate: addDays(new Date(), 14),
+      reviewEnabled: true,
+      reviewInterval: 14,
+      dependsOn: s.dependsOn.filter(key => positions.has(key)).map(key => positions.get(key))
+    }));
+
+    const parentUpdates = { isProject: true };
+    if (saveStrategy && strategy.trim()) {
+      parentUpdates.description = [description.trim(), `**AI strategy:** ${strategy.trim()}`]
+        .filter(Boolean)
+        .join('\n\n');
+    }
+
+    setApplying(true);
+    try {
+      await createSubtasks(task, children, parentUpdates, `Apply AI breakdown to "${task.title}"`);
+      onApplied(parentUpdates);
+    } catch (err) {
+      console.error('Error creating subtasks:', err);
+      alert('Failed to create subtasks');
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="analysis-panel">
+      <div className="analysis-header">
+        <h3>
+          <Sparkles size={16} className="inline-icon" />
+          AI Breakdown
+        </h3>
+        <button type="button" onClick={onClose} className="analysis-close" title="Discard">
+          <X size={16} />
+        </button>
+      </div>
+
+      {loading && (
+        <div className="analysis-loading">
+          <Loader2 size={18} className="analysis-spinner" />
+          Analyzing task...
+        </div>
+      )}
+
+      {error && <div className="analysis-error">{error}</div>}
+
+      {!loading && !error && (
+        <>
+          <div className="analysis-subtasks">
+            {subtasks.map(s => (
+              <div key={s.key} className={`analysis-subtask ${s.include ? '' : 'excluded'}`}>
+                <div className="analysis-row">
+                  <input
+                    type="checkbox"
+                    checked={s.include}
+                    onChange={e => updateSubtask(s.key, { include: e.target.checked })}
+                  />
+                  <input
+                    type="text"
+                    value={s.title}
+                    onChange={e => updateSubtask(s.key, { title: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+                <div className="analysis-row analysis-details">
+                  <input
+                    type="text"
+                    value={s.context}
+                    onChange={e => updateSubtask(s.key, { context: e.target.value })}
+                    list="context-suggestions"
+                    placeholder="Context"
+                    className="form-input"
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    value={s.timeEstimate}
+                    onChange={e => updateSubtask(s.key, { timeEstimate: e.target.value })}
+                    placeholder="min"
+                    className="form-input analysis-time"
+                  />
+                  <select
+                    value={s.energyLevel}
+                    onChange={e => updateSubtask(s.key, { energyLevel: e.target.value })}
+                    className="form-select"
+                  >
+                    <option value="low">Low energy</option>
+                    <option value="medium">Medium energy</option>
+                    <option value="high">High energy</option>
+                  </select>
+                  <select
+                    value={s.importance}
+                    onChange={e => updateSubtask(s.key, { importance: parseInt(e.target.value) })}
+                    className="form-select"
+                    title="Importance"
+                  >
+                    {[1, 2, 3, 4, 5].map(n => <option key={n} value={n}>I{n}</option>)}
+                  </select>
+                  <select
+                    value={s.urgency}
+                    onChange={e => updateSubtask(s.key, { urgency: parseInt(e.target.value) })}
+                    className="form-select"
+                    title="Urgency"
+                  >
+                    {[1, 2, 3, 4, 5].map(n => <option key={n} value={n}>U{n}</option>)}
+                  </select>
+                </div>
+                {s.dependsOn.length > 0 && (
+                  <div className="analysis-depends">
+                    After: {s.dependsOn.map(key => subtasks.find(o => o.key === key)?.title).filter(Boolean).join(', ')}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="form-group">
+            <label>Strategy</label>
+            <textarea
+              value={strategy}
+              onChange={e => setStrategy(e.target.value)}
+              rows={3}
+              className="form-textarea"
+            />
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={saveStrategy}
+                onChange={e => setSaveStrategy(e.target.checked)}
+              />
+              Append strategy to the description
+            </label>
+          </div>
+
+          <div className="analysis-actions">
+            <button type="button" onClick={onClose} className="btn-secondary" disabled={applying}>
+              Discard
+            </button>
+            <button type="button" onClick={handleAccept} className="btn-primary" disabled={applying}>
+              {applying ? 'Creating...' : `Create ${subtasks.filter(s => s.include).length} Subtasks`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisReviewPanel;
@@ -0,0 +1,90 @@
+import React from 'react';
+import { CheckCircle, Trash2, Star, X } from 'lucide-react';
+import './BulkActionBar.css';
+
+// A select that fires once per choice and then resets to its placeholder
+const ActionSelect = ({ label, options, onChoose }) => (
+  <select
+    value=""
+    onChange={e => e.target.value !== '' && onChoose(e.target.value)}
+    className="bulk-select"
+  >
+    <option value="">{label}</option>
+    {options.map(({ value, label: optionLabel }) => (
+      <option key={value} value={value}>{optionLabel}</option>
+    ))}
+  </select>
+);
+
+const LEVELS = [1, 2, 3, 4, 5].map(n => ({ value: String(n), label: String(n) }));
+
+// Actions applied to every selected task at once
+const BulkActionBar = ({ count, allContexts, allTags, projects, inboxId, onAction, onClear }) => (
+  <div className="bulk-action-bar">
+    <span className="bulk-count">{count} selected</span>
+
+    <button onClick={() => onAction('complete')} className="bulk-button" title="Mark all complete">
+      <CheckCircle size={16} />
+      <span>Complete</span>
+    </button>
+    <button onClick={() => onAction('todayFocus')} className="bulk-button" title="Toggle Today focus">
+      <Star size={16} />
+      <span>Focus</span>
+    </button>
+
+    <ActionSelect
+      label="Move to…"
+      options={[
+        ...(inboxId ? [{ value: inboxId, label: 'Inbox' }] : []),
+        { value: 'top', label: 'Top level' },
+        ...projects.map(project => ({ value: project.id, label: project.title }))
+      ]}
+      onChoose={value => onAction('move', value === 'top' ? null : value)}
+    />
+    <ActionSelect
+      label="Context…"
+      options={[
+        ...allContexts.map(ctx => ({ value: ctx, label: ctx })),
+        { value: 'none', label: 'No context' }
+      ]}
+      onChoose={value => onAction('context', value === 'none' ? null : value)}
+    />
+    {allTags.length > 0 && (
+      <ActionSelect
+        label="Add tag…"
+        options={allTags.map(tag => ({ value: tag.name, label: `+${tag.name}` }))}
+        onChoose={value => onAction('addTag', value)}
+      />
+    )}
+    <ActionSelect label="Importance…" options={LEVELS} onChoose={value => onAction('importance', Number(value))} />
+    <ActionSelect label="Urgency…" options={LEVELS} onChoose={value => onAction('urgency', Number(value))} />
+    <ActionSelect
+      label="Energy…"
+      options={[
+        { value: 'low', label: 'Low' },
+        { value: 'medium', label: 'Medium' },
+        { value: 'high', label: 'High' }
+      ]}
+      onChoose={value => onAction('energyLevel', value)}
+    />
+
+    <label className="bulk-date">
+      Due
+      <input type="date" value="" onChange={e => e.target.value && onAction('dueDate', e.target.value)} />
+    </label>
+    <label className="bulk-date">
+      Start
+      <input type="date" value="" onChange={e => e.target.value && onAction('startDate', e.target.value)} />
+    </label>
+
+    <button onClick={() => onAction('delete')} className="bulk-button bulk-delete" title="Delete all selected">
+      <Trash2 size={16} />
+      <span>Delete</span>
+    </button>
+    <button onClick={onClear} className="bulk-clear" title="Clear selection (Esc)">
+      <X size={16} />
+    </button>
+  </div>
+);
+
+export default BulkActionBar;
@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import { Copy, RefreshCw, Trash2 } from 'lucide-react';
+import { FEED_EVENT_STYLES, calendarFeedUrl, createCalendarFeed, revokeCalendarFeed, rotateCalendarFeed, subscribeToCalendarFeeds } from '../utils/calendarFeeds';
+import './CalendarFeedManager.css';
+
+const formatTimestamp = (value) => {
+  if (!value) return 'never';
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
+// One feed: URL options, copy, rotate and revoke
+const FeedRow = ({ feed, allContexts }) => {
+  const [contexts, setContexts] = useState([]);
+  const [events, setEvents] = useState('auto');
+  const [hour, setHour] = useState(9);
+  const [copied, setCopied] = useState(false);
+
+  const url = calendarFeedUrl(feed.id, { contexts, events, hour });
+
+  const toggleContext = (name) => {
+    setContexts(contexts.includes(name) ? contexts.filter(c => c !== name) : [...contexts, name]);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying feed URL:', error);
+      alert('Failed to copy. Select the URL and copy it by hand.');
+    }
+  };
+
+  const handleRotate = async () => {
+    if (!window.confirm(`Rotate "${feed.name}"? Calendars using the current URL stop updating until you subscribe to the new one.`)) return;
+    try {
+      await rotateCalendarFeed(feed);
+    } catch (error) {
+      console.error('Error rotating calendar feed:', error);
+      alert('Failed to rotate feed');
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm(`Revoke "${feed.name}"? Calendars using it stop updating.`)) return;
+    try {
+      await revokeCalendarFeed(feed);
+    } catch (error) {
+      console.error('Error revoking calendar feed:', error);
+      alert('Failed to revoke feed');
+    }
+  };
+
+  return (
+    <li className="feed-row">
+      <div className="feed-row-header">
+        <span className="feed-name">{feed.name}</span>
+        <span className="feed-fetched">Last fetched {formatTimestamp(feed.lastFetchedAt)}</span>
+        <button className="action-btn" onClick={handleRotate} title="New secret URL; the old one stops working">
+          <RefreshCw size={14} />
+        </button>
+        <button className="action-btn delete-btn" onClick={handleRevoke} title="Revoke feed">
+          <Trash2 size={14} />
+        </button>
+      </div>
+
+      <div className="feed-options">
+        <select value={events} onChange={e => setEvents(e.target.value)} className="form-select">
+          {Object.entries(FEED_EVENT_STYLES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {events !== 'allday' && (
+          <label className="feed-hour">
+            Timed events at
+            <input
+              type="number"
+              min="0"
+              max="23"
+              value={hour}
+              onChange={e => setHour(Math.min(23, Math.max(0, parseInt(e.target.value) || 0)))}
+              className="form-input"
+            />
+            :00
+          </label>
+        )}
+      </div>
+
+      {allContexts.length > 0 && (
+        <div className="feed-contexts" title="Only include these contexts (none selected: all tasks)">
+          {allContexts.map(name => (
+            <button
+              key={name}
+              className={`feed-context ${contexts.includes(name) ? 'selected' : ''}`}
+              onClick={() => toggleContext(name)}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="feed-url">
+        <input type="text" value={url} readOnly className="form-input" onFocus={e => e.target.select()} />
+        <button onClick={handleCopy} className="btn-secondary">
+          <Copy size={14} /> {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+    </li>
+  );
+};
+
+// Private iCalendar feeds of due tasks for Google Calendar and other apps
+const CalendarFeedManager = ({ userId, allContexts, onClose }) => {
+  const [feeds, setFeeds] = useState([]);
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => subscribeToCalendarFeeds(userId, setFeeds), [userId]);
+
+  const handleCreate = async () => {
+    try {
+      await createCalendarFeed(userId, newName.trim() || 'GTD tasks');
+      setNewName('');
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+      alert('Failed to create feed');
+    }
+  };
+
+  return (
+    <div className="task-detail-overlay" onClick={onClose}>
+      <div className="modal-content calendar-feed-manager" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Calendar Feeds</h2>
+          <button onClick={onClose} className="close-button">×</button>
+        </div>
+
+        <div className="calendar-feed-body">
+          <p className="feed-help">
+            Subscribe to a feed URL in Google Calendar (Other calendars → From URL) to see open tasks on their due dates.
+            Anyone with the URL can read the feed, so rotate or revoke it if it leaks.
+          </p>
+
+          <div className="feed-create">
+            <input
+              type="text"
+              value={newName}
+              onChange={e => setNewName(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && handleCreate()}
+              placeholder="Feed name, e.g. Work calendar"
+              className="form-input"
+            />
+            <button onClick={handleCreate} className="btn-primary">Create Feed</button>
+          </div>
+
+          {feeds.length === 0 ? (
+            <p className="empty-state">No feeds yet.</p>
+          ) : (
+            <ul className="feed-list">
+              {feeds.map(feed => (
+                <FeedRow key={feed.id} feed={feed} allContexts={allContexts} />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedManager;
@@ -0,0 +1,213 @@
+import React, { useMemo, useState } from 'react';
+import { eachDayOfInterval, format, isSameDay, isSameMonth } from 'date-fns';
+import { AlertTriangle, ChevronLeft, ChevronRight, Repeat, Rss } from 'lucide-react';
+import { CALENDAR_MODES, getCalendarEntries, getCalendarRange, groupEntriesByDay, isOverdue, rescheduleTask, shiftAnchor } from '../utils/calendar';
+import { toDayKey } from '../utils/dailyPlan';
+import { storedDay } from '../utils/dates';
+import './CalendarView.css';
+
+const MODE_KEY = 'gtd-calendar-mode';
+
+// Month cells list this many entries before collapsing the rest
+const MONTH_CELL_LIMIT = 4;
+
+const KIND_LABELS = {
+  due: 'Due',
+  start: 'Starts',
+  projected: 'Repeats'
+};
+
+const flatten = (taskList) => taskList.flatMap(task => [task, ...flatten(task.children || [])]);
+
+const CalendarEntry = ({ entry, now, onEdit, onDragStart, onDragEnd }) => {
+  const { task, kind } = entry;
+  const draggable = kind !== 'projected' && task.status !== 'done';
+  const overdue = kind === 'due' && isOverdue(task, now);
+  return (
+    <button
+      className={`calendar-entry kind-${kind} ${overdue ? 'overdue' : ''} ${task.status === 'done' ? 'done' : ''}`}
+      draggable={draggable}
+      onDragStart={draggable ? (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', task.id);
+        onDragStart(entry);
+      } : undefined}
+      onDragEnd={onDragEnd}
+      onClick={() => onEdit(task)}
+      title={`${KIND_LABELS[kind]}: ${task.title}${draggable ? ' (drag to reschedule)' : ''}`}
+    >
+      {kind === 'projected' && <Repeat size={11} />}
+      {kind === 'start' && <span className="calendar-entry-kind">Start</span>}
+      <span className="calendar-entry-title">{task.title}</span>
+    </button>
+  );
+};
+
+// Month, week and agenda calendars of due and start dates. Dragging a
+// task onto another day reschedules it.
+const CalendarView = ({ tasks, onEdit, onSubscribe }) => {
+  const [mode, setMode] = useState(() => localStorage.getItem(MODE_KEY) || 'month');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [dragging, setDragging] = useState(null);
+  const [dropDay, setDropDay] = useState(null);
+  const [now] = useState(() => new Date());
+
+  const allFlat = useMemo(() => flatten(tasks), [tasks]);
+  const range = useMemo(() => getCalendarRange(mode, anchor), [mode, anchor]);
+  const entriesByDay = useMemo(
+    () => groupEntriesByDay(getCalendarEntries(allFlat, range)),
+    [allFlat, range]
+  );
+  const overdue = useMemo(
+    () => allFlat
+      .filter(task => isOverdue(task, now))
+      .map(task => ({ key: `${task.id}:overdue`, task, kind: 'due', date: storedDay(task.dueDate) }))
+      .sort((a, b) => a.date - b.date),
+    [allFlat, now]
+  );
+
+  const changeMode = (nextMode) => {
+    setMode(nextMode);
+    localStorage.setItem(MODE_KEY, nextMode);
+  };
+
+  const endDrag = () => {
+    setDragging(null);
+    setDropDay(null);
+  };
+
+  const handleDrop = async (day) => {
+    const entry = dragging;
+    endDrag();
+    if (!entry) return;
+    try {
+      await rescheduleTask(entry.task, entry.kind, day);
+    } catch (error) {
+      console.error('Error rescheduling task:', error);
+      alert('Failed to reschedule task');
+    }
+  };
+
+  // Drop target props for a day cell or agenda day
+  const dropTarget = (day) => ({
+    onDragOver: (e) => {
+      if (!dragging) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      if (!dropDay || !isSameDay(dropDay, day)) setDropDay(day);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      handleDrop(day);
+    }
+  });
+
+  const renderEntry = (entry) => (
+    <CalendarEntry
+      key={entry.key}
+      entry={entry}
+      now={now}
+      onEdit={onEdit}
+      onDragStart={setDragging}
+      onDragEnd={endDrag}
+    />
+  );
+
+  const dayClass = (day) => [
+    'calendar-day',
+    isSameDay(day, now) ? 'today' : '',
+    mode === 'month' && !isSameMonth(day, anchor) ? 'outside' : '',
+    dropDay && isSameDay(dropDay, day) ? 'drop-target' : ''
+  ].join(' ');
+
+  const title = mode === 'month'
+    ? format(anchor, 'MMMM yyyy')
+    : `${format(range.start, 'MMM d')} – ${format(range.end, 'MMM d, yyyy')}`;
+
+  const days = eachDayOfInterval(range);
+
+  return (
+    <div className="calendar-view">
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <button className="calendar-nav-button" onClick={() => setAnchor(shiftAnchor(mode, anchor, -1))} title="Previous">
+            <ChevronLeft size={18} />
+          </button>
+          <button className="calendar-nav-button" onClick={() => setAnchor(new Date())}>Today</button>
+          <button className="calendar-nav-button" onClick={() => setAnchor(shiftAnchor(mode, anchor, 1))} title="Next">
+            <ChevronRight size={18} />
+          </button>
+          <h2 className="calendar-title">{title}</h2>
+        </div>
+        <div className="calendar-nav">
+          <div className="calendar-modes">
+            {Object.entries(CALENDAR_MODES).map(([value, label]) => (
+              <button
+                key={value}
+                className={mode === value ? 'active' : ''}
+                onClick={() => changeMode(value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <button className="calendar-nav-button" onClick={onSubscribe} title="Subscribe from Google Calendar">
+            <Rss size={14} /> Subscribe
+          </button>
+        </div>
+      </div>
+
+      {overdue.length > 0 && (
+        <div className="calendar-overdue">
+          <span className="calendar-overdue-label">
+            <AlertTriangle size={14} /> Overdue ({overdue.length})
+          </span>
+          {overdue.map(renderEntry)}
+        </div>
+      )}
+
+      {mode === 'agenda' ? (
+        <div className="calendar-agenda">
+          {days
+            .filter(day => entriesByDay.has(toDayKey(day)) || isSameDay(day, now))
+            .map(day => (
+              <section key={toDayKey(day)} className={`calendar-agenda-day ${dayClass(day)}`} {...dropTarget(day)}>
+                <h3>{format(day, 'EEEE, MMM d')}</h3>
+                {(entriesByDay.get(toDayKey(day)) || []).map(renderEntry)}
+                {!entriesByDay.has(toDayKey(day)) && <p className="calendar-empty">Nothing scheduled</p>}
+              </section>
+            ))}
+        </div>
+      ) : (
+        <div className={`calendar-grid calendar-${mode}`}>
+          {days.slice(0, 7).map(day => (
+            <div key={`head-${toDayKey(day)}`} className="calendar-weekday">{format(day, 'EEE')}</div>
+          ))}
+          {days.map(day => {
+            const entries = entriesByDay.get(toDayKey(day)) || [];
+            const hidden = mode === 'month' ? entries.length - MONTH_CELL_LIMIT : 0;
+            return (
+              <div key={toDayKey(day)} className={dayClass(day)} {...dropTarget(day)}>
+                <div className="calendar-day-number">{format(day, 'd')}</div>
+                {(hidden > 0 ? entries.slice(0, MONTH_CELL_LIMIT) : entries).map(renderEntry)}
+                {hidden > 0 && (
+                  <button
+                    className="calendar-more"
+                    onClick={() => {
+                      setAnchor(day);
+                      changeMode('week');
+                    }}
+                  >
+                    +{hidden} more
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarView;
@@ -0,0 +1,287 @@
+import React, { useState } from 'react';
+import { Trash2, LocateFixed } from 'lucide-react';
+import { addDefaultContexts, saveContext, renameContext, deleteContext, isContextAvailable } from '../utils/contexts';
+import './ContextManager.css';
+
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const toDraft = (context) => ({
+  name: context.name,
+  icon: context.icon || '',
+  color: context.color || '#1e40af',
+  mloPlaces: (context.mloPlaces || []).join(', '),
+  keywords: (context.keywords || []).join(', '),
+  hoursEnabled: !!context.hours,
+  days: context.hours?.days || [1, 2, 3, 4, 5],
+  start: context.hours?.start || '09:00',
+  end: context.hours?.end || '17:00',
+  lat: context.geofence?.lat ?? '',
+  lng: context.geofence?.lng ?? '',
+  radius: context.geofence?.radius ?? 200
+});
+
+const fromDraft = (draft) => ({
+  icon: draft.icon.trim(),
+  color: draft.color,
+  mloPlaces: splitList(draft.mloPlaces),
+  keywords: splitList(draft.keywords),
+  hours: draft.hoursEnabled
+    ? { days: [...draft.days].sort(), start: draft.start, end: draft.end }
+    : null,
+  geofence: draft.lat !== '' && draft.lng !== ''
+    ? { lat: Number(draft.lat), lng: Number(draft.lng), radius: Number(draft.radius) || 200 }
+    : null
+});
+
+// One context definition; read-only while the built-in defaults are in use
+const ContextRow = ({ userId, context, allContexts, readOnly }) => {
+  const [draft, setDraft] = useState(() => toDraft(context));
+  const [saving, setSaving] = useState(false);
+  const set = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const toggleDay = (day) => set({
+    days: draft.days.includes(day) ? draft.days.filter(d => d !== day) : [...draft.days, day]
+  });
+
+  const fillCurrentLocation = () => {
+    if (!('geolocation' in navigator)) {
+      alert('Location is not available in this browser');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (pos) => set({ lat: pos.coords.latitude.toFixed(5), lng: pos.coords.longitude.toFixed(5) }),
+      (error) => {
+        console.error('Error getting location:', error);
+        alert('Could not get your location');
+      }
+    );
+  };
+
+  const handleSave = async () => {
+    const name = draft.name.trim();
+    if (!name) return;
+    if (allContexts.some(c => c !== context && c.name.toLowerCase() === name.toLowerCase())) {
+      alert(`A context named "${name}" already exists`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (name !== context.name) {
+        await renameContext(userId, context, name, fromDraft(draft));
+      } else {
+        await saveContext(userId, context, fromDraft(draft));
+      }
+    } catch (error) {
+      console.error('Error saving context:', error);
+      alert('Failed to save context');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete context "${context.name}"? Tasks keep it as plain text.`)) return;
+    try {
+      await deleteContext(context);
+    } catch (error) {
+      console.error('Error deleting context:', error);
+      alert('Failed to delete context');
+    }
+  };
+
+  const available = isContextAvailable(context);
+
+  return (
+    <li className="context-row">
+      <div className="context-row-main">
+        <input
+          type="text"
+          value={draft.icon}
+          onChange={e => set({ icon: e.target.value })}
+          className="form-input context-icon"
+          placeholder="🏷"
+          disabled={readOnly}
+        />
+        <input
+          type="text"
+          value={draft.name}
+          onChange={e => set({ name: e.target.value })}
+          className="form-input context-name"
+          style={{ color: draft.color }}
+          disabled={readOnly}
+        />
+        <input
+          type="color"
+          value={draft.color}
+          onChange={e => set({ color: e.target.value })}
+          className="context-color"
+          disabled={readOnly}
+        />
+        <span className={`context-status ${available ? 'open' : 'closed'}`}>
+          {available ? 'Available' : 'Closed now'}
+        </span>
+        <span className="tag-count">{context.count}</span>
+        {!readOnly && (
+          <>
+            <button onClick={handleSave} className="btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            {context.id && (
+              <button className="action-btn delete-btn" onClick={handleDelete} title="Delete context">
+                <Trash2 size={14} />
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="context-row-details">
+        <label>
+          MLO places
+          <input
+            type="text"
+            value={draft.mloPlaces}
+            onChange={e => set({ mloPlaces: e.target.value })}
+            placeholder="@Office, @Work"
+            className="form-input"
+            disabled={readOnly}
+          />
+        </label>
+        <label>
+          Email keywords
+          <input
+            type="text"
+            value={draft.keywords}
+            onChange={e => set({ keywords: e.target.value })}
+            placeholder="call, meeting"
+            className="form-input"
+            disabled={readOnly}
+          />
+        </label>
+      </div>
+
+      <div className="context-row-details">
+        <label className="context-hours-toggle">
+          <input
+            type="checkbox"
+            checked={draft.hoursEnabled}
+            onChange={e => set({ hoursEnabled: e.target.checked })}
+            disabled={readOnly}
+          />
+          Open hours
+        </label>
+        {draft.hoursEnabled && (
+          <div className="context-hours">
+            {DAY_LABELS.map((label, day) => (
+              <button
+                key={day}
+                className={`context-day ${draft.days.includes(day) ? 'selected' : ''}`}
+                onClick={() => toggleDay(day)}
+                disabled={readOnly}
+              >
+                {label}
+              </button>
+            ))}
+            <input type="time" value={draft.start} onChange={e => set({ start: e.target.value })} className="form-input" disabled={readOnly} />
+            <span>–</span>
+            <input type="time" value={draft.end} onChange={e => set({ end: e.target.value })} className="form-input" disabled={readOnly} />
+          </div>
+        )}
+      </div>
+
+      <div className="context-row-details context-geofence">
+        <span>Geofence</span>
+        <input type="number" value={draft.lat} onChange={e => set({ lat: e.target.value })} placeholder="Latitude" className="form-input" disabled={readOnly} />
+        <input type="number" value={draft.lng} onChange={e => set({ lng: e.target.value })} placeholder="Longitude" className="form-input" disabled={readOnly} />
+        <input type="number" value={draft.radius} onChange={e => set({ radius: e.target.value })} min="50" step="50" title="Radius in meters" className="form-input context-radius" disabled={readOnly} />
+        <span>m</span>
+        {!readOnly && (
+          <button onClick={fillCurrentLocation} className="action-btn" title="Use current location">
+            <LocateFixed size={14} />
+          </button>
+        )}
+      </div>
+    </li>
+  );
+};
+
+// Manage context definitions used by filters, MLO import/export and email capture
+const ContextManager = ({ userId, contexts, hasDefinitions, onClose }) => {
+  const [newContext, setNewContext] = useState('');
+
+  const handleCustomize = async () => {
+    try {
+      await addDefaultContexts(userId);
+    } catch (error) {
+      console.error('Error adding default contexts:', error);
+      alert('Failed to add default contexts');
+    }
+  };
+
+  const handleCreate = async () => {
+    let name = newContext.trim();
+    if (!name) return;
+    if (!name.startsWith('@')) name = `@${name}`;
+    if (contexts.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+      alert(`A context named "${name}" already exists`);
+      return;
+    }
+    try {
+      await saveContext(userId, { id: null, name }, {});
+      setNewContext('');
+    } catch (error) {
+      console.error('Error creating context:', error);
+      alert('Failed to create context');
+    }
+  };
+
+  return (
+    <div className="task-detail-overlay" onClick={onClose}>
+      <div className="modal-content context-manager" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Contexts</h2>
+          <button onClick={onClose} className="close-button">×</button>
+        </div>
+
+        <div className="context-manager-body">
+          {hasDefinitions ? (
+            <div className="tag-create">
+              <input
+                type="text"
+                value={newContext}
+                onChange={e => setNewContext(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && handleCreate()}
+                placeholder="New context, e.g. @garage"
+                className="form-input"
+                autoFocus
+              />
+              <button onClick={handleCreate} className="btn-primary">Add</button>
+            </div>
+          ) : (
+            <div className="context-defaults-notice">
+              <p>You're using the built-in contexts. Copy them to your account to edit hours, places and geofences.</p>
+              <button onClick={handleCustomize} className="btn-primary">Customize</button>
+            </div>
+          )}
+
+          <ul className="context-list">
+            {contexts.map(ctx => (
+              <ContextRow
+                key={ctx.id || ctx.name}
+                userId={userId}
+                context={ctx}
+                allContexts={contexts}
+                readOnly={!hasDefinitions}
+              />
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContextManager;
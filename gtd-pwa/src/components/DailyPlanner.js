@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import { format } from 'date-fns';
+import { DEFAULT_TASK_MINUTES, commitTodayPlan, getRolledOverDays, loadPlanSettings, plannedMinutes, planScore, proposeTodayList, savePlanSettings } from '../utils/dailyPlan';
+import { storedDay } from '../utils/dates';
+import { formatMinutes } from '../utils/timeTracking';
+import './DailyPlanner.css';
+
+// Candidates beyond the proposal that are worth offering as swaps
+const MORE_LIMIT = 15;
+
+const formatDue = (value) => format(storedDay(value), 'MMM d');
+
+const PlanRow = ({ task, checked, onToggle }) => {
+  const rolledOver = getRolledOverDays(task);
+  return (
+    <label className={`plan-row ${checked ? 'checked' : ''}`}>
+      <input type="checkbox" checked={checked} onChange={() => onToggle(task.id)} />
+      <span className="plan-row-title">{task.title}</span>
+      {rolledOver > 0 && (
+        <span className="plan-rolled-over">Rolled over {rolledOver} {rolledOver === 1 ? 'day' : 'days'}</span>
+      )}
+      {task.dueDate && <span className="plan-row-due">Due {formatDue(task.dueDate)}</span>}
+      {task.context && <span className="plan-row-context">{task.context}</span>}
+      <span className={`plan-row-energy energy-${task.energyLevel || 'medium'}`}>{task.energyLevel || 'medium'}</span>
+      <span className={`plan-row-time ${task.timeEstimate ? '' : 'assumed'}`} title={task.timeEstimate ? 'Estimate' : `No estimate; planned as ${DEFAULT_TASK_MINUTES}m`}>
+        {formatMinutes(plannedMinutes(task))}
+      </span>
+    </label>
+  );
+};
+
+// Morning planning: proposes a Today list that fits the hours and energy
+// available, carrying forward whatever was left unfinished
+const DailyPlanner = ({ candidates, todayTasks, onClose, onPlanned }) => {
+  const [settings, setSettings] = useState(loadPlanSettings);
+  const [saving, setSaving] = useState(false);
+
+  // Unfinished Today items compete with the To Do list for the new day
+  const pool = useMemo(() => {
+    const seen = new Set(candidates.map(task => task.id));
+    return [...candidates, ...todayTasks.filter(task => task.status !== 'done' && !seen.has(task.id))];
+  }, [candidates, todayTasks]);
+
+  const availableMinutes = Math.round(settings.hours * 60);
+
+  const proposal = useMemo(
+    () => proposeTodayList(pool, { availableMinutes, energy: settings.energy }),
+    [pool, availableMinutes, settings.energy]
+  );
+
+  // null follows the proposal; checking or unchecking a task takes over
+  const [chosen, setChosen] = useState(null);
+  const chosenIds = chosen || new Set(proposal.tasks.map(task => task.id));
+
+  // A new budget or energy level re-proposes from scratch
+  const updateSettings = (changes) => {
+    setSettings({ ...settings, ...changes });
+    setChosen(null);
+  };
+
+  const chosenTasks = pool
+    .filter(task => chosenIds.has(task.id))
+    .sort((a, b) => planScore(b, settings) - planScore(a, settings));
+  const otherTasks = pool
+    .filter(task => !chosenIds.has(task.id))
+    .sort((a, b) => planScore(b, settings) - planScore(a, settings))
+    .slice(0, MORE_LIMIT);
+  const plannedTotal = chosenTasks.reduce((sum, task) => sum + plannedMinutes(task), 0);
+  const overBudget = plannedTotal > availableMinutes;
+
+  const toggle = (taskId) => {
+    const next = new Set(chosenIds);
+    if (next.has(taskId)) next.delete(taskId);
+    else next.add(taskId);
+    setChosen(next);
+  };
+
+  const handleCommit = async () => {
+    setSaving(true);
+    try {
+      savePlanSettings(settings);
+      await commitTodayPlan(chosenTasks, todayTasks);
+      onPlanned();
+    } catch (error) {
+      console.error('Error saving daily plan:', error);
+      alert('Failed to save today\'s plan');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="task-detail-overlay" onClick={onClose}>
+      <div className="modal-content daily-planner" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Plan {format(new Date(), 'EEEE, MMM d')}</h2>
+          <button onClick={onClose} className="close-button">×</button>
+        </div>
+
+        <div className="daily-planner-body">
+          <div className="form-row">
+            <div className="form-group">
+              <label>Hours available</label>
+              <input
+                type="number"
+                min="0.5"
+                step="0.5"
+                value={settings.hours}
+                onChange={e => updateSettings({ hours: Math.max(0, parseFloat(e.target.value) || 0) })}
+                className="form-input"
+              />
+            </div>
+            <div className="form-group">
+              <label>Energy</label>
+              <select
+                value={settings.energy}
+                onChange={e => updateSettings({ energy: e.target.value })}
+                className="form-select"
+              >
+                <option value="low">Low</option>
+                <option value="medium">Medium</option>
+                <option value="high">High</option>
+              </select>
+            </div>
+          </div>
+
+          <div className={`plan-budget ${overBudget ? 'over' : ''}`}>
+            <div className="plan-budget-bar">
+              <div style={{ width: `${availableMinutes ? Math.min(100, (plannedTotal / availableMinutes) * 100) : 100}%` }} />
+            </div>
+            <span>
+              {formatMinutes(plannedTotal)} planned of {formatMinutes(availableMinutes)}
+              {overBudget && ` · ${formatMinutes(plannedTotal - availableMinutes)} over`}
+            </span>
+          </div>
+
+          <section className="plan-section">
+            <h3>Today ({chosenTasks.length})</h3>
+            {chosenTasks.length === 0 ? (
+              <p className="empty-state">Nothing fits yet. Add hours or pick tasks below.</p>
+            ) : (
+              chosenTasks.map(task => <PlanRow key={task.id} task={task} checked onToggle={toggle} />)
+            )}
+          </section>
+
+          {otherTasks.length > 0 && (
+            <section className="plan-section">
+              <h3>Also available</h3>
+              {otherTasks.map(task => <PlanRow key={task.id} task={task} checked={false} onToggle={toggle} />)}
+            </section>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button onClick={onClose} className="btn-secondary">Cancel</button>
+          <button onClick={handleCommit} className="btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Start the day'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DailyPlanner;
@@ -0,0 +1,244 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { CheckCircle, Pause, Play, SkipForward, X } from 'lucide-react';
+import { breakAfter, loadFocusSettings, saveFocusSettings } from '../utils/focus';
+import { formatElapsed, logFocusInterval } from '../utils/timeTracking';
+import { toggleTaskCompletion } from '../utils/taskMutations';
+import { speak } from './VoiceInterface';
+import './FocusMode.css';
+
+const PHASE_LABELS = {
+  work: 'Focus',
+  short_break: 'Short break',
+  long_break: 'Long break'
+};
+
+const indexTasks = (taskList, map = new Map()) => {
+  taskList.forEach(task => {
+    map.set(task.id, task);
+    indexTasks(task.children || [], map);
+  });
+  return map;
+};
+
+const SettingInput = ({ label, value, onChange }) => (
+  <label className="focus-setting">
+    <span>{label}</span>
+    <input
+      type="number"
+      min="1"
+      value={value}
+      onChange={e => onChange(Math.max(1, parseInt(e.target.value) || 1))}
+      className="form-input"
+    />
+  </label>
+);
+
+// Full-screen Pomodoro session over a queue of tasks. Work time is logged
+// to each task as time entries; full intervals count as pomodoros.
+const FocusMode = ({ tasks, queue, onClose }) => {
+  const [settings, setSettings] = useState(loadFocusSettings);
+  const [queueIds] = useState(() => queue.map(task => task.id));
+  const [position, setPosition] = useState(0);
+  const [phase, setPhase] = useState(null); // null until started
+  const [phaseEndsAt, setPhaseEndsAt] = useState(null);
+  const [pausedRemaining, setPausedRemaining] = useState(null);
+  const [intervals, setIntervals] = useState(0);
+  const [now, setNow] = useState(() => new Date());
+
+  // Start of the work time not yet logged (reset on pause and task switches)
+  const segmentStartRef = useRef(null);
+  const finishingRef = useRef(false);
+
+  const taskById = useMemo(() => indexTasks(tasks), [tasks]);
+  const currentTask = position < queueIds.length ? taskById.get(queueIds[position]) : null;
+  const isPaused = pausedRemaining !== null;
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const logSegment = async (task, end, full) => {
+    const start = segmentStartRef.current;
+    segmentStartRef.current = null;
+    if (!task || !start) return;
+    try {
+      await logFocusInterval(task, start, end, { full });
+    } catch (error) {
+      console.error('Error logging focus interval:', error);
+    }
+  };
+
+  const beginPhase = (nextPhase, minutes, at = new Date()) => {
+    setPhase(nextPhase);
+    setPhaseEndsAt(new Date(at.getTime() + minutes * 60000));
+    setPausedRemaining(null);
+    segmentStartRef.current = nextPhase === 'work' ? at : null;
+  };
+
+  // Next open task after the current one, or queueIds.length when done
+  const nextPosition = (from) => {
+    let next = from + 1;
+    while (next < queueIds.length && taskById.get(queueIds[next])?.status === 'done') next++;
+    return next;
+  };
+
+  const finishPhase = async () => {
+    const end = new Date();
+    if (phase === 'work') {
+      await logSegment(currentTask, end, true);
+      const count = intervals + 1;
+      const { phase: breakPhase, minutes } = breakAfter(count, settings);
+      setIntervals(count);
+      beginPhase(breakPhase, minutes, end);
+      speak(`Nice work. Take a ${minutes} minute break.`);
+    } else {
+      beginPhase('work', settings.workMinutes, end);
+      speak(currentTask ? `Break's over. Next up: ${currentTask.title}` : 'Break\'s over. Your focus queue is empty.');
+    }
+  };
+
+  // The clock effect below calls the latest render's finishPhase
+  const finishPhaseRef = useRef(finishPhase);
+  useEffect(() => {
+    finishPhaseRef.current = finishPhase;
+  });
+
+  useEffect(() => {
+    if (!phase || isPaused || !phaseEndsAt || now < phaseEndsAt || finishingRef.current) return;
+    finishingRef.current = true;
+    finishPhaseRef.current().finally(() => {
+      finishingRef.current = false;
+    });
+  }, [now, phase, isPaused, phaseEndsAt]);
+
+  const handleStart = () => {
+    saveFocusSettings(settings);
+    beginPhase('work', settings.workMinutes);
+    if (currentTask) speak(`Starting with ${currentTask.title}`);
+  };
+
+  const handlePauseResume = async () => {
+    const at = new Date();
+    if (isPaused) {
+      setPhaseEndsAt(new Date(at.getTime() + pausedRemaining));
+      setPausedRemaining(null);
+      if (phase === 'work') segmentStartRef.current = at;
+    } else {
+      setPausedRemaining(phaseEndsAt - at);
+      if (phase === 'work') await logSegment(currentTask, at, false);
+    }
+  };
+
+  // Move on to the next task; the running interval carries on with it
+  const advance = async (completeCurrent) => {
+    const at = new Date();
+    const task = currentTask;
+    if (phase === 'work' && !isPaused) {
+      await logSegment(task, at, false);
+      segmentStartRef.current = at;
+    }
+    if (completeCurrent && task) {
+      try {
+        await toggleTaskCompletion(task, true);
+      } catch (error) {
+        console.error('Error completing task:', error);
+        alert('Failed to complete task');
+      }
+    }
+    setPosition(nextPosition(position));
+  };
+
+  const handleExit = async () => {
+    if (phase === 'work' && !isPaused) await logSegment(currentTask, new Date(), false);
+    window.speechSynthesis.cancel();
+    onClose();
+  };
+
+  const remaining = isPaused ? pausedRemaining : (phaseEndsAt ? phaseEndsAt - now : 0);
+
+  return (
+    <div className="focus-mode">
+      <button onClick={handleExit} className="focus-exit" title="Leave focus mode">
+        <X size={22} />
+      </button>
+
+      {!phase ? (
+        <div className="focus-start">
+          <h2>Focus session</h2>
+          {queueIds.length === 0 ? (
+            <p className="focus-empty">Nothing to focus on. Flag tasks with Today Focus or add next actions to To Do.</p>
+          ) : (
+            <>
+              <div className="focus-settings">
+                <SettingInput label="Focus (min)" value={settings.workMinutes} onChange={workMinutes => setSettings({ ...settings, workMinutes })} />
+                <SettingInput label="Short break" value={settings.shortBreakMinutes} onChange={shortBreakMinutes => setSettings({ ...settings, shortBreakMinutes })} />
+                <SettingInput label="Long break" value={settings.longBreakMinutes} onChange={longBreakMinutes => setSettings({ ...settings, longBreakMinutes })} />
+                <SettingInput label="Long break every" value={settings.longBreakEvery} onChange={longBreakEvery => setSettings({ ...settings, longBreakEvery })} />
+              </div>
+              <button onClick={handleStart} className="btn-primary focus-start-button">
+                <Play size={18} />
+                Start {settings.workMinutes} minutes
+              </button>
+            </>
+          )}
+        </div>
+      ) : (
+        <div className={`focus-session focus-${phase}`}>
+          <div className="focus-phase">
+            {PHASE_LABELS[phase]}{isPaused ? ' · paused' : ''} · {intervals} {intervals === 1 ? 'interval' : 'intervals'} done
+          </div>
+          <div className="focus-countdown">{formatElapsed(remaining)}</div>
+          <div className="focus-current">
+            {currentTask ? currentTask.title : 'Queue finished'}
+          </div>
+          {currentTask?.context && <div className="focus-context">{currentTask.context}</div>}
+
+          <div className="focus-controls">
+            <button onClick={handlePauseResume} className="focus-control" title={isPaused ? 'Resume' : 'Pause'}>
+              {isPaused ? <Play size={20} /> : <Pause size={20} />}
+            </button>
+            {currentTask && (
+              <>
+                <button onClick={() => advance(true)} className="focus-control" title="Mark done and move on">
+                  <CheckCircle size={20} />
+                  <span>Done</span>
+                </button>
+                <button onClick={() => advance(false)} className="focus-control" title="Skip to the next task">
+                  <SkipForward size={20} />
+                  <span>Next task</span>
+                </button>
+              </>
+            )}
+            {phase !== 'work' && (
+              <button onClick={finishPhase} className="focus-control" title="End the break now">
+                <span>Skip break</span>
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {queueIds.length > 0 && (
+        <ol className="focus-queue">
+          {queueIds.map((id, index) => {
+            const task = taskById.get(id);
+            if (!task) return null;
+            return (
+              <li
+                key={id}
+                className={`${index === position ? 'current' : ''} ${task.status === 'done' ? 'done' : ''}`}
+              >
+                <span className="focus-queue-title">{task.title}</span>
+                {task.todayFocus && <span className="focus-queue-flag">Today</span>}
+                {task.pomodoros > 0 && <span className="focus-queue-count">{task.pomodoros} 🍅</span>}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default FocusMode;
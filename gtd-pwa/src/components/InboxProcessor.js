@@ -0,0 +1,456 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { addDays, format } from 'date-fns';
+import { Sparkles, Loader2, Timer, FolderInput } from 'lucide-react';
+import { saveTaskEdits, deleteTask, toggleTaskCompletion } from '../utils/taskMutations';
+import { suggestInboxProcessing } from '../utils/aiAnalysis';
+import { fuzzyFilter } from '../utils/fuzzy';
+import './InboxProcessor.css';
+
+const TWO_MINUTES = 120;
+
+// Every open task outside the inbox, with its full path, as a move target
+const collectDestinations = (taskList, inboxId, prefix = '') => taskList.flatMap(task => {
+  if (task.id === inboxId || task.status === 'done') return [];
+  const path = prefix ? `${prefix} > ${task.title}` : task.title;
+  return [
+    { id: task.id, path, isProject: !!task.isProject },
+    ...collectDestinations(task.children || [], inboxId, path)
+  ];
+});
+
+const KeyHint = ({ k }) => <kbd className="processor-key">{k}</kbd>;
+
+// Process the inbox one item at a time following the GTD clarify/organize steps
+const InboxProcessor = ({ tasks, inboxId, allContexts, onClose }) => {
+  const [skippedIds, setSkippedIds] = useState([]);
+  const [stage, setStage] = useState('clarify');
+  const [processedCount, setProcessedCount] = useState(0);
+  const [working, setWorking] = useState(false);
+
+  const [title, setTitle] = useState('');
+  const [organize, setOrganize] = useState({ context: '', importance: 3, urgency: 3, timeEstimate: '', parentId: null });
+  const [delegatedTo, setDelegatedTo] = useState('');
+  const [followUpDate, setFollowUpDate] = useState(format(addDays(new Date(), 3), 'yyyy-MM-dd'));
+  const [startDate, setStartDate] = useState(format(addDays(new Date(), 1), 'yyyy-MM-dd'));
+  const [destinationSearch, setDestinationSearch] = useState('');
+  const [highlightedIndex, setHighlightedIndex] = useState(0);
+  const [timerLeft, setTimerLeft] = useState(TWO_MINUTES);
+
+  const [suggestion, setSuggestion] = useState(null);
+  const [suggesting, setSuggesting] = useState(false);
+
+  const inbox = tasks.find(t => t.id === inboxId);
+  const items = (inbox?.children || []).filter(t => t.status !== 'done');
+  const item = items.find(t => !skippedIds.includes(t.id)) || null;
+
+  const destinations = useMemo(() => collectDestinations(tasks, inboxId), [tasks, inboxId]);
+  const destinationMap = useMemo(() => new Map(destinations.map(d => [d.id, d])), [destinations]);
+  const matchingDestinations = useMemo(() => {
+    const ranked = fuzzyFilter(destinations, destinationSearch, d => d.path);
+    // Projects first when nothing has been typed yet
+    return destinationSearch ? ranked : [...ranked].sort((a, b) => b.isProject - a.isProject);
+  }, [destinations, destinationSearch]);
+
+  // Latest render's values, read when the item changes; a tree refresh
+  // alone mustn't reset the form or ask for another suggestion
+  const latest = useRef({});
+  useEffect(() => {
+    latest.current = { item, destinations, allContexts };
+  });
+
+  // Reset the form for each new item
+  const itemId = item?.id;
+  useEffect(() => {
+    const { item, destinations, allContexts } = latest.current;
+    if (!item) return undefined;
+    setStage('clarify');
+    setTitle(item.title || '');
+    setOrganize({
+      context: item.context || '',
+      importance: item.importance || 3,
+      urgency: item.urgency || 3,
+      timeEstimate: item.timeEstimate || '',
+      parentId: null
+    });
+    setDelegatedTo('');
+    setSuggestion(null);
+
+    let cancelled = false;
+    setSuggesting(true);
+    const projects = destinations.filter(d => d.isProject).map(d => ({ id: d.id, path: d.path }));
+    suggestInboxProcessing(item, allContexts, projects)
+      .then(result => {
+        if (!cancelled) setSuggestion(result);
+      })
+      .catch(error => console.error('Error getting processing suggestion:', error))
+      .finally(() => {
+        if (!cancelled) setSuggesting(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [itemId]);
+
+  // Two-minute countdown for "do it now"
+  useEffect(() => {
+    if (stage !== 'doNow') return undefined;
+    setTimerLeft(TWO_MINUTES);
+    const interval = setInterval(() => setTimerLeft(left => Math.max(0, left - 1)), 1000);
+    return () => clearInterval(interval);
+  }, [stage]);
+
+  const applySuggestion = useCallback(() => {
+    if (!suggestion) return;
+    setOrganize(prev => ({
+      context: suggestion.context || prev.context,
+      importance: suggestion.importance,
+      urgency: suggestion.urgency,
+      timeEstimate: suggestion.timeEstimate || prev.timeEstimate,
+      parentId: destinationMap.has(suggestion.parentId) ? suggestion.parentId : prev.parentId
+    }));
+  }, [suggestion, destinationMap]);
+
+  // Run one processing action, then move on to the next item
+  const finish = useCallback(async (action, errorMessage) => {
+    setWorking(true);
+    try {
+      await action();
+      setProcessedCount(count => count + 1);
+      setStage('clarify');
+    } catch (error) {
+      console.error(errorMessage, error);
+      alert(errorMessage);
+    } finally {
+      setWorking(false);
+    }
+  }, []);
+
+  // Status-specific fields plus the organize choices, moved out of the inbox
+  const fileItem = useCallback((fields, label) => finish(() => saveTaskEdits(item, {
+    title: title.trim() || item.title,
+    context: organize.context,
+    importance: organize.importance,
+    urgency: organize.urgency,
+    timeEstimate: organize.timeEstimate ? parseInt(organize.timeEstimate) : null,
+    ...fields,
+    parentId: organize.parentId
+  }, `${label} "${item.title}"`), 'Failed to process item'), [finish, item, title, organize]);
+
+  const handlers = useMemo(() => {
+    if (!item) return {};
+    return {
+      trash: () => finish(() => deleteTask(item, tasks, `Trash "${item.title}"`), 'Failed to delete item'),
+      reference: () => fileItem({ status: 'reference' }, 'File'),
+      someday: () => fileItem({ status: 'someday' }, 'Someday'),
+      nextAction: () => fileItem({ status: 'next_action' }, 'Organize'),
+      completeNow: () => finish(() => toggleTaskCompletion(item, true), 'Failed to complete item'),
+      delegate: () => {
+        if (!delegatedTo.trim()) {
+          alert('Who is it delegated to?');
+          return;
+        }
+        fileItem({
+          status: 'waiting_for',
+          delegatedTo: delegatedTo.trim(),
+          followUpDate: followUpDate ? new Date(followUpDate) : null
+        }, 'Delegate');
+      },
+      defer: () => {
+        if (!startDate) return;
+        fileItem({ status: 'next_action', startDate: new Date(startDate) }, 'Defer');
+      },
+      skip: () => setSkippedIds(prev => [...prev, item.id])
+    };
+  }, [item, tasks, finish, fileItem, delegatedTo, followUpDate, startDate]);
+
+  const chooseDestination = (destination) => {
+    setOrganize(prev => ({ ...prev, parentId: destination ? destination.id : null }));
+    setDestinationSearch('');
+    setStage('actionable');
+  };
+
+  // Single-key decisions for each stage
+  useEffect(() => {
+    const stageKeys = {
+      clarify: { y: () => setStage('actionable'), n: () => setStage('notActionable'), s: handlers.skip },
+      notActionable: { t: handlers.trash, r: handlers.reference, s: handlers.someday, b: () => setStage('clarify') },
+      actionable: {
+        n: () => setStage('doNow'),
+        d: () => setStage('delegate'),
+        f: () => setStage('defer'),
+        m: () => setStage('destination'),
+        a: handlers.nextAction,
+        i: applySuggestion,
+        b: () => setStage('clarify')
+      },
+      doNow: { enter: handlers.completeNow, a: handlers.nextAction, b: () => setStage('actionable') }
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        if (stage === 'clarify') onClose();
+        else setStage(stage === 'notActionable' ? 'clarify' : 'actionable');
+        return;
+      }
+      const isInputFocused = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+      if (isInputFocused || working || event.ctrlKey || event.metaKey || event.altKey) return;
+
+      const key = event.key === 'Enter' ? 'enter' : event.key.toLowerCase();
+      const handler = stageKeys[stage]?.[key];
+      if (handler) {
+        event.preventDefault();
+        handler();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [stage, handlers, applySuggestion, working, onClose]);
+
+  const handleDestinationKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlightedIndex(prev => Math.min(prev + 1, matchingDestinations.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlightedIndex(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter' && matchingDestinations[highlightedIndex]) {
+      e.preventDefault();
+      chooseDestination(matchingDestinations[highlightedIndex]);
+    }
+  };
+
+  const total = processedCount + items.length;
+  const destination = organize.parentId ? destinationMap.get(organize.parentId) : null;
+
+  return (
+    <div className="task-detail-overlay" onClick={onClose}>
+      <div className="modal-content inbox-processor" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Process Inbox</h2>
+          <span className="processor-progress">
+            {total > 0 ? `${processedCount} of ${total} processed` : ''}
+          </span>
+          <button onClick={onClose} className="close-button" title="Close (esc)">×</button>
+        </div>
+
+        {!item ? (
+          <div className="processor-done">
+            <p>{items.length === 0 ? 'Inbox zero!' : 'Only skipped items are left.'}</p>
+            {skippedIds.length > 0 && items.length > 0 && (
+              <button className="btn-secondary" onClick={() => setSkippedIds([])}>Go through skipped items</button>
+            )}
+            <button className="btn-primary" onClick={onClose}>Close</button>
+          </div>
+        ) : (
+          <div className="processor-body">
+            <input
+              type="text"
+              value={title}
+              onChange={e => setTitle(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+              className="form-input processor-title"
+              title="Rewrite as a clear next action if needed"
+            />
+            {item.description && <p className="processor-description">{item.description}</p>}
+
+            <div className="processor-suggestion">
+              {suggesting && <span><Loader2 size={14} className="processor-spinner" /> Getting suggestion...</span>}
+              {!suggesting && suggestion && (
+                <>
+                  <Sparkles size={14} />
+                  <span>
+                    {suggestion.actionable ? 'Actionable' : 'Not actionable'}
+                    {suggestion.outcome && ` · ${suggestion.outcome.replace('_', ' ')}`}
+                    {suggestion.context && ` · ${suggestion.context}`}
+                    {suggestion.parentId && destinationMap.has(suggestion.parentId) && ` · ${destinationMap.get(suggestion.parentId).path}`}
+                    {` · importance ${suggestion.importance}, urgency ${suggestion.urgency}`}
+                  </span>
+                  {suggestion.reasoning && <span className="processor-reasoning">{suggestion.reasoning}</span>}
+                </>
+              )}
+            </div>
+
+            {stage === 'clarify' && (
+              <div className="processor-question">
+                <h3>Is it actionable?</h3>
+                <div className="processor-choices">
+                  <button onClick={() => setStage('actionable')}><KeyHint k="y" /> Yes</button>
+                  <button onClick={() => setStage('notActionable')}><KeyHint k="n" /> No</button>
+                  <button onClick={handlers.skip}><KeyHint k="s" /> Skip for now</button>
+                </div>
+              </div>
+            )}
+
+            {stage === 'notActionable' && (
+              <div className="processor-question">
+                <h3>What is it?</h3>
+                <div className="processor-choices">
+                  <button onClick={handlers.trash} disabled={working}><KeyHint k="t" /> Trash</button>
+                  <button onClick={handlers.reference} disabled={working}><KeyHint k="r" /> Reference</button>
+                  <button onClick={handlers.someday} disabled={working}><KeyHint k="s" /> Someday/Maybe</button>
+                  <button onClick={() => setStage('clarify')}><KeyHint k="b" /> Back</button>
+                </div>
+              </div>
+            )}
+
+            {['actionable', 'delegate', 'defer'].includes(stage) && (
+              <div className="processor-organize">
+                <select
+                  value={organize.context}
+                  onChange={e => setOrganize({ ...organize, context: e.target.value })}
+                  className="form-select"
+                >
+                  <option value="">No context</option>
+                  {[...new Set([...allContexts, organize.context].filter(Boolean))].map(ctx => (
+                    <option key={ctx} value={ctx}>{ctx}</option>
+                  ))}
+                </select>
+                <label>
+                  Importance
+                  <input
+                    type="number"
+                    min="1"
+                    max="5"
+                    value={organize.importance}
+                    onChange={e => setOrganize({ ...organize, importance: parseInt(e.target.value) || 3 })}
+                    className="form-input"
+                  />
+                </label>
+                <label>
+                  Urgency
+                  <input
+                    type="number"
+                    min="1"
+                    max="5"
+                    value={organize.urgency}
+                    onChange={e => setOrganize({ ...organize, urgency: parseInt(e.target.value) || 3 })}
+                    className="form-input"
+                  />
+                </label>
+                <label>
+                  Minutes
+                  <input
+                    type="number"
+                    min="1"
+                    value={organize.timeEstimate}
+                    onChange={e => setOrganize({ ...organize, timeEstimate: e.target.value })}
+                    className="form-input"
+                  />
+                </label>
+                <button className="processor-destination" onClick={() => setStage('destination')} title="Move to a project (m)">
+                  <FolderInput size={14} />
+                  {destination ? destination.path : 'No project (top level)'}
+                </button>
+              </div>
+            )}
+
+            {stage === 'actionable' && (
+              <div className="processor-question">
+                <h3>What's the next step?</h3>
+                <div className="processor-choices">
+                  <button onClick={() => setStage('doNow')}><KeyHint k="n" /> Do it now (&lt;2 min)</button>
+                  <button onClick={() => setStage('delegate')}><KeyHint k="d" /> Delegate</button>
+                  <button onClick={() => setStage('defer')}><KeyHint k="f" /> Defer</button>
+                  <button onClick={() => setStage('destination')}><KeyHint k="m" /> Move to project</button>
+                  <button onClick={handlers.nextAction} disabled={working}><KeyHint k="a" /> Next action</button>
+                  {suggestion && <button onClick={applySuggestion}><KeyHint k="i" /> Use suggestion</button>}
+                  <button onClick={() => setStage('clarify')}><KeyHint k="b" /> Back</button>
+                </div>
+              </div>
+            )}
+
+            {stage === 'doNow' && (
+              <div className="processor-question">
+                <h3 className="processor-timer">
+                  <Timer size={20} />
+                  {Math.floor(timerLeft / 60)}:{String(timerLeft % 60).padStart(2, '0')}
+                </h3>
+                {timerLeft === 0 && <p className="processor-hint">Taking longer than two minutes? Keep it as a next action.</p>}
+                <div className="processor-choices">
+                  <button onClick={handlers.completeNow} disabled={working}><KeyHint k="enter" /> Done</button>
+                  <button onClick={handlers.nextAction} disabled={working}><KeyHint k="a" /> Keep as next action</button>
+                  <button onClick={() => setStage('actionable')}><KeyHint k="b" /> Back</button>
+                </div>
+              </div>
+            )}
+
+            {stage === 'delegate' && (
+              <div className="processor-question">
+                <h3>Delegate to</h3>
+                <div className="processor-form-row">
+                  <input
+                    type="text"
+                    value={delegatedTo}
+                    onChange={e => setDelegatedTo(e.target.value)}
+                    onKeyDown={e => e.key === 'Enter' && handlers.delegate()}
+                    placeholder="Who is it waiting on?"
+                    className="form-input"
+                    autoFocus
+                  />
+                  <input
+                    type="date"
+                    value={followUpDate}
+                    onChange={e => setFollowUpDate(e.target.value)}
+                    className="form-input"
+                    title="Follow up on"
+                  />
+                  <button className="btn-primary" onClick={handlers.delegate} disabled={working}>Delegate</button>
+                </div>
+              </div>
+            )}
+
+            {stage === 'defer' && (
+              <div className="processor-question">
+                <h3>Start on</h3>
+                <div className="processor-form-row">
+                  <input
+                    type="date"
+                    value={startDate}
+                    onChange={e => setStartDate(e.target.value)}
+                    onKeyDown={e => e.key === 'Enter' && handlers.defer()}
+                    className="form-input"
+                    autoFocus
+                  />
+                  <button className="btn-primary" onClick={handlers.defer} disabled={working}>Defer</button>
+                </div>
+              </div>
+            )}
+
+            {stage === 'destination' && (
+              <div className="parent-search-dropdown">
+                <input
+                  type="text"
+                  value={destinationSearch}
+                  onChange={e => {
+                    setDestinationSearch(e.target.value);
+                    setHighlightedIndex(0);
+                  }}
+                  onKeyDown={handleDestinationKeyDown}
+                  placeholder="Type to find a project..."
+                  className="form-input"
+                  autoFocus
+                />
+                <ul className="parent-suggestions">
+                  <li onClick={() => chooseDestination(null)}>No project (top level)</li>
+                  {matchingDestinations.map((d, index) => (
+                    <li
+                      key={d.id}
+                      className={index === highlightedIndex ? 'highlighted' : ''}
+                      onClick={() => chooseDestination(d)}
+                    >
+                      {d.path}
+                    </li>
+                  ))}
+                  {matchingDestinations.length === 0 && <li>No tasks found</li>}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InboxProcessor;
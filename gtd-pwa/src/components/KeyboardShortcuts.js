@@ -10,10 +10,17 @@ const shortcuts = [
   { keys: ['esc'], description: 'Close dialog / cancel' },
   { keys: ['v'], description: 'Toggle voice assistant' },
   { keys: ['r'], description: 'Refresh tasks' },
+  { keys: ['u'], description: 'Undo last change' },
+  { keys: ['Ctrl', 'Z'], description: 'Undo last change' },
+  { keys: ['Ctrl', 'Shift', 'Z'], description: 'Redo' },
+  { keys: ['p'], description: 'Process Inbox one item at a time' },
   { keys: ['g', 'i'], description: 'Go to Inbox' },
   { keys: ['g', 't'], description: 'Go to To Do list' },
+  { keys: ['g', 'd'], description: 'Go to Today' },
+  { keys: ['g', 'c'], description: 'Go to Calendar' },
   { keys: ['g', 'a'], description: 'Go to All Tasks' },
   { keys: ['g', 'r'], description: 'Go to Recent' },
+  { keys: ['g', '1-9'], description: 'Go to saved view 1-9' },
   { keys: ['f', 'a'], description: 'Filter: All' },
   { keys: ['f', 'o'], description: 'Filter: Active (Open)' },
   { keys: ['f', 'c'], description: 'Filter: Completed' },
@@ -22,8 +29,14 @@ const shortcuts = [
   { keys: ['o'], description: 'Open task details' },
   { keys: ['d'], description: 'Delete task' },
   { keys: ['Shift', 'A'], description: 'Add a subtask' },
+  { keys: ['t'], description: 'Start / stop the timer' },
+  { keys: ['x'], description: 'Add to / remove from multi-selection' },
+  { keys: ['Shift', 'Click'], description: 'Select a range of tasks' },
+  { keys: ['Ctrl', 'Click'], description: 'Add a task to the selection' },
+  { keys: ['Shift', 'K'], description: 'Move task up among its siblings' },
+  { keys: ['Shift', 'J'], description: 'Move task down among its siblings' },
   { keys: ['1-5'], description: 'Set importance (e.g., i 3)' },
-  { keys: ['u', '1-5'], description: 'Set urgency (e.g., u 4)' },
+  { keys: ['Shift', '1-5'], description: 'Set urgency' },
 ];
 
 
@@ -66,11 +79,21 @@ export const useKeyboardShortcuts = ({
   onTaskAction,
   onToggleVoice,
   onRefresh,
+  onUndo,
+  onRedo,
+  onProcessInbox,
+  onOpenSavedView,
+  sequenceKey,
+  setSequenceKey,
   searchInputRef,
   setFilter,
-  setShowShortcutsHelp
+  setShowShortcutsHelp,
+  enabled = true
 }) => {
   const handleKeyDown = useCallback((event) => {
+    // Another view (e.g. the inbox processor) owns the keyboard
+    if (!enabled) return;
+
     // Ignore shortcuts if an input field is focused, unless it's Escape
     const activeElement = document.activeElement;
     const isInputFocused = ['INPUT', 'TEXTAREA'].includes(activeElement.tagName);
@@ -81,6 +104,38 @@ export const useKeyboardShortcuts = ({
 
     const selectedTask = selectedTaskIndex !== -1 ? flatTasks[selectedTaskIndex] : null;
 
+    // Second key of a "g x" / "f x" sequence
+    if (sequenceKey) {
+      setSequenceKey(null);
+      const goTo = { i: 'inbox', t: 'todo', d: 'today', c: 'calendar', a: 'alltasks', r: 'recent' };
+      const filters = { a: 'all', o: 'active', c: 'completed' };
+      if (sequenceKey === 'g' && goTo[event.key]) {
+        event.preventDefault();
+        setCurrentView(goTo[event.key]);
+      } else if (sequenceKey === 'g' && /^[1-9]$/.test(event.key)) {
+        event.preventDefault();
+        onOpenSavedView?.(Number(event.key));
+      } else if (sequenceKey === 'f' && filters[event.key]) {
+        event.preventDefault();
+        setFilter(filters[event.key]);
+      }
+      return;
+    }
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes
+    if (event.ctrlKey || event.metaKey) {
+      const key = event.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+          onRedo?.();
+        } else {
+          onUndo?.();
+        }
+        return;
+      }
+    }
+
     switch (event.key) {
       case '?':
         event.preventDefault();
@@ -88,6 +143,7 @@ export const useKeyboardShortcuts = ({
         break;
       case 'Escape':
         setShowShortcutsHelp(false);
+        onTaskAction('clearSelection');
         // You can add more 'cancel' actions here if needed
         break;
       case 'j':
@@ -114,6 +170,14 @@ export const useKeyboardShortcuts = ({
         event.preventDefault();
         onRefresh();
         break;
+      case 'u':
+        event.preventDefault();
+        onUndo?.();
+        break;
+      case 'p':
+        event.preventDefault();
+        onProcessInbox?.();
+        break;
       case 'Enter':
         if (selectedTask) {
           event.preventDefault();
@@ -132,6 +196,18 @@ export const useKeyboardShortcuts = ({
           onTaskAction('move', selectedTask);
         }
         break;
+      case 't':
+        if (selectedTask) {
+          event.preventDefault();
+          onTaskAction('toggleTimer', selectedTask);
+        }
+        break;
+      case 'x':
+        if (selectedTask) {
+          event.preventDefault();
+          onTaskAction('toggleSelect', selectedTask);
+        }
+        break;
       case 'd':
         if (selectedTask) {
           event.preventDefault();
@@ -144,13 +220,18 @@ export const useKeyboardShortcuts = ({
           onTaskAction('addSubtask', selectedTask);
         }
         break;
-      // Simple two-key sequences
+      case 'K':
+      case 'J':
+        if (event.shiftKey && selectedTask) {
+          event.preventDefault();
+          onTaskAction(event.key === 'K' ? 'moveUp' : 'moveDown', selectedTask);
+        }
+        break;
+      // Two-key sequences: wait for the second key
       case 'g':
       case 'f':
-      case 'i':
-      case 'u':
-        // These would require a more complex state machine to handle sequences
-        // For now, we'll keep it simple.
+        event.preventDefault();
+        setSequenceKey(event.key);
         break;
       default:
         break;
@@ -163,6 +244,15 @@ export const useKeyboardShortcuts = ({
       }
     }
 
+    // Shift+number for urgency; `u` itself is undo. Matched on the key's
+    // position since Shift turns the digit into a symbol
+    if (event.shiftKey && /^Digit[1-5]$/.test(event.code)) {
+      if (selectedTask) {
+        event.preventDefault();
+        onTaskAction('setUrgency', selectedTask, parseInt(event.code.slice(-1)));
+      }
+    }
+
   }, [
     selectedTaskIndex,
     flatTasks,
@@ -170,8 +260,17 @@ export const useKeyboardShortcuts = ({
     setSelectedTaskIndex,
     onToggleVoice,
     onRefresh,
+    onUndo,
+    onRedo,
+    onProcessInbox,
+    onOpenSavedView,
+    sequenceKey,
+    setSequenceKey,
+    setCurrentView,
+    setFilter,
     searchInputRef,
-    setShowShortcutsHelp
+    setShowShortcutsHelp,
+    enabled
   ]);
 
   useEffect(() => {
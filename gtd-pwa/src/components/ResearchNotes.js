@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import { serverTimestamp } from 'firebase/firestore';
+import { addDays } from 'date-fns';
+import { BookOpenText, Loader2, FolderPlus, Check } from 'lucide-react';
+import ReactMarkdown from 'react-markdown';
+import rehypeExternalLinks from 'rehype-external-links';
+import { startResearch, subscribeToResearch, markPhaseConverted, researchToMarkdown } from '../utils/research';
+import { createSubproject } from '../utils/taskMutations';
+import './ResearchNotes.css';
+
+const PRIORITY_TO_IMPORTANCE = { high: 5, medium: 3, low: 2 };
+
+// Base fields for tasks created from a research action plan
+const newTaskFields = (title, userId, level, path) => ({
+  title,
+  userId,
+  level,
+  path,
+  status: 'next_action',
+  importance: 3,
+  urgency: 3,
+  source: 'research',
+  createdDate: serverTimestamp(),
+  modifiedDate: serverTimestamp(),
+  computedPriority: 0,
+  childCount: 0,
+  lastReviewDate: serverTimestamp(),
+  nextReviewDate: addDays(new Date(), 14),
+  reviewEnabled: true,
+  reviewInterval: 14
+});
+
+// Research runs linked to a task, with action plan import
+const ResearchNotes = ({ task }) => {
+  const [runs, setRuns] = useState([]);
+  const [topic, setTopic] = useState(task.title || '');
+  const [depth, setDepth] = useState('standard');
+  const [converting, setConverting] = useState(null);
+
+  useEffect(() => {
+    if (!task.userId) return undefined;
+    return subscribeToResearch(task.userId, { taskId: task.id, onChange: setRuns });
+  }, [task.id, task.userId]);
+
+  const handleStart = () => {
+    if (!topic.trim()) return;
+    // Progress and results arrive through the subscription
+    startResearch({ topic: topic.trim(), taskId: task.id, taskContext: task.description || '', depth })
+      .catch(error => console.error('Error starting research:', error));
+  };
+
+  const handleConvertPhase = async (run, phase, index) => {
+    setConverting(`${run.id}-${index}`);
+    try {
+      const level = (task.level || 0) + 1;
+      const projectPath = `${task.path || task.title} > ${phase.phase}`;
+      const project = {
+        ...newTaskFields(phase.phase, task.userId, level, projectPath),
+        importance: PRIORITY_TO_IMPORTANCE[phase.priority] || 3,
+        description: phase.timeEstimate ? `Estimated time: ${phase.timeEstimate}` : ''
+      };
+      const children = (phase.tasks || []).map(title =>
+        newTaskFields(title, task.userId, level + 1, `${projectPath} > ${title}`)
+      );
+
+      await createSubproject(task, project, children, task.isProject ? {} : { isProject: true });
+      await markPhaseConverted(run.id, index);
+    } catch (error) {
+      console.error('Error converting phase:', error);
+      alert('Failed to create sub-project');
+    } finally {
+      setConverting(null);
+    }
+  };
+
+  const isRunning = runs.some(run => run.status === 'running');
+
+  return (
+    <div className="research-notes">
+      <div className="research-start">
+        <input
+          type="text"
+          value={topic}
+          onChange={e => setTopic(e.target.value)}
+          placeholder="Research topic"
+          className="form-input"
+        />
+        <select value={depth} onChange={e => setDepth(e.target.value)} className="form-select">
+          <option value="quick">Quick</option>
+          <option value="standard">Standard</option>
+          <option value="deep">Deep</option>
+        </select>
+        <button type="button" onClick={handleStart} className="btn-tertiary" disabled={isRunning}>
+          <BookOpenText size={14} className="inline-icon" />
+          Research
+        </button>
+      </div>
+
+      {runs.map(run => (
+        <details key={run.id} className="research-run" open={run.status === 'running' || runs[0] === run}>
+          <summary>
+            {run.status === 'running' && <Loader2 size={14} className="research-spinner" />}
+            <span className="research-topic">{run.topic}</span>
+            <span className="research-meta">
+              {run.depth} · {run.createdDate?.toDate ? run.createdDate.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : ''}
+            </span>
+          </summary>
+
+          {run.status === 'running' && <p className="research-status">Researching... you'll be notified when it's ready.</p>}
+          {run.status === 'error' && <p className="research-status error">{run.error || 'Research failed'}</p>}
+
+          {run.status === 'complete' && (
+            <>
+              <div className="research-body">
+                <ReactMarkdown rehypePlugins={[[rehypeExternalLinks, { target: '_blank', rel: ['noopener', 'noreferrer'] }]]}>
+                  {researchToMarkdown(run.research)}
+                </ReactMarkdown>
+              </div>
+
+              {run.research?.actionPlan?.length > 0 && (
+                <div className="research-plan">
+                  <h4>Action Plan</h4>
+                  {run.research.actionPlan.map((phase, index) => {
+                    const converted = (run.convertedPhases || []).includes(index);
+                    return (
+                      <div key={index} className="research-phase">
+                        <div className="research-phase-header">
+                          <strong>{phase.phase}</strong>
+                          {phase.timeEstimate && <span className="research-meta">{phase.timeEstimate}</span>}
+                          {converted ? (
+                            <span className="research-converted"><Check size={14} /> Added</span>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => handleConvertPhase(run, phase, index)}
+                              className="btn-tertiary"
+                              disabled={converting === `${run.id}-${index}`}
+                              title="Create a sub-project with these tasks"
+                            >
+                              <FolderPlus size={14} className="inline-icon" />
+                              Sub-project
+                            </button>
+                          )}
+                        </div>
+                        <ul>
+                          {(phase.tasks || []).map((phaseTask, taskIndex) => <li key={taskIndex}>{phaseTask}</li>)}
+                        </ul>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </>
+          )}
+        </details>
+      ))}
+    </div>
+  );
+};
+
+export default ResearchNotes;
@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { EMPTY_QUERY, GROUP_OPTIONS, SORT_OPTIONS } from '../utils/savedViews';
+import { TASK_STATUSES } from '../utils/statuses';
+import './SavedViewEditor.css';
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+const ChipPicker = ({ options, selected, onChange }) => (
+  <div className="view-chip-picker">
+    {options.map(({ value, label }) => (
+      <button
+        key={value}
+        type="button"
+        className={`view-chip ${selected.includes(value) ? 'selected' : ''}`}
+        onClick={() => onChange(toggle(selected, value))}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+// Create or edit a saved view: its conditions, grouping, sort and display
+const SavedViewEditor = ({ view, allContexts, allTags, projects, onSave, onDelete, onClose }) => {
+  const [name, setName] = useState(view.name || '');
+  const [viewQuery, setViewQuery] = useState({ ...EMPTY_QUERY, ...view.query });
+  const [groupBy, setGroupBy] = useState(view.groupBy || 'none');
+  const [sortBy, setSortBy] = useState(view.sortBy || 'priority');
+  const [display, setDisplay] = useState(view.display || 'flat');
+  const [saving, setSaving] = useState(false);
+
+  const setCondition = (changes) => setViewQuery(prev => ({ ...prev, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setSaving(true);
+    try {
+      await onSave({
+        name: name.trim(),
+        query: {
+          ...viewQuery,
+          dueWithinDays: viewQuery.dueWithinDays === '' || viewQuery.dueWithinDays === null
+            ? null
+            : Number(viewQuery.dueWithinDays)
+        },
+        groupBy,
+        sortBy,
+        display
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="task-detail-overlay" onClick={onClose}>
+      <div className="modal-content saved-view-editor" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{view.id ? 'Edit View' : 'New View'}</h2>
+          <button onClick={onClose} className="close-button">×</button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="saved-view-form">
+          <div className="form-group">
+            <label>Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              placeholder="e.g. Low energy"
+              className="form-input"
+              autoFocus
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Status</label>
+            <ChipPicker
+              options={Object.entries(TASK_STATUSES).map(([value, label]) => ({ value, label }))}
+              selected={viewQuery.statuses}
+              onChange={statuses => setCondition({ statuses })}
+            />
+          </div>
+
+          {allContexts.length > 0 && (
+            <div className="form-group">
+              <label>Context is any of</label>
+              <ChipPicker
+                options={allContexts.map(ctx => ({ value: ctx, label: ctx }))}
+                selected={viewQuery.contexts}
+                onChange={contexts => setCondition({ contexts })}
+              />
+            </div>
+          )}
+
+          {allTags.length > 0 && (
+            <div className="form-group">
+              <label>Tagged with any of</label>
+              <ChipPicker
+                options={allTags.map(tag => ({ value: tag.name, label: `+${tag.name}` }))}
+                selected={viewQuery.tags}
+                onChange={tags => setCondition({ tags })}
+              />
+            </div>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Energy</label>
+              <select
+                value={viewQuery.energyLevel}
+                onChange={e => setCondition({ energyLevel: e.target.value })}
+                className="form-select"
+              >
+                <option value="">Any</option>
+                <option value="low">Low</option>
+                <option value="medium">Medium</option>
+                <option value="high">High</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Due within (days)</label>
+              <input
+                type="number"
+                min="0"
+                value={viewQuery.dueWithinDays ?? ''}
+                onChange={e => setCondition({ dueWithinDays: e.target.value })}
+                placeholder="Any"
+                className="form-input"
+              />
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Inside project</label>
+              <select
+                value={viewQuery.projectId || ''}
+                onChange={e => setCondition({ projectId: e.target.value || null })}
+                className="form-select"
+              >
+                <option value="">Anywhere</option>
+                {projects.map(project => (
+                  <option key={project.id} value={project.id}>{project.title}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Title contains</label>
+              <input
+                type="text"
+                value={viewQuery.search}
+                onChange={e => setCondition({ search: e.target.value })}
+                className="form-input"
+              />
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Display</label>
+              <select value={display} onChange={e => setDisplay(e.target.value)} className="form-select">
+                <option value="flat">Flat list</option>
+                <option value="hierarchy">Hierarchy</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Group by</label>
+              <select
+                value={groupBy}
+                onChange={e => setGroupBy(e.target.value)}
+                className="form-select"
+                disabled={display === 'hierarchy'}
+                title={display === 'hierarchy' ? 'Grouping applies to flat lists' : undefined}
+              >
+                {Object.entries(GROUP_OPTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Sort by</label>
+              <select value={sortBy} onChange={e => setSortBy(e.target.value)} className="form-select">
+                {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="modal-actions">
+            {view.id && (
+              <button type="button" onClick={onDelete} className="btn-secondary saved-view-delete">
+                Delete View
+              </button>
+            )}
+            <button type="button" onClick={onClose} className="btn-secondary">Cancel</button>
+            <button type="submit" className="btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save View'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SavedViewEditor;
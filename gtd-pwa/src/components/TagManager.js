@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { TAG_COLORS, ensureTags, saveTagDetails, renameTag, deleteTag } from '../utils/tags';
+import './TagManager.css';
+
+// One editable tag: name, color and description
+const TagRow = ({ userId, tag, allTags }) => {
+  const [name, setName] = useState(tag.name);
+  const [description, setDescription] = useState(tag.description || '');
+
+  const run = async (action, errorMessage) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      alert(errorMessage);
+    }
+  };
+
+  const handleRename = () => {
+    if (name.trim() === tag.name) return;
+    if (allTags.some(t => t !== tag && t.name.toLowerCase() === name.trim().toLowerCase())) {
+      alert(`A tag named "${name.trim()}" already exists`);
+      setName(tag.name);
+      return;
+    }
+    run(() => renameTag(userId, tag, name), 'Failed to rename tag');
+  };
+
+  const handleDelete = () => {
+    const usage = tag.count === 1 ? '1 task' : `${tag.count} tasks`;
+    if (!window.confirm(`Delete tag "${tag.name}"? It will be removed from ${usage}.`)) return;
+    run(() => deleteTag(userId, tag), 'Failed to delete tag');
+  };
+
+  return (
+    <li className="tag-row">
+      <div className="tag-colors">
+        {TAG_COLORS.map(color => (
+          <button
+            key={color}
+            className={`tag-color ${tag.color === color ? 'selected' : ''}`}
+            style={{ background: color }}
+            onClick={() => run(() => saveTagDetails(userId, tag, { color }), 'Failed to update tag')}
+            title={color}
+          />
+        ))}
+      </div>
+      <input
+        type="text"
+        value={name}
+        onChange={e => setName(e.target.value)}
+        onBlur={handleRename}
+        onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+        className="form-input tag-name"
+        style={{ color: tag.color }}
+      />
+      <input
+        type="text"
+        value={description}
+        onChange={e => setDescription(e.target.value)}
+        onBlur={() => description !== (tag.description || '') &&
+          run(() => saveTagDetails(userId, tag, { description }), 'Failed to update tag')}
+        onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+        placeholder="Description"
+        className="form-input tag-description"
+      />
+      <span className="tag-count">{tag.count}</span>
+      <button className="action-btn delete-btn" onClick={handleDelete} title="Delete tag">
+        <Trash2 size={14} />
+      </button>
+    </li>
+  );
+};
+
+// Manage tag definitions: create, rename, recolor, describe, delete
+const TagManager = ({ userId, tags, onClose }) => {
+  const [newTag, setNewTag] = useState('');
+
+  const handleCreate = async () => {
+    if (!newTag.trim()) return;
+    try {
+      await ensureTags(userId, [newTag], tags);
+      setNewTag('');
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      alert('Failed to create tag');
+    }
+  };
+
+  return (
+    <div className="task-detail-overlay" onClick={onClose}>
+      <div className="modal-content tag-manager" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Tags</h2>
+          <button onClick={onClose} className="close-button">×</button>
+        </div>
+
+        <div className="tag-manager-body">
+          <div className="tag-create">
+            <input
+              type="text"
+              value={newTag}
+              onChange={e => setNewTag(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && handleCreate()}
+              placeholder="New tag, e.g. Q4-goals"
+              className="form-input"
+              autoFocus
+            />
+            <button onClick={handleCreate} className="btn-primary">Add</button>
+          </div>
+
+          {tags.length === 0 ? (
+            <p className="empty-state">No tags yet. Add one here, in a task, or with +tag in quick add.</p>
+          ) : (
+            <ul className="tag-list">
+              {tags.map(tag => (
+                <TagRow key={tag.id || tag.name} userId={userId} tag={tag} allTags={tags} />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TagManager;
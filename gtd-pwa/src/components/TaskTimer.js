@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from 'react';
+import { Square, Timer } from 'lucide-react';
+import { formatElapsed, formatMinutes, subscribeToTimeEntries } from '../utils/timeTracking';
+import './TaskTimer.css';
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+// Time since a timer started, ticking every second
+export const ElapsedTime = ({ since }) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  return <>{formatElapsed(now - toDate(since))}</>;
+};
+
+// Header widget for the task being timed right now
+export const RunningTimer = ({ task, onOpen, onStop }) => (
+  <div className="running-timer">
+    <Timer size={16} />
+    <button className="running-timer-title" onClick={onOpen} title="Open task">
+      {task.title}
+    </button>
+    <span className="running-timer-elapsed">
+      <ElapsedTime since={task.timerStartedAt} />
+    </span>
+    <button className="running-timer-stop" onClick={onStop} title="Stop timer (t)">
+      <Square size={14} />
+    </button>
+  </div>
+);
+
+const formatSessionTime = (date) => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+// Recorded sessions for one task, newest first
+export const TimeEntryList = ({ task }) => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => subscribeToTimeEntries(task.id, setEntries), [task.id]);
+
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="time-entries">
+      <div className="time-entries-summary">
+        Tracked {formatMinutes(task.actualMinutes || 0)} in {entries.length} {entries.length === 1 ? 'session' : 'sessions'}
+        {task.timeEstimate ? ` (estimate ${formatMinutes(task.timeEstimate)})` : ''}
+      </div>
+      <ul className="time-entries-list">
+        {entries.map(entry => {
+          const startedAt = toDate(entry.startedAt);
+          return (
+            <li key={entry.id}>
+              <span>{startedAt.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+              <span>{formatSessionTime(startedAt)} – {formatSessionTime(toDate(entry.endedAt))}</span>
+              <span className="time-entry-minutes">{formatMinutes(entry.minutes)}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
@@ -0,0 +1,74 @@
+import React, { useMemo } from 'react';
+import { formatMinutes, getEstimateAccuracy } from '../utils/timeTracking';
+import './TimeReport.css';
+
+// Ratio of actual to estimated time; within 10% counts as on target
+const RatioCell = ({ ratio }) => {
+  const tone = ratio > 1.1 ? 'over' : ratio < 0.9 ? 'under' : 'on-target';
+  return <td className={`time-ratio ${tone}`}>{ratio.toFixed(1)}×</td>;
+};
+
+const AccuracyTable = ({ title, groups }) => (
+  <section className="time-report-section">
+    <h3>{title}</h3>
+    <table className="time-report-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>Tasks</th>
+          <th>Estimated</th>
+          <th>Actual</th>
+          <th>Actual / estimate</th>
+        </tr>
+      </thead>
+      <tbody>
+        {groups.map(group => (
+          <tr key={group.name}>
+            <td className="time-report-name">{group.name}</td>
+            <td>{group.tasks}</td>
+            <td>{formatMinutes(group.estimated)}</td>
+            <td>{formatMinutes(group.actual)}</td>
+            <RatioCell ratio={group.ratio} />
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </section>
+);
+
+// How long finished tasks really took compared with their estimates
+const TimeReport = ({ tasks, onClose }) => {
+  const accuracy = useMemo(() => getEstimateAccuracy(tasks), [tasks]);
+
+  return (
+    <div className="task-detail-overlay" onClick={onClose}>
+      <div className="modal-content time-report" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Time Report</h2>
+          <button onClick={onClose} className="close-button">×</button>
+        </div>
+
+        <div className="time-report-body">
+          {!accuracy ? (
+            <p className="empty-state">
+              No finished tasks with both an estimate and tracked time yet. Start a timer from a task row (or press t) to begin.
+            </p>
+          ) : (
+            <>
+              <p className="time-report-overall">
+                Across {accuracy.overall.tasks} finished {accuracy.overall.tasks === 1 ? 'task' : 'tasks'} you estimated{' '}
+                {formatMinutes(accuracy.overall.estimated)} and spent {formatMinutes(accuracy.overall.actual)}:{' '}
+                <strong>{accuracy.overall.ratio.toFixed(1)}×</strong> the estimate.
+                {' '}AI breakdowns take these ratios into account.
+              </p>
+              <AccuracyTable title="By context" groups={accuracy.byContext} />
+              <AccuracyTable title="By energy level" groups={accuracy.byEnergy} />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimeReport;
@@ -3,7 +3,30 @@ import { getAuth, onAuthStateChanged, getIdToken } from 'firebase/auth';
 import { Mic, MicOff, Volume2, AlertCircle } from 'lucide-react';
 import './VoiceInterface.css'; // Import the new CSS file
 
-const VoiceInterface = ({ user, tasks, onTaskUpdate }) => {
+/**
+ * Say something with the browser's speech synthesis, cutting off anything
+ * still being spoken. Used by the assistant and by focus mode.
+ */
+export const speak = (text, { onStart, onEnd, onError } = {}) => {
+  window.speechSynthesis.cancel();
+
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.rate = 0.95; // Slightly slower for clarity
+  utterance.pitch = 1.0;
+  utterance.volume = 1.0;
+  utterance.lang = 'en-US';
+
+  utterance.onstart = () => onStart?.();
+  utterance.onend = () => onEnd?.();
+  utterance.onerror = (event) => {
+    console.error('Speech synthesis error:', event);
+    onError?.(event);
+  };
+
+  window.speechSynthesis.speak(utterance);
+};
+
+const VoiceInterface = ({ user, tasks, savedViews = [], onTaskUpdate }) => {
   const [isListening, setIsListening] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [transcript, setTranscript] = useState('');
@@ -13,7 +36,6 @@ const VoiceInterface = ({ user, tasks, onTaskUpdate }) => {
   const [isProcessing, setIsProcessing] = useState(false);
   
   const recognitionRef = useRef(null);
-  const synthesisRef = useRef(window.speechSynthesis);
   const idTokenRef = useRef(null);
 
   // Refs to hold the latest state values for use in event handlers
@@ -41,59 +63,63 @@ const VoiceInterface = ({ user, tasks, onTaskUpdate }) => {
     return () => unsubscribe();
   }, []);
 
-  const speak = useCallback((text, onEndCallback = null) => {
-    // Stop any current speech
-    synthesisRef.current.cancel();
-
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.rate = 0.95; // Slightly slower for clarity
-    utterance.pitch = 1.0;
-    utterance.volume = 1.0;
-    utterance.lang = 'en-US';
-
-    utterance.onstart = () => setIsSpeaking(true);
-    utterance.onend = () => {
-      setIsSpeaking(false);
-      if (onEndCallback) onEndCallback();
-    };
-    utterance.onerror = (event) => {
-      console.error('Speech synthesis error:', event);
-      setIsSpeaking(false);
-    };
-
-    synthesisRef.current.speak(utterance);
-  }, []); // No dependencies as it only uses refs and setState setters
+  // Speak and track it in isSpeaking for the status display
+  const say = useCallback((text, onEndCallback = null) => {
+    speak(text, {
+      onStart: () => setIsSpeaking(true),
+      onEnd: () => {
+        setIsSpeaking(false);
+        if (onEndCallback) onEndCallback();
+      },
+      onError: () => setIsSpeaking(false)
+    });
+  }, []); // No dependencies as it only uses setState setters
 
   const executeAction = useCallback(async ({ action, data }) => {
     try {
       switch (action) {
         case 'add_task':
           await onTaskUpdate({ type: 'add', data });
-          speak('Task added successfully.');
+          say('Task added successfully.');
           break;
           
         case 'update_task':
           await onTaskUpdate({ type: 'update', data });
-          speak('Task updated.');
+          say('Task updated.');
           break;
           
         case 'complete_task':
           await onTaskUpdate({ type: 'complete', data });
-          speak('Task marked as complete.');
+          say('Task marked as complete.');
           break;
           
         case 'delete_task':
           await onTaskUpdate({ type: 'delete', data });
-          speak('Task deleted.');
+          say('Task deleted.');
           break;
           
         case 'query_tasks':
           // Response is already spoken by the AI
           break;
           
+        case 'show_view':
+          // The assistant has already said which view it is opening
+          await onTaskUpdate({ type: 'show_view', data });
+          break;
+
+        case 'start_timer':
+          await onTaskUpdate({ type: 'start_timer', data });
+          say('Timer started.');
+          break;
+
+        case 'stop_timer':
+          await onTaskUpdate({ type: 'stop_timer', data });
+          say('Timer stopped.');
+          break;
+
         case 'research':
-          speak('I\'ll research that topic and get back to you.');
-          // Trigger deep research (could be async)
+          await onTaskUpdate({ type: 'research', data });
+          say('I\'m researching that now and will let you know when it\'s ready.');
           break;
           
 default:
@@ -101,9 +127,9 @@ default:
       }
     } catch (error) {
       console.error('Error executing action:', error);
-      speak('Sorry, I encountered an error executing that action.');
+      say(error.spoken ? error.message : 'Sorry, I encountered an error executing that action.');
     }
-  }, [onTaskUpdate, speak]); // Dependencies: onTaskUpdate, speak
+  }, [onTaskUpdate, say]); // Dependencies: onTaskUpdate, say
 
   const handleVoiceCommand = useCallback(async (command) => {
     console.log('Voice command received:', command);
@@ -128,7 +154,7 @@ default:
         setIsProcessing(false);
         return;
       } else if (isDenied) {
-        speak('Okay, I\'ve cancelled that action.');
+        say('Okay, I\'ve cancelled that action.');
         setPendingConfirmation(null);
         setIsProcessing(false);
         return;
@@ -150,7 +176,8 @@ default:
       currentTime: new Date().toISOString(),
       timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
       preferences: {
-        contexts: Array.from(new Set(tasks.map(t => t.context).filter(Boolean)))
+        contexts: Array.from(new Set(tasks.map(t => t.context).filter(Boolean))),
+        savedViews: savedViews.map(view => view.name)
       }
     };
 
@@ -194,7 +221,7 @@ default:
       }]);
 
       // Speak the response
-      speak(responseText, () => {
+      say(responseText, () => {
         setIsProcessing(false);
         if (isListeningRef.current) {
           try {
@@ -223,11 +250,11 @@ default:
         error: true
       }]);
       
-      speak(errorMessage, () => {
+      say(errorMessage, () => {
         setIsProcessing(false);
       });
     }
-  }, [conversationHistory, pendingConfirmation, executeAction, speak, setIsProcessing, setConversationHistory, setPendingConfirmation, tasks]); // Dependencies
+  }, [conversationHistory, pendingConfirmation, executeAction, say, setIsProcessing, setConversationHistory, setPendingConfirmation, tasks, savedViews]); // Dependencies
 
   useEffect(() => {
     // Initialize Speech Recognition
@@ -298,7 +325,7 @@ default:
         console.log('Starting speech recognition');
         recognitionRef.current.start();
         setIsListening(true);
-        speak('I\'m listening. How can I help you?');
+        say('I\'m listening. How can I help you?');
       } catch (err) {
         setError('Could not start microphone. Please check permissions.');
       }
@@ -311,7 +338,7 @@ default:
       recognitionRef.current.stop();
       setIsListening(false);
       setTranscript('');
-      speak('Voice assistant stopped.');
+      say('Voice assistant stopped.');
     }
   };
 
@@ -0,0 +1,317 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { serverTimestamp } from 'firebase/firestore';
+import { addDays, differenceInCalendarDays } from 'date-fns';
+import { CheckCircle, Circle, Edit2, Trash2, AlertTriangle, ChevronLeft, ChevronRight, Flame, PlayCircle } from 'lucide-react';
+import { getBlockedTaskIds } from '../utils/dependencies';
+import { storedDay } from '../utils/dates';
+import { getDeferredTaskIds } from '../utils/deferral';
+import { isParked } from '../utils/statuses';
+import { updateTask, deleteTask, toggleTaskCompletion } from '../utils/taskMutations';
+import { recordReviewSession, getReviewSessions, computeReviewStreak, getLastReviewDate } from '../utils/reviews';
+import './WeeklyReview.css';
+
+const STEPS = [
+  { id: 'inbox', title: 'Get Inbox to Zero', hint: 'Clarify every item: do it, delete it, or give it a home.' },
+  { id: 'projects', title: 'Review Active Projects', hint: 'Every project needs at least one next action.' },
+  { id: 'waiting', title: 'Review Waiting For', hint: 'Chase anything overdue, close anything received.' },
+  { id: 'someday', title: 'Review Someday/Maybe', hint: 'Activate what is ready, delete what is no longer interesting.' },
+  { id: 'calendar', title: 'Review Upcoming Calendar', hint: 'Look ahead two weeks for deadlines and start dates.' }
+];
+
+const UPCOMING_DAYS = 14;
+
+const formatDay = (date) => date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+const flatten = (taskList) => taskList.flatMap(task => [task, ...flatten(task.children || [])]);
+
+// First open, unblocked, available action anywhere under a project
+const findNextAction = (project, blockedIds, deferredIds) => {
+  for (const child of project.children || []) {
+    if (child.status === 'next_action' && !blockedIds.has(child.id) && !deferredIds.has(child.id)) {
+      if (!child.children || child.children.length === 0) return child;
+      const nested = findNextAction(child, blockedIds, deferredIds);
+      if (nested) return nested;
+    }
+  }
+  return null;
+};
+
+// Guided GTD weekly review: inbox, projects, waiting for, someday, calendar
+const WeeklyReview = ({ user, tasks, onEdit, onExit }) => {
+  const [stepIndex, setStepIndex] = useState(0);
+  const [startedAt] = useState(() => new Date());
+  const [reviewedIds, setReviewedIds] = useState(new Set());
+  const [activatedCount, setActivatedCount] = useState(0);
+  const [sessions, setSessions] = useState([]);
+  const [finished, setFinished] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getReviewSessions(user.uid)
+      .then(setSessions)
+      .catch(error => console.error('Error loading review sessions:', error));
+  }, [user.uid]);
+
+  const allFlat = useMemo(() => flatten(tasks), [tasks]);
+  const blockedIds = useMemo(() => getBlockedTaskIds(tasks), [tasks]);
+  const deferredIds = useMemo(() => getDeferredTaskIds(tasks), [tasks]);
+
+  const inboxTask = tasks.find(t => t.title === '<Inbox>' && !t.parentId);
+  const inboxItems = (inboxTask?.children || []).filter(t => t.status !== 'done');
+  const [inboxAtStart] = useState(inboxItems.length);
+
+  const projects = useMemo(() => allFlat
+    .filter(t => t.isProject && t.status === 'next_action' && t.title !== '<Inbox>')
+    .map(project => ({ project, nextAction: findNextAction(project, blockedIds, deferredIds) }))
+    .sort((a, b) => (a.nextAction ? 1 : 0) - (b.nextAction ? 1 : 0)), [allFlat, blockedIds, deferredIds]);
+  const stalledCount = projects.filter(p => !p.nextAction).length;
+
+  const waitingItems = allFlat.filter(t => t.status === 'waiting_for');
+  const somedayItems = allFlat.filter(t => t.status === 'someday');
+
+  const now = new Date();
+  const upcomingItems = allFlat
+    .filter(t => t.status !== 'done' && !isParked(t))
+    .map(t => {
+      const due = storedDay(t.dueDate);
+      const start = storedDay(t.startDate);
+      const inWindow = (date) => date && differenceInCalendarDays(date, now) >= -1 && differenceInCalendarDays(date, now) <= UPCOMING_DAYS;
+      if (inWindow(due)) return { task: t, date: due, kind: 'Due' };
+      if (inWindow(start)) return { task: t, date: start, kind: 'Starts' };
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date - b.date);
+
+  const markReviewed = async (task) => {
+    try {
+      await updateTask(task, {
+        lastReviewDate: serverTimestamp(),
+        nextReviewDate: addDays(new Date(), task.reviewInterval || 14)
+      }, `Review "${task.title}"`);
+      setReviewedIds(prev => new Set(prev).add(task.id));
+    } catch (error) {
+      console.error('Error marking reviewed:', error);
+      alert('Failed to mark as reviewed');
+    }
+  };
+
+  const runAction = async (action, errorMessage) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      alert(errorMessage);
+    }
+  };
+
+  const activate = (task) => runAction(async () => {
+    await updateTask(task, { status: 'next_action' }, `Activate "${task.title}"`);
+    setActivatedCount(count => count + 1);
+  }, 'Failed to activate task');
+
+  const handleFinish = async () => {
+    setSaving(true);
+    try {
+      const stats = {
+        inboxAtStart,
+        inboxAtEnd: inboxItems.length,
+        projects: projects.length,
+        projectsReviewed: projects.filter(p => reviewedIds.has(p.project.id)).length,
+        stalledProjects: stalledCount,
+        waitingFor: waitingItems.length,
+        overdueFollowUps: waitingItems.filter(t => storedDay(t.followUpDate) && storedDay(t.followUpDate) <= now).length,
+        someday: somedayItems.length,
+        activated: activatedCount,
+        upcoming: upcomingItems.length
+      };
+      await recordReviewSession(user.uid, { startedAt, stats });
+      setSessions(await getReviewSessions(user.uid));
+      setFinished(true);
+    } catch (error) {
+      console.error('Error saving review session:', error);
+      alert('Failed to save review session');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const streak = computeReviewStreak(sessions);
+  const lastReview = getLastReviewDate(sessions);
+  const step = STEPS[stepIndex];
+
+  const renderRow = (task, extra = null, actions = null) => (
+    <div key={task.id} className={`review-row ${reviewedIds.has(task.id) ? 'reviewed' : ''}`}>
+      <button
+        className="completion-checkbox"
+        onClick={() => runAction(() => toggleTaskCompletion(task), 'Failed to update task')}
+        title="Complete"
+      >
+        {task.status === 'done' ? <CheckCircle size={18} className="text-green-600" /> : <Circle size={18} className="text-gray-400" />}
+      </button>
+      <div className="review-row-main">
+        <span className="review-row-title">{task.title}</span>
+        {extra}
+      </div>
+      <div className="review-row-actions">
+        {actions}
+        <button className="action-btn" onClick={() => onEdit(task)} title="Edit">
+          <Edit2 size={14} />
+        </button>
+      </div>
+    </div>
+  );
+
+  const reviewButton = (task) => (
+    <button className="review-btn" onClick={() => markReviewed(task)} disabled={reviewedIds.has(task.id)}>
+      {reviewedIds.has(task.id) ? 'Reviewed' : 'Mark Reviewed'}
+    </button>
+  );
+
+  if (finished) {
+    return (
+      <div className="weekly-review">
+        <div className="review-finished">
+          <Flame size={40} className="review-streak-icon" />
+          <h2>Weekly review complete</h2>
+          <p>{streak === 1 ? '1 week streak' : `${streak} week streak`}</p>
+          <ul className="review-summary">
+            <li>Inbox: {inboxAtStart} → {inboxItems.length}</li>
+            <li>Projects reviewed: {projects.filter(p => reviewedIds.has(p.project.id)).length} of {projects.length}</li>
+            <li>Stalled projects: {stalledCount}</li>
+            <li>Someday items activated: {activatedCount}</li>
+          </ul>
+          <button className="btn-primary" onClick={onExit}>Done</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="weekly-review">
+      <div className="review-status">
+        <span>
+          <Flame size={16} className="review-streak-icon" />
+          {streak === 1 ? '1 week streak' : `${streak} week streak`}
+        </span>
+        <span>{lastReview ? `Last review ${formatDay(lastReview)}` : 'First review'}</span>
+      </div>
+
+      {/* Progress */}
+      <div className="review-progress">
+        {STEPS.map((s, index) => (
+          <button
+            key={s.id}
+            className={`review-step ${index === stepIndex ? 'active' : ''} ${index < stepIndex ? 'done' : ''}`}
+            onClick={() => setStepIndex(index)}
+          >
+            <span className="review-step-number">{index + 1}</span>
+            <span className="review-step-title">{s.title}</span>
+          </button>
+        ))}
+      </div>
+      <div className="review-progress-bar">
+        <div style={{ width: `${((stepIndex + 1) / STEPS.length) * 100}%` }} />
+      </div>
+
+      <div className="review-step-header">
+        <h2>{step.title}</h2>
+        <p>{step.hint}</p>
+      </div>
+
+      <div className="review-step-body">
+        {step.id === 'inbox' && (
+          inboxItems.length === 0
+            ? <p className="empty-state">Inbox zero. Nice!</p>
+            : (
+              <>
+                <p className="review-count">{inboxItems.length} {inboxItems.length === 1 ? 'item' : 'items'} left to process</p>
+                {inboxItems.map(task => renderRow(task, null, (
+                  <button
+                    className="action-btn delete-btn"
+                    onClick={() => window.confirm(`Delete "${task.title}"?`) && runAction(() => deleteTask(task, tasks), 'Failed to delete task')}
+                    title="Delete"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                )))}
+              </>
+            )
+        )}
+
+        {step.id === 'projects' && (
+          projects.length === 0
+            ? <p className="empty-state">No active projects.</p>
+            : (
+              <>
+                <p className="review-count">
+                  {projects.filter(p => reviewedIds.has(p.project.id)).length} of {projects.length} reviewed
+                  {stalledCount > 0 && ` · ${stalledCount} stalled`}
+                </p>
+                {projects.map(({ project, nextAction }) => renderRow(project, (
+                  nextAction
+                    ? <span className="review-row-detail">Next: {nextAction.title}</span>
+                    : <span className="review-row-detail stalled"><AlertTriangle size={12} /> Stalled: no open next action</span>
+                ), reviewButton(project)))}
+              </>
+            )
+        )}
+
+        {step.id === 'waiting' && (
+          waitingItems.length === 0
+            ? <p className="empty-state">Nothing in Waiting For.</p>
+            : waitingItems.map(task => {
+              const followUp = storedDay(task.followUpDate);
+              return renderRow(task, (
+                <span className={`review-row-detail ${followUp && followUp <= now ? 'stalled' : ''}`}>
+                  {task.delegatedTo ? `Waiting on ${task.delegatedTo}` : 'Waiting'}
+                  {followUp && ` · follow up ${formatDay(followUp)}`}
+                </span>
+              ), reviewButton(task));
+            })
+        )}
+
+        {step.id === 'someday' && (
+          somedayItems.length === 0
+            ? <p className="empty-state">No Someday/Maybe items.</p>
+            : somedayItems.map(task => renderRow(task, null, (
+              <>
+                <button className="review-btn" onClick={() => activate(task)} title="Move to Next Actions">
+                  <PlayCircle size={14} className="inline-icon" />
+                  Activate
+                </button>
+                {reviewButton(task)}
+              </>
+            )))
+        )}
+
+        {step.id === 'calendar' && (
+          upcomingItems.length === 0
+            ? <p className="empty-state">Nothing due or starting in the next {UPCOMING_DAYS} days.</p>
+            : upcomingItems.map(({ task, date, kind }) => renderRow(task, (
+              <span className="review-row-detail">{kind} {formatDay(date)}</span>
+            )))
+        )}
+      </div>
+
+      <div className="review-nav">
+        <button className="btn-secondary" onClick={stepIndex === 0 ? onExit : () => setStepIndex(stepIndex - 1)}>
+          <ChevronLeft size={16} className="inline-icon" />
+          {stepIndex === 0 ? 'Exit' : 'Back'}
+        </button>
+        {stepIndex < STEPS.length - 1 ? (
+          <button className="btn-primary" onClick={() => setStepIndex(stepIndex + 1)}>
+            Next
+            <ChevronRight size={16} className="inline-icon" />
+          </button>
+        ) : (
+          <button className="btn-primary" onClick={handleFinish} disabled={saving}>
+            {saving ? 'Saving...' : 'Finish Review'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WeeklyReview;
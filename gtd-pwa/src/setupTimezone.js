@@ -0,0 +1,7 @@
+// Jest global setup: run the tests west of UTC. Date-only task fields are
+// stored as midnight UTC, and reading one as a local instant lands on the
+// previous day here, so day-boundary mistakes fail instead of passing by luck.
+// Set before the test environments start so every worker inherits it.
+module.exports = async () => {
+  process.env.TZ = 'America/Los_Angeles';
+};
@@ -0,0 +1,33 @@
+import { DEFAULT_CONTEXTS, contextToPlace, detectContext, placeToContext } from './contexts';
+
+describe('detectContext', () => {
+  test('keeps the email keyword precedence', () => {
+    expect(detectContext('Review the article', DEFAULT_CONTEXTS)).toBe('@review');
+    expect(detectContext('Schedule a call to review the order', DEFAULT_CONTEXTS)).toBe('@calls');
+    expect(detectContext('URGENT: buy toner', DEFAULT_CONTEXTS)).toBe('@urgent');
+    expect(detectContext('Order the book and read it', DEFAULT_CONTEXTS)).toBe('@errands');
+    expect(detectContext('Read and reply', DEFAULT_CONTEXTS)).toBe('@read');
+    expect(detectContext('Please reply', DEFAULT_CONTEXTS)).toBe('@email');
+    expect(detectContext('Lunch', DEFAULT_CONTEXTS)).toBeNull();
+  });
+
+  test('applies the precedence to user contexts in any order', () => {
+    const contexts = [
+      { name: '@garden', keywords: ['seeds'] },
+      { name: '@Read', keywords: ['article'] },
+      { name: '@review', keywords: ['article'] }
+    ];
+    expect(detectContext('Article about seeds', contexts)).toBe('@review');
+    expect(detectContext('Seeds', contexts)).toBe('@garden');
+  });
+});
+
+describe('MLO places', () => {
+  test('map to contexts and back', () => {
+    expect(placeToContext('@HomeComputer', DEFAULT_CONTEXTS)).toBe('@computer');
+    expect(placeToContext(['!Errands', '@Home'], DEFAULT_CONTEXTS)).toBe('@errands');
+    expect(placeToContext('@Garage', DEFAULT_CONTEXTS)).toBe('@garage');
+    expect(contextToPlace('@Computer', DEFAULT_CONTEXTS)).toBe('@Computer');
+    expect(contextToPlace('@read', DEFAULT_CONTEXTS)).toBe('@read');
+  });
+});
@@ -0,0 +1,244 @@
+// gtd-pwa/src/shared/quickAddParser.js
+// Inline quick-add syntax: "Call dentist @calls !4 ~15m due:fri #Health +family every 2 weeks"
+// Shared with Cloud Functions (addEmailTask) - see sync-shared.js
+import { DEFAULT_RULE } from './recurrenceRule';
+
+const WEEKDAYS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6
+};
+
+const UNITS = {
+  day: 'daily', days: 'daily',
+  week: 'weekly', weeks: 'weekly',
+  month: 'monthly', months: 'monthly',
+  year: 'yearly', years: 'yearly'
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const addMonths = (date, months) => new Date(date.getFullYear(), date.getMonth() + months, date.getDate());
+
+// Days from `from` until the next given weekday (0 when it is today)
+const daysUntil = (from, weekday) => (weekday - from.getDay() + 7) % 7;
+
+// Stored like the task editor's date inputs: midnight UTC of the calendar day
+const toStoredDate = (date) => new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+/**
+ * Parse a date phrase starting at words[0].
+ * Returns { date, length } (length = words consumed) or null.
+ */
+const parseDatePhrase = (words, now) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const word = (words[0] || '').toLowerCase();
+  const next = (words[1] || '').toLowerCase();
+
+  if (word === 'today' || word === 'tod') return { date: today, length: 1 };
+  if (['tomorrow', 'tom', 'tmr'].includes(word)) return { date: addDays(today, 1), length: 1 };
+  if (word in WEEKDAYS) return { date: addDays(today, daysUntil(today, WEEKDAYS[word])), length: 1 };
+
+  if (word === 'next') {
+    // Weeks start on Monday: "next fri" is Friday of next week
+    const nextMonday = addDays(today, daysUntil(today, 1) || 7);
+    if (next === 'week') return { date: nextMonday, length: 2 };
+    if (next === 'month') return { date: new Date(today.getFullYear(), today.getMonth() + 1, 1), length: 2 };
+    if (next === 'year') return { date: new Date(today.getFullYear() + 1, 0, 1), length: 2 };
+    if (next in WEEKDAYS) return { date: addDays(nextMonday, (WEEKDAYS[next] + 6) % 7), length: 2 };
+    return null;
+  }
+
+  if (word === 'in' && /^\d+$/.test(next)) {
+    const amount = parseInt(next);
+    const unit = UNITS[(words[2] || '').toLowerCase()];
+    if (unit === 'daily') return { date: addDays(today, amount), length: 3 };
+    if (unit === 'weekly') return { date: addDays(today, amount * 7), length: 3 };
+    if (unit === 'monthly') return { date: addMonths(today, amount), length: 3 };
+    if (unit === 'yearly') return { date: addMonths(today, amount * 12), length: 3 };
+    return null;
+  }
+
+  const iso = word.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) return { date: new Date(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3])), length: 1 };
+
+  // m/d or m/d/yyyy; without a year the next such day is meant
+  const slash = word.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+  if (slash) {
+    const month = parseInt(slash[1]) - 1;
+    const day = parseInt(slash[2]);
+    let date = new Date(slash[3] ? parseInt(slash[3]) : today.getFullYear(), month, day);
+    if (!slash[3] && date < today) date = new Date(today.getFullYear() + 1, month, day);
+    return { date, length: 1 };
+  }
+
+  return null;
+};
+
+/**
+ * Parse "every ..." starting after the word "every".
+ * Returns { rule, weekday, length } or null.
+ */
+const parseRecurrencePhrase = (words) => {
+  const first = (words[0] || '').toLowerCase();
+  const second = (words[1] || '').toLowerCase();
+
+  if (first === 'day') return { rule: { freq: 'daily', interval: 1 }, length: 1 };
+  if (first === 'weekday' || first === 'weekdays') return { rule: { freq: 'daily', interval: 1, weekdaysOnly: true }, length: 1 };
+  if (first in WEEKDAYS) return { rule: { freq: 'weekly', interval: 1 }, weekday: WEEKDAYS[first], length: 1 };
+  if (UNITS[first]) return { rule: { freq: UNITS[first], interval: 1 }, length: 1 };
+  if (first === 'other' && UNITS[second]) return { rule: { freq: UNITS[second], interval: 2 }, length: 2 };
+  if (/^\d+$/.test(first) && UNITS[second]) {
+    return { rule: { freq: UNITS[second], interval: Math.max(1, parseInt(first)) }, length: 2 };
+  }
+  return null;
+};
+
+// "~15m", "~15min", "~1h", "~1h30m", "~1.5h", "~20"
+const parseDuration = (text) => {
+  const match = text.match(/^~(?:(\d+(?:\.\d+)?)h)?(?:(\d+)(?:m|min)?)?$/i);
+  if (!match || (!match[1] && !match[2])) return null;
+  const minutes = Math.round((parseFloat(match[1]) || 0) * 60) + (parseInt(match[2]) || 0);
+  return minutes > 0 ? minutes : null;
+};
+
+const normalizeName = (name) => name.toLowerCase().replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Exact title match first, then prefix, then (if allowed) substring
+const findProject = (name, projects, substring) => {
+  const wanted = normalizeName(name);
+  if (!wanted) return null;
+  return projects.find(p => normalizeName(p.title) === wanted)
+    || projects.find(p => normalizeName(p.title).startsWith(wanted))
+    || (substring && projects.find(p => normalizeName(p.title).includes(wanted)))
+    || null;
+};
+
+const findContext = (name, contexts) => {
+  const wanted = name.toLowerCase();
+  return contexts.find(ctx => ctx.toLowerCase() === wanted) || name;
+};
+
+/**
+ * Parse quick-add text.
+ * options: { now, contexts: ['@home', ...], projects: [{ id, title }],
+ * substringProjects } - substringProjects (default true) lets "#fin" match
+ * "Personal Finance"; text the user didn't write for us, like email
+ * subjects ("Order #5"), should only match project titles by prefix.
+ * Returns { title, context, tags, importance, urgency, timeEstimate, dueDate,
+ * startDate, project, recurrence }; anything not given is null (tags: []).
+ * Tokens that don't parse (e.g. an unknown #project) stay in the title.
+ */
+export const parseQuickAdd = (text, { now = new Date(), contexts = [], projects = [], substringProjects = true } = {}) => {
+  const words = (text || '').trim().split(/\s+/).filter(Boolean);
+  const result = {
+    title: '',
+    context: null,
+    tags: [],
+    importance: null,
+    urgency: null,
+    timeEstimate: null,
+    dueDate: null,
+    startDate: null,
+    project: null,
+    recurrence: null
+  };
+  const titleWords = [];
+  let recurrenceWeekday = null;
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const lower = word.toLowerCase();
+    let match;
+
+    if ((match = word.match(/^@([\w-]+)$/))) {
+      result.context = findContext(word, contexts);
+      continue;
+    }
+
+    if ((match = word.match(/^\+([\w-]+)$/))) {
+      if (!result.tags.includes(match[1])) result.tags.push(match[1]);
+      continue;
+    }
+
+    if ((match = word.match(/^!!([1-5])$/))) {
+      result.urgency = parseInt(match[1]);
+      continue;
+    }
+
+    if ((match = word.match(/^!([1-5])$/))) {
+      result.importance = parseInt(match[1]);
+      continue;
+    }
+
+    if (word.startsWith('~') && parseDuration(word)) {
+      result.timeEstimate = parseDuration(word);
+      continue;
+    }
+
+    if ((match = word.match(/^(due|start|defer):(.*)$/i))) {
+      // The phrase may start inside this word ("due:fri") or after it ("due: next week")
+      const inline = match[2];
+      const phrase = inline ? [inline, ...words.slice(i + 1)] : words.slice(i + 1);
+      const parsed = parseDatePhrase(phrase, now);
+      if (parsed) {
+        result[match[1].toLowerCase() === 'due' ? 'dueDate' : 'startDate'] = toStoredDate(parsed.date);
+        i += parsed.length - (inline ? 1 : 0);
+        continue;
+      }
+    }
+
+    if ((match = word.match(/^#(.+)$/))) {
+      const project = findProject(match[1], projects, substringProjects);
+      if (project) {
+        result.project = project;
+        continue;
+      }
+    }
+
+    if (lower === 'every') {
+      const parsed = parseRecurrencePhrase(words.slice(i + 1));
+      if (parsed) {
+        result.recurrence = { ...DEFAULT_RULE, ...parsed.rule };
+        if (parsed.weekday !== undefined) recurrenceWeekday = parsed.weekday;
+        i += parsed.length;
+        continue;
+      }
+    }
+
+    titleWords.push(word);
+  }
+
+  // "every monday" with no due date is due on the coming Monday
+  if (recurrenceWeekday !== null && !result.dueDate) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    result.dueDate = toStoredDate(addDays(today, daysUntil(today, recurrenceWeekday)));
+  }
+
+  result.title = titleWords.join(' ');
+  return result;
+};
+
+/**
+ * Task document fields for whatever the text specified
+ */
+export const parsedTaskFields = (parsed) => {
+  const fields = {};
+  if (parsed.context) fields.context = parsed.context;
+  if (parsed.tags.length > 0) fields.tags = parsed.tags;
+  if (parsed.importance) fields.importance = parsed.importance;
+  if (parsed.urgency) fields.urgency = parsed.urgency;
+  if (parsed.timeEstimate) fields.timeEstimate = parsed.timeEstimate;
+  if (parsed.dueDate) fields.dueDate = parsed.dueDate;
+  if (parsed.startDate) fields.startDate = parsed.startDate;
+  if (parsed.project) fields.parentId = parsed.project.id;
+  if (parsed.recurrence) {
+    fields.isRecurring = true;
+    fields.recurrence = parsed.recurrence;
+  }
+  return fields;
+};
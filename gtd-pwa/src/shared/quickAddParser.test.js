@@ -0,0 +1,79 @@
+import { parseQuickAdd, parsedTaskFields } from './quickAddParser';
+
+// Monday Oct 19 2026, late evening: already Tuesday in UTC
+const now = new Date(2026, 9, 19, 23, 30);
+const stored = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+
+const projects = [
+  { id: 'p1', title: 'Personal Finance' },
+  { id: 'p2', title: 'Health' }
+];
+
+describe('parseQuickAdd', () => {
+  test('pulls every token out of the title', () => {
+    const parsed = parseQuickAdd('Call dentist @calls !4 !!2 ~1h30m +family #health', { now, contexts: ['@Calls'], projects });
+    expect(parsed).toMatchObject({
+      title: 'Call dentist',
+      context: '@Calls',
+      tags: ['family'],
+      importance: 4,
+      urgency: 2,
+      timeEstimate: 90,
+      project: projects[1]
+    });
+  });
+
+  test('stores dates as midnight UTC of the local day', () => {
+    expect(parseQuickAdd('Pay bill due:today', { now }).dueDate).toEqual(stored(2026, 10, 19));
+    expect(parseQuickAdd('Pay bill due:tomorrow', { now }).dueDate).toEqual(stored(2026, 10, 20));
+    expect(parseQuickAdd('Pay bill start:2026-11-02', { now }).startDate).toEqual(stored(2026, 11, 2));
+  });
+
+  test('reads weekday and relative phrases', () => {
+    expect(parseQuickAdd('Report due:mon', { now }).dueDate).toEqual(stored(2026, 10, 19));
+    expect(parseQuickAdd('Report due:fri', { now }).dueDate).toEqual(stored(2026, 10, 23));
+    expect(parseQuickAdd('Report due: next fri', { now }).dueDate).toEqual(stored(2026, 10, 30));
+    expect(parseQuickAdd('Report due: next week', { now }).dueDate).toEqual(stored(2026, 10, 26));
+    expect(parseQuickAdd('Report due: in 2 weeks', { now }).dueDate).toEqual(stored(2026, 11, 2));
+    expect(parseQuickAdd('Report due: in 1 month', { now }).dueDate).toEqual(stored(2026, 11, 19));
+  });
+
+  test('rolls a past m/d into next year', () => {
+    expect(parseQuickAdd('Taxes due:4/15', { now }).dueDate).toEqual(stored(2027, 4, 15));
+    expect(parseQuickAdd('Party due:12/31', { now }).dueDate).toEqual(stored(2026, 12, 31));
+  });
+
+  test('keeps unparsed tokens in the title', () => {
+    const parsed = parseQuickAdd('Fix #42 due:someday every blue moon', { now, projects });
+    expect(parsed.title).toBe('Fix #42 due:someday every blue moon');
+    expect(parsed.dueDate).toBeNull();
+    expect(parsed.recurrence).toBeNull();
+  });
+
+  test('parses recurrences and dates "every <weekday>" on the coming one', () => {
+    expect(parseQuickAdd('Stand-up every weekday', { now }).recurrence)
+      .toMatchObject({ freq: 'daily', interval: 1, weekdaysOnly: true });
+    expect(parseQuickAdd('Backups every other week', { now }).recurrence).toMatchObject({ freq: 'weekly', interval: 2 });
+    const weekly = parseQuickAdd('Bins out every thursday', { now });
+    expect(weekly.recurrence).toMatchObject({ freq: 'weekly', interval: 1 });
+    expect(weekly.dueDate).toEqual(stored(2026, 10, 22));
+  });
+
+  test('matches projects exactly, by prefix, then by substring unless disabled', () => {
+    expect(parseQuickAdd('Budget #personal-finance', { now, projects }).project).toBe(projects[0]);
+    expect(parseQuickAdd('Budget #pers', { now, projects }).project).toBe(projects[0]);
+    expect(parseQuickAdd('Budget #fin', { now, projects }).project).toBe(projects[0]);
+    expect(parseQuickAdd('Budget #fin', { now, projects, substringProjects: false }).project).toBeNull();
+  });
+});
+
+describe('parsedTaskFields', () => {
+  test('only sets what the text specified', () => {
+    expect(parsedTaskFields(parseQuickAdd('Just a title', { now }))).toEqual({});
+    expect(parsedTaskFields(parseQuickAdd('Budget #fin every month', { now, projects }))).toMatchObject({
+      parentId: 'p1',
+      isRecurring: true,
+      recurrence: { freq: 'monthly' }
+    });
+  });
+});
@@ -0,0 +1,17 @@
+// gtd-pwa/src/shared/recurrenceRule.js
+// Recurrence rule defaults, shared with Cloud Functions (see sync-shared.js)
+
+/**
+ * Default rule for a task that has no recurrence yet
+ */
+export const DEFAULT_RULE = {
+  freq: 'weekly',
+  interval: 1,
+  weekdaysOnly: false,
+  nthWeekday: null,
+  anchor: 'due',
+  count: null,
+  until: null,
+  monthDay: null,
+  carrySubtasks: true
+};
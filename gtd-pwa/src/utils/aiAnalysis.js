@@ -0,0 +1,103 @@
+// gtd-pwa/src/utils/aiAnalysis.js
+// Client side of the analyzeTask callable: request a breakdown and normalize it
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../firebase';
+
+const ENERGY_LEVELS = ['low', 'medium', 'high'];
+
+const clampScore = (value) => Math.min(5, Math.max(1, parseInt(value) || 3));
+
+const normalizeContextName = (ctx) => ctx.toLowerCase().replace(/^@/, '').trim();
+
+/**
+ * Map a suggested context onto one the user already has, so AI output
+ * doesn't spawn near-duplicates like "@Office" next to "@office".
+ * Falls back to the suggestion itself (with an @ prefix).
+ */
+export const mapContext = (suggested, allContexts = []) => {
+  if (!suggested) return '';
+  const wanted = normalizeContextName(suggested);
+  if (!wanted) return '';
+
+  const exact = allContexts.find(ctx => normalizeContextName(ctx) === wanted);
+  if (exact) return exact;
+
+  const partial = allContexts.find(ctx => {
+    const name = normalizeContextName(ctx);
+    return name && (name.includes(wanted) || wanted.includes(name));
+  });
+  if (partial) return partial;
+
+  return suggested.startsWith('@') ? suggested : `@${suggested}`;
+};
+
+/**
+ * Ask Gemini to break a task down. estimateAccuracy is a list of lines
+ * from describeEstimateAccuracy so time estimates reflect tracked time.
+ * Resolves to { subtasks, strategy, quickWins, dependencies, estimatedTotalTime }
+ * with subtasks normalized for the review panel.
+ */
+export const analyzeTask = async (task, allContexts = [], estimateAccuracy = []) => {
+  const callable = httpsCallable(functions, 'analyzeTask');
+  const result = await callable({
+    taskTitle: task.title,
+    taskDescription: task.description || '',
+    userContext: { contexts: allContexts, estimateAccuracy }
+  });
+
+  const { analysis } = result.data;
+  if (!analysis || analysis.error) {
+    throw new Error(analysis?.error || 'Empty analysis');
+  }
+
+  const subtasks = (analysis.subtasks || []).map((subtask, index) => ({
+    key: index,
+    include: true,
+    title: subtask.title || '',
+    description: subtask.description || '',
+    timeEstimate: parseInt(subtask.timeEstimate) || '',
+    context: mapContext(subtask.context, allContexts),
+    energyLevel: ENERGY_LEVELS.includes(subtask.energyLevel) ? subtask.energyLevel : 'medium',
+    importance: clampScore(subtask.importance),
+    urgency: clampScore(subtask.urgency),
+    dependsOn: Array.isArray(subtask.dependsOn)
+      ? subtask.dependsOn.map(i => parseInt(i)).filter(i => Number.isInteger(i) && i >= 0 && i < index)
+      : []
+  }));
+
+  return {
+    subtasks,
+    strategy: analysis.strategy || '',
+    quickWins: analysis.quickWins || [],
+    dependencies: analysis.dependencies || [],
+    estimatedTotalTime: analysis.estimatedTotalTime || null
+  };
+};
+
+const PROCESSING_OUTCOMES = ['do_now', 'next_action', 'delegate', 'defer', 'reference', 'someday', 'trash'];
+
+/**
+ * Ask Gemini how to process an inbox item. projects is [{ id, path }].
+ * Resolves to { actionable, outcome, context, parentId, importance, urgency, timeEstimate, reasoning }.
+ */
+export const suggestInboxProcessing = async (item, allContexts = [], projects = []) => {
+  const callable = httpsCallable(functions, 'suggestInboxProcessing');
+  const result = await callable({
+    itemTitle: item.title,
+    itemDescription: item.description || '',
+    contexts: allContexts,
+    projects
+  });
+
+  const { suggestion } = result.data;
+  return {
+    actionable: suggestion.actionable !== false,
+    outcome: PROCESSING_OUTCOMES.includes(suggestion.outcome) ? suggestion.outcome : null,
+    context: mapContext(suggestion.context, allContexts),
+    parentId: suggestion.parentId || null,
+    importance: clampScore(suggestion.importance),
+    urgency: clampScore(suggestion.urgency),
+    timeEstimate: parseInt(suggestion.timeEstimate) || '',
+    reasoning: suggestion.reasoning || ''
+  };
+};
@@ -0,0 +1,116 @@
+// gtd-pwa/src/utils/calendar.js
+// Calendar placement by due and start date, projected recurrences and drag rescheduling
+import { addDays, addMonths, differenceInCalendarDays, endOfDay, endOfMonth, endOfWeek, isSameDay, startOfDay, startOfMonth, startOfWeek } from 'date-fns';
+import { getRecurrenceRule, isWithinRule, nextOccurrence } from './recurrence';
+import { toDayKey } from './dailyPlan';
+import { storedDay, toStoredDate } from './dates';
+import { updateTask } from './taskMutations';
+
+export const CALENDAR_MODES = { month: 'Month', week: 'Week', agenda: 'Agenda' };
+
+const AGENDA_DAYS = 30;
+
+// Stepping a daily rule from an old due date can take a while to reach the range
+const MAX_PROJECTION_STEPS = 1000;
+
+/**
+ * First and last instant shown for a mode around the anchor date
+ */
+export const getCalendarRange = (mode, anchor) => {
+  switch (mode) {
+    case 'week':
+      return { start: startOfWeek(anchor), end: endOfWeek(anchor) };
+    case 'agenda':
+      return { start: startOfDay(anchor), end: endOfDay(addDays(anchor, AGENDA_DAYS - 1)) };
+    case 'month':
+    default:
+      return { start: startOfWeek(startOfMonth(anchor)), end: endOfWeek(endOfMonth(anchor)) };
+  }
+};
+
+export const shiftAnchor = (mode, anchor, direction) => {
+  if (mode === 'month') return addMonths(anchor, direction);
+  return addDays(anchor, direction * (mode === 'week' ? 7 : AGENDA_DAYS));
+};
+
+export const isOverdue = (task, now = new Date()) => {
+  const due = storedDay(task.dueDate);
+  return !!due && task.status !== 'done' && differenceInCalendarDays(due, now) < 0;
+};
+
+/**
+ * Future due dates of an open recurring task inside the range, as
+ * [{ date, occurrence }]. Rules anchored on completion are projected as
+ * if each instance were finished on its due date.
+ */
+export const projectOccurrences = (task, { start, end }) => {
+  const rule = getRecurrenceRule(task);
+  const dueDate = storedDay(task.dueDate);
+  if (!rule || !dueDate || task.status === 'done') return [];
+
+  const projected = [];
+  let date = dueDate;
+  let occurrence = task.occurrence || 1;
+  for (let step = 0; step < MAX_PROJECTION_STEPS; step++) {
+    date = nextOccurrence(rule, date);
+    occurrence++;
+    if (date > end || !isWithinRule(rule, occurrence, date)) break;
+    if (date >= start) projected.push({ date, occurrence });
+  }
+  return projected;
+};
+
+/**
+ * Everything to draw in the range, sorted by date: due dates, start dates
+ * of open tasks (unless on the due day) and projected recurrences.
+ * Entries are { key, task, kind: 'due' | 'start' | 'projected', date }.
+ */
+export const getCalendarEntries = (flatTasks, range) => {
+  const inRange = (date) => date >= range.start && date <= range.end;
+  const entries = [];
+
+  flatTasks.forEach(task => {
+    const due = storedDay(task.dueDate);
+    const start = storedDay(task.startDate);
+    if (due && inRange(due)) {
+      entries.push({ key: `${task.id}:due`, task, kind: 'due', date: due });
+    }
+    if (start && task.status !== 'done' && inRange(start) && !(due && isSameDay(due, start))) {
+      entries.push({ key: `${task.id}:start`, task, kind: 'start', date: start });
+    }
+    projectOccurrences(task, range).forEach(({ date, occurrence }) => {
+      entries.push({ key: `${task.id}:${occurrence}`, task, kind: 'projected', date });
+    });
+  });
+
+  return entries.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Entries keyed by local day ("YYYY-MM-DD")
+ */
+export const groupEntriesByDay = (entries) => {
+  const days = new Map();
+  entries.forEach(entry => {
+    const key = toDayKey(entry.date);
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push(entry);
+  });
+  return days;
+};
+
+/**
+ * Move a task's due or start date to another day. Moving the due date
+ * takes the start date along so the lead time stays the same.
+ */
+export const rescheduleTask = async (task, kind, day) => {
+  const field = kind === 'start' ? 'startDate' : 'dueDate';
+  const current = storedDay(task[field]);
+  const days = differenceInCalendarDays(day, current);
+  if (days === 0) return;
+
+  const updates = { [field]: toStoredDate(day) };
+  const start = storedDay(task.startDate);
+  if (field === 'dueDate' && start) updates.startDate = toStoredDate(addDays(start, days));
+  await updateTask(task, updates, `Reschedule "${task.title}"`);
+};
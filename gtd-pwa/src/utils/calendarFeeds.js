@@ -0,0 +1,68 @@
+// gtd-pwa/src/utils/calendarFeeds.js
+// Secret-token iCalendar feeds of due tasks, served by the calendarFeed function
+import { collection, deleteDoc, doc, onSnapshot, query, serverTimestamp, setDoc, where, writeBatch } from 'firebase/firestore';
+import { db } from '../firebase';
+
+const FEED_URL = process.env.REACT_APP_CALENDAR_FEED_URL ||
+  `https://us-west1-${process.env.REACT_APP_FIREBASE_PROJECT_ID}.cloudfunctions.net/calendarFeed`;
+
+export const FEED_EVENT_STYLES = {
+  auto: 'Timed when estimated',
+  allday: 'All-day',
+  timed: 'Always timed'
+};
+
+// 256 random bits, hex encoded; the feed doc id and the URL secret
+const newToken = () => Array.from(
+  crypto.getRandomValues(new Uint8Array(32)),
+  byte => byte.toString(16).padStart(2, '0')
+).join('');
+
+/**
+ * Live list of the user's feeds, oldest first
+ */
+export const subscribeToCalendarFeeds = (userId, onChange) => onSnapshot(
+  query(collection(db, 'calendarFeeds'), where('userId', '==', userId)),
+  (snapshot) => {
+    const feeds = snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (a.createdDate?.seconds || 0) - (b.createdDate?.seconds || 0));
+    onChange(feeds);
+  },
+  (error) => console.error('Error listening to calendar feeds:', error)
+);
+
+export const createCalendarFeed = async (userId, name) => {
+  const token = newToken();
+  await setDoc(doc(db, 'calendarFeeds', token), { userId, name, createdDate: serverTimestamp() });
+  return token;
+};
+
+/**
+ * Revoke a feed: calendars subscribed to its URL stop updating
+ */
+export const revokeCalendarFeed = (feed) => deleteDoc(doc(db, 'calendarFeeds', feed.id));
+
+/**
+ * Swap a feed's token for a new one, keeping its name. The old URL stops
+ * working straight away.
+ */
+export const rotateCalendarFeed = async (feed) => {
+  const token = newToken();
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'calendarFeeds', token), { userId: feed.userId, name: feed.name, createdDate: serverTimestamp() });
+  batch.delete(doc(db, 'calendarFeeds', feed.id));
+  await batch.commit();
+  return token;
+};
+
+/**
+ * Subscription URL for a feed; defaults are left out to keep it short
+ */
+export const calendarFeedUrl = (token, { contexts = [], events = 'auto', hour = 9 } = {}) => {
+  const params = new URLSearchParams({ token });
+  if (contexts.length > 0) params.set('contexts', contexts.join(','));
+  if (events !== 'auto') params.set('events', events);
+  if (events !== 'allday' && hour !== 9) params.set('hour', hour);
+  return `${FEED_URL}?${params}`;
+};
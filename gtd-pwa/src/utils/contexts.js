@@ -0,0 +1,168 @@
+// gtd-pwa/src/utils/contexts.js
+// Managed contexts: icon, color, MLO place alias, open hours and geofence
+import { addDoc, collection, deleteDoc, doc, getDocs, onSnapshot, query, serverTimestamp, updateDoc, where, writeBatch } from 'firebase/firestore';
+import { db } from '../firebase';
+import { DEFAULT_CONTEXTS, resolveContexts, contextToPlace } from '../shared/contexts';
+
+export { DEFAULT_CONTEXTS, resolveContexts, contextToPlace };
+
+const DEFAULT_CONTEXT_COLOR = '#1e40af';
+
+/**
+ * Live list of the user's context definitions, sorted by name
+ */
+export const subscribeToContexts = (userId, onChange) => onSnapshot(
+  query(collection(db, 'contexts'), where('userId', '==', userId)),
+  (snapshot) => {
+    const contexts = snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    onChange(contexts);
+  },
+  (error) => console.error('Error listening to contexts:', error)
+);
+
+/**
+ * Every context in use: definitions (or defaults) plus names that only
+ * appear on tasks, with task counts
+ */
+export const mergeContexts = (contextDocs, taskList) => {
+  const counts = new Map();
+  const countContexts = (tasks) => tasks.forEach(task => {
+    if (task.context) counts.set(task.context, (counts.get(task.context) || 0) + 1);
+    countContexts(task.children || []);
+  });
+  countContexts(taskList);
+
+  const merged = resolveContexts(contextDocs).map(ctx => ({ ...ctx, count: counts.get(ctx.name) || 0 }));
+  counts.forEach((count, name) => {
+    if (!merged.some(ctx => ctx.name === name)) {
+      merged.push({ id: null, name, icon: '', color: DEFAULT_CONTEXT_COLOR, mloPlaces: [], keywords: [], count });
+    }
+  });
+  return merged.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Store the built-in contexts as the user's own so they can be edited
+ */
+export const addDefaultContexts = async (userId) => {
+  const batch = writeBatch(db);
+  DEFAULT_CONTEXTS.forEach(ctx => {
+    batch.set(doc(collection(db, 'contexts')), {
+      hours: null,
+      geofence: null,
+      ...ctx,
+      userId,
+      createdDate: serverTimestamp()
+    });
+  });
+  await batch.commit();
+};
+
+/**
+ * Create or update a context definition
+ */
+export const saveContext = async (userId, context, changes) => {
+  if (context.id) {
+    await updateDoc(doc(db, 'contexts', context.id), changes);
+    return;
+  }
+  const { count, ...fields } = context;
+  await addDoc(collection(db, 'contexts'), {
+    icon: '',
+    color: DEFAULT_CONTEXT_COLOR,
+    mloPlaces: [],
+    keywords: [],
+    hours: null,
+    geofence: null,
+    ...fields,
+    ...changes,
+    userId,
+    createdDate: serverTimestamp()
+  });
+};
+
+/**
+ * Rename a context on its definition and on every task that uses it
+ */
+export const renameContext = async (userId, context, newName, changes = {}) => {
+  const name = newName.trim();
+  if (!name || name === context.name) return;
+
+  const snapshot = await getDocs(query(
+    collection(db, 'tasks'),
+    where('userId', '==', userId),
+    where('context', '==', context.name)
+  ));
+  // Firestore batches are limited to 500 writes
+  for (let i = 0; i < snapshot.docs.length; i += 450) {
+    const batch = writeBatch(db);
+    snapshot.docs.slice(i, i + 450).forEach(d => {
+      batch.update(d.ref, { context: name, modifiedDate: serverTimestamp() });
+    });
+    await batch.commit();
+  }
+
+  await saveContext(userId, context, { ...changes, name });
+};
+
+/**
+ * Remove a definition. Tasks keep their context string.
+ */
+export const deleteContext = async (context) => {
+  if (context.id) {
+    await deleteDoc(doc(db, 'contexts', context.id));
+  }
+};
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + (m || 0);
+};
+
+// Haversine distance in meters
+const distanceMeters = (a, b) => {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+export const hasGeofence = (context) =>
+  Number.isFinite(context?.geofence?.lat) && Number.isFinite(context?.geofence?.lng);
+
+/**
+ * Is the context usable right now? Contexts without hours or a geofence
+ * always are; a geofence is ignored while the position is unknown.
+ */
+export const isContextAvailable = (context, { now = new Date(), position = null } = {}) => {
+  if (!context) return true;
+
+  const hours = context.hours;
+  if (hours && hours.start && hours.end) {
+    if (hours.days && !hours.days.includes(now.getDay())) return false;
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const start = toMinutes(hours.start);
+    const end = toMinutes(hours.end);
+    // Overnight ranges such as 22:00-02:00 wrap past midnight
+    const open = start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+    if (!open) return false;
+  }
+
+  if (hasGeofence(context) && position) {
+    return distanceMeters(position, context.geofence) <= (context.geofence.radius || 200);
+  }
+
+  return true;
+};
+
+/**
+ * Names of the contexts that are unavailable right now
+ */
+export const getUnavailableContexts = (contexts, options) =>
+  new Set(contexts.filter(ctx => !isContextAvailable(ctx, options)).map(ctx => ctx.name));
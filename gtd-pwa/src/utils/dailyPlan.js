@@ -0,0 +1,107 @@
+// gtd-pwa/src/utils/dailyPlan.js
+// Daily planning: propose a time-budgeted Today list and carry unfinished items forward
+import { differenceInCalendarDays, format, parseISO, startOfDay } from 'date-fns';
+import { storedDay } from './dates';
+import { bulkUpdateTasks } from './taskMutations';
+
+const SETTINGS_KEY = 'gtd-daily-plan-settings';
+
+// Planning assumes this much time for tasks without an estimate
+export const DEFAULT_TASK_MINUTES = 30;
+
+const ENERGY_RANK = { low: 1, medium: 2, high: 3 };
+
+export const loadPlanSettings = () => {
+  try {
+    return { hours: 4, energy: 'medium', ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return { hours: 4, energy: 'medium' };
+  }
+};
+
+export const savePlanSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// plannedDate is stored as a local "YYYY-MM-DD" day, not a timestamp
+export const toDayKey = (date) => format(date, 'yyyy-MM-dd');
+
+export const plannedMinutes = (task) => task.timeEstimate || DEFAULT_TASK_MINUTES;
+
+/**
+ * Days an unfinished Today item has been carried forward: the count saved
+ * at the last planning plus the days since it was planned
+ */
+export const getRolledOverDays = (task, today = new Date()) => {
+  if (!task.todayFocus || task.status === 'done' || !task.plannedDate) return task.rolledOverDays || 0;
+  const sincePlanned = differenceInCalendarDays(startOfDay(today), parseISO(task.plannedDate));
+  return (task.rolledOverDays || 0) + Math.max(0, sincePlanned);
+};
+
+const priorityOf = (task) =>
+  task.computedPriority || ((task.importance || 3) * 3 + (task.urgency || 3) * 2.5);
+
+/**
+ * How strongly a task belongs on today's list: priority, boosted by a
+ * near due date and by slipping from earlier days, held back when it
+ * needs more energy than is available
+ */
+export const planScore = (task, { energy = 'medium', today = new Date() } = {}) => {
+  let score = priorityOf(task);
+
+  const due = storedDay(task.dueDate);
+  if (due) {
+    const days = differenceInCalendarDays(due, today);
+    if (days <= 0) score += 20;
+    else if (days <= 2) score += 10;
+    else if (days <= 7) score += 4;
+  }
+
+  score += Math.min(getRolledOverDays(task, today), 5) * 2;
+
+  const energyGap = ENERGY_RANK[task.energyLevel || 'medium'] - ENERGY_RANK[energy];
+  if (energyGap > 0) score -= energyGap * 8;
+
+  return score;
+};
+
+/**
+ * Best-scoring candidates that fit in the time budget. Tasks too long for
+ * what's left are passed over so shorter ones can still fill the gap.
+ * Returns { tasks, totalMinutes } with tasks in score order.
+ */
+export const proposeTodayList = (candidates, { availableMinutes, energy, today = new Date() }) => {
+  const ranked = candidates
+    .map(task => ({ task, score: planScore(task, { energy, today }) }))
+    .sort((a, b) => b.score - a.score);
+
+  const tasks = [];
+  let totalMinutes = 0;
+  ranked.forEach(({ task }) => {
+    const minutes = plannedMinutes(task);
+    if (totalMinutes + minutes <= availableMinutes) {
+      tasks.push(task);
+      totalMinutes += minutes;
+    }
+  });
+  return { tasks, totalMinutes };
+};
+
+/**
+ * Make the chosen tasks today's list as one undo entry. Items kept from an
+ * earlier day save their rolled-over count; everything else on the old
+ * list, finished items included, leaves it.
+ */
+export const commitTodayPlan = (chosen, previousToday, today = new Date()) => {
+  const chosenIds = new Set(chosen.map(task => task.id));
+  const dropped = previousToday.filter(task => !chosenIds.has(task.id));
+  const dayKey = toDayKey(today);
+
+  return bulkUpdateTasks(
+    [...chosen, ...dropped],
+    (task) => (chosenIds.has(task.id)
+      ? { todayFocus: true, plannedDate: dayKey, rolledOverDays: getRolledOverDays(task, today) }
+      : { todayFocus: false, plannedDate: null, rolledOverDays: 0 }),
+    `Plan ${format(today, 'EEE MMM d')}`
+  );
+};
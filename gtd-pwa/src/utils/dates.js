@@ -0,0 +1,22 @@
+// gtd-pwa/src/utils/dates.js
+// Date-only task fields (dueDate, startDate, a rule's until) are stored as
+// midnight UTC of the calendar day. date-fns and the UI work in local time,
+// so convert at the edges: storedDay() to read, toStoredDate() to write.
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+/**
+ * The calendar day a stored date stands for, as local midnight
+ */
+export const storedDay = (value) => {
+  const date = toDate(value);
+  return date ? new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) : null;
+};
+
+/**
+ * A local day in the stored form: midnight UTC of the same calendar day
+ */
+export const toStoredDate = (day) => new Date(Date.UTC(day.getFullYear(), day.getMonth(), day.getDate()));
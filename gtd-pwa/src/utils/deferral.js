@@ -0,0 +1,49 @@
+// gtd-pwa/src/utils/deferral.js
+// Start-date deferral: which tasks are available now and which are upcoming
+import { differenceInCalendarDays } from 'date-fns';
+import { storedDay } from './dates';
+
+/**
+ * The day the task starts, as local midnight
+ */
+export const getStartDate = (task) => storedDay(task.startDate);
+
+/**
+ * Whether the task's own start day hasn't begun yet
+ */
+export const isDeferred = (task, now = new Date()) => {
+  const startDate = getStartDate(task);
+  return !!startDate && startDate > now;
+};
+
+/**
+ * Ids of tasks that aren't available yet: a future start date on the
+ * task itself or on any ancestor
+ */
+export const getDeferredTaskIds = (taskList, now = new Date()) => {
+  const deferred = new Set();
+  const walk = (tasks, parentDeferred) => {
+    tasks.forEach(task => {
+      const taskDeferred = parentDeferred || isDeferred(task, now);
+      if (taskDeferred) deferred.add(task.id);
+      if (task.children) walk(task.children, taskDeferred);
+    });
+  };
+  walk(taskList, false);
+  return deferred;
+};
+
+/**
+ * Label for an Upcoming group header, e.g. "Tomorrow" or "Mon, Mar 3"
+ */
+export const formatStartGroup = (date, now = new Date()) => {
+  const days = differenceInCalendarDays(date, now);
+  if (days <= 0) return 'Today';
+  if (days === 1) return 'Tomorrow';
+  return date.toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: date.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
+  });
+};
@@ -0,0 +1,90 @@
+// gtd-pwa/src/utils/dependencies.js
+// "Blocked by" links, sequential projects and blocked-state computation
+
+/**
+ * Map of task id -> task for the whole tree
+ */
+export const indexTasks = (taskList) => {
+  const index = new Map();
+  const walk = (tasks) => {
+    tasks.forEach(task => {
+      index.set(task.id, task);
+      if (task.children) walk(task.children);
+    });
+  };
+  walk(taskList);
+  return index;
+};
+
+/**
+ * Blockers of a task that are still open. Links to deleted tasks are ignored.
+ */
+export const getOpenBlockers = (task, index) => (task.blockedBy || [])
+  .map(id => index.get(id))
+  .filter(blocker => blocker && blocker.status !== 'done');
+
+/**
+ * Whether making `taskId` blocked by `blockerId` would close a loop,
+ * i.e. the blocker already (transitively) waits on the task. A task
+ * waits on its blockers and on its parent, since everything under a
+ * blocked task is blocked too; so a blocker inside the task's own
+ * subtree is a loop.
+ */
+export const wouldCreateCycle = (taskId, blockerId, index) => {
+  const visited = new Set();
+  const stack = [blockerId];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === taskId) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+    const task = index.get(id);
+    if (!task) continue;
+    stack.push(...(task.blockedBy || []));
+    if (task.parentId) stack.push(task.parentId);
+  }
+  return false;
+};
+
+const isDescendantOf = (task, ancestorId, index) => {
+  const seen = new Set();
+  let current = index.get(task.parentId);
+  while (current && !seen.has(current.id)) {
+    if (current.id === ancestorId) return true;
+    seen.add(current.id);
+    current = index.get(current.parentId);
+  }
+  return false;
+};
+
+/**
+ * Ids of every task that can't be worked on yet: tasks with open blockers,
+ * children of a sequential project after its first open child, and
+ * everything underneath a blocked task.
+ */
+export const getBlockedTaskIds = (taskList, index = indexTasks(taskList)) => {
+  const blocked = new Set();
+
+  const walk = (tasks, parentBlocked, sequential) => {
+    let firstOpenSeen = false;
+    tasks.forEach(task => {
+      const isOpen = task.status !== 'done';
+      // A blocker inside the task's own subtree (allowed by older versions)
+      // would block itself for good, so it doesn't count
+      let isBlocked = parentBlocked ||
+        getOpenBlockers(task, index).some(blocker => !isDescendantOf(blocker, task.id, index));
+
+      // Complete subtasks in order: only the first open child is actionable
+      if (sequential && isOpen) {
+        if (firstOpenSeen) isBlocked = true;
+        firstOpenSeen = true;
+      }
+
+      if (isBlocked) blocked.add(task.id);
+      if (task.children) walk(task.children, isBlocked, !!task.isSequential);
+    });
+  };
+
+  walk(taskList, false, false);
+  return blocked;
+};
@@ -0,0 +1,50 @@
+import { getBlockedTaskIds, getOpenBlockers, indexTasks, wouldCreateCycle } from './dependencies';
+
+const tree = [
+  {
+    id: 'move',
+    title: 'Move house',
+    isSequential: true,
+    children: [
+      { id: 'pack', parentId: 'move', status: 'done' },
+      { id: 'van', parentId: 'move', children: [{ id: 'quotes', parentId: 'van' }] },
+      { id: 'unpack', parentId: 'move' }
+    ]
+  },
+  { id: 'party', blockedBy: ['van', 'gone'] },
+  { id: 'clean', blockedBy: ['pack'], children: [{ id: 'windows', parentId: 'clean' }] },
+  { id: 'launch', blockedBy: ['review'], children: [{ id: 'review', parentId: 'launch' }] }
+];
+const index = indexTasks(tree);
+
+describe('getOpenBlockers', () => {
+  test('skips finished and deleted blockers', () => {
+    expect(getOpenBlockers(index.get('party'), index).map(task => task.id)).toEqual(['van']);
+    expect(getOpenBlockers(index.get('clean'), index)).toEqual([]);
+  });
+});
+
+describe('wouldCreateCycle', () => {
+  test('follows blockers and parents from the blocker', () => {
+    expect(wouldCreateCycle('van', 'party', index)).toBe(true);
+    expect(wouldCreateCycle('move', 'quotes', index)).toBe(true);
+    expect(wouldCreateCycle('party', 'clean', index)).toBe(false);
+  });
+});
+
+describe('getBlockedTaskIds', () => {
+  test('blocks later children of sequential projects, open blockers and their subtrees', () => {
+    expect([...getBlockedTaskIds(tree, index)].sort()).toEqual(['party', 'unpack']);
+  });
+
+  test('ignores a blocker inside the task\'s own subtree', () => {
+    expect(getBlockedTaskIds(tree, index).has('launch')).toBe(false);
+  });
+
+  test('blocks everything under a blocked task', () => {
+    const reopened = tree.map(task => (task.id === 'move'
+      ? { ...task, children: task.children.map(child => ({ ...child, status: undefined })) }
+      : task));
+    expect([...getBlockedTaskIds(reopened)].sort()).toEqual(['clean', 'party', 'quotes', 'unpack', 'van', 'windows']);
+  });
+});
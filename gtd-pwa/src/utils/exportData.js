@@ -2,6 +2,8 @@
 // Export utilities for GTD data
 import { collection, getDocs, query, where } from 'firebase/firestore';
 import { db } from '../firebase';
+import { contextToPlace, resolveContexts } from './contexts';
+import { compareTaskOrder } from './ordering';
 
 /**
  * Build hierarchical task tree from flat list
@@ -28,7 +30,20 @@ const buildTaskTree = (tasks) => {
     }
   });
 
-  return tree;
+  // Export siblings in the same order the app shows them
+  taskMap.forEach(task => task.children.sort(compareTaskOrder));
+  return tree.sort(compareTaskOrder);
+};
+
+/**
+ * Tag definitions (name, color, description) for JSON exports
+ */
+const getTagDefinitions = async (userId) => {
+  const snapshot = await getDocs(query(collection(db, 'tags'), where('userId', '==', userId)));
+  return snapshot.docs.map(doc => {
+    const { name, color, description } = doc.data();
+    return { id: doc.id, name, color, description: description || '' };
+  });
 };
 
 /**
@@ -50,7 +65,8 @@ export const exportToJSON = async (userId) => {
         modifiedDate: data.modifiedDate?.toDate().toISOString(),
         completedDate: data.completedDate?.toDate().toISOString(),
         dueDate: data.dueDate?.toDate().toISOString(),
-        startDate: data.startDate?.toDate().toISOString()
+        startDate: data.startDate?.toDate().toISOString(),
+        tags: data.tags || []
       };
     });
 
@@ -59,7 +75,8 @@ export const exportToJSON = async (userId) => {
       exportDate: new Date().toISOString(),
       userId: userId,
       taskCount: tasks.length,
-      tasks: tasks
+      tasks: tasks,
+      tags: await getTagDefinitions(userId)
     };
 
     const dataStr = JSON.stringify(exportData, null, 2);
@@ -97,10 +114,14 @@ export const exportToCSV = async (userId) => {
       'Title',
       'Description',
       'Status',
+      'Delegated To',
+      'Follow-up Date',
       'Context',
+      'Tags',
       'Importance',
       'Urgency',
       'Time Estimate',
+      'Actual Minutes',
       'Energy Level',
       'Due Date',
       'Start Date',
@@ -121,10 +142,14 @@ export const exportToCSV = async (userId) => {
       task.title || '',
       (task.description || '').replace(/"/g, '""'), // Escape quotes
       task.status || '',
+      task.delegatedTo || '',
+      task.followUpDate ? (task.followUpDate.toDate ? task.followUpDate.toDate() : new Date(task.followUpDate)).toISOString() : '',
       task.context || '',
+      (task.tags || []).join('; '),
       task.importance || '',
       task.urgency || '',
       task.timeEstimate || '',
+      task.actualMinutes || '',
       task.energyLevel || '',
       task.dueDate ? task.dueDate.toDate().toISOString() : '',
       task.startDate ? task.startDate.toDate().toISOString() : '',
@@ -177,8 +202,12 @@ export const exportToMLO = async (userId) => {
     // Build hierarchical structure
     const taskTree = buildTaskTree(tasks);
     
+    // Contexts map back to MLO places through the user's definitions
+    const contextsSnapshot = await getDocs(query(collection(db, 'contexts'), where('userId', '==', userId)));
+    const contexts = resolveContexts(contextsSnapshot.docs.map(doc => doc.data()));
+
     // Generate MLO XML
-    const xml = generateMLOXML(taskTree);
+    const xml = generateMLOXML(taskTree, contexts);
     
     const blob = new Blob([xml], { type: 'application/xml' });
     const url = URL.createObjectURL(blob);
@@ -199,7 +228,7 @@ export const exportToMLO = async (userId) => {
 /**
  * Generate MyLifeOrganized XML format
  */
-function generateMLOXML(taskTree) {
+function generateMLOXML(taskTree, contexts) {
   const escapeXML = (str) => {
     if (!str) return '';
     return str
@@ -229,17 +258,14 @@ function generateMLOXML(taskTree) {
     return mapping[energyLevel] || 50;
   };
 
-  const contextToPlace = (context) => {
-    if (!context) return null;
+  // GTD lists are carried as MLO flags; import-mlo.js maps them back
+  const statusToFlag = (status) => {
     const mapping = {
-      '@errands': '!Errands',
-      '@home': '@Home',
-      '@office': '@Office',
-      '@calls': '@Phone',
-      '@computer': '@Computer',
-      '@anywhere': '@Anywhere'
+      'waiting_for': 'Waiting For',
+      'someday': 'Someday',
+      'reference': 'Reference'
     };
-    return mapping[context] || context;
+    return mapping[status] || null;
   };
 
   const minutesToEstimate = (minutes) => {
@@ -250,7 +276,8 @@ function generateMLOXML(taskTree) {
 
   const generateTaskNode = (task, level = 0) => {
     const indent = '  '.repeat(level);
-    const place = contextToPlace(task.context);
+    const place = contextToPlace(task.context, contexts);
+    const flag = statusToFlag(task.status);
     const estimate = minutesToEstimate(task.timeEstimate);
     
     let xml = `${indent}<TaskNode>\n`;
@@ -270,6 +297,19 @@ function generateMLOXML(taskTree) {
       xml += `${indent}  </Places>\n`;
     }
     
+    if (flag) {
+      xml += `${indent}  <Flag>${escapeXML(flag)}</Flag>\n`;
+    }
+
+    if (task.delegatedTo) {
+      xml += `${indent}  <DelegatedTo>${escapeXML(task.delegatedTo)}</DelegatedTo>\n`;
+    }
+
+    if (task.followUpDate) {
+      const followUpDate = task.followUpDate.toDate ? task.followUpDate.toDate() : new Date(task.followUpDate);
+      xml += `${indent}  <FollowUpDateTime>${followUpDate.toISOString()}</FollowUpDateTime>\n`;
+    }
+
     if (estimate) {
       xml += `${indent}  <EstimateMax>${estimate}</EstimateMax>\n`;
     }
@@ -293,6 +333,10 @@ function generateMLOXML(taskTree) {
     if (task.isProject) {
       xml += `${indent}  <IsProject>-1</IsProject>\n`;
     }
+
+    if (task.isSequential) {
+      xml += `${indent}  <CompleteSubTasksInOrder>-1</CompleteSubTasksInOrder>\n`;
+    }
     
     // Recursively add children
     if (task.children && task.children.length > 0) {
@@ -338,7 +382,8 @@ export const exportAllData = async (userId) => {
         modifiedDate: data.modifiedDate?.toDate().toISOString(),
         completedDate: data.completedDate?.toDate().toISOString(),
         dueDate: data.dueDate?.toDate().toISOString(),
-        startDate: data.startDate?.toDate().toISOString()
+        startDate: data.startDate?.toDate().toISOString(),
+        tags: data.tags || []
       };
     });
 
@@ -360,6 +405,7 @@ export const exportAllData = async (userId) => {
       exportDate: new Date().toISOString(),
       userId: userId,
       tasks: tasks,
+      tags: await getTagDefinitions(userId),
       settings: settings,
       statistics: {
         totalTasks: tasks.length,
@@ -408,6 +454,7 @@ export const getExportStats = async (userId) => {
       completed: tasks.filter(t => t.status === 'done').length,
       projects: tasks.filter(t => t.isProject).length,
       contexts: Array.from(new Set(tasks.map(t => t.context).filter(Boolean))),
+      tags: Array.from(new Set(tasks.flatMap(t => t.tags || []))),
       avgImportance: (tasks.reduce((sum, t) => sum + (t.importance || 3), 0) / tasks.length).toFixed(1),
       avgUrgency: (tasks.reduce((sum, t) => sum + (t.urgency || 3), 0) / tasks.length).toFixed(1),
       withDueDate: tasks.filter(t => t.dueDate).length,
@@ -0,0 +1,53 @@
+// gtd-pwa/src/utils/focus.js
+// Focus mode: the session queue and Pomodoro interval settings
+
+const SETTINGS_KEY = 'gtd-focus-settings';
+
+export const DEFAULT_FOCUS_SETTINGS = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakEvery: 4,
+  queueSize: 8
+};
+
+export const loadFocusSettings = () => {
+  try {
+    return { ...DEFAULT_FOCUS_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return DEFAULT_FOCUS_SETTINGS;
+  }
+};
+
+export const saveFocusSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Break that follows the nth finished work interval (1-based)
+ */
+export const breakAfter = (intervalCount, settings) => (
+  intervalCount % settings.longBreakEvery === 0
+    ? { phase: 'long_break', minutes: settings.longBreakMinutes }
+    : { phase: 'short_break', minutes: settings.shortBreakMinutes }
+);
+
+/**
+ * Tasks for a focus session: everything flagged todayFocus first, then
+ * the top of the To Do list (already filtered and ranked) up to size.
+ * focusTasks is a flat list of open, actionable tasks.
+ */
+export const buildFocusQueue = (focusTasks, todoTasks, size = DEFAULT_FOCUS_SETTINGS.queueSize) => {
+  const priorityOf = (task) => task.computedPriority || ((task.importance || 3) * 3 + (task.urgency || 3) * 2.5);
+  const flagged = focusTasks
+    .filter(task => task.todayFocus && task.status !== 'done' && !task.isProject)
+    .sort((a, b) => priorityOf(b) - priorityOf(a));
+
+  const queue = [...flagged];
+  todoTasks.forEach(task => {
+    if (queue.length < Math.max(size, flagged.length) && !queue.some(t => t.id === task.id)) {
+      queue.push(task);
+    }
+  });
+  return queue;
+};
@@ -0,0 +1,39 @@
+// gtd-pwa/src/utils/fuzzy.js
+// Fuzzy matching for keyboard pickers ("grcy" finds "Groceries")
+
+/**
+ * Score how well query matches text as an in-order subsequence.
+ * Returns null when it doesn't match; higher is better. Consecutive
+ * characters and matches at word starts score extra.
+ */
+export const fuzzyScore = (query, text) => {
+  const q = (query || '').toLowerCase().replace(/\s+/g, '');
+  const t = (text || '').toLowerCase();
+  if (!q) return 0;
+
+  let score = 0;
+  let lastMatch = -1;
+  for (const char of q) {
+    const index = t.indexOf(char, lastMatch + 1);
+    if (index === -1) return null;
+    score += 1;
+    if (index === lastMatch + 1) score += 2;
+    if (index === 0 || /[\s>/\-_]/.test(t[index - 1])) score += 3;
+    lastMatch = index;
+  }
+  // Prefer shorter candidates when scores tie
+  return score - t.length / 1000;
+};
+
+/**
+ * Filter and rank items by fuzzy match on getText(item)
+ */
+export const fuzzyFilter = (items, query, getText, limit = 20) => {
+  if (!query) return items.slice(0, limit);
+  return items
+    .map(item => ({ item, score: fuzzyScore(query, getText(item)) }))
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => entry.item);
+};
@@ -0,0 +1,194 @@
+// gtd-pwa/src/utils/history.js
+// Undo/redo operation log for task mutations, persisted per browser session
+import { useEffect, useState } from 'react';
+import { collection, deleteField, doc, FieldValue, increment, serverTimestamp, Timestamp, updateDoc, writeBatch } from 'firebase/firestore';
+import { db } from '../firebase';
+import { deleteTaskTree, moveTaskTree } from './taskTree';
+
+const STORAGE_KEY = 'gtd-operation-log';
+const MAX_ENTRIES = 50;
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 450;
+
+/*
+ * Each entry is { label, timestamp, ops } where an op is one of:
+ *   { type: 'update', taskId, before, after }   field values before/after
+ *   { type: 'create', docs: [{ id, data }] }    root first, then descendants
+ *   { type: 'delete', docs: [{ id, data }] }    root first, then descendants
+ *   { type: 'move', taskId, before, after }     parent ids
+ */
+
+// JSON can't hold Timestamps, Dates, sentinels or "field was missing",
+// so tag them on the way into sessionStorage and restore on the way out
+const encode = (value) => {
+  if (value === undefined) return { __type: 'missing' };
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Timestamp) return { __type: 'date', ms: value.toMillis() };
+  if (value instanceof Date) return { __type: 'date', ms: value.getTime() };
+  if (value instanceof FieldValue) return { __type: 'serverTimestamp' };
+  if (Array.isArray(value)) return value.map(encode);
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, encode(v)]));
+};
+
+const decode = (value, { forUpdate = false } = {}) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(v => decode(v, { forUpdate }));
+  switch (value.__type) {
+    case 'missing':
+      return forUpdate ? deleteField() : undefined;
+    case 'date':
+      return new Date(value.ms);
+    case 'serverTimestamp':
+      return serverTimestamp();
+    default:
+      return Object.fromEntries(
+        Object.entries(value)
+          .map(([key, v]) => [key, decode(v, { forUpdate })])
+          .filter(([, v]) => v !== undefined)
+      );
+  }
+};
+
+const loadLog = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.undo) && Array.isArray(stored.redo)) return stored;
+  } catch (error) {
+    console.warn('Discarding unreadable operation log:', error);
+  }
+  return { undo: [], redo: [] };
+};
+
+let log = loadLog();
+let busy = false;
+const listeners = new Set();
+
+const save = () => {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(log));
+  } catch (error) {
+    console.warn('Could not persist operation log:', error);
+  }
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Record a completed mutation so it can be undone
+ */
+export const recordOperation = (label, ops) => {
+  if (!ops || ops.length === 0) return;
+  log = {
+    undo: [...log.undo, { label, timestamp: Date.now(), ops: encode(ops) }].slice(-MAX_ENTRIES),
+    redo: []
+  };
+  save();
+};
+
+// Written root first in chunked batches, so every restored task's parent
+// is already back if a later batch fails
+const restoreDocs = async (docs) => {
+  const tasksRef = collection(db, 'tasks');
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    docs.slice(i, i + BATCH_SIZE).forEach(({ id, data }) => batch.set(doc(tasksRef, id), decode(data)));
+
+    // Only the root's parent gains a child; descendants come back with their own counts
+    const rootParentId = docs[0].data.parentId;
+    if (i === 0 && rootParentId && !docs.some(({ id }) => id === rootParentId)) {
+      batch.update(doc(tasksRef, rootParentId), { childCount: increment(1), modifiedDate: serverTimestamp() });
+    }
+    await batch.commit();
+  }
+};
+
+const applyFields = (taskId, fields) => updateDoc(doc(db, 'tasks', taskId), {
+  ...decode(fields, { forUpdate: true }),
+  modifiedDate: serverTimestamp()
+});
+
+const applyOp = async (op, direction) => {
+  const undoing = direction === 'undo';
+  switch (op.type) {
+    case 'update':
+      await applyFields(op.taskId, undoing ? op.before : op.after);
+      break;
+    case 'move':
+      await moveTaskTree(op.taskId, undoing ? op.before : op.after);
+      break;
+    case 'create':
+      if (undoing) {
+        await deleteTaskTree(op.docs[0].id);
+      } else {
+        await restoreDocs(op.docs);
+      }
+      break;
+    case 'delete':
+      if (undoing) {
+        await restoreDocs(op.docs);
+      } else {
+        await deleteTaskTree(op.docs[0].id);
+      }
+      break;
+    default:
+      console.warn('Unknown operation type:', op.type);
+  }
+};
+
+const step = async (direction) => {
+  const from = direction === 'undo' ? 'undo' : 'redo';
+  const to = direction === 'undo' ? 'redo' : 'undo';
+  const entry = log[from][log[from].length - 1];
+  if (!entry || busy) return null;
+
+  busy = true;
+  try {
+    const ops = direction === 'undo' ? [...entry.ops].reverse() : entry.ops;
+    for (const op of ops) {
+      await applyOp(op, direction);
+    }
+    log = {
+      [from]: log[from].slice(0, -1),
+      [to]: [...log[to], entry]
+    };
+    save();
+    return entry;
+  } finally {
+    busy = false;
+  }
+};
+
+/**
+ * Undo the most recent operation. Resolves to the entry, or null if none.
+ */
+export const undo = () => step('undo');
+
+/**
+ * Redo the most recently undone operation
+ */
+export const redo = () => step('redo');
+
+/**
+ * React hook exposing undo/redo state for toolbars and shortcuts
+ */
+export const useOperationHistory = () => {
+  const [snapshot, setSnapshot] = useState(log);
+
+  useEffect(() => {
+    const listener = () => setSnapshot(log);
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }, []);
+
+  const lastUndo = snapshot.undo[snapshot.undo.length - 1];
+  const lastRedo = snapshot.redo[snapshot.redo.length - 1];
+
+  return {
+    canUndo: !!lastUndo,
+    canRedo: !!lastRedo,
+    undoLabel: lastUndo?.label,
+    redoLabel: lastRedo?.label,
+    undo,
+    redo
+  };
+};
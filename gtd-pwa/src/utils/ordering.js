@@ -0,0 +1,73 @@
+// gtd-pwa/src/utils/ordering.js
+// Manual task order: sortOrder keys (fractional indexing) and sibling comparison
+
+// Keys are strings over these digits, which are in ASCII order, so plain
+// < / > comparison orders them. A key never ends in '0', which means there
+// is always room for another key between any two.
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Key strictly between a ('' = start) and b (null = end)
+const midpoint = (a, b) => {
+  if (b !== null) {
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  if (b !== null && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+/**
+ * A sortOrder key between two neighbours. Either side may be null for
+ * "first" / "last".
+ */
+export const orderKeyBetween = (before, after) => {
+  const a = before || '';
+  const b = after || null;
+  if (b !== null && a >= b) {
+    throw new Error(`Cannot order between "${a}" and "${b}"`);
+  }
+  return midpoint(a, b);
+};
+
+/**
+ * n evenly spread keys between two neighbours, so assigning a whole
+ * sibling list keeps the keys short
+ */
+export const orderKeysBetween = (before, after, n) => {
+  if (n <= 0) return [];
+  const mid = orderKeyBetween(before, after);
+  const left = Math.floor((n - 1) / 2);
+  return [
+    ...orderKeysBetween(before, mid, left),
+    mid,
+    ...orderKeysBetween(mid, after, n - left - 1)
+  ];
+};
+
+export const compareTitles = (a, b) => (a.title || '').localeCompare(b.title || '');
+
+/**
+ * Sibling order: manually placed tasks first, by sortOrder; tasks that
+ * were never moved follow alphabetically
+ */
+export const compareTaskOrder = (a, b) => {
+  if (a.sortOrder && b.sortOrder) {
+    if (a.sortOrder === b.sortOrder) return compareTitles(a, b);
+    return a.sortOrder < b.sortOrder ? -1 : 1;
+  }
+  if (a.sortOrder || b.sortOrder) return a.sortOrder ? -1 : 1;
+  return compareTitles(a, b);
+};
+
+/**
+ * Copy of a task tree with every sibling list sorted by title
+ */
+export const sortTreeByTitle = (taskList) => [...taskList]
+  .sort(compareTitles)
+  .map(task => (task.children?.length ? { ...task, children: sortTreeByTitle(task.children) } : task));
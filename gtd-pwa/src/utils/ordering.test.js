@@ -0,0 +1,61 @@
+import { compareTaskOrder, orderKeyBetween, orderKeysBetween, sortTreeByTitle } from './ordering';
+
+describe('orderKeyBetween', () => {
+  test('returns a key strictly between its neighbours', () => {
+    const pairs = [[null, null], [null, 'V'], ['V', null], ['a', 'b'], ['a', 'a1'], ['Zz', 'a'], ['1', '11']];
+    pairs.forEach(([before, after]) => {
+      const key = orderKeyBetween(before, after);
+      expect(key > (before || '')).toBe(true);
+      expect(after === null || key < after).toBe(true);
+      expect(key.endsWith('0')).toBe(false);
+    });
+  });
+
+  test('keeps finding room when inserting at the same spot', () => {
+    let after = orderKeyBetween(null, null);
+    for (let i = 0; i < 200; i++) {
+      const key = orderKeyBetween('1', after);
+      expect(key > '1' && key < after).toBe(true);
+      after = key;
+    }
+  });
+
+  test('rejects neighbours out of order', () => {
+    expect(() => orderKeyBetween('b', 'a')).toThrow('Cannot order between "b" and "a"');
+    expect(() => orderKeyBetween('a', 'a')).toThrow();
+  });
+});
+
+describe('orderKeysBetween', () => {
+  test('returns n increasing keys inside the range', () => {
+    const keys = orderKeysBetween('A', 'B', 50);
+    expect(keys).toHaveLength(50);
+    expect([...keys].sort()).toEqual(keys);
+    expect(new Set(keys).size).toBe(50);
+    expect(keys[0] > 'A' && keys[49] < 'B').toBe(true);
+    expect(orderKeysBetween(null, null, 0)).toEqual([]);
+  });
+});
+
+describe('compareTaskOrder', () => {
+  test('puts placed tasks first by key, then the rest by title', () => {
+    const tasks = [
+      { title: 'Zebra' },
+      { title: 'Apple' },
+      { title: 'Mango', sortOrder: 'b' },
+      { title: 'Kiwi', sortOrder: 'a' },
+      { title: 'Fig', sortOrder: 'a' }
+    ];
+    expect([...tasks].sort(compareTaskOrder).map(task => task.title)).toEqual(['Fig', 'Kiwi', 'Mango', 'Apple', 'Zebra']);
+  });
+});
+
+describe('sortTreeByTitle', () => {
+  test('sorts every level without touching the input', () => {
+    const tree = [{ title: 'b', children: [{ title: 'y' }, { title: 'x' }] }, { title: 'a' }];
+    const sorted = sortTreeByTitle(tree);
+    expect(sorted.map(task => task.title)).toEqual(['a', 'b']);
+    expect(sorted[1].children.map(task => task.title)).toEqual(['x', 'y']);
+    expect(tree[0].children[0].title).toBe('y');
+  });
+});
@@ -0,0 +1,265 @@
+// gtd-pwa/src/utils/recurrence.js
+// RRULE-style recurrence rules and next-instance creation
+import { addDays, addWeeks, addMonths, addYears, differenceInCalendarDays, isWeekend, startOfDay, startOfMonth, endOfMonth } from 'date-fns';
+import { collection, doc, increment, serverTimestamp, writeBatch } from 'firebase/firestore';
+import { db } from '../firebase';
+import { DEFAULT_RULE } from '../shared/recurrenceRule';
+import { storedDay, toStoredDate } from './dates';
+
+export { DEFAULT_RULE };
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' };
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+/**
+ * Convert the old recurrencePattern strings into a rule
+ */
+export const ruleFromLegacyPattern = (pattern) => {
+  switch (pattern) {
+    case 'daily':
+      return { ...DEFAULT_RULE, freq: 'daily' };
+    case 'biweekly':
+      return { ...DEFAULT_RULE, freq: 'weekly', interval: 2 };
+    case 'monthly':
+      return { ...DEFAULT_RULE, freq: 'monthly' };
+    case 'weekly':
+    default:
+      return { ...DEFAULT_RULE };
+  }
+};
+
+/**
+ * Pin a due-anchored monthly rule to the day of month it started on, so a
+ * task due on the 31st comes back on the 31st after a short month clamps
+ * it to the 28th. A due date moved off that day re-pins the rule.
+ */
+const withMonthDay = (rule, dueDate) => {
+  if (rule.freq !== 'monthly' || rule.nthWeekday || rule.anchor === 'completion' || !dueDate) return rule;
+  const day = dueDate.getDate();
+  const clampedFrom = rule.monthDay > day && day === endOfMonth(dueDate).getDate();
+  return clampedFrom ? rule : { ...rule, monthDay: day };
+};
+
+/**
+ * Get the effective rule for a task, falling back to the legacy pattern
+ */
+export const getRecurrenceRule = (task) => {
+  if (!task.isRecurring) return null;
+  const rule = task.recurrence
+    ? { ...DEFAULT_RULE, ...task.recurrence }
+    : ruleFromLegacyPattern(task.recurrencePattern);
+  return withMonthDay(rule, storedDay(task.dueDate));
+};
+
+// nth (1-4, or -1 for last) given weekday of the month containing `date`
+const nthWeekdayOfMonth = (date, n, weekday) => {
+  if (n === -1) {
+    let day = endOfMonth(date);
+    while (day.getDay() !== weekday) day = addDays(day, -1);
+    return day;
+  }
+  let day = startOfMonth(date);
+  while (day.getDay() !== weekday) day = addDays(day, 1);
+  return addWeeks(day, n - 1);
+};
+
+/**
+ * Compute the occurrence after `baseDate` (a local day) for a rule
+ */
+export const nextOccurrence = (rule, baseDate) => {
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+
+  switch (rule.freq) {
+    case 'daily':
+      if (rule.weekdaysOnly) {
+        let next = baseDate;
+        let remaining = interval;
+        while (remaining > 0) {
+          next = addDays(next, 1);
+          if (!isWeekend(next)) remaining--;
+        }
+        return next;
+      }
+      return addDays(baseDate, interval);
+
+    case 'monthly':
+      if (rule.nthWeekday) {
+        const target = nthWeekdayOfMonth(addMonths(startOfMonth(baseDate), interval), rule.nthWeekday.n, rule.nthWeekday.weekday);
+        target.setHours(baseDate.getHours(), baseDate.getMinutes(), 0, 0);
+        return target;
+      }
+      if (rule.monthDay && rule.anchor !== 'completion') {
+        const target = addMonths(startOfMonth(baseDate), interval);
+        target.setDate(Math.min(rule.monthDay, endOfMonth(target).getDate()));
+        target.setHours(baseDate.getHours(), baseDate.getMinutes(), baseDate.getSeconds(), baseDate.getMilliseconds());
+        return target;
+      }
+      return addMonths(baseDate, interval);
+
+    case 'yearly':
+      return addYears(baseDate, interval);
+
+    case 'weekly':
+    default:
+      return addWeeks(baseDate, interval);
+  }
+};
+
+/**
+ * Whether an occurrence is still within the rule's end condition.
+ * occurrence is the 1-based index of the instance being created.
+ */
+export const isWithinRule = (rule, occurrence, date) => {
+  if (rule.count && occurrence > rule.count) return false;
+  const until = storedDay(rule.until);
+  if (until && differenceInCalendarDays(date, until) > 0) return false;
+  return true;
+};
+
+/**
+ * Serialize a rule as an RFC 5545 RRULE value
+ */
+export const toRRule = (rule) => {
+  const parts = [`FREQ=${(rule.freq || 'weekly').toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === 'daily' && rule.weekdaysOnly) parts.push('BYDAY=MO,TU,WE,TH,FR');
+  if (rule.freq === 'monthly' && rule.nthWeekday) {
+    parts.push(`BYDAY=${rule.nthWeekday.n}${RRULE_DAYS[rule.nthWeekday.weekday]}`);
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  const until = toDate(rule.until);
+  if (until) parts.push(`UNTIL=${until.toISOString().split('T')[0].replace(/-/g, '')}`);
+  return parts.join(';');
+};
+
+/**
+ * Human readable summary, e.g. "Every 2 weeks from completion, 5 times"
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule) return '';
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' }[rule.freq] || 'week';
+
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+  if (rule.freq === 'daily' && rule.weekdaysOnly) {
+    text = interval === 1 ? 'Every weekday' : `Every ${interval} weekdays`;
+  }
+  if (rule.freq === 'monthly' && rule.nthWeekday) {
+    text += ` on the ${ORDINALS[rule.nthWeekday.n]} ${WEEKDAY_NAMES[rule.nthWeekday.weekday]}`;
+  }
+  text += rule.anchor === 'completion' ? ' from completion' : ' from due date';
+  if (rule.count) text += `, ${rule.count} times`;
+  const until = storedDay(rule.until);
+  if (until) text += `, until ${until.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  return text;
+};
+
+// Fields that belong to one instance and must not be copied forward
+const INSTANCE_FIELDS = [
+  'id', 'children', 'status', 'completedDate', 'createdDate', 'modifiedDate',
+  'computedPriority', 'priorityBreakdown', 'lastPriorityUpdate',
+  'lastReviewDate', 'nextReviewDate', 'childCount'
+];
+
+const copyTaskFields = (task) => {
+  const copy = { ...task };
+  INSTANCE_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+const shiftDate = (value, days) => {
+  const day = storedDay(value);
+  return day ? toStoredDate(addDays(day, days)) : null;
+};
+
+/**
+ * Create the next instance of a recurring task after it was completed.
+ * Carries the description, start-date offset and (optionally) the whole
+ * subtree forward. Returns the created docs ([{ id, data }], new instance
+ * first), or null when the rule has ended.
+ */
+export const spawnNextOccurrence = async (task, completedAt = new Date()) => {
+  const rule = getRecurrenceRule(task);
+  if (!rule) return null;
+
+  // Work in calendar days; the dates are stored as midnight UTC
+  const dueDay = storedDay(task.dueDate);
+  const startDay = storedDay(task.startDate);
+  const completedDay = startOfDay(completedAt);
+  const baseDay = rule.anchor === 'completion' || !dueDay ? completedDay : dueDay;
+  const nextDueDay = nextOccurrence(rule, baseDay);
+  const occurrence = (task.occurrence || 1) + 1;
+
+  if (!isWithinRule(rule, occurrence, nextDueDay)) return null;
+
+  // Keep the start date the same number of days ahead of the due date;
+  // with no due date, move the start date on by the rule itself
+  let nextStartDay = null;
+  if (startDay && dueDay) {
+    nextStartDay = addDays(nextDueDay, differenceInCalendarDays(startDay, dueDay));
+  } else if (startDay) {
+    nextStartDay = nextOccurrence(rule, rule.anchor === 'completion' ? completedDay : startDay);
+  }
+  const shiftDays = dueDay ? differenceInCalendarDays(nextDueDay, dueDay) : 0;
+
+  const batch = writeBatch(db);
+  const tasksRef = collection(db, 'tasks');
+  const newRef = doc(tasksRef);
+  const carriedChildren = rule.carrySubtasks !== false ? (task.children || []) : [];
+  const created = [];
+  const queueDoc = (ref, data) => {
+    batch.set(ref, data);
+    created.push({ id: ref.id, data });
+  };
+
+  queueDoc(newRef, {
+    ...copyTaskFields(task),
+    status: 'next_action',
+    completedDate: null,
+    source: 'recurrence',
+    recurrence: rule,
+    recurrencePattern: null,
+    occurrence,
+    dueDate: toStoredDate(nextDueDay),
+    startDate: nextStartDay ? toStoredDate(nextStartDay) : null,
+    createdDate: serverTimestamp(),
+    modifiedDate: serverTimestamp(),
+    lastReviewDate: serverTimestamp(),
+    nextReviewDate: addDays(new Date(), task.reviewInterval || 14),
+    computedPriority: 0,
+    childCount: carriedChildren.length
+  });
+
+  const cloneChildren = (children, parentId) => {
+    children.forEach(child => {
+      const childRef = doc(tasksRef);
+      queueDoc(childRef, {
+        ...copyTaskFields(child),
+        parentId,
+        status: 'next_action',
+        completedDate: null,
+        dueDate: shiftDays ? shiftDate(child.dueDate, shiftDays) : (child.dueDate || null),
+        startDate: shiftDays ? shiftDate(child.startDate, shiftDays) : (child.startDate || null),
+        createdDate: serverTimestamp(),
+        modifiedDate: serverTimestamp(),
+        computedPriority: 0,
+        childCount: (child.children || []).length
+      });
+      cloneChildren(child.children || [], childRef.id);
+    });
+  };
+  cloneChildren(carriedChildren, newRef.id);
+
+  if (task.parentId) {
+    batch.update(doc(tasksRef, task.parentId), { childCount: increment(1), modifiedDate: serverTimestamp() });
+  }
+
+  await batch.commit();
+  return created;
+};
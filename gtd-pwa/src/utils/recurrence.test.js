@@ -0,0 +1,150 @@
+import { describeRecurrence, getRecurrenceRule, isWithinRule, nextOccurrence, ruleFromLegacyPattern, spawnNextOccurrence, toRRule, DEFAULT_RULE } from './recurrence';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => {
+  let nextId = 0;
+  return {
+    collection: () => ({}),
+    doc: (ref, id) => ({ id: id || `new-${++nextId}` }),
+    increment: (n) => ({ increment: n }),
+    serverTimestamp: () => 'serverTimestamp',
+    writeBatch: () => ({ set: () => {}, update: () => {}, commit: async () => {} })
+  };
+});
+
+// Date-only fields as stored: midnight UTC of the calendar day
+const stored = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+const local = (y, m, d) => new Date(y, m - 1, d);
+
+describe('getRecurrenceRule', () => {
+  test('is null for a task that does not repeat', () => {
+    expect(getRecurrenceRule({ isRecurring: false, recurrence: { freq: 'daily' } })).toBeNull();
+  });
+
+  test('falls back to the legacy pattern', () => {
+    expect(getRecurrenceRule({ isRecurring: true, recurrencePattern: 'biweekly' }))
+      .toMatchObject({ freq: 'weekly', interval: 2 });
+    expect(ruleFromLegacyPattern('unknown')).toEqual(DEFAULT_RULE);
+  });
+
+  test('pins a monthly rule to the stored due day, not the local instant', () => {
+    const task = { isRecurring: true, recurrence: { freq: 'monthly' }, dueDate: stored(2026, 1, 31) };
+    expect(getRecurrenceRule(task).monthDay).toBe(31);
+  });
+
+  test('keeps the pin when the due date was clamped to a short month', () => {
+    const task = { isRecurring: true, recurrence: { freq: 'monthly', monthDay: 31 }, dueDate: stored(2026, 2, 28) };
+    expect(getRecurrenceRule(task).monthDay).toBe(31);
+  });
+
+  test('does not pin completion-anchored or nth-weekday rules', () => {
+    const dueDate = stored(2026, 1, 31);
+    expect(getRecurrenceRule({ isRecurring: true, recurrence: { freq: 'monthly', anchor: 'completion' }, dueDate }).monthDay).toBeNull();
+    expect(getRecurrenceRule({ isRecurring: true, recurrence: { freq: 'monthly', nthWeekday: { n: 1, weekday: 1 } }, dueDate }).monthDay).toBeNull();
+  });
+});
+
+describe('nextOccurrence', () => {
+  test('skips weekends for weekday-only daily rules', () => {
+    const rule = { ...DEFAULT_RULE, freq: 'daily', weekdaysOnly: true };
+    expect(nextOccurrence(rule, local(2026, 10, 16))).toEqual(local(2026, 10, 19));
+    expect(nextOccurrence({ ...rule, interval: 3 }, local(2026, 10, 15))).toEqual(local(2026, 10, 20));
+  });
+
+  test('steps weekly and yearly by the interval', () => {
+    expect(nextOccurrence({ ...DEFAULT_RULE, interval: 2 }, local(2026, 10, 19))).toEqual(local(2026, 11, 2));
+    expect(nextOccurrence({ ...DEFAULT_RULE, freq: 'yearly' }, local(2024, 2, 29))).toEqual(local(2025, 2, 28));
+  });
+
+  test('returns to the pinned day of month after a short month', () => {
+    const rule = { ...DEFAULT_RULE, freq: 'monthly', monthDay: 31 };
+    const feb = nextOccurrence(rule, local(2026, 1, 31));
+    const mar = nextOccurrence(rule, feb);
+    const apr = nextOccurrence(rule, mar);
+    expect([feb, mar, apr]).toEqual([local(2026, 2, 28), local(2026, 3, 31), local(2026, 4, 30)]);
+  });
+
+  test('finds the nth and last weekday of the month', () => {
+    const firstMonday = { ...DEFAULT_RULE, freq: 'monthly', nthWeekday: { n: 1, weekday: 1 } };
+    const lastFriday = { ...DEFAULT_RULE, freq: 'monthly', nthWeekday: { n: -1, weekday: 5 } };
+    expect(nextOccurrence(firstMonday, local(2026, 10, 5))).toEqual(local(2026, 11, 2));
+    expect(nextOccurrence(lastFriday, local(2026, 10, 30))).toEqual(local(2026, 11, 27));
+  });
+});
+
+describe('isWithinRule', () => {
+  test('stops after count instances', () => {
+    const rule = { ...DEFAULT_RULE, count: 3 };
+    expect(isWithinRule(rule, 3, local(2026, 10, 19))).toBe(true);
+    expect(isWithinRule(rule, 4, local(2026, 10, 19))).toBe(false);
+  });
+
+  test('includes the stored until day itself', () => {
+    const rule = { ...DEFAULT_RULE, until: stored(2026, 3, 31) };
+    expect(isWithinRule(rule, 2, local(2026, 3, 31))).toBe(true);
+    expect(isWithinRule(rule, 2, local(2026, 4, 1))).toBe(false);
+  });
+});
+
+describe('toRRule and describeRecurrence', () => {
+  test('serializes the rule parts', () => {
+    expect(toRRule({ ...DEFAULT_RULE, freq: 'daily', weekdaysOnly: true, count: 5 }))
+      .toBe('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR;COUNT=5');
+    expect(toRRule({ ...DEFAULT_RULE, freq: 'monthly', nthWeekday: { n: -1, weekday: 5 }, until: stored(2026, 12, 31) }))
+      .toBe('FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20261231');
+  });
+
+  test('describes the until day as stored', () => {
+    expect(describeRecurrence({ ...DEFAULT_RULE, interval: 2, until: stored(2026, 3, 31) }))
+      .toBe('Every 2 weeks from due date, until Mar 31, 2026');
+    expect(describeRecurrence({ ...DEFAULT_RULE, freq: 'monthly', nthWeekday: { n: 2, weekday: 2 }, anchor: 'completion', count: 4 }))
+      .toBe('Every month on the 2nd Tuesday from completion, 4 times');
+  });
+});
+
+describe('spawnNextOccurrence', () => {
+  const monthly = (fields) => ({
+    id: 'task-1',
+    title: 'Pay rent',
+    isRecurring: true,
+    recurrence: { freq: 'monthly' },
+    ...fields
+  });
+
+  test('writes the next due and start days in the stored form', async () => {
+    const task = monthly({ dueDate: stored(2026, 1, 31), startDate: stored(2026, 1, 28) });
+    const [created] = await spawnNextOccurrence(task, new Date(2026, 0, 30, 22, 0));
+    expect(created.data.dueDate).toEqual(stored(2026, 2, 28));
+    expect(created.data.startDate).toEqual(stored(2026, 2, 25));
+    expect(created.data.recurrence.monthDay).toBe(31);
+    expect(created.data.occurrence).toBe(2);
+  });
+
+  test('anchors on the completion day', async () => {
+    const task = { ...monthly({ dueDate: stored(2026, 10, 1) }), recurrence: { freq: 'weekly', anchor: 'completion' } };
+    const [created] = await spawnNextOccurrence(task, new Date(2026, 9, 19, 23, 30));
+    expect(created.data.dueDate).toEqual(stored(2026, 10, 26));
+  });
+
+  test('moves a start-only task on by the rule', async () => {
+    const task = monthly({ recurrence: { freq: 'weekly' }, startDate: stored(2026, 10, 19) });
+    const [created] = await spawnNextOccurrence(task, new Date(2026, 9, 19));
+    expect(created.data.startDate).toEqual(stored(2026, 10, 26));
+  });
+
+  test('shifts carried subtasks by the same number of days', async () => {
+    const task = monthly({
+      recurrence: { freq: 'weekly' },
+      dueDate: stored(2026, 10, 19),
+      children: [{ id: 'child-1', title: 'Transfer', dueDate: stored(2026, 10, 18) }]
+    });
+    const [parent, child] = await spawnNextOccurrence(task, new Date(2026, 9, 19));
+    expect(child.data.parentId).toBe(parent.id);
+    expect(child.data.dueDate).toEqual(stored(2026, 10, 25));
+  });
+
+  test('returns null once the count is used up', async () => {
+    const task = monthly({ recurrence: { freq: 'weekly', count: 3 }, occurrence: 3, dueDate: stored(2026, 10, 19) });
+    expect(await spawnNextOccurrence(task, new Date(2026, 9, 19))).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+// gtd-pwa/src/utils/research.js
+// Deep research runs: start them, follow them live and render them as markdown
+import { arrayUnion, collection, doc, onSnapshot, query, updateDoc, where } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../firebase';
+
+// Matches the deepResearch function timeout
+const RESEARCH_TIMEOUT_MS = 540000;
+
+/**
+ * Ask for browser notification permission so finished runs can pop up
+ */
+export const requestNotificationPermission = () => {
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission().catch(() => {});
+  }
+};
+
+/**
+ * Start a research run. The run is saved server-side as it progresses,
+ * so callers can fire and forget and rely on subscribeToResearch.
+ */
+export const startResearch = async ({ topic, taskId = null, taskContext = '', depth = 'standard' }) => {
+  requestNotificationPermission();
+  const callable = httpsCallable(functions, 'deepResearch', { timeout: RESEARCH_TIMEOUT_MS });
+  const result = await callable({ topic, taskId, taskContext, depth });
+  return result.data;
+};
+
+/**
+ * Live list of research runs, newest first. Pass taskId to only get
+ * runs linked to one task.
+ */
+export const subscribeToResearch = (userId, { taskId, onChange, onError }) => {
+  const constraints = [where('userId', '==', userId)];
+  if (taskId) constraints.push(where('taskId', '==', taskId));
+
+  return onSnapshot(
+    query(collection(db, 'research'), ...constraints),
+    (snapshot) => {
+      const runs = snapshot.docs
+        .map(d => ({ id: d.id, ...d.data({ serverTimestamps: 'estimate' }) }))
+        .sort((a, b) => (b.createdDate?.toMillis?.() || 0) - (a.createdDate?.toMillis?.() || 0));
+      onChange(runs);
+    },
+    (error) => {
+      console.error('Error listening to research:', error);
+      onError?.(error);
+    }
+  );
+};
+
+export const markResearchNotified = (researchId) =>
+  updateDoc(doc(db, 'research', researchId), { notified: true });
+
+export const markPhaseConverted = (researchId, phaseIndex) =>
+  updateDoc(doc(db, 'research', researchId), { convertedPhases: arrayUnion(phaseIndex) });
+
+const bulletList = (items) => (items || []).map(item => `- ${item}`).join('\n');
+
+/**
+ * Render a deepResearch result as markdown for the task detail view
+ */
+export const researchToMarkdown = (research) => {
+  if (!research) return '';
+  if (research.error) return `_${research.error}_`;
+
+  const sections = [];
+  if (research.overview) sections.push(`### Overview\n\n${research.overview}`);
+
+  if (research.approaches?.length) {
+    sections.push('### Approaches\n\n' + research.approaches.map(approach => {
+      let text = `**${approach.name}** — ${approach.description || ''}`;
+      if (approach.pros?.length) text += `\n  - Pros: ${approach.pros.join('; ')}`;
+      if (approach.cons?.length) text += `\n  - Cons: ${approach.cons.join('; ')}`;
+      return `- ${text}`;
+    }).join('\n'));
+  }
+
+  if (research.bestPractices?.length) sections.push(`### Best Practices\n\n${bulletList(research.bestPractices)}`);
+  if (research.pitfalls?.length) sections.push(`### Pitfalls\n\n${bulletList(research.pitfalls)}`);
+
+  if (research.resources) {
+    const { tools, budget, skills } = research.resources;
+    const lines = [];
+    if (tools?.length) lines.push(`- Tools: ${tools.join(', ')}`);
+    if (budget) lines.push(`- Budget: ${budget}`);
+    if (skills?.length) lines.push(`- Skills: ${skills.join(', ')}`);
+    if (lines.length) sections.push(`### Resources\n\n${lines.join('\n')}`);
+  }
+
+  if (research.successCriteria?.length) sections.push(`### Success Criteria\n\n${bulletList(research.successCriteria)}`);
+  if (research.quickWins?.length) sections.push(`### Quick Wins\n\n${bulletList(research.quickWins)}`);
+
+  return sections.join('\n\n');
+};
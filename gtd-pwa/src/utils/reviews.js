@@ -0,0 +1,60 @@
+// gtd-pwa/src/utils/reviews.js
+// Weekly review sessions and review streaks
+import { addDoc, collection, getDocs, query, serverTimestamp, where } from 'firebase/firestore';
+import { differenceInCalendarWeeks } from 'date-fns';
+import { db } from '../firebase';
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+/**
+ * Save a finished review session.
+ * session: { startedAt, stats }
+ */
+export const recordReviewSession = async (userId, { startedAt, stats }) => {
+  const completedAt = new Date();
+  const ref = await addDoc(collection(db, 'reviews'), {
+    userId,
+    type: 'weekly',
+    startedAt,
+    completedDate: serverTimestamp(),
+    durationMinutes: Math.max(1, Math.round((completedAt - startedAt) / 60000)),
+    stats
+  });
+  return ref.id;
+};
+
+/**
+ * All of the user's review sessions, newest first
+ */
+export const getReviewSessions = async (userId) => {
+  const snapshot = await getDocs(query(collection(db, 'reviews'), where('userId', '==', userId)));
+  return snapshot.docs
+    .map(d => ({ id: d.id, ...d.data({ serverTimestamps: 'estimate' }) }))
+    .sort((a, b) => toDate(b.completedDate) - toDate(a.completedDate));
+};
+
+/**
+ * Consecutive weeks (Monday-based) with at least one review, counting back
+ * from this week, or from last week if this week's review isn't done yet
+ */
+export const computeReviewStreak = (sessions, now = new Date()) => {
+  const weeksAgo = new Set(
+    sessions
+      .map(session => toDate(session.completedDate))
+      .filter(Boolean)
+      .map(date => differenceInCalendarWeeks(now, date, { weekStartsOn: 1 }))
+  );
+
+  let week = weeksAgo.has(0) ? 0 : 1;
+  let streak = 0;
+  while (weeksAgo.has(week)) {
+    streak++;
+    week++;
+  }
+  return streak;
+};
+
+export const getLastReviewDate = (sessions) => (sessions.length > 0 ? toDate(sessions[0].completedDate) : null);
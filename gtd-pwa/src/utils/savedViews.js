@@ -0,0 +1,213 @@
+// gtd-pwa/src/utils/savedViews.js
+// Saved views: user-defined perspectives (conditions, grouping, sort, display) stored per user
+import { addDoc, collection, deleteDoc, doc, onSnapshot, query, serverTimestamp, updateDoc, where } from 'firebase/firestore';
+import { addDays, startOfDay } from 'date-fns';
+import { db } from '../firebase';
+import { storedDay } from './dates';
+import { TASK_STATUSES, getStatus } from './statuses';
+import { fuzzyFilter } from './fuzzy';
+
+// Conditions are ANDed; empty lists / null values don't filter.
+// Within contexts, tags and statuses any listed value matches.
+export const EMPTY_QUERY = {
+  search: '',
+  contexts: [],
+  tags: [],
+  statuses: ['next_action'],
+  energyLevel: '',
+  dueWithinDays: null,
+  projectId: null
+};
+
+export const GROUP_OPTIONS = {
+  none: 'No grouping',
+  context: 'Context',
+  project: 'Project',
+  status: 'Status',
+  due: 'Due date',
+  tag: 'Tag'
+};
+
+export const SORT_OPTIONS = {
+  priority: 'Priority',
+  dueDate: 'Due date',
+  importance: 'Importance',
+  title: 'Title',
+  modified: 'Recently modified',
+  manual: 'Manual order'
+};
+
+export const savedViewKey = (view) => `saved:${view.id}`;
+
+export const getSavedViewId = (viewKey) =>
+  viewKey && viewKey.startsWith('saved:') ? viewKey.slice('saved:'.length) : null;
+
+/**
+ * Live list of the user's saved views in sidebar order
+ */
+export const subscribeToSavedViews = (userId, onChange) => onSnapshot(
+  query(collection(db, 'savedViews'), where('userId', '==', userId)),
+  (snapshot) => {
+    const views = snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || a.name.localeCompare(b.name));
+    onChange(views);
+  },
+  (error) => console.error('Error listening to saved views:', error)
+);
+
+export const createSavedView = async (userId, view, order) => {
+  const docRef = await addDoc(collection(db, 'savedViews'), {
+    ...view,
+    userId,
+    order,
+    createdDate: serverTimestamp(),
+    modifiedDate: serverTimestamp()
+  });
+  return docRef.id;
+};
+
+export const updateSavedView = (viewId, changes) =>
+  updateDoc(doc(db, 'savedViews', viewId), { ...changes, modifiedDate: serverTimestamp() });
+
+export const deleteSavedView = (viewId) => deleteDoc(doc(db, 'savedViews', viewId));
+
+/**
+ * Resolve a spoken or typed name ("low energy") to one of the views
+ */
+export const findSavedView = (views, name) => {
+  if (!name) return null;
+  const exact = views.find(view => view.name.toLowerCase() === name.toLowerCase());
+  if (exact) return exact;
+  const cleaned = name.replace(/\b(my|the|view|list|perspective)\b/gi, ' ').trim();
+  return fuzzyFilter(views, cleaned, view => view.name, 1)[0] || null;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+const priorityOf = (task) =>
+  task.computedPriority || ((task.importance || 3) * 3 + (task.urgency || 3) * 2.5);
+
+const SORTERS = {
+  priority: (a, b) => priorityOf(b) - priorityOf(a),
+  dueDate: (a, b) => (toDate(a.dueDate) || new Date(8640000000000000)) - (toDate(b.dueDate) || new Date(8640000000000000)),
+  importance: (a, b) => (b.importance || 3) - (a.importance || 3),
+  title: (a, b) => (a.title || '').localeCompare(b.title || ''),
+  modified: (a, b) => (toDate(b.modifiedDate) || 0) - (toDate(a.modifiedDate) || 0),
+  // The tree is already in manual order; a stable no-op sort keeps it (outline order when flat)
+  manual: () => 0
+};
+
+const collectSubtreeIds = (tasks, rootId) => {
+  const ids = new Set();
+  const walk = (list, inside) => list.forEach(task => {
+    const isInside = inside || task.id === rootId;
+    if (isInside) ids.add(task.id);
+    walk(task.children || [], isInside);
+  });
+  walk(tasks, false);
+  return ids;
+};
+
+const matchesQuery = (task, q, { now, subtreeIds }) => {
+  if (task.title === '<Inbox>' && !task.parentId) return false;
+  if (q.search && !(task.title || '').toLowerCase().includes(q.search.toLowerCase())) return false;
+  if (q.contexts?.length && !q.contexts.includes(task.context)) return false;
+  if (q.tags?.length && !(task.tags || []).some(tag => q.tags.includes(tag))) return false;
+  if (q.statuses?.length && !q.statuses.includes(getStatus(task))) return false;
+  if (q.energyLevel && (task.energyLevel || 'medium') !== q.energyLevel) return false;
+  if (subtreeIds && !subtreeIds.has(task.id)) return false;
+  if (q.dueWithinDays !== null && q.dueWithinDays !== undefined && q.dueWithinDays !== '') {
+    const due = storedDay(task.dueDate);
+    if (!due || due >= addDays(startOfDay(now), Number(q.dueWithinDays) + 1)) return false;
+  }
+  return true;
+};
+
+/**
+ * Tasks for a saved view. Flat views return a sorted list; hierarchy
+ * views keep the ancestors of matching tasks so the tree stays readable.
+ */
+export const runSavedView = (view, tasks, { now = new Date() } = {}) => {
+  const q = { ...EMPTY_QUERY, ...view.query };
+  const subtreeIds = q.projectId ? collectSubtreeIds(tasks, q.projectId) : null;
+  const matches = (task) => matchesQuery(task, q, { now, subtreeIds });
+  const sorter = SORTERS[view.sortBy] || SORTERS.priority;
+
+  if (view.display === 'hierarchy') {
+    const filterTree = (list) => list
+      .map(task => {
+        const children = filterTree(task.children || []);
+        if (matches(task) || children.length > 0) return { ...task, children };
+        return null;
+      })
+      .filter(Boolean)
+      .sort(sorter);
+    return filterTree(tasks);
+  }
+
+  const flat = [];
+  const walk = (list) => list.forEach(task => {
+    if (matches(task)) flat.push(task);
+    walk(task.children || []);
+  });
+  walk(tasks);
+  return flat.sort(sorter);
+};
+
+const dueGroup = (task, now) => {
+  const due = storedDay(task.dueDate);
+  if (!due) return 'No due date';
+  const today = startOfDay(now);
+  if (due < today) return 'Overdue';
+  if (due < addDays(today, 1)) return 'Today';
+  if (due < addDays(today, 7)) return 'This week';
+  return 'Later';
+};
+
+const DUE_GROUP_ORDER = ['Overdue', 'Today', 'This week', 'Later', 'No due date'];
+
+/**
+ * Order a flat view's tasks by group (stable, so the sort order holds
+ * inside each group) and return the group label of each task
+ */
+export const groupSavedViewTasks = (tasks, groupBy, allTasks, { now = new Date() } = {}) => {
+  if (!groupBy || groupBy === 'none') return { tasks, groupOf: () => null };
+
+  const byId = new Map();
+  const index = (list) => list.forEach(task => {
+    byId.set(task.id, task);
+    index(task.children || []);
+  });
+  index(allTasks);
+
+  const projectOf = (task) => {
+    let parent = byId.get(task.parentId);
+    while (parent) {
+      if (parent.isProject) return parent.title;
+      parent = byId.get(parent.parentId);
+    }
+    return 'No project';
+  };
+
+  const labelFor = {
+    context: (task) => task.context || 'No context',
+    project: projectOf,
+    status: (task) => TASK_STATUSES[getStatus(task)] || getStatus(task),
+    due: (task) => dueGroup(task, now),
+    tag: (task) => (task.tags && task.tags[0]) || 'No tag'
+  }[groupBy] || (() => null);
+
+  const rank = (label) => (groupBy === 'due' ? DUE_GROUP_ORDER.indexOf(label) : 0);
+  const labels = new Map(tasks.map(task => [task.id, labelFor(task)]));
+  const grouped = [...tasks].sort((a, b) => {
+    const la = labels.get(a.id);
+    const lb = labels.get(b.id);
+    return rank(la) - rank(lb) || (groupBy === 'due' ? 0 : la.localeCompare(lb));
+  });
+
+  return { tasks: grouped, groupOf: (task) => labels.get(task.id) };
+};
@@ -0,0 +1,86 @@
+import { findSavedView, groupSavedViewTasks, runSavedView } from './savedViews';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+// Monday Oct 19 2026, late evening: already Tuesday in UTC
+const now = new Date(2026, 9, 19, 23, 30);
+const stored = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+
+const tasks = [
+  { id: 'inbox', title: '<Inbox>', parentId: null, children: [] },
+  {
+    id: 'garden',
+    title: 'Garden',
+    isProject: true,
+    status: 'next_action',
+    children: [
+      { id: 'mow', title: 'Mow lawn', parentId: 'garden', context: '@home', status: 'next_action', dueDate: stored(2026, 10, 19), importance: 2 },
+      { id: 'seeds', title: 'Buy seeds', parentId: 'garden', context: '@errands', tags: ['shop'], status: 'next_action', dueDate: stored(2026, 10, 26), importance: 5 }
+    ]
+  },
+  { id: 'tax', title: 'File taxes', status: 'next_action', dueDate: stored(2026, 10, 18), energyLevel: 'high', importance: 3 },
+  { id: 'idea', title: 'Learn piano', status: 'someday' }
+];
+
+const view = (query, fields = {}) => ({ query, sortBy: 'title', ...fields });
+const titles = (list) => list.map(task => task.title);
+
+describe('runSavedView', () => {
+  test('ANDs the conditions and leaves out the Inbox', () => {
+    expect(titles(runSavedView(view({}), tasks, { now }))).toEqual(['Buy seeds', 'File taxes', 'Garden', 'Mow lawn']);
+    expect(titles(runSavedView(view({ contexts: ['@home', '@errands'], tags: ['shop'] }), tasks, { now }))).toEqual(['Buy seeds']);
+    expect(titles(runSavedView(view({ statuses: ['someday'] }), tasks, { now }))).toEqual(['Learn piano']);
+    expect(titles(runSavedView(view({ energyLevel: 'high' }), tasks, { now }))).toEqual(['File taxes']);
+  });
+
+  test('limits to a project subtree', () => {
+    expect(titles(runSavedView(view({ projectId: 'garden' }), tasks, { now }))).toEqual(['Buy seeds', 'Garden', 'Mow lawn']);
+  });
+
+  test('counts dueWithinDays in stored days, overdue included', () => {
+    expect(titles(runSavedView(view({ dueWithinDays: 0 }), tasks, { now }))).toEqual(['File taxes', 'Mow lawn']);
+    expect(titles(runSavedView(view({ dueWithinDays: 7 }), tasks, { now }))).toEqual(['Buy seeds', 'File taxes', 'Mow lawn']);
+  });
+
+  test('keeps ancestors of matches in hierarchy views', () => {
+    const tree = runSavedView(view({ contexts: ['@home'] }, { display: 'hierarchy' }), tasks, { now });
+    expect(titles(tree)).toEqual(['Garden']);
+    expect(titles(tree[0].children)).toEqual(['Mow lawn']);
+  });
+
+  test('sorts by the chosen key', () => {
+    expect(titles(runSavedView(view({ dueWithinDays: 7 }, { sortBy: 'dueDate' }), tasks, { now }))).toEqual(['File taxes', 'Mow lawn', 'Buy seeds']);
+    expect(titles(runSavedView(view({ dueWithinDays: 7 }, { sortBy: 'importance' }), tasks, { now }))).toEqual(['Buy seeds', 'File taxes', 'Mow lawn']);
+  });
+});
+
+describe('groupSavedViewTasks', () => {
+  const flat = runSavedView(view({ statuses: [] }), tasks, { now });
+
+  test('groups due dates by stored day', () => {
+    const { tasks: grouped, groupOf } = groupSavedViewTasks(flat, 'due', tasks, { now });
+    expect(grouped.map(task => `${groupOf(task)}: ${task.title}`)).toEqual([
+      'Overdue: File taxes',
+      'Today: Mow lawn',
+      'Later: Buy seeds',
+      'No due date: Garden',
+      'No due date: Learn piano'
+    ]);
+  });
+
+  test('groups by nearest project', () => {
+    const { groupOf } = groupSavedViewTasks(flat, 'project', tasks, { now });
+    expect(groupOf(flat.find(task => task.id === 'mow'))).toBe('Garden');
+    expect(groupOf(flat.find(task => task.id === 'tax'))).toBe('No project');
+  });
+});
+
+describe('findSavedView', () => {
+  const views = [{ name: 'Low energy' }, { name: 'Errands' }];
+
+  test('matches exactly, then fuzzily without filler words', () => {
+    expect(findSavedView(views, 'errands')).toBe(views[1]);
+    expect(findSavedView(views, 'my low energy list')).toBe(views[0]);
+    expect(findSavedView(views, '')).toBeNull();
+  });
+});
@@ -0,0 +1,358 @@
+// gtd-pwa/src/utils/search.js
+// Task search: query operators, ranked full-text matching over titles, descriptions
+// and research notes, backed by an inverted index rebuilt when tasks change
+import { addDays, addMonths, addWeeks, startOfDay } from 'date-fns';
+import { storedDay } from './dates';
+import { getStatus, isParked } from './statuses';
+
+export const SEARCH_HELP = 'Words match titles, descriptions and notes. Operators: ' +
+  'context:@calls tag:family status:waiting is:project has:due due:<7d start:>today ' +
+  'imp:>=4 urg:<3 est:<=30m energy:low parent:"Home Reno" title:report; prefix with - to exclude';
+
+// Where a word appears counts towards the rank
+const FIELD_WEIGHTS = { title: 3, description: 1, notes: 0.5 };
+const PREFIX_WEIGHT = 0.6;
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Split a query into free-text terms, quoted phrases and field:value filters.
+ * Unknown fields are searched as plain text.
+ */
+export const parseSearchQuery = (text) => {
+  const terms = [];
+  const phrases = [];
+  const filters = [];
+  const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    const [raw, minus, field, quoted, bare] = match;
+    if (!raw.trim() || raw === '-') continue;
+    const negate = minus === '-';
+    const value = quoted !== undefined ? quoted : bare;
+
+    if (field && FILTERS[field.toLowerCase()]) {
+      filters.push({ field: field.toLowerCase(), value: value || '', negate });
+    } else if (quoted !== undefined && !field) {
+      if (quoted.trim()) phrases.push({ text: quoted.toLowerCase(), negate });
+    } else {
+      const words = tokenize(field ? `${field} ${value}` : value);
+      words.forEach(word => terms.push({ text: word, negate }));
+    }
+  }
+
+  return { terms, phrases, filters };
+};
+
+const compare = (a, op, b) => {
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '!=': return a !== b;
+    default: return a === b;
+  }
+};
+
+const splitOperator = (value, defaultOp = '=') => {
+  const match = value.match(/^(<=|>=|!=|<|>|=)?(.*)$/);
+  return { op: match[1] || defaultOp, rest: match[2] };
+};
+
+// "15", "15m", "1h", "1h30m" -> minutes
+const parseMinutes = (value) => {
+  const match = value.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m?)?$/);
+  if (!match || (!match[1] && !match[2])) return null;
+  return Math.round(parseFloat(match[1] || 0) * 60 + parseInt(match[2] || 0, 10));
+};
+
+// "today", "tomorrow", "yesterday", "7d", "2w", "3m", "-3d", "2025-01-31" -> a day
+const parseDay = (value, now) => {
+  const today = startOfDay(now);
+  const lower = value.toLowerCase();
+  if (lower === 'today' || lower === '0d') return today;
+  if (lower === 'tomorrow') return addDays(today, 1);
+  if (lower === 'yesterday') return addDays(today, -1);
+
+  const relative = lower.match(/^(-?\d+)([dwm])$/);
+  if (relative) {
+    const amount = parseInt(relative[1], 10);
+    if (relative[2] === 'd') return addDays(today, amount);
+    if (relative[2] === 'w') return addWeeks(today, amount);
+    return addMonths(today, amount);
+  }
+
+  const absolute = lower.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (absolute) return new Date(Number(absolute[1]), Number(absolute[2]) - 1, Number(absolute[3]));
+  return null;
+};
+
+const dateFilter = (getValue) => (doc, value, { now }) => {
+  // Date-only fields: compare the stored calendar day
+  const date = storedDay(getValue(doc.task));
+  if (value.toLowerCase() === 'overdue') {
+    return !!date && getStatus(doc.task) !== 'done' && date < startOfDay(now);
+  }
+  if (value.toLowerCase() === 'none') return !date;
+
+  // A bare relative value ("due:7d") means "on or before"
+  const { op, rest } = splitOperator(value, /^\d+[dwm]$/i.test(value) ? '<=' : '=');
+  const day = parseDay(rest, now);
+  if (!day || !date) return false;
+  return compare(date.getTime(), op, day.getTime());
+};
+
+const numberFilter = (getValue, parse = Number) => (doc, value) => {
+  const { op, rest } = splitOperator(value);
+  const wanted = parse(rest);
+  const actual = getValue(doc.task);
+  if (wanted === null || Number.isNaN(wanted) || actual === null || actual === undefined) return false;
+  return compare(Number(actual), op, wanted);
+};
+
+const STATUS_ALIASES = {
+  next: 'next_action',
+  next_action: 'next_action',
+  action: 'next_action',
+  waiting: 'waiting_for',
+  waiting_for: 'waiting_for',
+  someday: 'someday',
+  maybe: 'someday',
+  reference: 'reference',
+  ref: 'reference',
+  done: 'done',
+  completed: 'done'
+};
+
+const IS_CHECKS = {
+  project: (task) => !!task.isProject,
+  done: (task) => getStatus(task) === 'done',
+  active: (task) => getStatus(task) !== 'done',
+  recurring: (task) => !!task.isRecurring,
+  focus: (task) => !!task.todayFocus,
+  sequential: (task) => !!task.isSequential,
+  parked: (task) => isParked(task),
+  waiting: (task) => getStatus(task) === 'waiting_for',
+  someday: (task) => getStatus(task) === 'someday',
+  reference: (task) => getStatus(task) === 'reference'
+};
+
+const HAS_CHECKS = {
+  due: (doc) => !!doc.task.dueDate,
+  start: (doc) => !!doc.task.startDate,
+  context: (doc) => !!doc.task.context,
+  tag: (doc) => (doc.task.tags || []).length > 0,
+  tags: (doc) => (doc.task.tags || []).length > 0,
+  description: (doc) => !!doc.description,
+  notes: (doc) => !!doc.notes,
+  estimate: (doc) => !!doc.task.timeEstimate,
+  children: (doc) => (doc.task.children || []).length > 0,
+  subtasks: (doc) => (doc.task.children || []).length > 0,
+  delegate: (doc) => !!doc.task.delegatedTo
+};
+
+const normalizeContext = (value) => value.toLowerCase().replace(/^@?/, '@');
+
+const FILTERS = {
+  context: (doc, value) => !!doc.task.context && normalizeContext(doc.task.context) === normalizeContext(value),
+  tag: (doc, value) => (doc.task.tags || []).some(tag => tag.toLowerCase() === value.toLowerCase().replace(/^\+/, '')),
+  status: (doc, value) => getStatus(doc.task) === (STATUS_ALIASES[value.toLowerCase()] || value.toLowerCase()),
+  is: (doc, value) => !!IS_CHECKS[value.toLowerCase()]?.(doc.task),
+  has: (doc, value) => !!HAS_CHECKS[value.toLowerCase()]?.(doc),
+  energy: (doc, value) => (doc.task.energyLevel || 'medium') === value.toLowerCase(),
+  title: (doc, value) => doc.title.includes(value.toLowerCase()),
+  parent: (doc, value) => doc.ancestors.some(title => title.includes(value.toLowerCase())),
+  due: dateFilter(task => task.dueDate),
+  start: dateFilter(task => task.startDate),
+  followup: dateFilter(task => task.followUpDate),
+  imp: numberFilter(task => task.importance || 3),
+  importance: numberFilter(task => task.importance || 3),
+  urg: numberFilter(task => task.urgency || 3),
+  urgency: numberFilter(task => task.urgency || 3),
+  est: numberFilter(task => task.timeEstimate, parseMinutes),
+  estimate: numberFilter(task => task.timeEstimate, parseMinutes)
+};
+
+/**
+ * Build the inverted index: token -> task id -> weighted count.
+ * notesByTask maps task ids to extra text (research notes).
+ */
+export const buildSearchIndex = (taskTree, notesByTask = new Map()) => {
+  const docs = new Map();
+  const postings = new Map();
+
+  const addTokens = (id, text, weight) => {
+    tokenize(text).forEach(token => {
+      let entry = postings.get(token);
+      if (!entry) {
+        entry = new Map();
+        postings.set(token, entry);
+      }
+      entry.set(id, (entry.get(id) || 0) + weight);
+    });
+  };
+
+  const walk = (tasks, ancestors) => tasks.forEach(task => {
+    const notes = notesByTask.get(task.id) || '';
+    const doc = {
+      task,
+      notesText: notes,
+      title: (task.title || '').toLowerCase(),
+      description: (task.description || '').toLowerCase(),
+      notes: notes.toLowerCase(),
+      ancestors
+    };
+    docs.set(task.id, doc);
+    addTokens(task.id, task.title, FIELD_WEIGHTS.title);
+    addTokens(task.id, task.description, FIELD_WEIGHTS.description);
+    addTokens(task.id, notes, FIELD_WEIGHTS.notes);
+    walk(task.children || [], [...ancestors, doc.title]);
+  });
+  walk(taskTree, []);
+
+  // Sorted once so prefix lookups are a binary search
+  const tokens = [...postings.keys()].sort();
+  return { docs, postings, tokens };
+};
+
+// Every indexed token starting with prefix
+const tokensWithPrefix = (index, prefix) => {
+  let low = 0;
+  let high = index.tokens.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (index.tokens[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+  const found = [];
+  for (let i = low; i < index.tokens.length && index.tokens[i].startsWith(prefix); i++) {
+    found.push(index.tokens[i]);
+  }
+  return found;
+};
+
+// task id -> score for one term (exact tokens score higher than prefixes)
+const scoreTerm = (index, term) => {
+  const scores = new Map();
+  const total = index.docs.size || 1;
+  tokensWithPrefix(index, term).forEach(token => {
+    const entry = index.postings.get(token);
+    const idf = Math.log(1 + total / entry.size);
+    const weight = token === term ? 1 : PREFIX_WEIGHT;
+    entry.forEach((count, id) => {
+      scores.set(id, (scores.get(id) || 0) + count * idf * weight);
+    });
+  });
+  return scores;
+};
+
+const SNIPPET_RADIUS = 60;
+
+// A short excerpt around the first hit in the description or notes
+const buildSnippet = (doc, words) => {
+  for (const field of ['description', 'notes']) {
+    const original = field === 'description' ? doc.task.description : doc.notesText;
+    const lower = doc[field];
+    if (!lower) continue;
+    const hit = words
+      .map(word => lower.indexOf(word))
+      .filter(position => position !== -1)
+      .sort((a, b) => a - b)[0];
+    if (hit === undefined) continue;
+
+    const start = Math.max(0, hit - SNIPPET_RADIUS);
+    const end = Math.min(original.length, hit + SNIPPET_RADIUS);
+    const text = original.slice(start, end).replace(/\s+/g, ' ').trim();
+    return {
+      field,
+      text: `${start > 0 ? '…' : ''}${text}${end < original.length ? '…' : ''}`
+    };
+  }
+  return null;
+};
+
+/**
+ * Run a query against the index. Returns a Map of task id ->
+ * { score, words, snippet } for matching tasks, or null for an empty query.
+ */
+export const searchTasks = (index, text, { now = new Date() } = {}) => {
+  const { terms, phrases, filters } = parseSearchQuery(text);
+  if (terms.length === 0 && phrases.length === 0 && filters.length === 0) return null;
+
+  const positive = terms.filter(term => !term.negate).map(term => term.text);
+  const negative = terms.filter(term => term.negate).map(term => term.text);
+
+  // Intersect the candidates of every positive term, summing their scores
+  let scores = null;
+  positive.forEach(term => {
+    const termScores = scoreTerm(index, term);
+    if (scores === null) {
+      scores = termScores;
+      return;
+    }
+    const next = new Map();
+    scores.forEach((score, id) => {
+      if (termScores.has(id)) next.set(id, score + termScores.get(id));
+    });
+    scores = next;
+  });
+  if (scores === null) {
+    scores = new Map([...index.docs.keys()].map(id => [id, 0]));
+  }
+
+  const excluded = new Set();
+  negative.forEach(term => {
+    const entry = index.postings.get(term);
+    if (entry) entry.forEach((count, id) => excluded.add(id));
+  });
+
+  const words = [...positive, ...phrases.filter(p => !p.negate).map(p => p.text)];
+  const results = new Map();
+
+  scores.forEach((score, id) => {
+    if (excluded.has(id)) return;
+    const doc = index.docs.get(id);
+    if (!doc) return;
+
+    const haystack = `${doc.title}\n${doc.description}\n${doc.notes}`;
+    if (!phrases.every(phrase => haystack.includes(phrase.text) !== phrase.negate)) return;
+    if (!filters.every(filter => FILTERS[filter.field](doc, filter.value, { now }) !== filter.negate)) return;
+
+    let total = score;
+    // Whole phrases and the full free text in the title rank highest
+    phrases.forEach(phrase => {
+      if (!phrase.negate && doc.title.includes(phrase.text)) total += 10;
+    });
+    if (positive.length > 1 && doc.title.includes(positive.join(' '))) total += 5;
+    if (doc.task.status === 'done') total *= 0.5;
+
+    const titleHasAll = words.every(word => doc.title.includes(word));
+    results.set(id, {
+      score: total,
+      words,
+      snippet: words.length > 0 && !titleHasAll ? buildSnippet(doc, words) : null
+    });
+  });
+
+  return results;
+};
+
+/**
+ * Split text into plain and highlighted parts for the given words
+ */
+export const highlightParts = (text, words) => {
+  if (!text || !words || words.length === 0) return [{ text: text || '', match: false }];
+  const escaped = words
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (escaped.length === 0) return [{ text, match: false }];
+
+  // split() with a capture group puts the matches at odd indexes
+  return text
+    .split(new RegExp(`(${escaped.join('|')})`, 'gi'))
+    .map((part, i) => ({ text: part, match: i % 2 === 1 }))
+    .filter(part => part.text !== '');
+};
@@ -0,0 +1,88 @@
+import { buildSearchIndex, highlightParts, parseSearchQuery, searchTasks } from './search';
+
+// Monday Oct 19 2026, late evening: already Tuesday in UTC
+const now = new Date(2026, 9, 19, 23, 30);
+const stored = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+
+const tasks = [
+  {
+    id: 'home',
+    title: 'Home Reno',
+    isProject: true,
+    children: [
+      { id: 'paint', title: 'Paint the kitchen', context: '@home', tags: ['diy'], dueDate: stored(2026, 10, 19), importance: 4, timeEstimate: 90 },
+      { id: 'tiles', title: 'Order tiles', context: '@errands', dueDate: stored(2026, 10, 20), startDate: stored(2026, 10, 20) }
+    ]
+  },
+  { id: 'report', title: 'Quarterly report', description: 'Summarize the kitchen budget for review', dueDate: stored(2026, 10, 18), status: 'waiting_for', followUpDate: stored(2026, 10, 22) },
+  { id: 'done', title: 'Paint fence', status: 'done', dueDate: stored(2026, 10, 1) }
+];
+
+const index = buildSearchIndex(tasks, new Map([['tiles', 'Compare ceramic tile prices']]));
+const ids = (query) => [...(searchTasks(index, query, { now }) || new Map()).keys()].sort();
+
+describe('parseSearchQuery', () => {
+  test('splits terms, phrases and known filters', () => {
+    expect(parseSearchQuery('paint "the kitchen" -fence due:<7d foo:bar')).toEqual({
+      terms: [
+        { text: 'paint', negate: false },
+        { text: 'fence', negate: true },
+        { text: 'foo', negate: false },
+        { text: 'bar', negate: false }
+      ],
+      phrases: [{ text: 'the kitchen', negate: false }],
+      filters: [{ field: 'due', value: '<7d', negate: false }]
+    });
+  });
+});
+
+describe('searchTasks', () => {
+  test('is null for an empty query', () => {
+    expect(searchTasks(index, '   ', { now })).toBeNull();
+  });
+
+  test('matches prefixes across titles, descriptions and notes', () => {
+    expect(ids('kit')).toEqual(['paint', 'report']);
+    expect(ids('ceramic')).toEqual(['tiles']);
+    expect(ids('paint -fence')).toEqual(['paint']);
+  });
+
+  test('ranks title hits above description hits and done tasks lower', () => {
+    const results = searchTasks(index, 'kitchen', { now });
+    expect(results.get('paint').score).toBeGreaterThan(results.get('report').score);
+    expect(results.get('report').snippet).toEqual({ field: 'description', text: 'Summarize the kitchen budget for review' });
+    const paint = searchTasks(index, 'paint', { now });
+    expect(paint.get('paint').score).toBeGreaterThan(paint.get('done').score);
+  });
+
+  test('filters on fields and ancestors', () => {
+    expect(ids('context:home')).toEqual(['paint']);
+    expect(ids('tag:+diy')).toEqual(['paint']);
+    expect(ids('status:waiting')).toEqual(['report']);
+    expect(ids('is:project')).toEqual(['home']);
+    expect(ids('parent:"home reno"')).toEqual(['paint', 'tiles']);
+    expect(ids('imp:>=4 est:>1h')).toEqual(['paint']);
+    expect(ids('has:start')).toEqual(['tiles']);
+  });
+
+  test('compares date operators against the stored day', () => {
+    expect(ids('due:today')).toEqual(['paint']);
+    expect(ids('due:tomorrow')).toEqual(['tiles']);
+    expect(ids('due:overdue')).toEqual(['report']);
+    expect(ids('due:<=today -is:done')).toEqual(['paint', 'report']);
+    expect(ids('due:2026-10-20')).toEqual(['tiles']);
+    expect(ids('start:>today')).toEqual(['tiles']);
+    expect(ids('followup:3d')).toEqual(['report']);
+    expect(ids('due:none')).toEqual(['home']);
+  });
+});
+
+describe('highlightParts', () => {
+  test('marks every occurrence, longest words first', () => {
+    expect(highlightParts('Paint the painting', ['paint', 'painting'])).toEqual([
+      { text: 'Paint', match: true },
+      { text: ' the ', match: false },
+      { text: 'painting', match: true }
+    ]);
+  });
+});
@@ -0,0 +1,33 @@
+// gtd-pwa/src/utils/statuses.js
+// GTD task statuses and the lists they belong to
+
+export const TASK_STATUSES = {
+  next_action: 'Next Action',
+  waiting_for: 'Waiting For',
+  someday: 'Someday/Maybe',
+  reference: 'Reference',
+  done: 'Done'
+};
+
+// Statuses that park a task (and its subtree) outside the To Do list
+export const PARKED_STATUSES = ['waiting_for', 'someday', 'reference'];
+
+export const getStatus = (task) => task.status || 'next_action';
+
+export const isParked = (task) => PARKED_STATUSES.includes(getStatus(task));
+
+/**
+ * Flatten the tree, skipping parked tasks and everything under them
+ */
+export const collectActionable = (taskList) => {
+  const result = [];
+  const walk = (tasks) => {
+    tasks.forEach(task => {
+      if (isParked(task)) return;
+      result.push(task);
+      if (task.children) walk(task.children);
+    });
+  };
+  walk(taskList);
+  return result;
+};
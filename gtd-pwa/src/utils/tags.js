@@ -0,0 +1,147 @@
+// gtd-pwa/src/utils/tags.js
+// Tags: names are stored on tasks (task.tags), color and description in the tags collection
+import { addDoc, arrayRemove, collection, deleteDoc, doc, getDocs, onSnapshot, query, serverTimestamp, updateDoc, where, writeBatch } from 'firebase/firestore';
+import { db } from '../firebase';
+
+export const TAG_COLORS = ['#2563eb', '#059669', '#d97706', '#dc2626', '#7c3aed', '#db2777', '#0891b2', '#4b5563'];
+
+const DEFAULT_TAG_COLOR = '#6b7280';
+
+/**
+ * Clean up a typed tag: no leading "+", spaces become dashes
+ */
+export const normalizeTagName = (name) => (name || '').trim().replace(/^\+/, '').replace(/\s+/g, '-');
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Live list of the user's tag definitions, sorted by name
+ */
+export const subscribeToTags = (userId, onChange) => onSnapshot(
+  query(collection(db, 'tags'), where('userId', '==', userId)),
+  (snapshot) => {
+    const tags = snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    onChange(tags);
+  },
+  (error) => console.error('Error listening to tags:', error)
+);
+
+/**
+ * Every tag in use: defined tags plus names that only appear on tasks
+ * (e.g. from email capture or import), with task counts
+ */
+export const mergeTags = (tagDocs, taskList) => {
+  const counts = new Map();
+  const countTags = (tasks) => tasks.forEach(task => {
+    (task.tags || []).forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+    countTags(task.children || []);
+  });
+  countTags(taskList);
+
+  const merged = tagDocs.map(tag => ({ ...tag, count: counts.get(tag.name) || 0 }));
+  counts.forEach((count, name) => {
+    if (!merged.some(tag => tag.name === name)) {
+      merged.push({ id: null, name, color: DEFAULT_TAG_COLOR, description: '', count });
+    }
+  });
+  return merged.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const getTagColor = (name, tags) => tags.find(tag => tag.name === name)?.color || DEFAULT_TAG_COLOR;
+
+/**
+ * Make sure each name has a tag definition. Returns the names with the
+ * casing of existing tags, so "family" and "Family" don't both appear.
+ */
+export const ensureTags = async (userId, names, tags) => {
+  const resolved = [];
+  let colorIndex = tags.length;
+
+  for (const rawName of names) {
+    const name = normalizeTagName(rawName);
+    if (!name || resolved.some(r => sameName(r, name))) continue;
+
+    const existing = tags.find(tag => sameName(tag.name, name));
+    if (existing?.id) {
+      resolved.push(existing.name);
+      continue;
+    }
+
+    const canonical = existing ? existing.name : name;
+    await addDoc(collection(db, 'tags'), {
+      userId,
+      name: canonical,
+      color: TAG_COLORS[colorIndex++ % TAG_COLORS.length],
+      description: '',
+      createdDate: serverTimestamp()
+    });
+    resolved.push(canonical);
+  }
+
+  return resolved;
+};
+
+/**
+ * Save color/description. Tags that only exist on tasks get a definition.
+ */
+export const saveTagDetails = async (userId, tag, changes) => {
+  if (tag.id) {
+    await updateDoc(doc(db, 'tags', tag.id), changes);
+    return;
+  }
+  await addDoc(collection(db, 'tags'), {
+    userId,
+    name: tag.name,
+    color: tag.color,
+    description: tag.description || '',
+    ...changes,
+    createdDate: serverTimestamp()
+  });
+};
+
+const tasksWithTag = (userId, name) => getDocs(query(
+  collection(db, 'tasks'),
+  where('userId', '==', userId),
+  where('tags', 'array-contains', name)
+));
+
+// Firestore batches are limited to 500 writes
+const commitInChunks = async (docs, addWrite) => {
+  for (let i = 0; i < docs.length; i += 450) {
+    const batch = writeBatch(db);
+    docs.slice(i, i + 450).forEach(d => addWrite(batch, d));
+    await batch.commit();
+  }
+};
+
+/**
+ * Rename a tag everywhere it is used
+ */
+export const renameTag = async (userId, tag, newName) => {
+  const name = normalizeTagName(newName);
+  if (!name || name === tag.name) return;
+
+  const snapshot = await tasksWithTag(userId, tag.name);
+  await commitInChunks(snapshot.docs, (batch, d) => {
+    const tags = (d.data().tags || []).map(t => (t === tag.name ? name : t));
+    batch.update(d.ref, { tags: [...new Set(tags)], modifiedDate: serverTimestamp() });
+  });
+
+  await saveTagDetails(userId, tag, { name });
+};
+
+/**
+ * Remove a tag from all tasks and delete its definition
+ */
+export const deleteTag = async (userId, tag) => {
+  const snapshot = await tasksWithTag(userId, tag.name);
+  await commitInChunks(snapshot.docs, (batch, d) => {
+    batch.update(d.ref, { tags: arrayRemove(tag.name), modifiedDate: serverTimestamp() });
+  });
+
+  if (tag.id) {
+    await deleteDoc(doc(db, 'tags', tag.id));
+  }
+};
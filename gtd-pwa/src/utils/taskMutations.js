@@ -0,0 +1,367 @@
+// gtd-pwa/src/utils/taskMutations.js
+// Task writes that are recorded in the undo/redo operation log
+import { collection, doc, increment, serverTimestamp, updateDoc, writeBatch } from 'firebase/firestore';
+import { db } from '../firebase';
+import { deleteTaskTree, moveTaskTree } from './taskTree';
+import { spawnNextOccurrence } from './recurrence';
+import { recordOperation } from './history';
+import { orderKeyBetween, orderKeysBetween } from './ordering';
+import { isTimerRunning, stopTimer } from './timeTracking';
+
+// Snapshot the current values of the fields about to change
+const pickFields = (task, fields) => Object.fromEntries(fields.map(field => [field, task[field]]));
+
+// Strip tree-only properties before a task is written back to Firestore
+const toDocData = (task) => {
+  const { id, children, ...data } = task;
+  return data;
+};
+
+const findTask = (taskList, taskId) => {
+  for (const task of taskList) {
+    if (task.id === taskId) return task;
+    const found = findTask(task.children || [], taskId);
+    if (found) return found;
+  }
+  return null;
+};
+
+const flattenSubtree = (task) => [task, ...(task.children || []).flatMap(flattenSubtree)];
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 450;
+
+// Selected tasks minus any that sit inside another selected task, which
+// moves and deletes already carry along with their ancestor
+const topmostTasks = (tasks, allTasks) => {
+  const ids = new Set(tasks.map(task => task.id));
+  const parentOf = new Map();
+  const index = (list) => list.forEach(task => {
+    parentOf.set(task.id, task.parentId || null);
+    index(task.children || []);
+  });
+  index(allTasks);
+
+  return tasks.filter(task => {
+    let parentId = parentOf.get(task.id) ?? task.parentId;
+    while (parentId) {
+      if (ids.has(parentId)) return false;
+      parentId = parentOf.get(parentId);
+    }
+    return true;
+  });
+};
+
+// Write per-task field updates in as few batches as possible; returns the ops
+const updateInBatches = async (tasks, updatesFor) => {
+  const ops = [];
+  for (let i = 0; i < tasks.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    tasks.slice(i, i + BATCH_SIZE).forEach(task => {
+      const { modifiedDate, ...fields } = updatesFor(task);
+      batch.update(doc(db, 'tasks', task.id), { ...fields, modifiedDate: serverTimestamp() });
+      ops.push({
+        type: 'update',
+        taskId: task.id,
+        before: pickFields(task, Object.keys(fields)),
+        after: fields
+      });
+    });
+    await batch.commit();
+  }
+  return ops;
+};
+
+/**
+ * Update fields on a task. modifiedDate is set automatically.
+ */
+export const updateTask = async (task, updates, label = `Edit "${task.title}"`) => {
+  const { modifiedDate, ...fields } = updates;
+  await updateDoc(doc(db, 'tasks', task.id), { ...fields, modifiedDate: serverTimestamp() });
+  recordOperation(label, [{
+    type: 'update',
+    taskId: task.id,
+    before: pickFields(task, Object.keys(fields)),
+    after: fields
+  }]);
+};
+
+/**
+ * Create a task, bumping the parent's childCount in the same batch.
+ * Returns the new task id.
+ */
+export const createTask = async (data, label = `Add "${data.title}"`) => {
+  const batch = writeBatch(db);
+  const taskRef = doc(collection(db, 'tasks'));
+  batch.set(taskRef, data);
+  if (data.parentId) {
+    batch.update(doc(db, 'tasks', data.parentId), { childCount: increment(1), modifiedDate: serverTimestamp() });
+  }
+  await batch.commit();
+  recordOperation(label, [{ type: 'create', docs: [{ id: taskRef.id, data }] }]);
+  return taskRef.id;
+};
+
+/**
+ * Create several children under one task in a single batch, together
+ * with updates to the parent itself. Each child may list `dependsOn`
+ * indexes of earlier children, which become blockedBy links.
+ * Returns the new child ids.
+ */
+export const createSubtasks = async (parent, children, parentUpdates = {}, label = `Add subtasks to "${parent.title}"`) => {
+  const batch = writeBatch(db);
+  const tasksRef = collection(db, 'tasks');
+  const refs = children.map(() => doc(tasksRef));
+
+  const docs = children.map(({ dependsOn = [], ...data }, index) => ({
+    id: refs[index].id,
+    data: {
+      ...data,
+      parentId: parent.id,
+      blockedBy: dependsOn.filter(i => i < index).map(i => refs[i].id)
+    }
+  }));
+  docs.forEach(({ id, data }) => batch.set(doc(tasksRef, id), data));
+
+  const { modifiedDate, ...fields } = parentUpdates;
+  batch.update(doc(tasksRef, parent.id), {
+    ...fields,
+    childCount: increment(children.length),
+    modifiedDate: serverTimestamp()
+  });
+  await batch.commit();
+
+  recordOperation(label, [
+    { type: 'update', taskId: parent.id, before: pickFields(parent, Object.keys(fields)), after: fields },
+    ...docs.map(created => ({ type: 'create', docs: [created] }))
+  ]);
+  return docs.map(({ id }) => id);
+};
+
+/**
+ * Create a sub-project with its own children under a task in one batch.
+ * Undo removes the whole sub-project again.
+ * Returns the new project id.
+ */
+export const createSubproject = async (parent, project, children, parentUpdates = {}, label = `Add "${project.title}" to "${parent.title}"`) => {
+  const batch = writeBatch(db);
+  const tasksRef = collection(db, 'tasks');
+  const projectRef = doc(tasksRef);
+
+  const docs = [
+    { id: projectRef.id, data: { ...project, parentId: parent.id, isProject: true, childCount: children.length } },
+    ...children.map(child => ({ id: doc(tasksRef).id, data: { ...child, parentId: projectRef.id } }))
+  ];
+  docs.forEach(({ id, data }) => batch.set(doc(tasksRef, id), data));
+
+  const { modifiedDate, ...fields } = parentUpdates;
+  batch.update(doc(tasksRef, parent.id), {
+    ...fields,
+    childCount: increment(1),
+    modifiedDate: serverTimestamp()
+  });
+  await batch.commit();
+
+  const ops = [{ type: 'create', docs }];
+  if (Object.keys(fields).length > 0) {
+    ops.unshift({ type: 'update', taskId: parent.id, before: pickFields(parent, Object.keys(fields)), after: fields });
+  }
+  recordOperation(label, ops);
+  return projectRef.id;
+};
+
+/**
+ * Delete a task and its subtree. allTasks is the full task tree, used to
+ * snapshot every descendant (views may hand us a filtered copy) so undo
+ * can restore them with their original ids.
+ */
+export const deleteTask = async (task, allTasks, label = `Delete "${task.title}"`) => {
+  const original = findTask(allTasks, task.id) || task;
+  const docs = flattenSubtree(original).map(t => ({ id: t.id, data: toDocData(t) }));
+  await deleteTaskTree(task.id);
+  recordOperation(label, [{ type: 'delete', docs }]);
+};
+
+/**
+ * Move a task (with its subtree) under a new parent
+ */
+export const moveTask = async (task, newParentId, label = `Move "${task.title}"`) => {
+  await moveTaskTree(task.id, newParentId);
+  recordOperation(label, [{
+    type: 'move',
+    taskId: task.id,
+    before: task.parentId || null,
+    after: newParentId || null
+  }]);
+};
+
+/**
+ * Drop a task before or after a sibling, or inside another task as its
+ * last child. Siblings that were never ordered by hand get sortOrder keys
+ * in their current order first, so nothing else jumps around. allTasks
+ * is the full task tree. Recorded as a single undo entry.
+ */
+export const placeTask = async (task, target, position, allTasks, label = `Move "${task.title}"`) => {
+  const newParentId = position === 'inside' ? target.id : (target.parentId || null);
+  const parent = newParentId ? findTask(allTasks, newParentId) : null;
+  const siblings = (parent ? parent.children || [] : allTasks.filter(t => !t.parentId))
+    .filter(t => t.id !== task.id);
+
+  const updates = new Map();
+  if (siblings.some(t => !t.sortOrder)) {
+    orderKeysBetween(null, null, siblings.length).forEach((key, i) => {
+      if (siblings[i].sortOrder !== key) updates.set(siblings[i].id, { task: siblings[i], sortOrder: key });
+    });
+  }
+  const keyOf = (t) => (t ? updates.get(t.id)?.sortOrder || t.sortOrder : null);
+
+  let index = siblings.length;
+  if (position !== 'inside') {
+    index = siblings.findIndex(t => t.id === target.id) + (position === 'after' ? 1 : 0);
+  }
+  updates.set(task.id, { task, sortOrder: orderKeyBetween(keyOf(siblings[index - 1]), keyOf(siblings[index])) });
+
+  const ops = [];
+  if (newParentId !== (task.parentId || null)) {
+    await moveTaskTree(task.id, newParentId);
+    ops.push({ type: 'move', taskId: task.id, before: task.parentId || null, after: newParentId });
+  }
+
+  // Ordering a large unordered level touches every sibling
+  const reordered = Array.from(updates.values(), ({ task: t }) => t);
+  ops.push(...await updateInBatches(reordered, t => ({ sortOrder: updates.get(t.id).sortOrder })));
+
+  recordOperation(label, ops);
+};
+
+/**
+ * Apply a change to many tasks in batched writes, recorded as a single
+ * undo entry. updates may be a function of the task when each one needs
+ * its own value (e.g. adding a tag to its existing tags).
+ */
+export const bulkUpdateTasks = async (tasks, updates, label = `Edit ${tasks.length} tasks`) => {
+  const ops = await updateInBatches(tasks, typeof updates === 'function' ? updates : () => updates);
+  recordOperation(label, ops);
+};
+
+/**
+ * Complete or reopen many tasks at once. Recurring tasks spawn their next
+ * instance as they do one at a time, within the same undo entry.
+ */
+export const bulkSetCompletion = async (tasks, done, label = `${done ? 'Complete' : 'Reopen'} ${tasks.length} tasks`) => {
+  const fields = {
+    status: done ? 'done' : 'next_action',
+    completedDate: done ? new Date() : null
+  };
+  const changing = tasks.filter(task => (task.status === 'done') !== done);
+  if (done) {
+    for (const task of changing.filter(isTimerRunning)) await stopTimer(task);
+  }
+  const ops = await updateInBatches(changing, () => fields);
+
+  if (done) {
+    for (const task of changing.filter(t => t.isRecurring)) {
+      const created = await spawnNextOccurrence(task, fields.completedDate);
+      if (created) ops.push({ type: 'create', docs: created });
+    }
+  }
+
+  recordOperation(label, ops);
+};
+
+/**
+ * Delete many tasks with their subtrees as a single undo entry. Each
+ * subtree goes through deleteTaskTree; if one fails, the ones already
+ * deleted can still be undone.
+ */
+export const bulkDeleteTasks = async (tasks, allTasks, label = `Delete ${tasks.length} tasks`) => {
+  const ops = [];
+  try {
+    for (const task of topmostTasks(tasks, allTasks)) {
+      const original = findTask(allTasks, task.id) || task;
+      const docs = flattenSubtree(original).map(t => ({ id: t.id, data: toDocData(t) }));
+      await deleteTaskTree(task.id);
+      ops.push({ type: 'delete', docs });
+    }
+  } finally {
+    recordOperation(label, ops);
+  }
+};
+
+/**
+ * Move many tasks under one new parent (null for top level) as a single
+ * undo entry. Tasks already there, and the new parent itself or anything
+ * above it, are left where they are.
+ */
+export const bulkMoveTasks = async (tasks, newParentId, allTasks, label = `Move ${tasks.length} tasks`) => {
+  const target = newParentId || null;
+  const movable = topmostTasks(tasks, allTasks).filter(task => {
+    if ((task.parentId || null) === target) return false;
+    const original = findTask(allTasks, task.id) || task;
+    return !target || !flattenSubtree(original).some(t => t.id === target);
+  });
+
+  const ops = [];
+  try {
+    for (const task of movable) {
+      await moveTaskTree(task.id, target);
+      ops.push({ type: 'move', taskId: task.id, before: task.parentId || null, after: target });
+    }
+  } finally {
+    recordOperation(label, ops);
+  }
+};
+
+/**
+ * Save the task editor: field updates plus an optional reparent,
+ * recorded as a single undo entry
+ */
+export const saveTaskEdits = async (task, updates, label = `Edit "${task.title}"`) => {
+  const { parentId, modifiedDate, ...fields } = updates;
+  const newParentId = parentId === undefined ? (task.parentId || null) : (parentId || null);
+  const ops = [];
+
+  await updateDoc(doc(db, 'tasks', task.id), { ...fields, modifiedDate: serverTimestamp() });
+  ops.push({
+    type: 'update',
+    taskId: task.id,
+    before: pickFields(task, Object.keys(fields)),
+    after: fields
+  });
+
+  if (newParentId !== (task.parentId || null)) {
+    await moveTaskTree(task.id, newParentId);
+    ops.push({ type: 'move', taskId: task.id, before: task.parentId || null, after: newParentId });
+  }
+
+  recordOperation(label, ops);
+};
+
+/**
+ * Complete or reopen a task. Completing a recurring task spawns its next
+ * instance; undo removes that instance again. Completing also stops the
+ * task's timer, which isn't part of the undo entry.
+ */
+export const toggleTaskCompletion = async (task, done = task.status !== 'done') => {
+  if (done && isTimerRunning(task)) await stopTimer(task);
+
+  const fields = {
+    status: done ? 'done' : 'next_action',
+    completedDate: done ? new Date() : null
+  };
+  await updateDoc(doc(db, 'tasks', task.id), { ...fields, modifiedDate: serverTimestamp() });
+
+  const ops = [{
+    type: 'update',
+    taskId: task.id,
+    before: pickFields(task, Object.keys(fields)),
+    after: fields
+  }];
+
+  if (done && task.isRecurring) {
+    const created = await spawnNextOccurrence(task, fields.completedDate);
+    if (created) ops.push({ type: 'create', docs: created });
+  }
+
+  recordOperation(`${done ? 'Complete' : 'Reopen'} "${task.title}"`, ops);
+};
@@ -0,0 +1,100 @@
+// gtd-pwa/src/utils/taskStore.js
+// Live task tree backed by a Firestore onSnapshot listener
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { db } from '../firebase';
+import { compareTaskOrder } from './ordering';
+
+/**
+ * Subscribe to a user's tasks and keep an in-memory tree up to date.
+ *
+ * Each snapshot only rebuilds the nodes that changed plus their ancestors;
+ * untouched subtrees keep their object identity between emissions.
+ * Returns an unsubscribe function.
+ */
+export const subscribeToTasks = (userId, { onChange, onError }) => {
+  const docs = new Map();       // id -> raw task data
+  const childIds = new Map();   // parentId (or null) -> Set of child ids
+  const nodes = new Map();      // id -> built node with children
+
+  const attach = (id, parentId) => {
+    const key = parentId || null;
+    if (!childIds.has(key)) childIds.set(key, new Set());
+    childIds.get(key).add(id);
+  };
+
+  const detach = (id, parentId) => {
+    const key = parentId || null;
+    const siblings = childIds.get(key);
+    if (!siblings) return;
+    siblings.delete(id);
+    if (siblings.size === 0) childIds.delete(key);
+  };
+
+  // Mark a node and every ancestor above it for rebuilding
+  const markDirty = (id, dirty) => {
+    let current = id;
+    while (current && !dirty.has(current)) {
+      dirty.add(current);
+      current = docs.get(current)?.parentId;
+    }
+  };
+
+  const buildNode = (id, dirty) => {
+    if (!dirty.has(id) && nodes.has(id)) return nodes.get(id);
+
+    const children = Array.from(childIds.get(id) || [])
+      .map(childId => buildNode(childId, dirty))
+      .sort(compareTaskOrder);
+
+    const node = { ...docs.get(id), children };
+    nodes.set(id, node);
+    dirty.delete(id);
+    return node;
+  };
+
+  // Roots are top-level tasks plus orphans whose parent isn't loaded
+  const buildRoots = (dirty) => {
+    const roots = [];
+    childIds.forEach((ids, parentId) => {
+      if (parentId === null || !docs.has(parentId)) {
+        ids.forEach(id => roots.push(buildNode(id, dirty)));
+      }
+    });
+    return roots.sort(compareTaskOrder);
+  };
+
+  const q = query(collection(db, 'tasks'), where('userId', '==', userId));
+
+  return onSnapshot(q, (snapshot) => {
+    const dirty = new Set();
+    const touched = [];   // [id, previous parentId] per change
+
+    // Apply every change before marking anything: a batch (e.g. a subtree
+    // move) arrives in one snapshot in no set order, and ancestor chains
+    // are only right once all the new parentIds are in place
+    snapshot.docChanges().forEach(change => {
+      const id = change.doc.id;
+      const previous = docs.get(id);
+
+      if (previous) detach(id, previous.parentId);
+
+      if (change.type === 'removed') {
+        docs.delete(id);
+        nodes.delete(id);
+      } else {
+        // Estimate pending server timestamps so local edits sort correctly
+        const data = { id, ...change.doc.data({ serverTimestamps: 'estimate' }) };
+        docs.set(id, data);
+        attach(id, data.parentId);
+      }
+      touched.push([id, previous?.parentId]);
+    });
+
+    touched.forEach(([id, previousParentId]) => {
+      markDirty(previousParentId, dirty);
+      if (docs.has(id)) markDirty(id, dirty);
+    });
+
+    onChange(buildRoots(dirty));
+  }, onError);
+};
@@ -0,0 +1,25 @@
+// gtd-pwa/src/utils/taskTree.js
+// Client wrappers for the server-side subtree functions
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../firebase';
+
+/**
+ * Delete a task and everything under it, deepest tasks first.
+ * This is the only supported delete path; deleting a single doc
+ * directly would orphan its children.
+ */
+export const deleteTaskTree = async (taskId) => {
+  const callable = httpsCallable(functions, 'deleteTaskTree');
+  const result = await callable({ taskId });
+  return result.data;
+};
+
+/**
+ * Move a task (and its subtree) under a new parent, or to the top
+ * level when newParentId is null. Fixes level, path and childCount.
+ */
+export const moveTaskTree = async (taskId, newParentId) => {
+  const callable = httpsCallable(functions, 'moveTaskTree');
+  const result = await callable({ taskId, newParentId: newParentId || null });
+  return result.data;
+};
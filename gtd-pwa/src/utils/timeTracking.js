@@ -0,0 +1,178 @@
+// gtd-pwa/src/utils/timeTracking.js
+// Per-task timers: sessions in tasks/{id}/timeEntries, running total in task.actualMinutes
+import { collection, doc, increment, onSnapshot, orderBy, query, serverTimestamp, writeBatch } from 'firebase/firestore';
+import { db } from '../firebase';
+
+// Sessions shorter than this are treated as accidental start/stop clicks
+const MIN_SESSION_MINUTES = 1;
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+export const isTimerRunning = (task) => !!task.timerStartedAt;
+
+/**
+ * "45m", "1h 30m"
+ */
+export const formatMinutes = (minutes) => {
+  const total = Math.round(minutes);
+  if (total < 60) return `${total}m`;
+  const hours = Math.floor(total / 60);
+  return total % 60 ? `${hours}h ${total % 60}m` : `${hours}h`;
+};
+
+/**
+ * "12:05" / "1:02:05" for a running timer
+ */
+export const formatElapsed = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const pad = (n) => String(n).padStart(2, '0');
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+};
+
+const collectRunning = (taskList) => taskList.flatMap(task => [
+  ...(isTimerRunning(task) ? [task] : []),
+  ...collectRunning(task.children || [])
+]);
+
+/**
+ * Queue the writes that close a task's running session. Returns the
+ * session length in minutes (0 when it was too short to keep).
+ */
+const queueStop = (batch, task, now) => {
+  const startedAt = toDate(task.timerStartedAt);
+  const minutes = startedAt ? Math.round((now - startedAt) / 60000) : 0;
+  const taskRef = doc(db, 'tasks', task.id);
+
+  if (minutes >= MIN_SESSION_MINUTES) {
+    batch.set(doc(collection(taskRef, 'timeEntries')), {
+      userId: task.userId,
+      startedAt,
+      endedAt: now,
+      minutes,
+      kind: 'timer'
+    });
+    batch.update(taskRef, { timerStartedAt: null, actualMinutes: increment(minutes) });
+    return minutes;
+  }
+  batch.update(taskRef, { timerStartedAt: null });
+  return 0;
+};
+
+/**
+ * Start timing a task. Only one timer runs at a time, so any other
+ * running timer is stopped (and its session saved) in the same batch.
+ */
+export const startTimer = async (task, allTasks) => {
+  const now = new Date();
+  const batch = writeBatch(db);
+  collectRunning(allTasks)
+    .filter(running => running.id !== task.id)
+    .forEach(running => queueStop(batch, running, now));
+  batch.update(doc(db, 'tasks', task.id), { timerStartedAt: serverTimestamp() });
+  await batch.commit();
+};
+
+/**
+ * Stop a task's timer and record the session. Resolves to its minutes.
+ */
+export const stopTimer = async (task) => {
+  const batch = writeBatch(db);
+  const minutes = queueStop(batch, task, new Date());
+  await batch.commit();
+  return minutes;
+};
+
+/**
+ * Record time spent on a task in focus mode as a session. A full Pomodoro
+ * interval also bumps the task's pomodoros count.
+ */
+export const logFocusInterval = async (task, startedAt, endedAt, { full = true } = {}) => {
+  const minutes = Math.round((endedAt - startedAt) / 60000);
+  if (minutes < MIN_SESSION_MINUTES) return 0;
+
+  const taskRef = doc(db, 'tasks', task.id);
+  const batch = writeBatch(db);
+  batch.set(doc(collection(taskRef, 'timeEntries')), {
+    userId: task.userId,
+    startedAt,
+    endedAt,
+    minutes,
+    kind: full ? 'pomodoro' : 'focus'
+  });
+  batch.update(taskRef, {
+    actualMinutes: increment(minutes),
+    ...(full ? { pomodoros: increment(1) } : {})
+  });
+  await batch.commit();
+  return minutes;
+};
+
+export const toggleTimer = (task, allTasks) =>
+  (isTimerRunning(task) ? stopTimer(task) : startTimer(task, allTasks));
+
+/**
+ * Live list of a task's sessions, newest first
+ */
+export const subscribeToTimeEntries = (taskId, onChange) => onSnapshot(
+  query(collection(db, 'tasks', taskId, 'timeEntries'), orderBy('startedAt', 'desc')),
+  (snapshot) => onChange(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+  (error) => console.error('Error listening to time entries:', error)
+);
+
+const summarize = (name, tasks) => {
+  const estimated = tasks.reduce((sum, task) => sum + task.timeEstimate, 0);
+  const actual = tasks.reduce((sum, task) => sum + task.actualMinutes, 0);
+  return { name, tasks: tasks.length, estimated, actual, ratio: actual / estimated };
+};
+
+const groupSummaries = (tasks, keyOf) => {
+  const groups = new Map();
+  tasks.forEach(task => {
+    const key = keyOf(task);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(task);
+  });
+  return Array.from(groups, ([name, list]) => summarize(name, list))
+    .sort((a, b) => b.tasks - a.tasks || a.name.localeCompare(b.name));
+};
+
+/**
+ * How actual time compares with estimates on finished, timed tasks,
+ * overall and by context and energy level. ratio > 1 means tasks take
+ * longer than estimated. Returns null when nothing has been timed yet.
+ */
+export const getEstimateAccuracy = (taskList) => {
+  const timed = [];
+  const walk = (tasks) => tasks.forEach(task => {
+    if (task.status === 'done' && task.timeEstimate > 0 && task.actualMinutes > 0) timed.push(task);
+    walk(task.children || []);
+  });
+  walk(taskList);
+  if (timed.length === 0) return null;
+
+  return {
+    overall: summarize('All tasks', timed),
+    byContext: groupSummaries(timed, task => task.context || 'No context'),
+    byEnergy: groupSummaries(timed, task => task.energyLevel || 'medium')
+  };
+};
+
+/**
+ * Plain-language accuracy lines for the AI breakdown prompt, e.g.
+ * "@calls tasks take 1.4x the estimate (5 tasks)"
+ */
+export const describeEstimateAccuracy = (accuracy) => {
+  if (!accuracy) return [];
+  const line = (group, label) => `${label} take ${group.ratio.toFixed(1)}x the estimate (${group.tasks} ${group.tasks === 1 ? 'task' : 'tasks'})`;
+  return [
+    line(accuracy.overall, 'Tasks overall'),
+    ...accuracy.byContext.filter(group => group.name !== 'No context').map(group => line(group, `${group.name} tasks`)),
+    ...accuracy.byEnergy.map(group => line(group, `${group.name}-energy tasks`))
+  ];
+};
@@ -0,0 +1,461 @@
+// import-ics.js - iCalendar (.ics file or feed) to Firestore Import Script
+// Creates Inbox tasks for VEVENTs and VTODOs. Each task remembers its
+// calendar UID (icsUid), so importing the same calendar again updates
+// those tasks instead of adding duplicates.
+const admin = require('firebase-admin');
+const fs = require('fs');
+
+const { getFirestore } = require('firebase-admin/firestore');
+const { parseCalendar, ruleFromRRule } = require('./functions/ics');
+const { getUserContexts, detectContext } = require('./functions/contexts');
+
+// Initialize Firebase Admin
+require('dotenv').config();
+
+let credential;
+try {
+  const serviceAccount = require('./serviceAccountKey.json');
+  console.log('✅ Found serviceAccountKey.json, using service account credentials.');
+  credential = admin.credential.cert(serviceAccount);
+} catch (error) {
+  console.log('⚠️  serviceAccountKey.json not found, falling back to Application Default Credentials (ADC).');
+  console.log('   Make sure you have run: gcloud auth application-default login');
+  credential = admin.credential.applicationDefault();
+}
+
+const app = admin.initializeApp({
+  credential: credential
+});
+
+const databaseId = process.env.FIREBASE_DATABASE_ID || 'gtd-database';
+const db = getFirestore(app, databaseId);
+const { FieldValue } = admin.firestore;
+
+const MAX_OPS_PER_BATCH = 499; // Stay safely under the 500 limit
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields the calendar owns; anything else (context, tags, priority,
+// where the task was filed) is left alone on re-import
+const CALENDAR_FIELDS = ['title', 'description', 'dueDate', 'startDate', 'timeEstimate', 'isRecurring', 'recurrence', 'occurrence', 'status', 'completedDate'];
+
+const USAGE = `
+❌ Usage: node import-ics.js <ics-file-or-url> <user-email> [options]
+
+Options:
+  --prep-days N         Add a "Prep:" task due N days before each event
+  --follow-up           Add a "Follow up:" task after each event
+  --follow-up-days N    Days after the event the follow-up is due (default 1)
+  --include-past        Also import events that have already ended
+  --dry-run             Show what would change without writing
+
+Example: node import-ics.js invites.ics your-email@gmail.com --prep-days 1 --follow-up
+`;
+
+function parseArgs(argv) {
+  const options = { prepDays: null, followUp: false, followUpDays: 1, includePast: false, dryRun: false };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--prep-days') options.prepDays = parseInt(argv[++i], 10);
+    else if (arg === '--follow-up') options.followUp = true;
+    else if (arg === '--follow-up-days') {
+      options.followUp = true;
+      options.followUpDays = parseInt(argv[++i], 10);
+    } else if (arg === '--include-past') options.includePast = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else positional.push(arg);
+  }
+  const badNumber = (n) => n !== null && (isNaN(n) || n < 0);
+  if (positional.length < 2 || badNumber(options.prepDays) || badNumber(options.followUpDays)) return null;
+  return { source: positional[0], userEmail: positional[1], options };
+}
+
+// Read a local file, or fetch http(s)/webcal URLs
+async function readCalendar(source) {
+  if (!/^(https?|webcal):\/\//i.test(source)) {
+    return fs.readFileSync(source, 'utf-8');
+  }
+  const response = await fetch(source.replace(/^webcal:/i, 'https:'));
+  if (!response.ok) {
+    throw new Error(`Fetching ${source} failed: ${response.status} ${response.statusText}`);
+  }
+  return response.text();
+}
+
+// The calendar day of a date, as midnight UTC (how the app stores days)
+function calendarDay(date, allDay) {
+  if (allDay) return new Date(date.getTime());
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+function addDaysUTC(day, days) {
+  return new Date(day.getTime() + days * DAY_MS);
+}
+
+// Start of the occurrence `steps` cadences after the first. Counted from
+// the first start each time, so a series on the 31st comes back to the
+// 31st after being clamped to a shorter month (as recurrence.js does).
+// All-day starts are calendar days at midnight UTC; timed ones keep their
+// local wall-clock time.
+function occurrenceStart(first, rule, steps, allDay) {
+  const [year, month, day] = allDay
+    ? [first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate()]
+    : [first.getFullYear(), first.getMonth(), first.getDate()];
+  const at = (y, m, d) => (allDay
+    ? new Date(Date.UTC(y, m, d))
+    : new Date(y, m, d, first.getHours(), first.getMinutes(), first.getSeconds(), first.getMilliseconds()));
+
+  if (rule.freq === 'daily' || rule.freq === 'weekly') {
+    return at(year, month, day + steps * rule.interval * (rule.freq === 'weekly' ? 7 : 1));
+  }
+  const months = steps * rule.interval * (rule.freq === 'monthly' ? 1 : 12);
+  const daysInMonth = new Date(Date.UTC(year, month + months + 1, 0)).getUTCDate();
+  return at(year, month + months, Math.min(day, daysInMonth));
+}
+
+// Step a recurring event forward to its first occurrence that hasn't
+// ended yet. Only the cadence (freq x interval) is followed; returns
+// null when the series is over. occurrence is the 1-based instance
+// number, which the app counts on to end COUNT-limited series.
+function currentOccurrence(item, rule, now) {
+  const length = item.end ? item.end - item.start : 0;
+  let start = new Date(item.start.getTime());
+  let occurrence = 1;
+  while (start.getTime() + length < now.getTime()) {
+    start = occurrenceStart(item.start, rule, occurrence, item.allDay);
+    occurrence++;
+    if ((rule.count && occurrence > rule.count) || (rule.until && start > rule.until)) return null;
+  }
+  return { start, end: item.end ? new Date(start.getTime() + length) : null, occurrence };
+}
+
+function formatWhen(start, end, allDay) {
+  const day = (date) => date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: allDay ? 'UTC' : undefined });
+  const time = (date) => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  if (allDay) return day(start);
+  return end ? `${day(start)}, ${time(start)} – ${time(end)}` : `${day(start)}, ${time(start)}`;
+}
+
+function buildDescription(item, when) {
+  let desc = item.type === 'VEVENT' ? '📅 **Calendar Event**\n\n' : '📋 **Calendar To-Do**\n\n';
+  if (when) desc += `**When:** ${when}\n`;
+  if (item.location) desc += `**Where:** ${item.location}\n`;
+  if (item.url) desc += `**Link:** ${item.url}\n`;
+  if (item.description) {
+    let body = item.description.replace(/\n{3,}/g, '\n\n').trim();
+    if (body.length > 1500) body = body.substring(0, 1497) + '...';
+    desc += `\n---\n\n${body}`;
+  }
+  return desc;
+}
+
+// iCalendar PRIORITY: 1 (highest) to 9 (lowest), 0 undefined
+function priorityToImportance(priority) {
+  if (!priority) return 3;
+  if (priority <= 2) return 5;
+  if (priority <= 4) return 4;
+  if (priority === 5) return 3;
+  return priority <= 7 ? 2 : 1;
+}
+
+/**
+ * The tasks one calendar item should produce, as { icsUid, fields }.
+ * Events become a task due on their day, plus the optional prep and
+ * follow-up tasks; to-dos map across directly.
+ */
+function tasksForItem(item, options, contexts, now) {
+  const uid = item.uid || `${item.summary}|${(item.start || item.due || '').toString()}`;
+  const title = (item.summary || '(untitled)').trim().substring(0, 200);
+  const context = detectContext(`${title} ${item.location || ''} ${item.description || ''}`, contexts);
+  const tags = [...new Set((item.categories || [])
+    .map(name => String(name).trim().replace(/^[@!]/, '').replace(/\s+/g, '-'))
+    .filter(Boolean))];
+  const shared = { context, tags, importance: priorityToImportance(item.priority), urgency: 3 };
+
+  if (item.type === 'VTODO') {
+    const done = item.status === 'COMPLETED' || !!item.completed;
+    return [{
+      icsUid: uid,
+      fields: {
+        ...shared,
+        title,
+        description: buildDescription(item, null),
+        dueDate: item.due ? calendarDay(item.due, item.allDay) : null,
+        startDate: item.start ? calendarDay(item.start, item.allDay) : null,
+        timeEstimate: item.durationMinutes > 0 ? item.durationMinutes : null,
+        status: done ? 'done' : 'next_action',
+        completedDate: done ? (item.completed || now) : null
+      }
+    }];
+  }
+
+  if (!item.start) return [];
+  const rule = item.rrule ? ruleFromRRule(item.rrule) : null;
+  let { start, end } = item;
+  let occurrence = rule ? 1 : null;
+  if (rule && !options.includePast) {
+    const current = currentOccurrence(item, rule, now);
+    if (!current) return [];
+    ({ start, end, occurrence } = current);
+  }
+  if (!options.includePast && (end || start) < now) return [];
+
+  const day = calendarDay(start, item.allDay);
+  // All-day DTEND is exclusive: the day after the last one
+  const lastDay = !end ? day : item.allDay ? addDaysUTC(end, -1) : calendarDay(end, false);
+  const minutes = !item.allDay && end ? Math.round((end - start) / 60000) : null;
+  const specs = [{
+    icsUid: uid,
+    fields: {
+      ...shared,
+      title,
+      description: buildDescription(item, formatWhen(start, end, item.allDay)),
+      dueDate: day,
+      startDate: null,
+      timeEstimate: minutes,
+      isRecurring: !!rule,
+      recurrence: rule,
+      occurrence,
+      status: 'next_action',
+      completedDate: null
+    }
+  }];
+
+  if (options.prepDays !== null) {
+    specs.push({
+      icsUid: `${uid}#prep`,
+      fields: {
+        ...shared,
+        title: `Prep: ${title}`,
+        description: buildDescription(item, formatWhen(start, end, item.allDay)),
+        dueDate: addDaysUTC(day, -options.prepDays),
+        startDate: null,
+        timeEstimate: null,
+        status: 'next_action',
+        completedDate: null
+      }
+    });
+  }
+  if (options.followUp) {
+    specs.push({
+      icsUid: `${uid}#follow-up`,
+      fields: {
+        ...shared,
+        title: `Follow up: ${title}`,
+        description: buildDescription(item, formatWhen(start, end, item.allDay)),
+        dueDate: addDaysUTC(lastDay, options.followUpDays),
+        startDate: addDaysUTC(lastDay, options.followUpDays),
+        timeEstimate: null,
+        status: 'next_action',
+        completedDate: null
+      }
+    });
+  }
+  return specs;
+}
+
+// Firestore Timestamps, Dates and plain values compared by content
+function sameValue(a, b) {
+  const normalize = (value) => {
+    if (value === undefined || value === null) return null;
+    if (value.toDate) return value.toDate().getTime();
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'object') return JSON.stringify(value, (key, v) => (v && v.toDate ? v.toDate().toISOString() : v));
+    return value;
+  };
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Get or create Inbox task (mirrors getOrCreateInbox in functions/addEmailTask.js)
+ */
+async function getOrCreateInbox(userId) {
+  const inboxQuery = await db.collection('tasks')
+    .where('userId', '==', userId)
+    .where('title', '==', '<Inbox>')
+    .where('parentId', '==', null)
+    .limit(1)
+    .get();
+
+  if (!inboxQuery.empty) {
+    return inboxQuery.docs[0].id;
+  }
+
+  const inboxRef = db.collection('tasks').doc();
+  await inboxRef.set({
+    title: '<Inbox>',
+    userId,
+    status: 'next_action',
+    importance: 3,
+    urgency: 3,
+    source: 'system',
+    createdDate: FieldValue.serverTimestamp(),
+    modifiedDate: FieldValue.serverTimestamp(),
+    computedPriority: 0,
+    childCount: 0
+  });
+  return inboxRef.id;
+}
+
+/**
+ * Tasks from earlier imports by icsUid. Recurring tasks leave a finished
+ * instance behind each time, so an open task wins over a finished one.
+ */
+async function getImportedTasks(userId) {
+  const snapshot = await db.collection('tasks').where('userId', '==', userId).get();
+  const byUid = new Map();
+  snapshot.docs.forEach(doc => {
+    const task = doc.data();
+    if (!task.icsUid) return;
+    const existing = byUid.get(task.icsUid);
+    if (!existing || (existing.data.status === 'done' && task.status !== 'done')) {
+      byUid.set(task.icsUid, { ref: doc.ref, data: task });
+    }
+  });
+  return byUid;
+}
+
+async function writeChanges(creates, updates, inboxId) {
+  const batches = [db.batch()];
+  let operations = 0;
+  const queue = (apply) => {
+    if (operations >= MAX_OPS_PER_BATCH) {
+      batches.push(db.batch());
+      operations = 0;
+    }
+    apply(batches[batches.length - 1]);
+    operations++;
+  };
+
+  creates.forEach(({ ref, data }) => queue(batch => batch.set(ref, data)));
+  updates.forEach(({ ref, changes }) => queue(batch => batch.update(ref, { ...changes, modifiedDate: FieldValue.serverTimestamp() })));
+  if (creates.length > 0) {
+    queue(batch => batch.update(db.collection('tasks').doc(inboxId), {
+      childCount: FieldValue.increment(creates.length),
+      modifiedDate: FieldValue.serverTimestamp()
+    }));
+  }
+
+  console.log(`\n💾 Writing ${creates.length + updates.length} change(s) in ${batches.length} batch(es) to Firestore...`);
+  for (const batch of batches) {
+    await batch.commit();
+  }
+}
+
+// Main import function
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+  const { source, userEmail, options } = args;
+
+  console.log('\n╔════════════════════════════════════════╗');
+  console.log('║   ICS to Firestore Import Script       ║');
+  console.log('╚════════════════════════════════════════╝\n');
+
+  try {
+    console.log(`📄 Reading ${source}...`);
+    const items = parseCalendar(await readCalendar(source))
+      .filter(item => item.status !== 'CANCELLED');
+    console.log(`🔍 Found ${items.filter(i => i.type === 'VEVENT').length} event(s) and ${items.filter(i => i.type === 'VTODO').length} to-do(s)`);
+
+    console.log(`\n👤 Getting user UID for: ${userEmail}`);
+    let userId;
+    try {
+      const userRecord = await admin.auth().getUserByEmail(userEmail);
+      userId = userRecord.uid;
+      console.log(`   Found user UID: ${userId}`);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        console.error(`\n❌ Error: The user with email "${userEmail}" does not exist in Firebase Authentication.`);
+        process.exit(1);
+      }
+      throw error;
+    }
+
+    const now = new Date();
+    const contexts = await getUserContexts(userId, db);
+    const specs = items.flatMap(item => tasksForItem(item, options, contexts, now));
+    const imported = await getImportedTasks(userId);
+    const inboxId = options.dryRun ? null : await getOrCreateInbox(userId);
+
+    const creates = [];
+    const updates = [];
+    let unchanged = 0;
+    let finished = 0;
+
+    specs.forEach(({ icsUid, fields }) => {
+      const existing = imported.get(icsUid);
+      if (!existing) {
+        const ref = db.collection('tasks').doc();
+        creates.push({
+          ref,
+          data: {
+            ...fields,
+            icsUid,
+            userId,
+            parentId: inboxId,
+            level: 1,
+            path: `<Inbox>/${fields.title}`,
+            source: 'ics_import',
+            energyLevel: 'medium',
+            isProject: false,
+            childCount: 0,
+            computedPriority: 0,
+            priorityBreakdown: {},
+            todayFocus: false,
+            createdDate: FieldValue.serverTimestamp(),
+            modifiedDate: FieldValue.serverTimestamp()
+          }
+        });
+        return;
+      }
+
+      // Finished tasks stay finished; the calendar can only complete them
+      if (existing.data.status === 'done' && fields.status !== 'done') {
+        finished++;
+        return;
+      }
+      const changes = {};
+      CALENDAR_FIELDS
+        .filter(field => field in fields && !sameValue(existing.data[field], fields[field]))
+        .forEach(field => {
+          changes[field] = fields[field];
+        });
+      if (Object.keys(changes).length === 0) {
+        unchanged++;
+        return;
+      }
+      updates.push({ ref: existing.ref, title: fields.title, changes });
+    });
+
+    console.log(`\n📊 ${specs.length} task(s) from the calendar:`);
+    console.log(`   - New: ${creates.length}`);
+    console.log(`   - Updated: ${updates.length}`);
+    console.log(`   - Unchanged: ${unchanged}`);
+    console.log(`   - Already done (left as-is): ${finished}`);
+    updates.forEach(update => {
+      console.log(`   ✏️  ${update.title}: ${Object.keys(update.changes).join(', ')}`);
+    });
+
+    if (options.dryRun) {
+      creates.forEach(create => console.log(`   ➕ ${create.data.title}`));
+      console.log('\n🧪 Dry run: nothing was written.\n');
+    } else if (creates.length + updates.length > 0) {
+      await writeChanges(creates, updates, inboxId);
+      console.log('\n✅ Import complete! New tasks are in your Inbox.\n');
+    } else {
+      console.log('\n✅ Nothing to change.\n');
+    }
+  } catch (error) {
+    console.error('\n❌ Import failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+main();
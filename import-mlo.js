@@ -4,6 +4,8 @@ const fs = require('fs');
 const xml2js = require('xml2js');
 
 const { getFirestore } = require('firebase-admin/firestore');
+const { scoreTask } = require('./functions/priority');
+const { getUserContexts, placeToContext } = require('./functions/contexts');
 
 // Initialize Firebase Admin
 require('dotenv').config();
@@ -46,25 +48,29 @@ function effortToEnergy(effort) {
   return 'high';
 }
 
-// Convert MLO place to context
-function placeToContext(place) {
-  if (!place) return null;
-
-  const placeStr = Array.isArray(place) ? place[0] : place;
-
-  // Map MLO places to GTD contexts
-  const mapping = {
-    '!Errands': '@errands',
-    '@HomeOffice': '@home',
-    '@HomeComputer': '@computer',
-    '@Anywhere': '@anywhere',
-    '@Office': '@office',
-    '@Phone': '@calls',
-    '@Computer': '@computer',
-    '@Home': '@home'
-  };
+// Convert an MLO flag to a GTD status (mirrors statusToFlag in exportData.js)
+function flagToStatus(flag) {
+  if (!flag) return null;
+
+  const flagStr = (Array.isArray(flag) ? flag[0] : flag).toLowerCase();
+
+  if (flagStr.startsWith('waiting')) return 'waiting_for';
+  if (flagStr.startsWith('someday')) return 'someday';
+  if (flagStr === 'reference') return 'reference';
+  return null;
+}
 
-  return mapping[placeStr] || placeStr.toLowerCase();
+// MLO has no separate labels: other flags and any places beyond the
+// first (which becomes the context) are carried over as tags
+function mloTags(taskNode) {
+  const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+  const flags = asList(taskNode.Flag).filter(flag => !flagToStatus(flag));
+  const places = taskNode.Places ? asList(taskNode.Places.Place).slice(1) : [];
+
+  const tags = [...flags, ...places]
+    .map(name => String(name).trim().replace(/^[@!]/, '').replace(/\s+/g, '-'))
+    .filter(Boolean);
+  return [...new Set(tags)];
 }
 
 // Convert MLO estimate to minutes
@@ -99,8 +105,9 @@ function calculateImportance(importance, urgency) {
   };
 }
 
-// Process task node recursively into a tree structure
-function processTaskNode(node) {
+// Process task node recursively into a tree structure.
+// contexts are the user's context definitions, used to map MLO places.
+function processTaskNode(node, contexts) {
   if (!node) return [];
 
   const nodes = Array.isArray(node) ? node : [node];
@@ -109,7 +116,7 @@ function processTaskNode(node) {
   nodes.forEach(taskNode => {
     if (!taskNode.Caption) {
       if (taskNode.TaskNode) {
-        tasks.push(...processTaskNode(taskNode.TaskNode));
+        tasks.push(...processTaskNode(taskNode.TaskNode, contexts));
       }
       return;
     }
@@ -118,16 +125,19 @@ function processTaskNode(node) {
     const importance = calculateImportance(taskNode.Importance, taskNode.Urgency);
     const timeEstimate = estimateToMinutes(taskNode.EstimateMin, taskNode.EstimateMax);
     const energyLevel = effortToEnergy(taskNode.Effort);
-    const context = taskNode.Places ? placeToContext(taskNode.Places.Place) : null;
+    const context = taskNode.Places ? placeToContext(taskNode.Places.Place, contexts) : null;
     const isCompleted = !!taskNode.CompletionDateTime;
     const isProject = taskNode.IsProject === '-1';
+    const flagStatus = flagToStatus(taskNode.Flag);
 
     const task = {
       title: caption,
       description: taskNode.Note || '',
 
       // Status
-      status: isCompleted ? 'done' : 'next_action',
+      status: isCompleted ? 'done' : (flagStatus || 'next_action'),
+      delegatedTo: taskNode.DelegatedTo || null,
+      followUpDate: taskNode.FollowUpDateTime ? new Date(taskNode.FollowUpDateTime) : null,
       completedDate: isCompleted ? new Date(taskNode.CompletionDateTime) : null,
 
       // Priority factors
@@ -136,11 +146,13 @@ function processTaskNode(node) {
       timeEstimate: timeEstimate,
       energyLevel: energyLevel,
 
-      // Context
+      // Context and tags
       context: context,
+      tags: mloTags(taskNode),
 
-      // Project flag
+      // Project flags
       isProject: isProject,
+      isSequential: taskNode.CompleteSubTasksInOrder === '-1',
 
       // Dates
       dueDate: taskNode.DueDateTime ? new Date(taskNode.DueDateTime) : null,
@@ -158,7 +170,7 @@ function processTaskNode(node) {
       todayFocus: importance.importance >= 5 && importance.urgency >= 5 && !isCompleted,
 
       // Children placeholder
-      children: taskNode.TaskNode ? processTaskNode(taskNode.TaskNode) : []
+      children: taskNode.TaskNode ? processTaskNode(taskNode.TaskNode, contexts) : []
     };
 
     tasks.push(task);
@@ -231,7 +243,37 @@ async function importToFirestore(tasks, userId) {
   console.log(`\n✅ ${totalTasksProcessed} tasks imported successfully!\n`);
 }
 
-// Calculate initial priorities
+// Create tag definitions for imported tag names the user doesn't have yet
+async function importTags(tasks, userId) {
+  const names = new Set();
+  const collect = (list) => list.forEach(task => {
+    task.tags.forEach(name => names.add(name));
+    collect(task.children);
+  });
+  collect(tasks);
+
+  const existingSnapshot = await db.collection('tags').where('userId', '==', userId).get();
+  const existing = new Set(existingSnapshot.docs.map(d => d.data().name.toLowerCase()));
+  const missing = [...names].filter(name => !existing.has(name.toLowerCase()));
+
+  if (missing.length > 0) {
+    const batch = db.batch();
+    missing.forEach(name => {
+      batch.set(db.collection('tags').doc(), {
+        userId,
+        name,
+        color: '#6b7280',
+        description: 'Imported from MLO',
+        createdDate: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    await batch.commit();
+  }
+
+  console.log(`🏷️  ${names.size} tag(s) found, ${missing.length} new tag definition(s) created\n`);
+}
+
+// Calculate initial priorities (same scoring as the priority engine)
 async function calculatePriorities(userId) {
   console.log('🧮 Calculating priorities...\n');
 
@@ -240,29 +282,19 @@ async function calculatePriorities(userId) {
     .where('status', '==', 'next_action')
     .get();
 
+  const tasksById = new Map();
+  tasksSnapshot.docs.forEach(doc => tasksById.set(doc.id, doc.data()));
+
   const batch = db.batch();
+  const now = new Date();
   let count = 0;
 
   tasksSnapshot.docs.forEach(doc => {
     const task = doc.data();
-
-    // Simple priority calculation
-    const importanceScore = (task.importance || 3) * 3;
-    const urgencyScore = (task.urgency || 3) * 2.5;
-    const timeBonus = task.timeEstimate && task.timeEstimate <= 15 ? 3 : 0;
-    const energyScore = task.energyLevel === 'low' ? 2 :
-      task.energyLevel === 'medium' ? 1 : 0;
-
-    const priority = importanceScore + urgencyScore + timeBonus + energyScore;
+    const parent = task.parentId ? tasksById.get(task.parentId) : null;
 
     batch.update(doc.ref, {
-      computedPriority: priority,
-      priorityBreakdown: {
-        importance: importanceScore,
-        urgency: urgencyScore,
-        quickWin: timeBonus,
-        energy: energyScore
-      },
+      ...scoreTask(task, { parent, now }),
       lastPriorityUpdate: admin.firestore.FieldValue.serverTimestamp()
     });
 
@@ -285,9 +317,13 @@ async function generateStats(userId) {
     total: tasks.length,
     active: tasks.filter(t => t.status === 'next_action').length,
     completed: tasks.filter(t => t.status === 'done').length,
+    waitingFor: tasks.filter(t => t.status === 'waiting_for').length,
+    someday: tasks.filter(t => t.status === 'someday').length,
+    reference: tasks.filter(t => t.status === 'reference').length,
     projects: tasks.filter(t => t.isProject).length,
     focused: tasks.filter(t => t.todayFocus && t.status === 'next_action').length,
     byContext: {},
+    byTag: {},
     byLevel: {},
     withDueDate: tasks.filter(t => t.dueDate).length,
     avgTimeEstimate: 0
@@ -298,6 +334,9 @@ async function generateStats(userId) {
     if (t.context) {
       stats.byContext[t.context] = (stats.byContext[t.context] || 0) + 1;
     }
+    (t.tags || []).forEach(tag => {
+      stats.byTag[tag] = (stats.byTag[tag] || 0) + 1;
+    });
     if (t.level !== undefined) {
       stats.byLevel[t.level] = (stats.byLevel[t.level] || 0) + 1;
     }
@@ -340,17 +379,6 @@ async function main() {
     console.log('🔍 Parsing MLO XML structure...');
     const taskTree = await parseMLOXML(xmlContent);
 
-    // Process tasks
-    console.log('🔄 Processing tasks and hierarchies...');
-    const tasks = processTaskNode(taskTree.TaskNode);
-
-    console.log(`\n📊 Found ${tasks.length} tasks:`);
-    console.log(`   - Active: ${tasks.filter(t => t.status === 'next_action').length}`);
-    console.log(`   - Completed: ${tasks.filter(t => t.status === 'done').length}`);
-    console.log(`   - Projects: ${tasks.filter(t => t.isProject).length}`);
-    console.log(`   - Max depth: ${Math.max(...tasks.map(t => t.level))}`);
-    console.log(`   - Initial focus items: ${tasks.filter(t => t.todayFocus).length}`);
-
     // Get user UID from Firebase Auth
     console.log(`\n👤 Getting user UID for: ${userEmail}`);
     let userId;
@@ -367,8 +395,21 @@ async function main() {
       throw error;
     }
 
+    // Process tasks, mapping MLO places through the user's contexts
+    console.log('🔄 Processing tasks and hierarchies...');
+    const contexts = await getUserContexts(userId, db);
+    const tasks = processTaskNode(taskTree.TaskNode, contexts);
+
+    console.log(`\n📊 Found ${tasks.length} tasks:`);
+    console.log(`   - Active: ${tasks.filter(t => t.status === 'next_action').length}`);
+    console.log(`   - Completed: ${tasks.filter(t => t.status === 'done').length}`);
+    console.log(`   - Projects: ${tasks.filter(t => t.isProject).length}`);
+    console.log(`   - Max depth: ${Math.max(...tasks.map(t => t.level))}`);
+    console.log(`   - Initial focus items: ${tasks.filter(t => t.todayFocus).length}`);
+
     // Import to Firestore
     await importToFirestore(tasks, userId);
+    await importTags(tasks, userId);
 
     // Calculate priorities
     await calculatePriorities(userId);
@@ -385,6 +426,7 @@ async function main() {
     console.log(`   Total tasks imported: ${stats.total}`);
     console.log(`   Active tasks: ${stats.active}`);
     console.log(`   Completed tasks: ${stats.completed}`);
+    console.log(`   Waiting for / Someday / Reference: ${stats.waitingFor} / ${stats.someday} / ${stats.reference}`);
     console.log(`   Projects: ${stats.projects}`);
     console.log(`   Today's focus: ${stats.focused}`);
     console.log(`   Tasks with due dates: ${stats.withDueDate}`);
@@ -395,6 +437,13 @@ async function main() {
       console.log(`   ${ctx}: ${count} tasks`);
     });
 
+    if (Object.keys(stats.byTag).length > 0) {
+      console.log('\n🏷️  Tags:');
+      Object.entries(stats.byTag).forEach(([tag, count]) => {
+        console.log(`   ${tag}: ${count} tasks`);
+      });
+    }
+
     console.log('\n🌳 Hierarchy depth:');
     Object.entries(stats.byLevel).forEach(([level, count]) => {
       console.log(`   Level ${level}: ${count} tasks`);
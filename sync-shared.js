@@ -0,0 +1,82 @@
+// sync-shared.js - Generate functions/shared/ from gtd-pwa/src/shared/
+// Code both the PWA and Cloud Functions use lives once, as ES modules, in
+// gtd-pwa/src/shared/. Functions are deployed from functions/ alone, so
+// they get CommonJS copies; this script writes them.
+//
+//   node sync-shared.js          regenerate functions/shared/
+//   node sync-shared.js --check  exit 1 if a copy is missing or stale
+//
+// Shared modules may only use `import { a, b } from './module'`,
+// `export const` and `export function`, so the conversion stays trivial.
+// Their *.test.js files run with the PWA's tests and aren't copied.
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIR = path.join(__dirname, 'gtd-pwa', 'src', 'shared');
+const TARGET_DIR = path.join(__dirname, 'functions', 'shared');
+
+function toCommonJS(source, file) {
+  const exported = [];
+  const lines = source.split('\n').map((line, index) => {
+    let match;
+    if (index === 0 && line.startsWith('// gtd-pwa/src/shared/')) {
+      return `// functions/shared/${file} - generated from gtd-pwa/src/shared/${file} by sync-shared.js; edit that file instead`;
+    }
+    if ((match = line.match(/^import \{ ([\w, ]+) \} from '(\.\/[\w-]+)';$/))) {
+      return `const { ${match[1]} } = require('${match[2]}');`;
+    }
+    if ((match = line.match(/^export (const|function) (\w+)/))) {
+      exported.push(match[2]);
+      return line.replace(/^export /, '');
+    }
+    if (/^(import|export)\b/.test(line)) {
+      throw new Error(`${file}:${index + 1}: unsupported module syntax: ${line}`);
+    }
+    return line;
+  });
+
+  return `${lines.join('\n').trimEnd()}\n\nmodule.exports = { ${exported.join(', ')} };\n`;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const files = fs.readdirSync(SOURCE_DIR).filter(file => file.endsWith('.js') && !file.endsWith('.test.js'));
+  const stale = [];
+
+  if (!check) fs.mkdirSync(TARGET_DIR, { recursive: true });
+
+  files.forEach(file => {
+    const generated = toCommonJS(fs.readFileSync(path.join(SOURCE_DIR, file), 'utf-8'), file);
+    const target = path.join(TARGET_DIR, file);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf-8') : null;
+    if (current === generated) return;
+
+    if (check) {
+      stale.push(file);
+    } else {
+      fs.writeFileSync(target, generated);
+      console.log(`✅ Wrote functions/shared/${file}`);
+    }
+  });
+
+  // Copies whose source was removed
+  if (fs.existsSync(TARGET_DIR)) {
+    fs.readdirSync(TARGET_DIR)
+      .filter(file => file.endsWith('.js') && !files.includes(file))
+      .forEach(file => {
+        if (check) {
+          stale.push(file);
+        } else {
+          fs.unlinkSync(path.join(TARGET_DIR, file));
+          console.log(`🗑️  Removed functions/shared/${file}`);
+        }
+      });
+  }
+
+  if (check && stale.length > 0) {
+    console.error(`❌ functions/shared/ is out of date (${stale.join(', ')}). Run: node sync-shared.js`);
+    process.exit(1);
+  }
+}
+
+main();